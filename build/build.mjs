@@ -0,0 +1,326 @@
+/**
+ * Static Site Generator
+ * Assembles the pages from src/pages/ and the shared partials in
+ * src/partials/ with their responsive images, compiles Tailwind locally,
+ * copies vendored assets and writes sitemap.xml, robots.txt, the web app
+ * manifest and the service worker. Runs offline; the output is committed and
+ * served as is.
+ *
+ * Usage: npm run build (node build/build.mjs); after adding or changing
+ * photos run npm run images first
+ */
+
+import { execFile } from "node:child_process";
+import { createHash } from "node:crypto";
+import { cp, mkdir, readdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { config } from "../js/config.js";
+import { layout } from "../src/partials/layout.mjs";
+import { readImageManifest, responsiveImages } from "./responsive-images.mjs";
+import { fillPlaceholders, indent, parsePage } from "./template.mjs";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const pagesDir = "src/pages";
+const tailwind = {
+  bin: "node_modules/.bin/tailwindcss",
+  config: "tailwind.config.js",
+  input: "src/tailwind.css",
+  output: "css/tailwind.css",
+};
+// Third-party assets served from the site itself, so pages load nothing from
+// other hosts without consent
+const VENDOR_FILES = [
+  {
+    from: "node_modules/@fortawesome/fontawesome-free/css/all.min.css",
+    to: "vendor/fontawesome/css/all.min.css",
+  },
+  {
+    from: "node_modules/@fortawesome/fontawesome-free/LICENSE.txt",
+    to: "vendor/fontawesome/LICENSE.txt",
+  },
+  {
+    // Every supported browser takes woff2, the .ttf fallbacks are never requested
+    from: "node_modules/@fortawesome/fontawesome-free/webfonts",
+    to: "vendor/fontawesome/webfonts",
+    filter: (file) => !file.endsWith(".ttf"),
+  },
+  // The map library is only requested once the map is shown
+  { from: "node_modules/leaflet/dist/leaflet.js", to: "vendor/leaflet/leaflet.js" },
+  { from: "node_modules/leaflet/dist/leaflet.css", to: "vendor/leaflet/leaflet.css" },
+  { from: "node_modules/leaflet/LICENSE", to: "vendor/leaflet/LICENSE" },
+  // Dyslexia-friendly font of the accessibility toolbar (see style.css)
+  ...["400", "700"].map((weight) => ({
+    from: `node_modules/@fontsource/opendyslexic/files/opendyslexic-latin-${weight}-normal.woff2`,
+    to: `vendor/opendyslexic/opendyslexic-latin-${weight}-normal.woff2`,
+  })),
+  { from: "node_modules/@fontsource/opendyslexic/LICENSE", to: "vendor/opendyslexic/LICENSE" },
+];
+// Installable app; icons are the existing logo files
+const WEB_MANIFEST = {
+  output: "manifest.webmanifest",
+  shortName: "Logopädie Sagmeister",
+  themeColor: "#ffffff",
+  backgroundColor: "#f9fafb",
+  icons: [
+    { src: "images/logo-logopaedie-sagmeister-black.webp", sizes: "2048x1536", purpose: "any" },
+    { src: "images/logo-logopaedie-sagmeister-white.webp", sizes: "2048x1536", purpose: "monochrome" },
+  ],
+};
+const SERVICE_WORKER = {
+  source: "src/sw.js",
+  output: "sw.js",
+  // Replaced with { version, urls } in the generated file
+  placeholder: "self.__PRECACHE_MANIFEST",
+};
+// Stored by the service worker on install besides the pages, styles and the
+// manifest: everything a page needs to render offline. Directories are
+// included recursively.
+const PRECACHE = [
+  { dir: "js", filter: (file) => file.endsWith(".js") },
+  { dir: "vendor/fontawesome/webfonts", filter: (file) => file.endsWith(".woff2") },
+  config.services.catalogUrl,
+  ...WEB_MANIFEST.icons.map((icon) => icon.src),
+  // Photos are kept once shown, in the size and format the browser picked
+  "images/map-placeholder.svg",
+];
+// Paths search engines should not index: sources and tooling served alongside the site
+const ROBOTS_DISALLOW = ["/build/", "/server/", "/src/"];
+// Page bodies are indented to sit inside <body>
+const BODY_INDENT = 4;
+
+const run = promisify(execFile);
+
+/**
+ * Links derived from the practice's contact details
+ */
+function practiceLinks({ phone, email, address, geo }) {
+  const destination = encodeURIComponent(`${address.street}, ${address.postalCode} ${address.locality}`);
+
+  return {
+    tel: `tel:${phone.replace(/[^\d+]/g, "")}`,
+    whatsapp: `https://wa.me/${phone.replace(/\D/g, "")}`,
+    mailto: `mailto:${email}`,
+    // Directions; on phones these open the installed maps app
+    geo: `geo:${geo.latitude},${geo.longitude}?q=${destination}`,
+    appleMaps: `https://maps.apple.com/?daddr=${destination}`,
+    googleMaps: `https://www.google.com/maps/dir/?api=1&destination=${destination}`,
+  };
+}
+
+async function readPages() {
+  const files = (await readdir(path.join(root, pagesDir)))
+    .filter((file) => file.endsWith(".html"))
+    // Home page first, the rest alphabetically
+    .sort((a, b) => (b === "index.html") - (a === "index.html") || a.localeCompare(b));
+
+  return Promise.all(
+    files.map(async (file) => {
+      const source = path.posix.join(pagesDir, file);
+      const { meta, body } = parsePage(await readFile(path.join(root, source), "utf8"), source);
+      const isHome = file === "index.html";
+      // The home page is canonical without "index.html"
+      const urlPath = isHome ? "" : file;
+
+      return { source, output: file, isHome, meta, body, url: new URL(urlPath, config.practice.url).href };
+    })
+  );
+}
+
+// Pages such as the offline fallback carry "robots: noindex" in their front matter
+function isNoIndex(page) {
+  return /\bnoindex\b/.test(page.meta.robots || "");
+}
+
+async function readIfExists(file) {
+  try {
+    return await readFile(path.join(root, file), "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write `file` only when its content changed, so unchanged pages keep their
+ * modification date
+ * @returns {Promise<boolean>} whether the file was written
+ */
+async function writeIfChanged(file, content) {
+  if ((await readIfExists(file)) === content) {
+    return false;
+  }
+
+  await mkdir(path.dirname(path.join(root, file)), { recursive: true });
+  await writeFile(path.join(root, file), content);
+  return true;
+}
+
+/**
+ * lastmod values of the current sitemap, keyed by URL
+ */
+async function readLastModified() {
+  const sitemap = (await readIfExists("sitemap.xml")) || "";
+  const entries = sitemap.matchAll(/<loc>([^<]+)<\/loc>\s*<lastmod>([^<]+)<\/lastmod>/g);
+  return new Map(Array.from(entries, ([, loc, lastmod]) => [loc, lastmod]));
+}
+
+function buildSitemap(entries) {
+  const urls = entries.map(
+    ({ url, lastmod }) => `  <url>\n    <loc>${url}</loc>\n    <lastmod>${lastmod}</lastmod>\n  </url>`
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    "<!-- Generated by build/build.mjs -->",
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    "</urlset>",
+    "",
+  ].join("\n");
+}
+
+function buildWebManifest() {
+  const { practice } = config;
+
+  return `${JSON.stringify(
+    {
+      name: practice.name,
+      short_name: WEB_MANIFEST.shortName,
+      lang: "de",
+      start_url: "./",
+      scope: "./",
+      display: "standalone",
+      theme_color: WEB_MANIFEST.themeColor,
+      background_color: WEB_MANIFEST.backgroundColor,
+      icons: WEB_MANIFEST.icons.map((icon) => ({ ...icon, type: "image/webp" })),
+    },
+    null,
+    2
+  )}\n`;
+}
+
+// Files below `dir` (recursively) that pass `filter`, as URL paths
+async function listFiles(dir, filter) {
+  const files = await readdir(path.join(root, dir), { recursive: true });
+  return files
+    .map((file) => path.posix.join(dir, file.split(path.sep).join("/")))
+    .filter(filter)
+    .sort();
+}
+
+/**
+ * The service worker with its precache list. The version is a hash of all
+ * precached files and the worker itself, so every change to the site makes
+ * browsers install the new version.
+ * @param {Array<{url: string, file: string}>} entries URLs and the files behind them
+ */
+async function buildServiceWorker(entries) {
+  const source = await readFile(path.join(root, SERVICE_WORKER.source), "utf8");
+  if (!source.includes(SERVICE_WORKER.placeholder)) {
+    throw new Error(`${SERVICE_WORKER.source}: missing ${SERVICE_WORKER.placeholder}`);
+  }
+
+  const hash = createHash("sha256").update(source);
+  for (const { url, file } of entries) {
+    hash.update(`${url}\0`).update(await readFile(path.join(root, file)));
+  }
+  const manifest = { version: hash.digest("hex").slice(0, 12), urls: entries.map(({ url }) => url) };
+
+  return [
+    `// Generated by build/build.mjs from ${SERVICE_WORKER.source}. Edit that file and run "npm run build".`,
+    source.replace(SERVICE_WORKER.placeholder, JSON.stringify(manifest, null, 2)),
+  ].join("\n");
+}
+
+async function precacheEntries(pages) {
+  const files = [
+    ...pages.map((page) => ({ url: page.isHome ? "./" : page.output, file: page.output })),
+    ...["style.css", tailwind.output, VENDOR_FILES[0].to, WEB_MANIFEST.output].map((file) => ({ url: file, file })),
+  ];
+
+  for (const entry of PRECACHE) {
+    const paths = typeof entry === "string" ? [entry] : await listFiles(entry.dir, entry.filter);
+    files.push(...paths.map((file) => ({ url: file, file })));
+  }
+  return files;
+}
+
+function buildRobots() {
+  return [
+    "User-agent: *",
+    ...ROBOTS_DISALLOW.map((rule) => `Disallow: ${rule}`),
+    "",
+    `Sitemap: ${new URL("sitemap.xml", config.practice.url).href}`,
+    "",
+  ].join("\n");
+}
+
+async function compileTailwind() {
+  await run(
+    path.join(root, tailwind.bin),
+    ["--config", tailwind.config, "--input", tailwind.input, "--output", tailwind.output, "--minify"],
+    { cwd: root }
+  );
+}
+
+async function copyVendorFiles() {
+  await Promise.all(
+    VENDOR_FILES.map(({ from, to, filter }) =>
+      cp(path.join(root, from), path.join(root, to), { recursive: true, filter })
+    )
+  );
+}
+
+async function build() {
+  const site = {
+    practice: config.practice,
+    links: practiceLinks(config.practice),
+    tailwindCss: tailwind.output,
+    iconsCss: VENDOR_FILES[0].to,
+    manifest: WEB_MANIFEST.output,
+    themeColor: WEB_MANIFEST.themeColor,
+  };
+  const today = new Date().toISOString().slice(0, 10);
+  const lastModified = await readLastModified();
+  const pages = await readPages();
+  const imageManifest = await readImageManifest(root);
+
+  const sitemapEntries = [];
+  for (const page of pages) {
+    const filled = fillPlaceholders(page.body, site, page.source);
+    const withImages = await responsiveImages(filled, { root, manifest: imageManifest, file: page.source });
+    const body = indent(withImages.trimEnd(), BODY_INDENT);
+    const written = await writeIfChanged(page.output, String(layout({ page, site, body })));
+
+    // A page keeps its date until its generated HTML changes
+    const lastmod = (!written && lastModified.get(page.url)) || today;
+    if (!isNoIndex(page)) {
+      sitemapEntries.push({ url: page.url, lastmod });
+    }
+    console.log(`${written ? "wrote" : "unchanged"} ${page.output}`);
+  }
+
+  await writeIfChanged("sitemap.xml", buildSitemap(sitemapEntries));
+  await writeIfChanged("robots.txt", buildRobots());
+
+  await compileTailwind();
+  console.log(`compiled ${tailwind.output}`);
+
+  await copyVendorFiles();
+  console.log("copied vendor files");
+
+  await writeIfChanged(WEB_MANIFEST.output, buildWebManifest());
+  // Last, so the version covers the final state of every precached file
+  const serviceWorker = await buildServiceWorker(await precacheEntries(pages));
+  const written = await writeIfChanged(SERVICE_WORKER.output, serviceWorker);
+  console.log(`${written ? "wrote" : "unchanged"} ${SERVICE_WORKER.output}`);
+}
+
+build().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,105 @@
+/**
+ * Image Variants
+ * Writes resized AVIF and WebP copies of the photos used in responsive
+ * pictures (see build/responsive-images.mjs) to images/responsive/, plus a
+ * tiny blurred placeholder for each, and records them in the image manifest
+ * that the page build reads. Encoding takes a while, so only photos that
+ * changed since the last run are processed. Runs offline; the output is
+ * committed.
+ *
+ * Usage: npm run images (node build/images.mjs), then npm run build
+ */
+
+import { mkdir, readdir, readFile, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import sharp from "sharp";
+import {
+  FORMATS,
+  MANIFEST,
+  OUTPUT_DIR,
+  PLACEHOLDER_WIDTH,
+  findResponsiveSources,
+  imageHash,
+  readImageManifest,
+  variantPath,
+  variantWidths,
+} from "./responsive-images.mjs";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const pagesDir = "src/pages";
+
+async function usedImages() {
+  const files = (await readdir(path.join(root, pagesDir))).filter((file) => file.endsWith(".html"));
+  const sources = await Promise.all(
+    files.map(async (file) => findResponsiveSources(await readFile(path.join(root, pagesDir, file), "utf8")))
+  );
+  return Array.from(new Set(sources.flat())).sort();
+}
+
+/**
+ * The photo upright (EXIF orientation applied), ready to be resized
+ */
+function load(source) {
+  return sharp(path.join(root, source)).autoOrient();
+}
+
+async function processImage(source, hash) {
+  const { autoOrient } = await sharp(path.join(root, source)).metadata();
+  const { width, height } = autoOrient;
+  const widths = variantWidths(width);
+
+  for (const size of widths) {
+    for (const [format, { options }] of Object.entries(FORMATS)) {
+      await load(source)
+        .resize({ width: size })
+        .toFormat(format, options)
+        .toFile(path.join(root, variantPath(source, size, format)));
+    }
+  }
+
+  const placeholder = await load(source).resize({ width: PLACEHOLDER_WIDTH }).webp({ quality: 40 }).toBuffer();
+  return { hash, width, height, widths, placeholder: `data:image/webp;base64,${placeholder.toString("base64")}` };
+}
+
+async function removeUnused(manifest) {
+  const keep = new Set([path.posix.basename(MANIFEST)]);
+  Object.entries(manifest).forEach(([source, { widths }]) => {
+    widths.forEach((width) =>
+      Object.keys(FORMATS).forEach((format) => keep.add(path.posix.basename(variantPath(source, width, format))))
+    );
+  });
+
+  for (const file of await readdir(path.join(root, OUTPUT_DIR))) {
+    if (!keep.has(file)) {
+      await rm(path.join(root, OUTPUT_DIR, file));
+      console.log(`removed ${OUTPUT_DIR}/${file}`);
+    }
+  }
+}
+
+async function buildImages() {
+  await mkdir(path.join(root, OUTPUT_DIR), { recursive: true });
+  const previous = await readImageManifest(root);
+  const manifest = {};
+
+  for (const source of await usedImages()) {
+    const hash = await imageHash(root, source);
+    if (previous[source] && previous[source].hash === hash) {
+      manifest[source] = previous[source];
+      console.log(`unchanged ${source}`);
+      continue;
+    }
+
+    manifest[source] = await processImage(source, hash);
+    console.log(`wrote ${manifest[source].widths.length} variants of ${source}`);
+  }
+
+  await writeFile(path.join(root, MANIFEST), `${JSON.stringify(manifest, null, 2)}\n`);
+  await removeUnused(manifest);
+}
+
+buildImages().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
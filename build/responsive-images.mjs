@@ -0,0 +1,213 @@
+/**
+ * Responsive Image Markup
+ * Expands `<picture data-responsive>` in the page sources into AVIF and WebP
+ * sources at several widths, using the variants and placeholders that
+ * `npm run images` (build/images.mjs) recorded in the image manifest.
+ *
+ * Lazy pictures show a blurred placeholder and are loaded by the responsive
+ * images module shortly before they scroll into view:
+ *
+ * <picture data-responsive>
+ *   <img src="images/portrait.jpeg" sizes="15rem" alt="…" />
+ * </picture>
+ *
+ * Eager pictures load right away. A <source> with `media` shows another photo
+ * on matching screens (art direction):
+ *
+ * <picture data-responsive="eager">
+ *   <source media="(min-width: 768px)" srcset="images/wide.jpeg" sizes="100vw" />
+ *   <img src="images/narrow.jpeg" sizes="90vh" alt="" />
+ * </picture>
+ */
+
+import { createHash } from "node:crypto";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+
+export const OUTPUT_DIR = "images/responsive";
+export const MANIFEST = `${OUTPUT_DIR}/manifest.json`;
+// Widths in pixels; photos narrower than the largest one also get a variant
+// at their own width, none is enlarged
+export const WIDTHS = [320, 640, 960, 1280, 1920];
+// Listed in order of preference; browsers take the first type they support
+export const FORMATS = {
+  avif: { type: "image/avif", options: { quality: 50 } },
+  webp: { type: "image/webp", options: { quality: 72 } },
+};
+export const PLACEHOLDER_WIDTH = 16;
+
+const PICTURE = /^([ \t]*)<picture\b([^>]*)>([\s\S]*?)<\/picture>/gm;
+const TAG = /<(source|img)\b([^>]*?)\s*\/?>/g;
+const ATTRIBUTE = /([^\s=]+)(?:="([^"]*)")?/g;
+const MODES = ["lazy", "eager"];
+
+/**
+ * Hash of a photo together with the variant settings; the manifest entry of a
+ * photo is outdated when it no longer matches
+ */
+export async function imageHash(root, source) {
+  return createHash("sha256")
+    .update(JSON.stringify({ WIDTHS, FORMATS, PLACEHOLDER_WIDTH }))
+    .update(await readFile(path.join(root, source)))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+export function variantWidths(width) {
+  return [...WIDTHS.filter((candidate) => candidate < width), Math.min(width, WIDTHS[WIDTHS.length - 1])];
+}
+
+// images/portrait-2.jpeg, 640, "avif" -> images/responsive/portrait-2-640.avif
+export function variantPath(source, width, format) {
+  return `${OUTPUT_DIR}/${path.posix.parse(source).name}-${width}.${format}`;
+}
+
+function parseAttributes(text) {
+  return Array.from(text.matchAll(ATTRIBUTE), ([, name, value]) => [name, value === undefined ? null : value]);
+}
+
+function attributeValue(attributes, name) {
+  const entry = attributes.find(([candidate]) => candidate === name);
+  return entry ? entry[1] : undefined;
+}
+
+function withoutAttributes(attributes, ...names) {
+  return attributes.filter(([name]) => !names.includes(name));
+}
+
+// Values come from the page source and are already escaped
+function attributesText(attributes) {
+  return attributes.map(([name, value]) => (value === null ? name : `${name}="${value}"`)).join(" ");
+}
+
+function tag(name, attributes) {
+  return `<${name} ${attributesText(attributes)} />`;
+}
+
+/**
+ * Responsive pictures of a page: their mode and the photos they show
+ */
+function findPictures(body) {
+  return Array.from(body.matchAll(PICTURE))
+    .map(([markup, indent, attributeText, content]) => {
+      const attributes = parseAttributes(attributeText);
+      const mode = attributeValue(attributes, "data-responsive");
+      if (mode === undefined) {
+        return null;
+      }
+
+      const tags = Array.from(content.matchAll(TAG), ([, name, text]) => {
+        const tagAttributes = parseAttributes(text);
+        return { name, attributes: tagAttributes, src: attributeValue(tagAttributes, name === "img" ? "src" : "srcset") };
+      });
+      return { markup, indent, attributes, mode: mode || "lazy", tags };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Photos used by responsive pictures in `body`
+ */
+export function findResponsiveSources(body) {
+  return findPictures(body).flatMap((picture) => picture.tags.map((entry) => entry.src));
+}
+
+export async function readImageManifest(root) {
+  try {
+    return JSON.parse(await readFile(path.join(root, MANIFEST), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return {};
+    }
+    throw error;
+  }
+}
+
+function renderSources(entry, image, lazy) {
+  const sizes = attributeValue(entry.attributes, "sizes");
+  const media = attributeValue(entry.attributes, "media");
+
+  return Object.entries(FORMATS).map(([format, { type }]) => {
+    const srcset = image.widths.map((width) => `${variantPath(entry.src, width, format)} ${width}w`).join(", ");
+    return tag("source", [
+      ...(media ? [["media", media]] : []),
+      ["type", type],
+      [lazy ? "data-srcset" : "srcset", srcset],
+      ["sizes", sizes],
+    ]);
+  });
+}
+
+function renderPicture(picture, manifest) {
+  const lazy = picture.mode === "lazy";
+  const img = picture.tags.find((entry) => entry.name === "img");
+  const image = manifest[img.src];
+  const size = [
+    ["width", String(image.width)],
+    ["height", String(image.height)],
+  ];
+  const imgAttributes = withoutAttributes(img.attributes, "src", "sizes", "width", "height");
+
+  const sources = picture.tags.flatMap((entry) => renderSources(entry, manifest[entry.src], lazy));
+  let fallback;
+  if (lazy) {
+    const className = ["responsive-image responsive-image--loading", attributeValue(imgAttributes, "class")]
+      .filter(Boolean)
+      .join(" ");
+    fallback = tag("img", [
+      ["src", image.placeholder],
+      ["data-src", img.src],
+      ...size,
+      ...withoutAttributes(imgAttributes, "class"),
+      ["class", className],
+    ]);
+  } else {
+    fallback = tag("img", [["src", img.src], ...size, ...imgAttributes]);
+  }
+
+  const { indent } = picture;
+  const pictureAttributes = [...withoutAttributes(picture.attributes, "data-responsive"), ["data-responsive", picture.mode]];
+  const lines = [
+    `${indent}<picture ${attributesText(pictureAttributes)}>`,
+    ...[...sources, fallback].map((line) => `${indent}  ${line}`),
+    `${indent}</picture>`,
+  ];
+  if (lazy) {
+    // Without JavaScript the lazy picture stays hidden (see the page head)
+    const noscript = tag("img", [["src", img.src], ...size, ...withoutAttributes(imgAttributes, "loading"), ["loading", "lazy"]]);
+    lines.push(`${indent}<noscript>${noscript}</noscript>`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Replace the responsive pictures in a page body. Photos missing from the
+ * manifest or changed since it was written fail the build.
+ */
+export async function responsiveImages(body, { root, manifest, file }) {
+  let result = body;
+
+  for (const picture of findPictures(body)) {
+    if (!MODES.includes(picture.mode)) {
+      throw new Error(`${file}: data-responsive must be one of ${MODES.join(", ")}`);
+    }
+    if (!picture.tags.some((entry) => entry.name === "img")) {
+      throw new Error(`${file}: responsive picture without <img>`);
+    }
+
+    for (const entry of picture.tags) {
+      if (!entry.src || attributeValue(entry.attributes, "sizes") === undefined) {
+        const required = entry.name === "img" ? "src" : "srcset";
+        throw new Error(`${file}: <${entry.name}> in a responsive picture needs ${required} and sizes`);
+      }
+      const image = manifest[entry.src];
+      if (!image || image.hash !== (await imageHash(root, entry.src))) {
+        throw new Error(`${file}: ${entry.src} has no up-to-date variants, run "npm run images"`);
+      }
+    }
+
+    const markup = renderPicture(picture, manifest);
+    result = result.replace(picture.markup, () => markup);
+  }
+  return result;
+}
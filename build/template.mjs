@@ -0,0 +1,105 @@
+/**
+ * Template Helpers
+ * Front matter, `{{ placeholder }}` substitution and escaping for the page
+ * sources in src/pages/
+ */
+
+const ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => ESCAPES[char]);
+}
+
+/**
+ * Tagged template that escapes interpolated values. Nested `html` results
+ * and arrays of them are inserted unchanged.
+ */
+export function html(strings, ...values) {
+  return new SafeHtml(
+    strings.reduce((result, string, index) => {
+      if (index === 0) {
+        return string;
+      }
+      return result + toHtml(values[index - 1]) + string;
+    }, "")
+  );
+}
+
+/**
+ * Mark already assembled markup (e.g. a page body) as safe to insert
+ */
+export function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function toHtml(value) {
+  if (value instanceof SafeHtml) {
+    return value.value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toHtml).join("");
+  }
+  return value === undefined || value === null || value === false ? "" : escapeHtml(value);
+}
+
+/**
+ * Split a page source into its front matter and body
+ *
+ * ---
+ * title: Impressum - Logopädie Praxis Eva Sagmeister
+ * titleKey: meta.imprintTitle
+ * ---
+ * <main>…</main>
+ */
+export function parsePage(source, file) {
+  const match = /^---\n([\s\S]*?)\n---\n/.exec(source);
+  if (!match) {
+    throw new Error(`${file}: missing front matter`);
+  }
+
+  const meta = {};
+  match[1].split("\n").forEach((line) => {
+    const separator = line.indexOf(":");
+    if (separator === -1) {
+      throw new Error(`${file}: invalid front matter line "${line}"`);
+    }
+    meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  });
+
+  return { meta, body: source.slice(match[0].length) };
+}
+
+/**
+ * Replace `{{ path.to.value }}` with the escaped value from `data`. Unknown
+ * placeholders fail the build instead of ending up on the page.
+ */
+export function fillPlaceholders(text, data, file) {
+  return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = path.split(".").reduce((node, key) => (node == null ? undefined : node[key]), data);
+    if (value === undefined || value === null || typeof value === "object") {
+      throw new Error(`${file}: unknown placeholder ${match}`);
+    }
+    return escapeHtml(value);
+  });
+}
+
+/**
+ * Indent every non-empty line by `spaces`
+ */
+export function indent(text, spaces) {
+  const prefix = " ".repeat(spaces);
+  return text
+    .split("\n")
+    .map((line) => (line.trim() ? prefix + line : ""))
+    .join("\n");
+}
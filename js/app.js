@@ -0,0 +1,148 @@
+/**
+ * Eva Sagmeister Logopädie Website
+ * Main application entry point: module registry, lifecycle and event bus
+ */
+
+import { EventBus } from "./core/event-bus.js";
+import { i18n } from "./i18n/index.js";
+import { Announcer } from "./services/announcer.js";
+import { FrameScheduler } from "./services/frame-scheduler.js";
+import { AccessibilityToolbar } from "./modules/accessibility-toolbar.js";
+import { ResponsiveImages } from "./modules/responsive-images.js";
+import { ConsentManager } from "./modules/consent-manager.js";
+import { Analytics } from "./modules/analytics.js";
+import { Navigation } from "./modules/navigation.js";
+import { ServiceCards } from "./modules/service-cards.js";
+import { ServiceDialog } from "./modules/service-dialog.js";
+import { Collapsibles } from "./modules/collapsibles.js";
+import { ServiceExpansion } from "./modules/service-expansion.js";
+import { ServiceSearch } from "./modules/service-search.js";
+import { ContactForm } from "./modules/contact-form.js";
+import { ScrollSpy } from "./modules/scroll-spy.js";
+import { HeaderTransparency } from "./modules/header-transparency.js";
+import { ParallaxEffect } from "./modules/parallax-effect.js";
+import { PrescriptionDeadline } from "./modules/prescription-deadline.js";
+import { OpeningHours } from "./modules/opening-hours.js";
+import { BookingWizard } from "./modules/booking-wizard.js";
+import { CancellationForm } from "./modules/cancellation-form.js";
+import { PracticeFiles } from "./modules/practice-files.js";
+import { PracticeMap } from "./modules/practice-map.js";
+import { StructuredData } from "./modules/structured-data.js";
+import { LanguageSwitcher } from "./modules/language-switcher.js";
+import { OfflineSupport } from "./modules/offline-support.js";
+
+/**
+ * App
+ * Registers modules by name, runs their init()/destroy() lifecycle hooks
+ * and owns the shared event bus, translations, screen reader announcer and
+ * scroll/resize frame scheduler
+ */
+export class App {
+  constructor() {
+    this.bus = new EventBus();
+    this.i18n = i18n;
+    this.announcer = new Announcer();
+    this.scheduler = new FrameScheduler();
+    this.registry = new Map();
+    this.modules = new Map();
+    this.isInitialized = false;
+  }
+
+  register(name, ModuleClass) {
+    if (this.registry.has(name)) {
+      console.warn(`Module "${name}" is already registered`);
+      return this;
+    }
+
+    this.registry.set(name, ModuleClass);
+    return this;
+  }
+
+  async init() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    // Translate the page before modules render their own text
+    await this.i18n.init();
+    this.unsubscribeLanguage = this.i18n.onChange((language) => {
+      this.bus.emit("i18n:change", { language });
+    });
+
+    // Live regions must exist before the first announcement to be picked up
+    this.announcer.init();
+
+    // Initialize in registration order so later modules can rely on earlier ones
+    for (const [name, ModuleClass] of this.registry) {
+      try {
+        const module = new ModuleClass(this);
+        this.modules.set(name, module);
+        await module.init();
+      } catch (error) {
+        console.error(`Module "${name}" failed to initialize:`, error);
+      }
+    }
+
+    this.isInitialized = true;
+    this.bus.emit("app:ready", { modules: Array.from(this.modules.keys()) });
+  }
+
+  destroy() {
+    Array.from(this.modules.entries())
+      .reverse()
+      .forEach(([name, module]) => {
+        try {
+          module.destroy();
+        } catch (error) {
+          console.error(`Module "${name}" failed to destroy:`, error);
+        }
+      });
+
+    this.modules.clear();
+    if (this.unsubscribeLanguage) {
+      this.unsubscribeLanguage();
+    }
+    this.announcer.destroy();
+    this.scheduler.destroy();
+    this.isInitialized = false;
+  }
+
+  getModule(name) {
+    return this.modules.get(name) || null;
+  }
+}
+
+const app = new App()
+  .register("consent", ConsentManager)
+  // Early, so it hears the events other modules emit while they initialize
+  .register("analytics", Analytics)
+  .register("accessibility-toolbar", AccessibilityToolbar)
+  .register("responsive-images", ResponsiveImages)
+  .register("navigation", Navigation)
+  .register("service-cards", ServiceCards)
+  .register("service-dialog", ServiceDialog)
+  .register("collapsibles", Collapsibles)
+  .register("service-expansion", ServiceExpansion)
+  .register("service-search", ServiceSearch)
+  .register("contact-form", ContactForm)
+  .register("scroll-spy", ScrollSpy)
+  .register("header-transparency", HeaderTransparency)
+  .register("parallax-effect", ParallaxEffect)
+  .register("prescription-deadline", PrescriptionDeadline)
+  .register("opening-hours", OpeningHours)
+  .register("booking-wizard", BookingWizard)
+  .register("cancellation-form", CancellationForm)
+  .register("practice-files", PracticeFiles)
+  .register("practice-map", PracticeMap)
+  .register("structured-data", StructuredData)
+  .register("language-switcher", LanguageSwitcher)
+  .register("offline-support", OfflineSupport);
+
+// Expose for debugging, e.g. window.app.getModule('navigation')
+window.app = app;
+
+app.init().then(() => {
+  console.log(
+    "🚀 Eva Sagmeister Logopädie Website (enhanced) initialized successfully"
+  );
+});
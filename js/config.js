@@ -0,0 +1,151 @@
+/**
+ * Site Configuration
+ * Central place for settings that differ between environments
+ */
+export const config = {
+  practice: {
+    name: "Logopädie Praxis Eva Sagmeister",
+    owner: { givenName: "Eva", familyName: "Sagmeister", title: "Logopädin" },
+    phone: "+49 1578 5320411",
+    email: "praxis@sag-meister.de",
+    url: "https://www.sag-meister.de/",
+    logo: "images/logo-logopaedie-sagmeister-black.webp", // relative to url
+    address: {
+      street: "Oeslauer Str. 26",
+      postalCode: "96472",
+      locality: "Rödental",
+      region: "Bayern",
+      country: "DE",
+    },
+    // Marker position on the map and in the structured data
+    geo: { latitude: 50.28917, longitude: 11.03694 },
+    timeZone: "Europe/Berlin",
+
+    // Weekly opening hours; days: 0 = Sunday … 6 = Saturday.
+    // Entries without opens/closes are shown with their note but never count as open.
+    openingHours: [
+      { days: [1, 2, 3, 4], opens: "08:00", closes: "18:00" },
+      { days: [5], opens: "08:00", closes: "16:00" },
+      { days: [6], note: "Nach Vereinbarung" },
+    ],
+
+    // Rödental has a Protestant majority, so Mariä Himmelfahrt is a working day
+    holidays: { assumptionDay: false },
+
+    // Practice closures, e.g. { from: "2025-12-22", to: "2026-01-02", label: "Betriebsurlaub" }
+    closures: [],
+  },
+
+  // Heilmittelverordnung: therapy has to start within this many days of the
+  // issue date (Heilmittel-Richtlinie). Adjust when the regulations change.
+  prescription: {
+    startWithinDays: 28,
+    warningDays: 7, // show a warning when this few days are left
+  },
+
+  // Appointments have to be cancelled this many hours ahead, otherwise the
+  // missed session may be charged privately (§ 615 BGB)
+  cancellation: {
+    noticeHours: 24,
+  },
+
+  // "In Kalender eintragen" downloads
+  calendar: {
+    appointmentMinutes: 45, // used when an appointment has no end time
+    reminderHours: 24, // alarm before the appointment, i.e. when free cancellation ends
+  },
+
+  // Third-party services that need the visitor's consent before anything is
+  // loaded from or sent to them. Raise `version` when a service is added or
+  // its data transfer changes; earlier choices are then discarded.
+  consent: {
+    version: 2,
+    services: {
+      whatsapp: {
+        name: "WhatsApp",
+        provider: "WhatsApp Ireland Limited, Dublin",
+        privacyUrl: "https://www.whatsapp.com/legal/privacy-policy-eea",
+      },
+      openstreetmap: {
+        name: "OpenStreetMap",
+        provider: "OpenStreetMap Foundation, Cambridge (UK)",
+        privacyUrl: "https://osmfoundation.org/wiki/Privacy_Policy",
+      },
+    },
+  },
+
+  // Map of the practice address in #contact. It shows a static placeholder
+  // until the map is loaded.
+  map: {
+    zoom: 17,
+    tiles: {
+      // For development, point this at the dev server's stand-in tiles:
+      // "/dev-tiles/{z}/{x}/{y}.svg" with consent: null
+      url: "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
+      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>-Mitwirkende',
+      maxZoom: 19,
+      // Consent service asked before the first tile is requested; null for
+      // tiles served by the site itself
+      consent: "openstreetmap",
+    },
+  },
+
+  services: {
+    // Treatment areas rendered into #services; index.html keeps a static copy
+    // for visitors without JavaScript
+    catalogUrl: "data/services.json",
+  },
+
+  booking: {
+    // Free slots exported from the practice calendar (JSON or ICS, see
+    // js/services/availability.js). The dev server generates sample data.
+    availabilityUrl: "data/availability.json",
+    maxSlots: 3, // preferred slots a patient may pick
+  },
+
+  submission: {
+    // Transports are tried in order; later ones act as fallback
+    transports: ["http", "mailto"],
+    http: {
+      endpoint: "/api/messages",
+      timeout: 8000, // ms per attempt
+      retries: 2,
+      retryDelay: 1000, // ms, multiplied by the attempt number
+    },
+    mailto: {
+      recipient: "praxis@sag-meister.de",
+    },
+  },
+
+  spamProtection: {
+    // Honeypot, fill time, rate limit, proof of work and link checks of the
+    // contact, booking and cancellation forms (js/services/spam-protection.js);
+    // the receiving endpoint repeats the stamp, honeypot and link checks
+    minFillTime: 3000, // ms from showing the form to sending it
+    rateLimit: {
+      max: 3, // messages per window and browser, counted across reloads
+      window: 60 * 60 * 1000, // ms
+    },
+    maxLinks: 1, // web addresses allowed in a message
+    proofOfWork: {
+      difficulty: 15, // leading zero bits; each one doubles the work, 15 takes phones about a second
+      maxAge: 24 * 60 * 60 * 1000, // ms a stamp stays valid, generous for wrong device clocks
+    },
+  },
+
+  analytics: {
+    // Anonymous usage events are sent here with navigator.sendBeacon (see
+    // js/modules/analytics.js). null turns analytics off; GitHub Pages has no
+    // collector, so it stays off until one exists. The dev server turns it on
+    // for the pages it serves and shows a report at /dev-analytics.
+    endpoint: null,
+  },
+
+  offline: {
+    // Generated by the build from src/sw.js
+    serviceWorker: "sw.js",
+    // Hosts where no service worker is registered, so local edits show up
+    // without a build. Remove them to try offline mode with the dev server.
+    skipHosts: ["localhost", "127.0.0.1"],
+  },
+};
@@ -0,0 +1,31 @@
+/**
+ * Event Bus
+ * Shared channel for inter-module communication via custom events
+ */
+export class EventBus {
+  constructor() {
+    this.target = new EventTarget();
+  }
+
+  /**
+   * Subscribe to an event. The handler receives the event detail.
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, handler) {
+    const listener = (e) => handler(e.detail, e);
+    this.target.addEventListener(type, listener);
+    return () => this.target.removeEventListener(type, listener);
+  }
+
+  once(type, handler) {
+    const off = this.on(type, (detail, e) => {
+      off();
+      handler(detail, e);
+    });
+    return off;
+  }
+
+  emit(type, detail = {}) {
+    this.target.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
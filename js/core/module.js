@@ -0,0 +1,62 @@
+/**
+ * Base Module
+ * Lifecycle plumbing shared by all modules: access to the app, event bus and
+ * announcer, plus DOM listeners, bus subscriptions and frame tasks that
+ * destroy() cleans up
+ */
+export class Module {
+  constructor(app) {
+    this.app = app;
+    this.bus = app.bus;
+    this.listeners = new AbortController();
+    this.subscriptions = [];
+  }
+
+  init() {}
+
+  destroy() {
+    this.listeners.abort();
+    this.listeners = new AbortController();
+
+    this.subscriptions.forEach((unsubscribe) => unsubscribe());
+    this.subscriptions = [];
+  }
+
+  /**
+   * Add a DOM event listener that is removed automatically on destroy()
+   */
+  listen(target, type, handler, options = {}) {
+    target.addEventListener(type, handler, {
+      ...options,
+      signal: this.listeners.signal,
+    });
+  }
+
+  /**
+   * Subscribe to an event bus event for the lifetime of the module
+   */
+  on(type, handler) {
+    this.subscriptions.push(this.bus.on(type, handler));
+  }
+
+  /**
+   * Run a task on the shared scroll/resize frame (see FrameScheduler) for
+   * the lifetime of the module
+   * @param {{read?: Function, write?: Function}} task
+   */
+  onFrame(task) {
+    this.subscriptions.push(this.app.scheduler.subscribe(task));
+  }
+
+  emit(type, detail) {
+    this.bus.emit(type, detail);
+  }
+
+  /**
+   * Read a state change out to screen reader users via the shared live regions
+   * @param {"polite"|"assertive"} [politeness]
+   */
+  announce(message, politeness = "polite") {
+    this.app.announcer.announce(message, { politeness });
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * Internationalization
+ * Message catalogs, language switching and page translation.
+ *
+ * German is the source language. Page content is written in German in the
+ * HTML and marked with data attributes; other catalogs translate it by key:
+ *
+ *   <p data-i18n="about.title">…</p>                 text content
+ *   <p data-i18n-html="about.text4">…</p>            markup (inline tags only)
+ *   <img data-i18n-attr="alt:about.imageAlt; title:…">  attributes
+ *   <p data-i18n-translated-only>…</p>               only shown when not German
+ *
+ * Strings used by the JS modules live in every catalog, including German.
+ */
+
+import de from "./locales/de.js";
+import { formatDate } from "../utils/date.js";
+
+export const DEFAULT_LANGUAGE = "de";
+
+// Arabic uses Latin digits so dates match phone numbers and opening hours
+export const LANGUAGES = {
+  de: { name: "Deutsch", locale: "de-DE", dir: "ltr" },
+  en: { name: "English", locale: "en-GB", dir: "ltr" },
+  tr: { name: "Türkçe", locale: "tr-TR", dir: "ltr" },
+  ru: { name: "Русский", locale: "ru-RU", dir: "ltr" },
+  ar: { name: "العربية", locale: "ar-u-nu-latn", dir: "rtl" },
+};
+
+const STORAGE_KEY = "language";
+
+const loaders = {
+  en: () => import("./locales/en.js"),
+  tr: () => import("./locales/tr.js"),
+  ru: () => import("./locales/ru.js"),
+  ar: () => import("./locales/ar.js"),
+};
+
+class I18n {
+  constructor() {
+    this.language = DEFAULT_LANGUAGE;
+    this.catalogs = new Map([[DEFAULT_LANGUAGE, de]]);
+    // Original German text, markup and attributes per element
+    this.sources = new WeakMap();
+    this.listeners = new Set();
+  }
+
+  get locale() {
+    return LANGUAGES[this.language].locale;
+  }
+
+  get dir() {
+    return LANGUAGES[this.language].dir;
+  }
+
+  /**
+   * Apply the remembered language, if any
+   */
+  async init() {
+    const stored = readStoredLanguage();
+    if (stored && stored !== this.language) {
+      await this.setLanguage(stored, { persist: false });
+    }
+  }
+
+  async setLanguage(language, { persist = true } = {}) {
+    if (!LANGUAGES[language]) {
+      console.warn(`Unsupported language: ${language}`);
+      return;
+    }
+
+    try {
+      await this.loadCatalog(language);
+    } catch (error) {
+      console.warn(`Catalog for "${language}" could not be loaded:`, error);
+      return;
+    }
+
+    this.language = language;
+    document.documentElement.lang = language;
+    document.documentElement.dir = this.dir;
+    this.translatePage();
+
+    if (persist) {
+      storeLanguage(language);
+    }
+    this.listeners.forEach((listener) => listener(language));
+  }
+
+  async loadCatalog(language) {
+    if (!this.catalogs.has(language)) {
+      const module = await loaders[language]();
+      this.catalogs.set(language, module.default);
+    }
+    return this.catalogs.get(language);
+  }
+
+  /**
+   * @returns {Function} unsubscribe
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Message for `key` in the current language, falling back to German.
+   * `{name}` placeholders are filled from `params`; messages given as
+   * `{ one, few, many, other }` are picked by `params.count`.
+   */
+  t(key, params = {}) {
+    let message = valueOr(lookup(this.catalogs.get(this.language), key), lookup(de, key));
+
+    if (message === undefined) {
+      console.warn(`Missing translation: ${key}`);
+      return key;
+    }
+
+    if (typeof message === "object") {
+      const category = new Intl.PluralRules(this.locale).select(valueOr(params.count, 0));
+      message = valueOr(message[category], message.other);
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  /**
+   * Translate practice-authored German text from the config (closure
+   * labels, holiday names, opening hour notes) via the catalog's `content`
+   * glossary; unknown text is returned unchanged.
+   */
+  content(text) {
+    const glossary = this.catalogs.get(this.language).content || {};
+    return valueOr(glossary[text], text);
+  }
+
+  /**
+   * German name of the current language, for messages to the practice
+   */
+  languageName() {
+    return new Intl.DisplayNames(["de"], { type: "language" }).of(this.language);
+  }
+
+  /**
+   * Format an ISO date in the current language
+   */
+  formatDate(isoDate, options) {
+    return formatDate(isoDate, options, this.locale);
+  }
+
+  /**
+   * The German source text of a translated element (data-i18n or data-i18n-html)
+   */
+  sourceText(element) {
+    const source = this.sources.get(element);
+    if (source && source.text !== undefined) {
+      return source.text.trim();
+    }
+    if (source && source.html !== undefined) {
+      const template = document.createElement("template");
+      template.innerHTML = source.html;
+      return template.content.textContent.trim();
+    }
+    return element.textContent.trim();
+  }
+
+  translatePage(root = document) {
+    const catalog = this.catalogs.get(this.language);
+    // German page text comes from the markup itself
+    const pageText = (key) => (this.language === DEFAULT_LANGUAGE ? undefined : lookup(catalog, key));
+
+    root.querySelectorAll("[data-i18n]").forEach((el) => {
+      const source = this.source(el, "text", () => el.textContent);
+      el.textContent = valueOr(pageText(el.dataset.i18n), source);
+    });
+
+    root.querySelectorAll("[data-i18n-html]").forEach((el) => {
+      const source = this.source(el, "html", () => el.innerHTML);
+      el.innerHTML = valueOr(pageText(el.dataset.i18nHtml), source);
+    });
+
+    root.querySelectorAll("[data-i18n-attr]").forEach((el) => {
+      el.dataset.i18nAttr.split(";").forEach((pair) => {
+        const [attribute, key] = pair.split(":").map((part) => part.trim());
+        const source = this.source(el, `attr:${attribute}`, () => el.getAttribute(attribute));
+        el.setAttribute(attribute, valueOr(pageText(key), source));
+      });
+    });
+
+    root.querySelectorAll("[data-i18n-translated-only]").forEach((el) => {
+      el.classList.toggle("hidden", this.language === DEFAULT_LANGUAGE);
+    });
+  }
+
+  source(element, type, read) {
+    if (!this.sources.has(element)) {
+      this.sources.set(element, {});
+    }
+
+    const sources = this.sources.get(element);
+    if (!(type in sources)) {
+      sources[type] = read();
+    }
+    return sources[type];
+  }
+}
+
+// `value` unless it is null or undefined; browser code keeps to ES2019
+// syntax, so no nullish coalescing (see README)
+function valueOr(value, fallback) {
+  return value == null ? fallback : value;
+}
+
+function lookup(catalog, key) {
+  return key.split(".").reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+function readStoredLanguage() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    // Storage can be unavailable, e.g. in some private browsing modes
+    return null;
+  }
+}
+
+function storeLanguage(language) {
+  try {
+    localStorage.setItem(STORAGE_KEY, language);
+  } catch {
+    // Not remembered, but the switch itself still works
+  }
+}
+
+export const i18n = new I18n();
+
+export function t(key, params) {
+  return i18n.t(key, params);
+}
@@ -0,0 +1,634 @@
+/**
+ * Arabic catalog
+ */
+export default {
+  meta: {
+    title: "عيادة إيفا زاغمايستر لعلاج النطق واللغة",
+    description:
+      "عيادة إيفا زاغمايستر لعلاج النطق واللغة - علاج احترافي للنطق واللغة للأطفال والبالغين في Musterstadt",
+    imprintTitle: "بيانات الناشر - عيادة إيفا زاغمايستر لعلاج النطق واللغة",
+    privacyTitle: "حماية البيانات - عيادة إيفا زاغمايستر لعلاج النطق واللغة",
+    offlineTitle: "غير متصل - عيادة إيفا زاغمايستر لعلاج النطق واللغة",
+    notFoundTitle: "الصفحة غير موجودة - عيادة إيفا زاغمايستر لعلاج النطق واللغة",
+  },
+
+  nav: {
+    label: "القائمة الرئيسية",
+    logoAlt: "شعار عيادة علاج النطق",
+    home: "الرئيسية",
+    services: "الخدمات",
+    about: "من أنا",
+    info: "معلومات",
+    contact: "اتصل بنا",
+    openMenu: "فتح القائمة",
+    language: "اللغة",
+  },
+
+  legal: {
+    germanOnly: "النسخة الألمانية فقط من هذه الصفحة هي الملزمة قانونيًا.",
+    imprintTitle: "بيانات الناشر",
+    privacyTitle: "سياسة الخصوصية",
+  },
+
+  hero: {
+    title: "علاج النطق واللغة",
+    quote: "«قد تبدأ الكلمة صغيرة، لكنها تفتح بابًا كبيرًا.»",
+  },
+
+  welcome: {
+    imageAlt: "أم وابنتها تلعبان معًا على الطاولة",
+    imageCaption: "علاج قائم على اللعب في أجواء ودية",
+    title: "مرحبًا بكم في<br>عيادتنا لعلاج النطق واللغة!",
+    text1: "نولي في عيادتنا أهمية كبيرة لأجواء يسودها الثقة ولعلاج مصمم وفق الاحتياجات الفردية لكل شخص.",
+    text2:
+      "علاج النطق واللغة تخصص طبي علاجي يعالج اضطرابات اللغة والكلام والصوت والبلع والسمع. وإلى جانب العلاج، تشمل مهامنا أيضًا الاستشارة والوقاية وإعادة التأهيل.",
+  },
+
+  services: {
+    title: "مجالات تخصصنا",
+    intro1:
+      "نبدأ كل علاج بمقابلة مفصلة لأخذ التاريخ المرضي وتشخيص موجّه. وبناءً على ذلك نضع خطة علاجية فردية تراعي العمر ومستوى النمو والاحتياجات الشخصية.",
+    intro2:
+      "نحرص بشكل خاص على التعاون الوثيق مع الأطباء ورياض الأطفال والتخصصات الأخرى، وعلى التواصل الشفاف مع مرضانا.",
+    searchLabel: "البحث في مجالات العلاج",
+    searchPlaceholder: "مثلًا: التأتأة، اللثغة، البلع",
+    details: "تفاصيل العلاج",
+    duration: "المدة",
+    frequency: "عدد الجلسات",
+    frequencyValue: "1-3 مرات أسبوعيًا",
+    children: {
+      title: "علاج النطق للأطفال",
+      subtitle: "علاج قائم على اللعب وأساليب مناسبة للأطفال",
+      text: "علاج متخصص للأطفال بأساليب فردية مناسبة لهم ومناهج قائمة على اللعب.",
+      parents: "يشارك الوالدان بفاعلية في العملية العلاجية.",
+      duration: "30-45 دقيقة",
+    },
+    adults: {
+      title: "علاج النطق للبالغين",
+      subtitle: "اضطرابات عصبية ووظيفية",
+      text:
+        "علاج فردي ومناهج قريبة من الحياة اليومية. علاج موجّه لاضطرابات اللغة والكلام والصوت والبلع بأساليب مصممة وفق احتياجاتك الشخصية، مع التركيز على حياتك اليومية وأهدافك الفردية.",
+      duration: "30-60 دقيقة",
+    },
+    items: {
+      dyslalia: {
+        title: "اضطرابات النطق",
+        text: "خطأ في إخراج الأصوات (مثل «تلب» بدلًا من «كلب»).",
+        long: "تُحذف أصوات أو تراكيب صوتية بعينها أو تُستبدل أو تُنطق بشكل خاطئ، كما في اللثغة مثلًا. في العلاج يتعلم طفلك من خلال اللعب سماع الأصوات وتمييزها ونطقها بشكل صحيح حتى يتقنها في الحياة اليومية.",
+        symptoms: [
+          "حذف بعض الأصوات أو استبدالها بأصوات أخرى",
+          "اللثغة: يندفع اللسان بين الأسنان عند نطق السين",
+          "يصعب على الغرباء فهم كلام طفلك",
+        ],
+      },
+      hearing: {
+        title: "اضطرابات السمع",
+        text: "اضطرابات النمو اللغوي المرتبطة بضعف السمع.",
+        long: "يجد الأطفال ضعاف السمع صعوبة أكبر في تعلم اللغة. ندعم الإدراك السمعي والمفردات والنطق، ونعمل بشكل وثيق مع أطباء الأنف والأذن والحنجرة وأخصائيي السماعات، بما في ذلك للأطفال الذين يستخدمون سماعات أو زراعة القوقعة.",
+        symptoms: [
+          "لا يستجيب طفلك أو يستجيب متأخرًا عندما يُكلَّم",
+          "يتكلم بصوت مرتفع بشكل لافت أو بغير وضوح",
+          "تتطور المفردات واللغة أبطأ مما لدى أقرانه",
+        ],
+      },
+      dysgrammatism: {
+        title: "صعوبات القواعد",
+        text: "صعوبات في تكوين الجمل وتصريف الكلمات بشكل صحيح.",
+        long: "يضع الأطفال الذين يعانون من صعوبات القواعد الكلمات في ترتيب خاطئ أو يصرّفونها بشكل غير صحيح. من خلال الألعاب والقصص نتدرب على بناء الجمل والقواعد بحيث يكتشف طفلك القواعد بنفسه.",
+        symptoms: [
+          "الكلمات في غير موضعها في الجملة",
+          "تصريف الأفعال وأدوات التعريف بشكل خاطئ",
+          "جمل قصيرة ومبسطة غالبًا دون أدوات ربط",
+        ],
+      },
+      rhinophonia: {
+        title: "الخنة",
+        text: "كلام أنفي بسبب مشكلات في سقف الحلق الرخو أو خصائص تشريحية.",
+        long: "في الخنف المفتوح أو المغلق يخرج من الأنف هواء أكثر أو أقل من اللازم، مثلًا بعد شق الشفة والحنك. تمارين موجهة لسقف الحلق الرخو وتيار الهواء تحسّن جودة الصوت ووضوح الكلام.",
+        symptoms: [
+          "يبدو الصوت أخنّ أو كأنه مصاب بالزكام",
+          "يتسرب الهواء من الأنف بشكل مسموع أثناء الكلام",
+          "أصوات مثل ب وت وك تبدو ضعيفة",
+        ],
+      },
+      auditoryProcessing: {
+        title: "اضطراب المعالجة السمعية",
+        text: "اضطرابات الإدراك والمعالجة السمعية.",
+        long: "السمع سليم، لكن معالجة ما يُسمع صعبة: تبدو الأصوات المتشابهة متطابقة وتضيع التعليمات وسط الضوضاء. ندرّب الذاكرة السمعية وتمييز الأصوات والتركيز أثناء الاستماع.",
+        symptoms: [
+          "صعوبة فهم الكلام عند وجود ضوضاء في الخلفية",
+          "كثرة الاستفسار رغم سلامة السمع",
+          "الخلط بين الأصوات المتشابهة، وغالبًا في الكتابة أيضًا",
+        ],
+      },
+      vocabulary: {
+        title: "المفردات",
+        text: "محدودية المفردات في الفهم أو الاستخدام.",
+        long: "يعرف بعض الأطفال ويستخدمون كلمات أقل بوضوح من أقرانهم أو يجدون صعوبة في إيجادها. نوسّع المفردات في مواقف من الحياة اليومية ونوضح لك كيف تدعم طفلك في المنزل.",
+        symptoms: [
+          "لا يجد طفلك الكلمات أو يصفها بطريقة غير مباشرة («ذلك الشيء»)",
+          "يعرف كلمات أقل من أقرانه",
+          "يجد صعوبة في تذكر المفاهيم الجديدة",
+        ],
+      },
+      languageDevelopment: {
+        title: "النمو اللغوي",
+        text: "صعوبات عامة في المفردات والقواعد والنطق.",
+        long: "إذا بدأ طفلك الكلام متأخرًا أو يتكلم أقل من غيره، يوضح تقييم شامل مستواه الحالي. يركز العلاج على المجالات الأكثر فائدة الآن ويشرككم كوالدين بشكل وثيق.",
+        symptoms: [
+          "في عمر السنتين يتكلم طفلك أقل من 50 كلمة",
+          "في عمر ثلاث سنوات لا يكوّن بعد جملًا بسيطة",
+          "يفهم الطلبات أقل من أقرانه",
+        ],
+      },
+      myofunctional: {
+        title: "اضطراب الوظائف العضلية الفموية",
+        text: "خلل في وظائف عضلات الفم والوجه.",
+        long: "الفم المفتوح أو اللسان الذي يضغط على الأسنان أثناء البلع أو مص الإبهام لفترة طويلة قد يؤثر على النطق ووضع الأسنان. بتمارين للسان والشفتين ونمط البلع نعمل غالبًا جنبًا إلى جنب مع أطباء تقويم الأسنان.",
+        symptoms: [
+          "الفم مفتوح غالبًا واللسان بين الأسنان",
+          "يضغط اللسان على الأسنان عند البلع",
+          "لثغة أو اعوجاج في الأسنان يعود بعد تقويم الأسنان",
+        ],
+      },
+      stuttering: {
+        title: "التأتأة",
+        text: "تكرار وإطالة وتوقفات في انسياب الكلام.",
+        long: "تظهر التأتأة في صورة تكرار أو إطالة أو توقف، وغالبًا ما يصاحبها توتر أو تجنب للكلام. يتعلم الأطفال والبالغون لدينا التحدث بطلاقة وهدوء أكبر والتعامل مع التأتأة بانفتاح.",
+        symptoms: [
+          "تكرار الأصوات أو المقاطع («كـ-كـ-كرة»)",
+          "إطالة الأصوات («مممماما») أو توقف الكلمة",
+          "توتر أو حركات مصاحبة أو تجنب مواقف الكلام",
+        ],
+      },
+      aphasia: {
+        title: "الحبسة الكلامية",
+        text: "اضطرابات اللغة والكلام بعد السكتة الدماغية أو الأمراض العصبية.",
+        long: "بعد السكتة الدماغية أو إصابة الدماغ يصعب غالبًا إيجاد الكلمات أو فهم ما يقال أو القراءة أو الكتابة. يدرّب العلاج هذه القدرات بشكل موجه ويبحث معك ومع أقاربك عن طرق للتواصل في الحياة اليومية.",
+        symptoms: [
+          "غياب الكلمات أو الخلط بينها",
+          "صعوبة فهم الكلام المنطوق أو المكتوب",
+          "تصبح القراءة أو الكتابة أو الحساب صعبة فجأة",
+        ],
+      },
+      apraxia: {
+        title: "تعذر الأداء الكلامي",
+        text: "اضطراب في تخطيط حركات النطق.",
+        long: "العضلات تعمل، لكن الدماغ لم يعد قادرًا على تخطيط حركات الكلام بشكل صحيح، فتُبدَّل الأصوات أو يُبحث عنها. نتدرب على تسلسل الحركات خطوة بخطوة، من الأصوات المفردة حتى الجمل الكاملة.",
+        symptoms: [
+          "تبحث الشفتان واللسان عن الحركة الصحيحة أثناء الكلام",
+          "تنجح الكلمة نفسها مرة ولا تنجح مرة أخرى",
+          "يبدو الكلام مجهدًا ومتقطعًا",
+        ],
+      },
+      dysarthria: {
+        title: "عسر التلفظ",
+        text: "اضطراب في التنسيق بين الصوت والنطق والتنفس.",
+        long: "في أمراض مثل باركنسون والتصلب المتعدد أو بعد السكتة الدماغية يبدو الكلام غالبًا غير واضح أو خافتًا أو متداخلًا. تمارين التنفس والصوت والنطق تجعل الكلام مفهومًا من جديد.",
+        symptoms: [
+          "نطق مبهم وغير واضح",
+          "صوت خافت أو أجش أو رتيب",
+          "سرعة كلام بطيئة جدًا أو سريعة جدًا",
+        ],
+      },
+      dysphagia: {
+        title: "عسر البلع",
+        text: "اضطرابات البلع لأسباب مختلفة.",
+        long: "الشرقة المتكررة أو السعال أثناء الأكل أو الإحساس بأن الطعام عالق قد تشير إلى اضطراب في البلع. ندرّب على البلع الآمن ونقدم المشورة حول قوام الطعام ووضعية الجسم، وكذلك في الزيارات المنزلية.",
+        symptoms: [
+          "الشرقة أو السعال المتكرر عند الأكل والشرب",
+          "الشعور بأن الطعام يعلق في الحلق",
+          "فقدان وزن غير مقصود أو التهابات رئوية متكررة",
+        ],
+      },
+      dysphonia: {
+        title: "بحة الصوت",
+        text: "اضطرابات الصوت لأسباب وظيفية أو عضوية.",
+        long: "البحة أو الصوت الذي يتعب بسرعة أو يبدو خشنًا تصيب بشكل خاص من يتحدثون كثيرًا، كالمعلمين وأصحاب المهن الكلامية. نعمل على التنفس ووضعية الجسم وإصدار الصوت ليصبح صوتك قادرًا على التحمل من جديد.",
+        symptoms: [
+          "بحة مستمرة أو صوت خشن",
+          "يتعب الصوت بسرعة أو ينقطع",
+          "تنحنح متكرر أو شعور بضغط أو كتلة في الحلق",
+        ],
+      },
+      facialPalsy: {
+        title: "شلل الوجه",
+        text: "شلل في عضلات الوجه يؤثر على تعابير الوجه والكلام.",
+        long: "يؤثر شلل العصب الوجهي على تعابير الوجه وإغلاق الجفن والكلام، وغالبًا على الأكل والشرب أيضًا. التمارين الموجهة والتحفيز تدعم التعافي وتساعد الوجه على الحركة بشكل متناظر من جديد.",
+        symptoms: [
+          "تدلي زاوية الفم أو الجفن",
+          "الابتسام أو الصفير أو تقطيب الجبين ينجح في جانب واحد فقط",
+          "يسيل السائل من زاوية الفم عند الشرب",
+        ],
+      },
+    },
+  },
+
+  about: {
+    title: "من أنا",
+    imageAlt: "إيفا زاغمايستر - أخصائية علاج النطق واللغة",
+    text1:
+      "اسمي إيفا زاغمايستر، أخصائية معتمدة من الدولة في علاج النطق واللغة، وأعمل في هذه المهنة بشغف كبير منذ عام 2017.",
+    text2:
+      "اكتسبت خلال السنوات الماضية خبرات قيّمة كثيرة ورافقت العديد من الأشخاص في رحلتهم اللغوية. وبافتتاح عيادتي الخاصة أحقق أمنية عزيزة على قلبي: أن أوجد مكانًا يكون فيه العلاج فرديًا ومتفهمًا ومصممًا بالكامل وفق احتياجات مرضاي.",
+    text3:
+      "بصفتي أمًا، أعرف مدى أهمية الصبر والتفهم والتعاطف. هذه الصفات لا تشكّل حياتي الخاصة فحسب، بل عملي اليومي أيضًا. ويهمني أن أتعامل مع كل إنسان بانفتاح واحترام وتقدير.",
+    text4:
+      "علاج النطق بالنسبة لي أكثر بكثير من مجرد علاج: <strong>إنه فرصة لمرافقة الناس في نموهم ومنحهم الأمان ودعمهم في طريقهم.</strong>",
+  },
+
+  info: {
+    title: "معلومات مهمة",
+    subtitle: "كل ما تحتاج معرفته عن العلاج",
+    hours: {
+      title: "نحن هنا من أجلكم:",
+      appointments: "المواعيد بالاتفاق: +49 1578 5320411",
+    },
+    process: {
+      title: "سير العلاج",
+      text:
+        'بعد أن يصدر لك الطبيب وصفة لعلاج النطق، تواصل معي ببساطة لتحديد موعد. ولكي لا تنتهي صلاحية الوصفة، تشترط شركة التأمين الصحي أن تبدأ الجلسة الأولى خلال <span class="font-medium text-gray-900" data-prescription-days></span> من تاريخ الإصدار. لذلك يُفضّل أن تتواصل معنا في أقرب وقت حتى نجد موعدًا مناسبًا.',
+      doctorsTitle: "يمكن لهؤلاء الأطباء إصدار وصفة لعلاج النطق:",
+      doctors: {
+        generalPractitioners: "أطباء الأسرة",
+        pediatricians: "أطباء الأطفال",
+        ent: "أطباء الأنف والأذن والحنجرة",
+        phoniatrists: "أطباء اضطرابات الصوت والكلام",
+        neurologists: "أطباء الأعصاب",
+        dentists: "أطباء الأسنان",
+        orthodontists: "أطباء تقويم الأسنان",
+      },
+    },
+    cancellation: {
+      title: "إلغاء المواعيد",
+      text1:
+        'موعدك محجوز لك خصيصًا. إذا تعذّر عليك الحضور، يرجى إبلاغنا قبل الموعد بـ <span class="font-medium text-gray-900" data-cancellation-hours></span> على الأقل، حتى نتمكن من إعطاء الموعد لمريض آخر.',
+      text2:
+        'يرجى الانتباه: لا تتحمل شركات التأمين الصحي تكاليف المواعيد الفائتة. في حال الإلغاء المتأخر أو عدم الإلغاء، يتعين علينا أن نطالبك بتكلفة الجلسة الفائتة على نفقتك الخاصة استنادًا إلى <span class="font-medium text-gray-900">§ 615 BGB</span> (القانون المدني الألماني). شكرًا لتفهمك!',
+    },
+    costs: {
+      title: "التكاليف",
+      text: "عادةً ما تتحمل شركات التأمين الصحي القانونية والخاصة تكاليف علاج النطق.",
+      childrenTitle: "الأطفال حتى 18 عامًا",
+      childrenText: "يتحمل التأمين الصحي التكاليف بالكامل.",
+      adultsTitle: "البالغون",
+      adultsText:
+        'يتحمل التأمين الصحي الجزء الأكبر من تكاليف العلاج. ما لم تكن معفى من المساهمة، فإنك تدفع فقط <span class="font-medium text-gray-900">مساهمة 10%</span> بالإضافة إلى <span class="font-medium text-gray-900">رسوم وصفة 10&nbsp;€</span> مرة واحدة لكل وصفة.',
+    },
+    faq: {
+      expandAll: "فتح الكل",
+      collapseAll: "إغلاق الكل",
+    },
+    care: {
+      title: "رعاية فردية",
+      subtitle: "العلاج في العيادة أو في منزلك",
+      text:
+        "نعالجك في عيادتنا، وعند الحاجة من خلال الزيارات المنزلية. ويقرر الطبيب المعالج ما إذا كان العلاج ممكنًا في منزلك ويدوّن ذلك في الوصفة.",
+    },
+  },
+
+  time: {
+    at: "{time}",
+    range: "{start} – {end}",
+  },
+
+  form: {
+    nameRequired: "الاسم *",
+    phone: "الهاتف",
+    email: "البريد الإلكتروني",
+    emailRequired: "البريد الإلكتروني *",
+    required: "هذا الحقل مطلوب.",
+    minLength: "مطلوب {count} أحرف على الأقل.",
+    invalidEmail: "يرجى إدخال بريد إلكتروني صحيح.",
+    invalidPhone: "يرجى إدخال رقم هاتف صحيح.",
+    phoneOrEmail: "يرجى إدخال رقم هاتف أو بريد إلكتروني.",
+    privacy: "يرجى الموافقة على معالجة البيانات.",
+    fixErrors: "يرجى تصحيح الحقول المميزة.",
+    retrying: "فشل الاتصال – محاولة جديدة ({attempt}/{retries})…",
+    sending: "جارٍ الإرسال...",
+  },
+
+  navigation: {
+    menuOpened: "تم فتح القائمة",
+    menuClosed: "تم إغلاق القائمة",
+  },
+
+  collapsible: {
+    expandedAll: "تم فتح جميع الأقسام",
+    collapsedAll: "تم إغلاق جميع الأقسام",
+  },
+
+  serviceExpansion: {
+    show: "عرض جميع مجالات العلاج",
+    hide: "إخفاء مجالات العلاج",
+    expanded: "{group}: تم عرض مجالات العلاج",
+    collapsed: "{group}: تم إخفاء مجالات العلاج",
+  },
+
+  serviceCards: {
+    more: "اعرف المزيد",
+  },
+
+  serviceDialog: {
+    close: "إغلاق",
+    symptoms: "العلامات النموذجية",
+    book: "طلب موعد",
+    pager: "مجالات علاج أخرى",
+    previous: "المجال السابق: {title}",
+    next: "المجال التالي: {title}",
+    position: "{current} من {total}",
+  },
+
+  serviceSearch: {
+    results: {
+      one: "تم العثور على مجال علاج واحد",
+      two: "تم العثور على مجالي علاج",
+      few: "تم العثور على {count} مجالات علاج",
+      other: "تم العثور على {count} مجال علاج",
+    },
+    none: "لم يتم العثور على مجالات علاج مطابقة. يسعدنا تقديم المشورة لك عبر الهاتف.",
+  },
+
+  contact: {
+    title: "اتصل بنا",
+    intro: "يفضّل عبر واتساب أو الهاتف أو البريد الإلكتروني.",
+    whatsappLabel: "بدء محادثة واتساب",
+    callLabel: "بدء مكالمة هاتفية",
+    call: "اتصال",
+    emailLabel: "إرسال بريد إلكتروني",
+    email: "البريد الإلكتروني",
+    phone: "هاتف: +49 1578 5320411",
+    address: "عنوان العيادة",
+    route: "تخطيط المسار",
+    mapPlaceholder: "رسم تخطيطي: العيادة في شارع Oeslauer Straße في رودنتال",
+    mapConsent: "يتم تحميل الخريطة من OpenStreetMap.",
+    mapLoad: "عرض الخريطة",
+    parking:
+      "<strong>مواقف السيارات:</strong> مواقف مجانية أمام المبنى مباشرةً وعلى طول شارع Oeslauer Straße.",
+    accessibility:
+      "<strong>إمكانية الوصول:</strong> مدخل على مستوى الشارع بدون درجات. إذا احتجت إلى مساعدة عند الوصول، يُرجى إخبارنا مسبقًا.",
+    routeApp: "تطبيق الخرائط",
+    routeApple: "خرائط Apple",
+  },
+
+  contactForm: {
+    title: "اكتب رسالة",
+    intro: "سنعاود التواصل معك في أقرب وقت ممكن.",
+    message: "الرسالة *",
+    privacy:
+      'أوافق على حفظ بياناتي لمعالجة طلبي. لمزيد من المعلومات راجع <a href="datenschutz.html" class="underline">سياسة الخصوصية</a> (بالألمانية).',
+    submit: "إرسال الرسالة",
+    success: "شكرًا لرسالتك! سأتواصل معك في أقرب وقت ممكن.",
+    successMailto: "تم فتح برنامج البريد الإلكتروني مع رسالتك. يرجى إرسال البريد من هناك.",
+    timeout: "الخادم لا يستجيب. يرجى المحاولة لاحقًا أو الاتصال بنا.",
+    error: "حدث خطأ. يرجى المحاولة لاحقًا.",
+  },
+
+  spamProtection: {
+    rejected:
+      "لم يتم إرسال رسالتك لأنها تبدو كرسالة مُرسلة تلقائيًا. يرجى الاتصال بنا أو مراسلتنا عبر البريد الإلكتروني.",
+    tooFast: "كان ذلك سريعًا جدًا. يرجى التحقق من بياناتك وإرسال الرسالة مرة أخرى بعد بضع ثوانٍ.",
+    rateLimited: "لقد أرسلت إلينا للتو عدة رسائل. يرجى المحاولة مرة أخرى لاحقًا أو الاتصال بنا.",
+    tooManyLinks: "تحتوي رسالتك على عدد كبير جدًا من الروابط. يرجى وصف طلبك بدون روابط.",
+    markupLinks: "يرجى كتابة الروابط كعنوان بسيط بدون تنسيق.",
+    linkInName: "يرجى إدخال اسمك فقط هنا.",
+  },
+
+  openingHours: {
+    caption: "ساعات العمل",
+    hours: "{opens} - {closes}",
+    open: "مفتوح الآن",
+    openUntil: "حتى {time}",
+    closed: "مغلق",
+    closedToday: "مغلق اليوم ({reason})",
+    practiceClosed: "العيادة مغلقة",
+    opensToday: "يفتح اليوم الساعة {time}",
+    opensTomorrow: "يفتح غدًا الساعة {time}",
+    opensOnWeekday: "يفتح يوم {weekday} الساعة {time}",
+    opensOnDate: "يفتح في {date} الساعة {time}",
+  },
+
+  prescriptionDeadline: {
+    title: "حاسبة المهلة لوصفتك الطبية",
+    dateLabel: "تاريخ إصدار الوصفة",
+    days: {
+      one: "يوم واحد",
+      two: "يومين",
+      few: "{count} أيام",
+      other: "{count} يومًا",
+    },
+    future: "تاريخ الإصدار في المستقبل. يرجى التحقق من إدخالك.",
+    deadline: "آخر موعد لبدء العلاج: {date}",
+    expired: "انتهت المهلة منذ {count} يوم. يرجى طلب وصفة جديدة من طبيبك.",
+    today: "يجب أن يبدأ العلاج اليوم – يرجى الاتصال بنا فورًا.",
+    daysLeft: "الأيام المتبقية: {count}",
+    soon: "المهلة على وشك الانتهاء. يرجى تحديد موعد قريبًا.",
+    cta: "احجز موعدًا الآن",
+  },
+
+  booking: {
+    title: "طلب موعد",
+    intro: "طلب موعد في خطوات قليلة.",
+    progress: "التقدم",
+    steps: {
+      audience: "الشخص",
+      concern: "الموضوع",
+      prescription: "الوصفة",
+      slots: "المواعيد المفضلة",
+      contact: "التواصل",
+    },
+    audience: {
+      legend: "لمن الموعد؟",
+      child: "لطفلي",
+      adult: "لي / لشخص بالغ",
+    },
+    concern: {
+      legend: "ما الموضوع؟",
+      label: "مجال العلاج",
+    },
+    prescription: {
+      legend: "هل لديك وصفة طبية بالفعل؟",
+      yes: "نعم",
+      no: "لا، ليس بعد",
+      dateLabel: "تاريخ الإصدار",
+    },
+    slots: {
+      legend: "متى يناسبك؟",
+      notesLabel: "رغبات أخرى بخصوص الأيام أو الأوقات (اختياري)",
+    },
+    contact: {
+      legend: "كيف يمكننا التواصل معك؟",
+      hint: "يرجى إدخال رقم هاتف أو بريد إلكتروني.",
+      privacy:
+        'أوافق على حفظ بياناتي لمعالجة طلب الموعد. لمزيد من المعلومات راجع <a href="datenschutz.html" class="underline">سياسة الخصوصية</a> (بالألمانية).',
+    },
+    back: "رجوع",
+    next: "التالي",
+    submit: "إرسال الطلب",
+    choose: "يرجى الاختيار",
+    otherConcern: "أخرى / لا أعرف بعد",
+    audiences: { child: "طفل", adult: "شخص بالغ" },
+    errors: {
+      option: "يرجى اختيار أحد الخيارات.",
+      concern: "يرجى اختيار مجال العلاج.",
+      prescriptionDate: "يرجى إدخال تاريخ إصدار صحيح.",
+      slots: "يرجى اختيار موعد واحد على الأقل أو وصف الأوقات المفضلة لديك.",
+    },
+    prescriptionExpired: "انتهت صلاحية هذه الوصفة. يرجى الحصول على وصفة جديدة – ويمكنك مع ذلك طلب موعد الآن.",
+    prescriptionDeadline: "يجب أن يبدأ العلاج في موعد أقصاه {date}.",
+    noSlots: "لا يمكننا حاليًا عرض مواعيد متاحة. صف لنا ببساطة الأوقات المفضلة لديك – وسنتواصل معك باقتراح.",
+    chooseSlots: "اختر حتى {count} مواعيد مناسبة.",
+    afterDeadline: "{slot} (بعد انتهاء المهلة)",
+    submitError: "تعذّر إرسال طلبك. يرجى المحاولة لاحقًا أو الاتصال بنا.",
+    confirmation: {
+      title: "شكرًا – لقد استلمنا طلبك.",
+      titleMailto: "أوشكت على الانتهاء!",
+      intro: "سنتواصل معك قريبًا لتأكيد الموعد. لا يُعتبر الموعد محجوزًا إلا بعد تأكيدنا.",
+      introMailto: "تم فتح برنامج البريد الإلكتروني مع طلبك. يرجى إرسال البريد من هناك.",
+      audience: "الشخص",
+      concern: "الموضوع",
+      prescription: "الوصفة",
+      issuedOn: "صادرة بتاريخ {date}",
+      noPrescription: "غير متوفرة بعد",
+      slots: "المواعيد المفضلة",
+      contact: "التواصل",
+      calendar: "احفظ المواعيد المفضلة (مميزة كغير مؤكدة):",
+      addToCalendar: "إضافة إلى التقويم: {slot}",
+      restart: "تقديم طلب جديد",
+    },
+  },
+
+  cancellation: {
+    title: "إلغاء الموعد عبر الإنترنت",
+    name: "اسم المريض / المريضة *",
+    date: "تاريخ الموعد *",
+    time: "الوقت *",
+    reason: "سبب الإلغاء *",
+    lateNotice:
+      "<strong>إلغاء متأخر:</strong> بما أن المهلة قد انتهت، يحق لنا مطالبتك بتكلفة الجلسة الفائتة على نفقتك الخاصة وفق § 615 BGB (القانون المدني الألماني). لا تتحمل شركات التأمين الصحي هذه التكاليف.",
+    feeAcknowledged: "اطّلعت على المعلومات الخاصة بتكاليف المواعيد الفائتة.",
+    privacy:
+      'أوافق على حفظ بياناتي لمعالجة الإلغاء. لمزيد من المعلومات راجع <a href="datenschutz.html" class="underline">سياسة الخصوصية</a> (بالألمانية).',
+    submit: "إلغاء الموعد",
+    dateTime: "{date}، {time}",
+    statusOk: "الإلغاء المجاني ممكن حتى {deadline}.",
+    statusLate: "انتهت مهلة الإلغاء المجاني في {deadline}.",
+    statusPast: "هذا الموعد في الماضي. يرجى التحقق من التاريخ والوقت.",
+    hours: {
+      one: "ساعة واحدة",
+      two: "ساعتين",
+      few: "{count} ساعات",
+      other: "{count} ساعة",
+    },
+    errors: {
+      date: "يرجى إدخال تاريخ موعدك.",
+      time: "يرجى إدخال وقت موعدك.",
+      past: "هذا الموعد في الماضي.",
+      feeAcknowledged: "يرجى تأكيد الاطلاع على المعلومات الخاصة بتكاليف المواعيد الفائتة.",
+    },
+    submitError: "تعذّر إرسال الإلغاء. يرجى الاتصال بنا حتى يتم تحرير الموعد في الوقت المناسب.",
+    success: "شكرًا – تم إلغاء موعدك في {appointment}.",
+    successMailto: "تم فتح برنامج البريد الإلكتروني مع طلب الإلغاء. يرجى إرسال البريد من هناك.",
+  },
+
+  practiceFiles: {
+    saveContact: "حفظ جهة الاتصال",
+    summaryRequested: "علاج النطق – طلب موعد (غير مؤكد)",
+    requested: "موعد مطلوب – لا يُعتبر محجوزًا إلا بعد تأكيدنا.",
+    cancellationRule:
+      "يرجى إلغاء المواعيد قبل {hours} ساعة على الأقل: هاتفيًا على {phone} أو بالبريد الإلكتروني إلى {email} أو عبر الإنترنت على {url}.",
+    fee:
+      "في حال الإلغاء المتأخر أو عدم الإلغاء، نطالب بتكلفة الجلسة الفائتة على نفقتك الخاصة وفق § 615 BGB؛ ولا تتحمل شركات التأمين الصحي هذه التكاليف.",
+  },
+
+  consent: {
+    settingsTitle: "إعدادات الخصوصية",
+    settingsIntro:
+      "لا يستخدم هذا الموقع ملفات تعريف الارتباط. لا يتم تحميل الخدمات الخارجية أو فتحها إلا بعد موافقتك. يُحفظ اختيارك في متصفحك فقط ويمكنك تغييره هنا في أي وقت.",
+    requestTitle: "المتابعة إلى {service}؟",
+    provider: "مقدّم الخدمة: {provider}",
+    privacyPolicy: "سياسة الخصوصية لمقدّم الخدمة",
+    remember: "تذكّر اختياري",
+    accept: "موافقة ومتابعة",
+    save: "حفظ الاختيار",
+    cancel: "إلغاء",
+    saved: "تم حفظ إعدادات الخصوصية الخاصة بك.",
+    services: {
+      whatsapp:
+        "عند فتح واتساب يتم نقل عنوان IP الخاص بك ومعلومات عن جهازك، وبمجرد أن تبدأ الكتابة رقم هاتفك ورسائلك إلى واتساب (ميتا)، بما في ذلك إلى الولايات المتحدة. يُفضّل أن ترسل إلينا المعلومات المتعلقة بصحتك عبر الهاتف أو من خلال نموذج الاتصال.",
+      openstreetmap:
+        "لعرض الخريطة يتم تحميل صور الخريطة من خوادم مؤسسة OpenStreetMap. ويتم خلال ذلك نقل عنوان IP الخاص بك وبيانات متصفحك، بما في ذلك إلى المملكة المتحدة.",
+    },
+  },
+
+  accessibility: {
+    title: "مساعدات القراءة",
+    intro: "عدّل طريقة عرض الصفحة. يُحفظ اختيارك في هذا المتصفح فقط.",
+    textSize: "حجم النص",
+    textSizes: {
+      normal: "عادي",
+      large: "كبير",
+      larger: "أكبر",
+      largest: "كبير جدًا",
+    },
+    contrast: "تباين عالٍ",
+    font: "خط مناسب لعُسر القراءة (OpenDyslexic)",
+    lineSpacing: "تباعد أكبر بين الأسطر",
+    motion: "إيقاف الحركة",
+    reset: "إعادة الضبط",
+    close: "إغلاق",
+    resetDone: "تمت إعادة ضبط مساعدات القراءة.",
+  },
+
+  map: {
+    label: "خريطة تُظهر موقع العيادة",
+    error: "تعذّر تحميل الخريطة. يُرجى استخدام روابط المسار أدناه.",
+  },
+
+  offline: {
+    title: "لا يوجد اتصال بالإنترنت",
+    text: "هذه الصفحة غير متاحة بدون اتصال. ومع ذلك تجد هنا رقم الهاتف والعنوان ومواعيد العمل.",
+    retry: "إعادة المحاولة",
+    ready: "أصبح الموقع متاحًا الآن أيضًا بدون اتصال بالإنترنت.",
+    update: "يتوفر إصدار جديد من الموقع.",
+    reload: "إعادة التحميل",
+    dismiss: "لاحقًا",
+  },
+
+  notFound: {
+    title: "الصفحة غير موجودة",
+    text: "هذا العنوان غير موجود أو لم يعد موجودًا. ربما يساعدك أحد هذه الروابط.",
+    home: "إلى الصفحة الرئيسية",
+    services: "الخدمات",
+    contact: "التواصل وطلب موعد",
+  },
+
+  footer: {
+    practice: "عيادة علاج النطق",
+    text: "علاج احترافي للنطق واللغة مع رعاية فردية للأطفال والبالغين.",
+    quickLinks: "روابط سريعة",
+    navLabel: "قائمة التذييل",
+    copyright: "© 2025 عيادة إيفا زاغمايستر لعلاج النطق واللغة. جميع الحقوق محفوظة.",
+    privacy: "حماية البيانات",
+    imprint: "بيانات الناشر",
+    consentSettings: "إعدادات الخصوصية",
+  },
+
+  content: {
+    "Nach Vereinbarung": "بالاتفاق",
+    Betriebsurlaub: "إجازة العيادة",
+    Neujahr: "رأس السنة",
+    "Heilige Drei Könige": "عيد الغطاس",
+    Karfreitag: "الجمعة العظيمة",
+    Ostermontag: "اثنين الفصح",
+    "Tag der Arbeit": "عيد العمال",
+    "Christi Himmelfahrt": "عيد الصعود",
+    Pfingstmontag: "اثنين العنصرة",
+    Fronleichnam: "عيد جسد المسيح",
+    "Mariä Himmelfahrt": "عيد انتقال العذراء",
+    "Tag der Deutschen Einheit": "يوم الوحدة الألمانية",
+    Allerheiligen: "عيد جميع القديسين",
+    "1. Weihnachtsfeiertag": "عيد الميلاد",
+    "2. Weihnachtsfeiertag": "ثاني أيام عيد الميلاد",
+  },
+};
@@ -0,0 +1,227 @@
+/**
+ * German catalog
+ * Strings used by the JS modules. German page content lives in the HTML
+ * (see js/i18n/index.js), so only module strings are listed here.
+ */
+export default {
+  time: {
+    at: "{time} Uhr",
+    range: "{start} – {end} Uhr",
+  },
+
+  form: {
+    required: "Dieses Feld ist erforderlich.",
+    minLength: "Mindestens {count} Zeichen erforderlich.",
+    invalidEmail: "Bitte geben Sie eine gültige E-Mail-Adresse ein.",
+    invalidPhone: "Bitte geben Sie eine gültige Telefonnummer ein.",
+    phoneOrEmail: "Bitte geben Sie eine Telefonnummer oder E-Mail-Adresse an.",
+    privacy: "Bitte stimmen Sie der Datenverarbeitung zu.",
+    fixErrors: "Bitte korrigieren Sie die markierten Felder.",
+    retrying: "Verbindung fehlgeschlagen – neuer Versuch ({attempt}/{retries})…",
+    sending: "Wird gesendet...",
+  },
+
+  navigation: {
+    menuOpened: "Menü geöffnet",
+    menuClosed: "Menü geschlossen",
+  },
+
+  collapsible: {
+    expandedAll: "Alle Abschnitte geöffnet",
+    collapsedAll: "Alle Abschnitte geschlossen",
+  },
+
+  serviceExpansion: {
+    show: "Alle Behandlungsbereiche anzeigen",
+    hide: "Behandlungsbereiche ausblenden",
+    expanded: "{group}: Behandlungsbereiche eingeblendet",
+    collapsed: "{group}: Behandlungsbereiche ausgeblendet",
+  },
+
+  serviceCards: {
+    more: "Mehr erfahren",
+  },
+
+  serviceDialog: {
+    close: "Schließen",
+    symptoms: "Typische Anzeichen",
+    book: "Termin anfragen",
+    pager: "Weitere Behandlungsbereiche",
+    previous: "Vorheriger Bereich: {title}",
+    next: "Nächster Bereich: {title}",
+    position: "{current} von {total}",
+  },
+
+  serviceSearch: {
+    results: { one: "{count} Behandlungsbereich gefunden", other: "{count} Behandlungsbereiche gefunden" },
+    none: "Keine passenden Behandlungsbereiche gefunden. Rufen Sie gern an – wir beraten Sie.",
+  },
+
+  contactForm: {
+    submit: "Nachricht senden",
+    success: "Vielen Dank für Ihre Nachricht! Ich werde mich schnellstmöglich bei Ihnen melden.",
+    successMailto: "Ihr E-Mail-Programm wurde mit Ihrer Nachricht geöffnet. Bitte senden Sie die E-Mail dort ab.",
+    timeout: "Der Server antwortet nicht. Bitte versuchen Sie es später erneut oder rufen Sie uns an.",
+    error: "Ein Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.",
+  },
+
+  spamProtection: {
+    rejected:
+      "Ihre Nachricht wurde nicht gesendet, weil sie wie eine automatisch verschickte Nachricht aussieht. Bitte rufen Sie uns an oder schreiben Sie uns eine E-Mail.",
+    tooFast:
+      "Das ging sehr schnell. Bitte prüfen Sie Ihre Angaben und senden Sie die Nachricht in ein paar Sekunden noch einmal.",
+    rateLimited:
+      "Sie haben uns gerade schon mehrere Nachrichten geschickt. Bitte versuchen Sie es später noch einmal oder rufen Sie uns an.",
+    tooManyLinks: "Ihre Nachricht enthält zu viele Links. Bitte beschreiben Sie Ihr Anliegen ohne Links.",
+    markupLinks: "Bitte schreiben Sie Links als einfache Adresse, ohne Formatierung.",
+    linkInName: "Bitte geben Sie hier nur Ihren Namen ein.",
+  },
+
+  openingHours: {
+    caption: "Öffnungszeiten",
+    hours: "{opens} - {closes} Uhr",
+    open: "Jetzt geöffnet",
+    openUntil: "bis {time} Uhr",
+    closed: "Geschlossen",
+    closedToday: "Heute geschlossen ({reason})",
+    practiceClosed: "Praxis geschlossen",
+    opensToday: "Öffnet heute um {time}",
+    opensTomorrow: "Öffnet morgen um {time}",
+    opensOnWeekday: "Öffnet {weekday} um {time}",
+    opensOnDate: "Öffnet am {date} um {time}",
+  },
+
+  prescriptionDeadline: {
+    days: { one: "{count} Tag", other: "{count} Tagen" },
+    future: "Das Ausstellungsdatum liegt in der Zukunft. Bitte prüfen Sie Ihre Eingabe.",
+    deadline: "Letzter möglicher Therapiebeginn: {date}",
+    expired: {
+      one: "Die Frist ist seit {count} Tag abgelaufen. Bitte lassen Sie sich von Ihrem Arzt eine neue Verordnung ausstellen.",
+      other: "Die Frist ist seit {count} Tagen abgelaufen. Bitte lassen Sie sich von Ihrem Arzt eine neue Verordnung ausstellen.",
+    },
+    today: "Die Therapie muss heute beginnen – bitte melden Sie sich sofort telefonisch.",
+    daysLeft: { one: "Noch {count} Tag Zeit.", other: "Noch {count} Tage Zeit." },
+    soon: "Die Frist läuft bald ab. Bitte vereinbaren Sie zeitnah einen Termin.",
+    cta: "Jetzt Termin vereinbaren",
+  },
+
+  booking: {
+    choose: "Bitte auswählen",
+    otherConcern: "Sonstiges / weiß ich noch nicht",
+    audiences: { child: "Kind", adult: "Erwachsene Person" },
+    errors: {
+      option: "Bitte wählen Sie eine Option.",
+      concern: "Bitte wählen Sie einen Behandlungsbereich.",
+      prescriptionDate: "Bitte geben Sie ein gültiges Ausstellungsdatum ein.",
+      slots: "Bitte wählen Sie mindestens einen Termin oder beschreiben Sie Ihre Wunschzeiten.",
+    },
+    prescriptionExpired:
+      "Diese Verordnung ist bereits abgelaufen. Bitte lassen Sie sich eine neue ausstellen – Sie können trotzdem schon einen Termin anfragen.",
+    prescriptionDeadline: "Die Therapie muss spätestens am {date} beginnen.",
+    noSlots:
+      "Aktuell können wir keine freien Termine anzeigen. Beschreiben Sie uns einfach Ihre Wunschzeiten – wir melden uns mit einem Vorschlag.",
+    chooseSlots: "Wählen Sie bis zu {count} passende Termine aus.",
+    afterDeadline: "{slot} (nach Fristende)",
+    submitError:
+      "Ihre Anfrage konnte nicht gesendet werden. Bitte versuchen Sie es später erneut oder rufen Sie uns an.",
+    confirmation: {
+      title: "Vielen Dank – Ihre Anfrage ist bei uns eingegangen.",
+      titleMailto: "Fast geschafft!",
+      intro:
+        "Wir melden uns in Kürze mit einer Terminbestätigung. Ein Termin gilt erst nach unserer Bestätigung als vereinbart.",
+      introMailto: "Ihr E-Mail-Programm wurde mit Ihrer Anfrage geöffnet. Bitte senden Sie die E-Mail dort ab.",
+      audience: "Person",
+      concern: "Anliegen",
+      prescription: "Verordnung",
+      issuedOn: "ausgestellt am {date}",
+      noPrescription: "noch nicht vorhanden",
+      slots: "Wunschtermine",
+      contact: "Kontakt",
+      calendar: "Wunschtermine vormerken (als unbestätigt markiert):",
+      addToCalendar: "In Kalender eintragen: {slot}",
+      restart: "Neue Anfrage stellen",
+    },
+  },
+
+  cancellation: {
+    dateTime: "{date}, {time}",
+    statusOk: "Kostenfreie Absage bis {deadline} möglich.",
+    statusLate: "Die Frist für eine kostenfreie Absage ist am {deadline} abgelaufen.",
+    statusPast: "Dieser Termin liegt bereits in der Vergangenheit. Bitte prüfen Sie Datum und Uhrzeit.",
+    hours: { one: "{count} Stunde vorher", other: "{count} Stunden vorher" },
+    errors: {
+      date: "Bitte geben Sie das Datum Ihres Termins ein.",
+      time: "Bitte geben Sie die Uhrzeit Ihres Termins ein.",
+      past: "Dieser Termin liegt bereits in der Vergangenheit.",
+      feeAcknowledged: "Bitte bestätigen Sie den Hinweis zu den Ausfallkosten.",
+    },
+    submitError:
+      "Ihre Absage konnte nicht gesendet werden. Bitte rufen Sie uns an, damit der Termin rechtzeitig freigegeben wird.",
+    success: "Vielen Dank – Ihr Termin am {appointment} ist abgesagt.",
+    successMailto: "Ihr E-Mail-Programm wurde mit Ihrer Absage geöffnet. Bitte senden Sie die E-Mail dort ab.",
+  },
+
+  practiceFiles: {
+    summaryRequested: "Logopädie – Terminanfrage (unbestätigt)",
+    requested: "Angefragter Termin – er gilt erst nach unserer Bestätigung als vereinbart.",
+    cancellationRule:
+      "Bitte sagen Sie Termine spätestens {hours} Stunden vorher ab: telefonisch unter {phone}, per E-Mail an {email} oder online auf {url}.",
+    fee:
+      "Bei kurzfristigen oder nicht abgesagten Terminen stellen wir die ausgefallene Behandlung nach § 615 BGB privat in Rechnung; Krankenkassen übernehmen diese Kosten nicht.",
+  },
+
+  consent: {
+    settingsTitle: "Datenschutz-Einstellungen",
+    settingsIntro:
+      "Diese Website setzt keine Cookies. Externe Dienste werden erst geladen oder geöffnet, wenn Sie zustimmen. Ihre Auswahl wird nur in Ihrem Browser gespeichert und lässt sich hier jederzeit ändern.",
+    requestTitle: "Weiter zu {service}?",
+    provider: "Anbieter: {provider}",
+    privacyPolicy: "Datenschutzerklärung des Anbieters",
+    remember: "Auswahl merken",
+    accept: "Zustimmen und fortfahren",
+    save: "Auswahl speichern",
+    cancel: "Abbrechen",
+    saved: "Ihre Datenschutz-Einstellungen wurden gespeichert.",
+    services: {
+      whatsapp:
+        "Wenn Sie WhatsApp öffnen, werden Ihre IP-Adresse, Angaben zu Ihrem Gerät und – sobald Sie schreiben – Ihre Telefonnummer und Nachrichten an WhatsApp (Meta) übermittelt, auch in die USA. Angaben zu Ihrer Gesundheit senden Sie uns besser per Telefon oder über das Kontaktformular.",
+      openstreetmap:
+        "Für die Karte werden Kartenbilder von Servern der OpenStreetMap Foundation geladen. Dabei werden Ihre IP-Adresse und Angaben zu Ihrem Browser übermittelt, auch nach Großbritannien.",
+    },
+  },
+
+  accessibility: {
+    title: "Lesehilfen",
+    intro: "Passen Sie die Darstellung an. Ihre Auswahl wird nur in diesem Browser gespeichert.",
+    textSize: "Schriftgröße",
+    textSizes: {
+      normal: "Normal",
+      large: "Groß",
+      larger: "Größer",
+      largest: "Sehr groß",
+    },
+    contrast: "Hoher Kontrast",
+    font: "Schrift für Legasthenie (OpenDyslexic)",
+    lineSpacing: "Mehr Zeilenabstand",
+    motion: "Bewegungen anhalten",
+    reset: "Zurücksetzen",
+    close: "Schließen",
+    resetDone: "Die Lesehilfen wurden zurückgesetzt.",
+  },
+
+  map: {
+    label: "Karte mit dem Standort der Praxis",
+    error: "Die Karte konnte nicht geladen werden. Nutzen Sie gern die Routen-Links unten.",
+  },
+
+  offline: {
+    ready: "Die Website ist jetzt auch ohne Internetverbindung verfügbar.",
+    update: "Eine neue Version der Website ist verfügbar.",
+    reload: "Neu laden",
+    dismiss: "Später",
+  },
+
+  // Translations of German text from js/config.js and the holiday list,
+  // keyed by the German original
+  content: {},
+};
@@ -0,0 +1,627 @@
+/**
+ * English catalog
+ */
+export default {
+  meta: {
+    title: "Speech Therapy Practice Eva Sagmeister",
+    description:
+      "Speech Therapy Practice Eva Sagmeister - Professional speech and language therapy for children and adults in Musterstadt",
+    imprintTitle: "Legal Notice - Speech Therapy Practice Eva Sagmeister",
+    privacyTitle: "Privacy Policy - Speech Therapy Practice Eva Sagmeister",
+    offlineTitle: "Offline - Speech Therapy Practice Eva Sagmeister",
+    notFoundTitle: "Page not found - Speech Therapy Practice Eva Sagmeister",
+  },
+
+  nav: {
+    label: "Main navigation",
+    logoAlt: "speech therapy logo",
+    home: "Home",
+    services: "Services",
+    about: "About me",
+    info: "Information",
+    contact: "Contact",
+    openMenu: "Open menu",
+    language: "Language",
+  },
+
+  legal: {
+    germanOnly: "This page is only legally binding in German.",
+    imprintTitle: "Legal notice",
+    privacyTitle: "Privacy policy",
+  },
+
+  hero: {
+    title: "Speech Therapy",
+    quote: "“A word can start small and still open a big door.”",
+  },
+
+  welcome: {
+    imageAlt: "Mother and daughter playing together at a table",
+    imageCaption: "Playful therapy in a friendly atmosphere",
+    title: "Welcome to our<br>speech therapy practice!",
+    text1:
+      "As a practice, we attach great importance to a trusting atmosphere and to therapy that is tailored to the individual needs of each person.",
+    text2:
+      "Speech and language therapy is a medical-therapeutic discipline that treats speech, language, voice, swallowing and hearing impairments. Besides therapy, counselling, prevention and rehabilitation are also part of our work.",
+  },
+
+  services: {
+    title: "Our specialist areas",
+    intro1:
+      "Every treatment begins with a detailed case history interview and targeted assessment. Based on this, we draw up an individual therapy plan that takes age, stage of development and personal needs into account.",
+    intro2:
+      "Close cooperation with doctors, nurseries and other specialists is particularly important to us, as is open communication with our patients.",
+    searchLabel: "Search treatment areas",
+    searchPlaceholder: "e.g. stuttering, lisping, swallowing",
+    details: "Treatment details",
+    duration: "Duration",
+    frequency: "Frequency",
+    frequencyValue: "1-3 times a week",
+    children: {
+      title: "Speech therapy for children",
+      subtitle: "Playful therapy & child-friendly methods",
+      text: "Specialised treatment for children with individual, child-friendly methods and playful approaches.",
+      parents: "Parents are actively involved in the therapy process.",
+      duration: "30-45 min",
+    },
+    adults: {
+      title: "Speech therapy for adults",
+      subtitle: "Neurological & functional disorders",
+      text:
+        "Individual therapy & everyday approaches. Targeted treatment of language, speech, voice and swallowing disorders with methods tailored to your personal needs. Your daily life and your individual goals are at the centre.",
+      duration: "30-60 min",
+    },
+    items: {
+      dyslalia: {
+        title: "Articulation disorders",
+        text: "Incorrect formation of sounds (e.g. “tat” instead of “cat”).",
+        long: "Individual sounds or sound combinations are left out, replaced or formed incorrectly, for example when lisping. In therapy your child learns through play to hear, tell apart and form the sounds correctly until they come naturally in everyday life.",
+        symptoms: [
+          "Individual sounds are left out or replaced by others",
+          "Lisping: the tongue slips between the teeth on s sounds",
+          "Your child is hard for strangers to understand",
+        ],
+      },
+      hearing: {
+        title: "Hearing impairments",
+        text: "Language development disorders in children with hearing impairments.",
+        long: "Children who hear poorly find it harder to learn language. We support auditory perception, vocabulary and pronunciation and work closely with ENT doctors and hearing aid specialists, including for children with hearing aids or cochlear implants.",
+        symptoms: [
+          "Your child does not react, or reacts late, when spoken to",
+          "They speak noticeably loudly or unclearly",
+          "Vocabulary and language develop more slowly than in other children of the same age",
+        ],
+      },
+      dysgrammatism: {
+        title: "Grammar difficulties",
+        text: "Difficulties forming sentences and word endings correctly.",
+        long: "Children with grammar difficulties put words in the wrong order or use wrong word endings. Through games and stories we practise sentence structure and grammar so that your child discovers the rules for themselves.",
+        symptoms: [
+          "Words are in the wrong place in the sentence",
+          "Verbs and articles are inflected incorrectly (“I goed”)",
+          "Short, simplified sentences, often without linking words",
+        ],
+      },
+      rhinophonia: {
+        title: "Rhinophonia",
+        text: "Nasal speech caused by soft palate problems or structural features.",
+        long: "With open or closed nasal speech, too much or too little air escapes through the nose, for example after a cleft lip and palate. Targeted exercises for the soft palate and airflow improve voice quality and intelligibility.",
+        symptoms: [
+          "The voice sounds nasal or as if blocked by a cold",
+          "Air escapes audibly through the nose when speaking",
+          "Sounds such as p, t and k sound weak",
+        ],
+      },
+      auditoryProcessing: {
+        title: "Auditory processing disorder",
+        text: "Disorders of auditory perception and processing.",
+        long: "Hearing itself is fine, but what is heard is hard to process: similar sounds seem the same and instructions get lost in background noise. We train auditory memory, sound discrimination and concentrated listening.",
+        symptoms: [
+          "Speech is hard to follow when there is background noise",
+          "Frequent asking again although hearing is fine",
+          "Similar-sounding sounds are mixed up, often in writing too",
+        ],
+      },
+      vocabulary: {
+        title: "Vocabulary",
+        text: "Limited vocabulary in understanding or active use.",
+        long: "Some children know and use noticeably fewer words than their peers or struggle to find them. We expand vocabulary in everyday situations and show you how to support your child at home.",
+        symptoms: [
+          "Your child cannot find words or talks around them (“that thing there”)",
+          "They know fewer words than other children of the same age",
+          "New words are hard for them to remember",
+        ],
+      },
+      languageDevelopment: {
+        title: "Language development",
+        text: "General difficulties with vocabulary, grammar and pronunciation.",
+        long: "If your child speaks later or less than other children, a thorough assessment shows where they stand. Therapy focuses on the areas that help most right now and closely involves you as parents.",
+        symptoms: [
+          "At two, your child speaks fewer than 50 words",
+          "At three, they do not yet form simple sentences",
+          "They understand requests less well than other children of the same age",
+        ],
+      },
+      myofunctional: {
+        title: "Orofacial myofunctional disorder",
+        text: "Dysfunction of the mouth and facial muscles.",
+        long: "An open mouth, a tongue that pushes against the teeth when swallowing or prolonged thumb sucking can affect pronunciation and the position of the teeth. With exercises for the tongue, lips and swallowing pattern we often work hand in hand with orthodontists.",
+        symptoms: [
+          "Mouth often open, the tongue often resting between the teeth",
+          "The tongue presses against the teeth when swallowing",
+          "Lisping or tooth misalignment that returns after braces",
+        ],
+      },
+      stuttering: {
+        title: "Stuttering",
+        text: "Repetitions, prolongations and blocks in the flow of speech.",
+        long: "Stuttering shows as repetitions, prolongations or blocks, often accompanied by tension or avoidance. Children and adults learn with us to speak more fluently and calmly and to deal with stuttering openly.",
+        symptoms: [
+          "Sounds or syllables are repeated (“b-b-ball”)",
+          "Sounds are prolonged (“mmmmum”) or the word gets stuck",
+          "Tension, accompanying movements or avoiding speaking situations",
+        ],
+      },
+      aphasia: {
+        title: "Aphasia",
+        text: "Language and speech disorders after a stroke or neurological illness.",
+        long: "After a stroke or brain injury it is often difficult to find words, understand what is said, read or write. Therapy trains these abilities specifically and works with you and your family to find ways of communicating in everyday life.",
+        symptoms: [
+          "Words are missing or mixed up",
+          "Spoken or written language is hard to understand",
+          "Reading, writing or arithmetic suddenly become difficult",
+        ],
+      },
+      apraxia: {
+        title: "Apraxia of speech",
+        text: "Impaired planning of articulation movements.",
+        long: "The muscles work, but the brain can no longer plan the movements for speaking properly, so sounds are swapped or searched for. We practise the movement sequences step by step, from single sounds to whole sentences.",
+        symptoms: [
+          "Lips and tongue search for the right movement when speaking",
+          "The same word works one time and not the next",
+          "Speaking seems effortful and halting",
+        ],
+      },
+      dysarthria: {
+        title: "Dysarthria",
+        text: "Impaired coordination of voice, articulation and breathing.",
+        long: "With conditions such as Parkinson's disease, multiple sclerosis or after a stroke, speech often sounds unclear, quiet or slurred. Breathing, voice and articulation exercises make speech easier to understand again.",
+        symptoms: [
+          "Slurred, unclear pronunciation",
+          "Quiet, hoarse or monotonous voice",
+          "Speaking too slowly or too fast",
+        ],
+      },
+      dysphagia: {
+        title: "Dysphagia",
+        text: "Swallowing disorders with various causes.",
+        long: "Frequent choking, coughing while eating or the feeling that food gets stuck can point to a swallowing disorder. We train safe swallowing and advise on food consistency and posture, also during home visits.",
+        symptoms: [
+          "Frequent choking or coughing when eating and drinking",
+          "The feeling that food gets stuck in the throat",
+          "Unintended weight loss or recurring pneumonia",
+        ],
+      },
+      dysphonia: {
+        title: "Dysphonia",
+        text: "Voice disorders with functional or organic causes.",
+        long: "Hoarseness or a voice that tires quickly or sounds rough particularly affects people who speak a lot, for example teachers and other speaking professions. We work on breathing, posture and voice production so that your voice becomes resilient again.",
+        symptoms: [
+          "Persistent hoarseness or a rough voice",
+          "The voice tires quickly or fails",
+          "Constant throat clearing, pressure or a lump in the throat",
+        ],
+      },
+      facialPalsy: {
+        title: "Facial palsy",
+        text: "Paralysis of the facial muscles affecting facial expression and speech.",
+        long: "Paralysis of the facial nerve affects facial expression, closing the eyes, speaking and often eating and drinking. Targeted exercises and stimulation support recovery and help the face move symmetrically again.",
+        symptoms: [
+          "One corner of the mouth or an eyelid droops",
+          "Smiling, whistling or frowning only work on one side",
+          "Liquid runs out of the corner of the mouth when drinking",
+        ],
+      },
+    },
+  },
+
+  about: {
+    title: "About me",
+    imageAlt: "Eva Sagmeister - speech and language therapist",
+    text1:
+      "My name is Eva Sagmeister. I am a state-certified speech and language therapist and have been working in this profession with great joy since 2017.",
+    text2:
+      "Over the past years I have gained a great deal of valuable experience and accompanied many people on their path to better communication. By opening my own practice I am fulfilling a heartfelt wish: to create a place where therapy is individual, empathetic and fully tailored to the needs of my patients.",
+    text3:
+      "As a mother, I know how important patience, understanding and empathy are. These qualities shape not only my private life but also my daily work. It matters to me to meet every person with openness, respect and appreciation.",
+    text4:
+      "For me, speech therapy means much more than therapy: <strong>it is the chance to accompany people in their development, to give them confidence and to strengthen them on their way.</strong>",
+  },
+
+  info: {
+    title: "Important information",
+    subtitle: "Everything you need to know about treatment",
+    hours: {
+      title: "We are here for you:",
+      appointments: "Appointments by arrangement: +49 1578 5320411",
+    },
+    process: {
+      title: "How it works",
+      text:
+        'Once your doctor has issued a prescription for speech therapy, simply get in touch with me to arrange an appointment. So that the prescription does not expire, your health insurance requires the first session to take place within <span class="font-medium text-gray-900" data-prescription-days></span> of the date of issue. It is therefore best to contact us promptly so that we can find a suitable appointment.',
+      doctorsTitle: "These doctors can issue a prescription for speech therapy:",
+      doctors: {
+        generalPractitioners: "General practitioners",
+        pediatricians: "Paediatricians",
+        ent: "ENT specialists",
+        phoniatrists: "Phoniatricians",
+        neurologists: "Neurologists",
+        dentists: "Dentists",
+        orthodontists: "Orthodontists",
+      },
+    },
+    cancellation: {
+      title: "Cancellations",
+      text1:
+        'Your appointment is reserved especially for you. If you cannot attend, please let us know at least <span class="font-medium text-gray-900" data-cancellation-hours></span>. This allows us to give the appointment to another patient.',
+      text2:
+        'Please note: health insurers do not cover missed appointments. For appointments cancelled at short notice or not cancelled at all, we have to charge you privately for the missed session on the basis of <span class="font-medium text-gray-900">§ 615 BGB</span> (German Civil Code). Thank you for your understanding!',
+    },
+    costs: {
+      title: "Costs",
+      text: "The costs of speech therapy are usually covered by both statutory and private health insurance.",
+      childrenTitle: "Children up to 18 years",
+      childrenText: "Health insurance covers the costs in full.",
+      adultsTitle: "Adults",
+      adultsText:
+        'Health insurance covers most of the treatment costs. Unless you are exempt from co-payments, you only pay a <span class="font-medium text-gray-900">10% co-payment</span> plus a one-off <span class="font-medium text-gray-900">€10 prescription fee</span> per prescription.',
+    },
+    faq: {
+      expandAll: "Expand all",
+      collapseAll: "Collapse all",
+    },
+    care: {
+      title: "Individual care",
+      subtitle: "Therapy at the practice or in your home",
+      text:
+        "We treat you at our practice and, if needed, on home visits. Whether therapy can take place in your home is decided by the treating doctor and noted on the prescription.",
+    },
+  },
+
+  time: {
+    at: "{time}",
+    range: "{start} – {end}",
+  },
+
+  form: {
+    nameRequired: "Name *",
+    phone: "Phone",
+    email: "Email",
+    emailRequired: "Email *",
+    required: "This field is required.",
+    minLength: "At least {count} characters required.",
+    invalidEmail: "Please enter a valid email address.",
+    invalidPhone: "Please enter a valid phone number.",
+    phoneOrEmail: "Please enter a phone number or email address.",
+    privacy: "Please agree to the processing of your data.",
+    fixErrors: "Please correct the highlighted fields.",
+    retrying: "Connection failed – trying again ({attempt}/{retries})…",
+    sending: "Sending...",
+  },
+
+  navigation: {
+    menuOpened: "Menu opened",
+    menuClosed: "Menu closed",
+  },
+
+  collapsible: {
+    expandedAll: "All sections expanded",
+    collapsedAll: "All sections collapsed",
+  },
+
+  serviceExpansion: {
+    show: "Show all treatment areas",
+    hide: "Hide treatment areas",
+    expanded: "{group}: treatment areas shown",
+    collapsed: "{group}: treatment areas hidden",
+  },
+
+  serviceCards: {
+    more: "Learn more",
+  },
+
+  serviceDialog: {
+    close: "Close",
+    symptoms: "Typical signs",
+    book: "Request an appointment",
+    pager: "More treatment areas",
+    previous: "Previous area: {title}",
+    next: "Next area: {title}",
+    position: "{current} of {total}",
+  },
+
+  serviceSearch: {
+    results: { one: "{count} treatment area found", other: "{count} treatment areas found" },
+    none: "No matching treatment areas found. Feel free to call us for advice.",
+  },
+
+  contact: {
+    title: "Contact",
+    intro: "Preferably via WhatsApp, phone or email.",
+    whatsappLabel: "Start WhatsApp chat",
+    callLabel: "Start phone call",
+    call: "Call",
+    emailLabel: "Send email",
+    email: "Email",
+    phone: "Phone: +49 1578 5320411",
+    address: "Practice address",
+    route: "Plan route",
+    mapPlaceholder: "Map sketch: the practice on Oeslauer Straße in Rödental",
+    mapConsent: "The map is loaded from OpenStreetMap.",
+    mapLoad: "Show map",
+    parking:
+      "<strong>Parking:</strong> Free parking right in front of the building and along Oeslauer Straße.",
+    accessibility:
+      "<strong>Accessibility:</strong> Step-free entrance at street level. If you need help getting here, just let us know in advance.",
+    routeApp: "Maps app",
+    routeApple: "Apple Maps",
+  },
+
+  contactForm: {
+    title: "Write a message",
+    intro: "We will get back to you as soon as possible.",
+    message: "Message *",
+    privacy:
+      'I agree that my details will be stored to process my enquiry. Further information can be found in the <a href="datenschutz.html" class="underline">privacy policy</a> (in German).',
+    submit: "Send message",
+    success: "Thank you for your message! I will get back to you as soon as possible.",
+    successMailto: "Your email program has been opened with your message. Please send the email from there.",
+    timeout: "The server is not responding. Please try again later or give us a call.",
+    error: "An error occurred. Please try again later.",
+  },
+
+  spamProtection: {
+    rejected:
+      "Your message was not sent because it looks like an automatically generated message. Please give us a call or send us an email.",
+    tooFast: "That was very quick. Please check your details and send the message again in a few seconds.",
+    rateLimited: "You have just sent us several messages. Please try again later or give us a call.",
+    tooManyLinks: "Your message contains too many links. Please describe your request without links.",
+    markupLinks: "Please write links as a plain address, without formatting.",
+    linkInName: "Please only enter your name here.",
+  },
+
+  openingHours: {
+    caption: "Opening hours",
+    hours: "{opens} - {closes}",
+    open: "Open now",
+    openUntil: "until {time}",
+    closed: "Closed",
+    closedToday: "Closed today ({reason})",
+    practiceClosed: "Practice closed",
+    opensToday: "Opens today at {time}",
+    opensTomorrow: "Opens tomorrow at {time}",
+    opensOnWeekday: "Opens {weekday} at {time}",
+    opensOnDate: "Opens on {date} at {time}",
+  },
+
+  prescriptionDeadline: {
+    title: "Deadline calculator for your prescription",
+    dateLabel: "Date of issue of the prescription",
+    days: { one: "{count} day", other: "{count} days" },
+    future: "The date of issue is in the future. Please check your entry.",
+    deadline: "Latest possible start of therapy: {date}",
+    expired: {
+      one: "The deadline passed {count} day ago. Please ask your doctor for a new prescription.",
+      other: "The deadline passed {count} days ago. Please ask your doctor for a new prescription.",
+    },
+    today: "Therapy must start today – please call us immediately.",
+    daysLeft: { one: "{count} day left.", other: "{count} days left." },
+    soon: "The deadline is approaching. Please arrange an appointment soon.",
+    cta: "Book an appointment now",
+  },
+
+  booking: {
+    title: "Request an appointment",
+    intro: "Your appointment request in just a few steps.",
+    progress: "Progress",
+    steps: {
+      audience: "Person",
+      concern: "Concern",
+      prescription: "Prescription",
+      slots: "Preferred times",
+      contact: "Contact",
+    },
+    audience: {
+      legend: "Who is the appointment for?",
+      child: "For my child",
+      adult: "For me / an adult",
+    },
+    concern: {
+      legend: "What is it about?",
+      label: "Treatment area",
+    },
+    prescription: {
+      legend: "Do you already have a prescription?",
+      yes: "Yes",
+      no: "No, not yet",
+      dateLabel: "Date of issue",
+    },
+    slots: {
+      legend: "When suits you?",
+      notesLabel: "Other preferences for days or times (optional)",
+    },
+    contact: {
+      legend: "How can we reach you?",
+      hint: "Please enter a phone number or email address.",
+      privacy:
+        'I agree that my details will be stored to process my appointment request. Further information can be found in the <a href="datenschutz.html" class="underline">privacy policy</a> (in German).',
+    },
+    back: "Back",
+    next: "Next",
+    submit: "Send request",
+    choose: "Please select",
+    otherConcern: "Other / not sure yet",
+    audiences: { child: "Child", adult: "Adult" },
+    errors: {
+      option: "Please choose an option.",
+      concern: "Please choose a treatment area.",
+      prescriptionDate: "Please enter a valid date of issue.",
+      slots: "Please choose at least one appointment or describe your preferred times.",
+    },
+    prescriptionExpired:
+      "This prescription has already expired. Please ask for a new one – you can still request an appointment now.",
+    prescriptionDeadline: "Therapy must start by {date} at the latest.",
+    noSlots:
+      "We cannot show any free appointments at the moment. Simply describe your preferred times – we will get back to you with a suggestion.",
+    chooseSlots: "Choose up to {count} suitable appointments.",
+    afterDeadline: "{slot} (after the deadline)",
+    submitError: "Your request could not be sent. Please try again later or give us a call.",
+    confirmation: {
+      title: "Thank you – we have received your request.",
+      titleMailto: "Almost done!",
+      intro:
+        "We will get back to you shortly to confirm an appointment. An appointment is only booked once we have confirmed it.",
+      introMailto: "Your email program has been opened with your request. Please send the email from there.",
+      audience: "Person",
+      concern: "Concern",
+      prescription: "Prescription",
+      issuedOn: "issued on {date}",
+      noPrescription: "not yet available",
+      slots: "Preferred times",
+      contact: "Contact",
+      calendar: "Save your preferred times (marked as unconfirmed):",
+      addToCalendar: "Add to calendar: {slot}",
+      restart: "Make a new request",
+    },
+  },
+
+  cancellation: {
+    title: "Cancel an appointment online",
+    name: "Patient's name *",
+    date: "Date of the appointment *",
+    time: "Time *",
+    reason: "Reason for cancelling *",
+    lateNotice:
+      "<strong>Short-notice cancellation:</strong> As the deadline has passed, we may charge you privately for the missed session under § 615 BGB (German Civil Code). Health insurers do not cover these costs.",
+    feeAcknowledged: "I have read the note on cancellation fees.",
+    privacy:
+      'I agree that my details will be stored to process the cancellation. Further information can be found in the <a href="datenschutz.html" class="underline">privacy policy</a> (in German).',
+    submit: "Cancel appointment",
+    dateTime: "{date}, {time}",
+    statusOk: "Free cancellation possible until {deadline}.",
+    statusLate: "The deadline for free cancellation passed on {deadline}.",
+    statusPast: "This appointment is in the past. Please check the date and time.",
+    hours: { one: "{count} hour in advance", other: "{count} hours in advance" },
+    errors: {
+      date: "Please enter the date of your appointment.",
+      time: "Please enter the time of your appointment.",
+      past: "This appointment is in the past.",
+      feeAcknowledged: "Please confirm the note on cancellation fees.",
+    },
+    submitError:
+      "Your cancellation could not be sent. Please give us a call so that the appointment can be released in time.",
+    success: "Thank you – your appointment on {appointment} has been cancelled.",
+    successMailto: "Your email program has been opened with your cancellation. Please send the email from there.",
+  },
+
+  practiceFiles: {
+    saveContact: "Save contact",
+    summaryRequested: "Speech therapy – appointment request (unconfirmed)",
+    requested: "Requested appointment – it is only booked once we have confirmed it.",
+    cancellationRule:
+      "Please cancel appointments at least {hours} hours in advance: by phone on {phone}, by email to {email} or online at {url}.",
+    fee:
+      "For appointments cancelled at short notice or not at all, we charge the missed session privately under § 615 BGB (German Civil Code); health insurers do not cover these costs.",
+  },
+
+  consent: {
+    settingsTitle: "Privacy settings",
+    settingsIntro:
+      "This website does not use cookies. External services are only loaded or opened once you agree. Your choice is stored in your browser only and can be changed here at any time.",
+    requestTitle: "Continue to {service}?",
+    provider: "Provider: {provider}",
+    privacyPolicy: "Provider's privacy policy",
+    remember: "Remember my choice",
+    accept: "Agree and continue",
+    save: "Save choice",
+    cancel: "Cancel",
+    saved: "Your privacy settings have been saved.",
+    services: {
+      whatsapp:
+        "When you open WhatsApp, your IP address, details about your device and – once you write – your phone number and messages are transferred to WhatsApp (Meta), including to the USA. Please send us information about your health by phone or via the contact form instead.",
+      openstreetmap:
+        "To show the map, map tiles are loaded from servers of the OpenStreetMap Foundation. Your IP address and details about your browser are transferred, including to the United Kingdom.",
+    },
+  },
+
+  accessibility: {
+    title: "Reading aids",
+    intro: "Adjust how the page is displayed. Your choice is only stored in this browser.",
+    textSize: "Text size",
+    textSizes: {
+      normal: "Normal",
+      large: "Large",
+      larger: "Larger",
+      largest: "Very large",
+    },
+    contrast: "High contrast",
+    font: "Dyslexia-friendly font (OpenDyslexic)",
+    lineSpacing: "More line spacing",
+    motion: "Pause motion",
+    reset: "Reset",
+    close: "Close",
+    resetDone: "The reading aids have been reset.",
+  },
+
+  map: {
+    label: "Map showing the location of the practice",
+    error: "The map could not be loaded. Please use the route links below.",
+  },
+
+  offline: {
+    title: "No internet connection",
+    text: "This page is not available without a connection. You will still find our phone number, address and opening hours here.",
+    retry: "Try again",
+    ready: "The website is now also available without an internet connection.",
+    update: "A new version of the website is available.",
+    reload: "Reload",
+    dismiss: "Later",
+  },
+
+  notFound: {
+    title: "Page not found",
+    text: "This address does not exist or no longer exists. Perhaps one of these links will help you.",
+    home: "To the home page",
+    services: "Services",
+    contact: "Contact and appointment request",
+  },
+
+  footer: {
+    practice: "Speech Therapy Practice",
+    text: "Professional speech and language therapy with individual care for children and adults.",
+    quickLinks: "Quick links",
+    navLabel: "Footer navigation",
+    copyright: "© 2025 Speech Therapy Practice Eva Sagmeister. All rights reserved.",
+    privacy: "Privacy",
+    imprint: "Legal notice",
+    consentSettings: "Privacy settings",
+  },
+
+  content: {
+    "Nach Vereinbarung": "By arrangement",
+    Betriebsurlaub: "Practice holiday",
+    Neujahr: "New Year's Day",
+    "Heilige Drei Könige": "Epiphany",
+    Karfreitag: "Good Friday",
+    Ostermontag: "Easter Monday",
+    "Tag der Arbeit": "Labour Day",
+    "Christi Himmelfahrt": "Ascension Day",
+    Pfingstmontag: "Whit Monday",
+    Fronleichnam: "Corpus Christi",
+    "Mariä Himmelfahrt": "Assumption Day",
+    "Tag der Deutschen Einheit": "German Unity Day",
+    Allerheiligen: "All Saints' Day",
+    "1. Weihnachtsfeiertag": "Christmas Day",
+    "2. Weihnachtsfeiertag": "Boxing Day",
+  },
+};
@@ -0,0 +1,646 @@
+/**
+ * Russian catalog
+ */
+export default {
+  meta: {
+    title: "Логопедическая практика Евы Загмайстер",
+    description:
+      "Логопедическая практика Евы Загмайстер - профессиональная логопедическая помощь детям и взрослым в Musterstadt",
+    imprintTitle: "Выходные данные - Логопедическая практика Евы Загмайстер",
+    privacyTitle: "Защита данных - Логопедическая практика Евы Загмайстер",
+    offlineTitle: "Нет сети - Логопедическая практика Евы Загмайстер",
+    notFoundTitle: "Страница не найдена - Логопедическая практика Евы Загмайстер",
+  },
+
+  nav: {
+    label: "Основная навигация",
+    logoAlt: "логотип логопедической практики",
+    home: "Главная",
+    services: "Услуги",
+    about: "Обо мне",
+    info: "Информация",
+    contact: "Контакты",
+    openMenu: "Открыть меню",
+    language: "Язык",
+  },
+
+  legal: {
+    germanOnly: "Юридически обязательной является только немецкая версия этой страницы.",
+    imprintTitle: "Выходные данные",
+    privacyTitle: "Политика конфиденциальности",
+  },
+
+  hero: {
+    title: "Логопедия",
+    quote: "«Слово может начаться с малого и всё же открыть большую дверь.»",
+  },
+
+  welcome: {
+    imageAlt: "Мама и дочка вместе играют за столом",
+    imageCaption: "Терапия в игровой форме и дружелюбной атмосфере",
+    title: "Добро пожаловать в нашу<br>логопедическую практику!",
+    text1:
+      "Для нас очень важны атмосфера доверия и терапия, подобранная под индивидуальные потребности каждого человека.",
+    text2:
+      "Логопедия — это медико-терапевтическая дисциплина, которая занимается нарушениями языка, речи, голоса, глотания и слуха. Помимо терапии, к нашим задачам относятся консультирование, профилактика и реабилитация.",
+  },
+
+  services: {
+    title: "Наши направления",
+    intro1:
+      "В начале каждого лечения мы проводим подробную беседу для сбора анамнеза и целенаправленную диагностику. На их основе мы составляем индивидуальный план терапии с учётом возраста, уровня развития и личных потребностей.",
+    intro2:
+      "Особенно важны для нас тесное сотрудничество с врачами, детскими садами и другими специалистами, а также открытое общение с нашими пациентами.",
+    searchLabel: "Поиск по направлениям",
+    searchPlaceholder: "напр. заикание, шепелявость, глотание",
+    details: "Подробности лечения",
+    duration: "Длительность",
+    frequency: "Частота",
+    frequencyValue: "1-3 раза в неделю",
+    children: {
+      title: "Логопедия для детей",
+      subtitle: "Терапия в игровой форме и методы, подходящие детям",
+      text: "Специализированное лечение детей с помощью индивидуальных, подходящих детям методов и игровых подходов.",
+      parents: "Родители активно участвуют в процессе терапии.",
+      duration: "30-45 мин",
+    },
+    adults: {
+      title: "Логопедия для взрослых",
+      subtitle: "Неврологические и функциональные нарушения",
+      text:
+        "Индивидуальная терапия и подходы, близкие к повседневной жизни. Целенаправленное лечение нарушений языка, речи, голоса и глотания методами, подобранными под ваши личные потребности. В центре внимания — ваша повседневная жизнь и ваши личные цели.",
+      duration: "30-60 мин",
+    },
+    items: {
+      dyslalia: {
+        title: "Дислалия",
+        text: "Нарушения звукопроизношения — неправильное образование звуков (например, «тошка» вместо «кошка»).",
+        long: "Отдельные звуки или сочетания звуков пропускаются, заменяются или произносятся неправильно, например при шепелявости. На занятиях ваш ребёнок в игре учится слышать, различать и правильно произносить звуки, пока они уверенно не закрепятся в повседневной речи.",
+        symptoms: [
+          "Отдельные звуки пропускаются или заменяются другими",
+          "Шепелявость: язык при свистящих звуках проскальзывает между зубами",
+          "Посторонним людям трудно понять вашего ребёнка",
+        ],
+      },
+      hearing: {
+        title: "Нарушения слуха",
+        text: "Нарушения речевого развития при снижении слуха.",
+        long: "Детям с нарушением слуха труднее осваивать речь. Мы развиваем слуховое восприятие, словарный запас и произношение и тесно сотрудничаем с ЛОР-врачами и сурдоакустиками, в том числе при слуховых аппаратах и кохлеарных имплантах.",
+        symptoms: [
+          "Ребёнок не реагирует или реагирует с опозданием, когда к нему обращаются",
+          "Говорит заметно громко или неразборчиво",
+          "Словарный запас и речь развиваются медленнее, чем у сверстников",
+        ],
+      },
+      dysgrammatism: {
+        title: "Аграмматизм",
+        text: "Трудности с правильным построением предложений и изменением слов.",
+        long: "Дети с нарушением грамматического строя речи ставят слова в неправильном порядке или неверно их изменяют. С помощью игр и историй мы отрабатываем построение предложений и грамматику так, чтобы ребёнок сам открывал правила.",
+        symptoms: [
+          "Слова стоят в предложении не на своём месте",
+          "Глаголы и окончания изменяются неправильно",
+          "Короткие упрощённые предложения, часто без союзов",
+        ],
+      },
+      rhinophonia: {
+        title: "Ринофония",
+        text: "Гнусавость из-за проблем с мягким нёбом или структурных особенностей.",
+        long: "При открытой или закрытой гнусавости через нос выходит слишком много или слишком мало воздуха, например после расщелины губы и нёба. Целенаправленные упражнения для мягкого нёба и воздушной струи улучшают звучание и разборчивость речи.",
+        symptoms: [
+          "Голос звучит гнусаво или как при насморке",
+          "При разговоре воздух слышно выходит через нос",
+          "Звуки п, т и к звучат слабо",
+        ],
+      },
+      auditoryProcessing: {
+        title: "Нарушение слуховой обработки",
+        text: "Нарушения слухового восприятия и обработки.",
+        long: "Слух в порядке, но услышанное обрабатывается с трудом: похожие звуки кажутся одинаковыми, инструкции теряются в шуме. Мы тренируем слуховую память, различение звуков и сосредоточенное слушание.",
+        symptoms: [
+          "При фоновом шуме речь понимается с трудом",
+          "Частые переспрашивания, хотя слух в порядке",
+          "Похожие звуки путаются, часто и на письме",
+        ],
+      },
+      vocabulary: {
+        title: "Словарный запас",
+        text: "Ограниченный словарный запас при понимании или активном использовании.",
+        long: "Некоторые дети знают и используют заметно меньше слов, чем сверстники, или с трудом их находят. Мы расширяем словарный запас в повседневных ситуациях и показываем, как поддержать ребёнка дома.",
+        symptoms: [
+          "Ребёнок не находит слов или описывает их («вот эта штука»)",
+          "Знает меньше слов, чем сверстники",
+          "С трудом запоминает новые понятия",
+        ],
+      },
+      languageDevelopment: {
+        title: "Речевое развитие",
+        text: "Общие трудности со словарным запасом, грамматикой и произношением.",
+        long: "Если ваш ребёнок начал говорить позже или говорит меньше других детей, подробная диагностика покажет, на каком этапе он находится. Терапия сосредоточена на том, что помогает больше всего именно сейчас, и тесно вовлекает вас как родителей.",
+        symptoms: [
+          "В два года ребёнок говорит меньше 50 слов",
+          "В три года ещё не строит простых предложений",
+          "Понимает просьбы хуже сверстников",
+        ],
+      },
+      myofunctional: {
+        title: "Миофункциональное нарушение",
+        text: "Нарушения функций мышц рта и лица.",
+        long: "Открытый рот, язык, упирающийся при глотании в зубы, или долгое сосание пальца могут влиять на произношение и положение зубов. Упражнениями для языка, губ и глотания мы часто работаем рука об руку с ортодонтами.",
+        symptoms: [
+          "Рот часто открыт, язык лежит между зубами",
+          "При глотании язык давит на зубы",
+          "Шепелявость или неправильный прикус, возвращающиеся после брекетов",
+        ],
+      },
+      stuttering: {
+        title: "Заикание",
+        text: "Повторы, растягивания и блоки в потоке речи.",
+        long: "Заикание проявляется в повторах, растягиваниях или блоках, часто с напряжением или избеганием речи. Дети и взрослые учатся у нас говорить плавнее и спокойнее и открыто относиться к заиканию.",
+        symptoms: [
+          "Повторы звуков или слогов («ма-ма-мяч»)",
+          "Растягивание звуков («мммама») или застревание перед словом",
+          "Напряжение, сопутствующие движения или избегание ситуаций общения",
+        ],
+      },
+      aphasia: {
+        title: "Афазия",
+        text: "Нарушения языка и речи после инсульта или неврологических заболеваний.",
+        long: "После инсульта или черепно-мозговой травмы часто трудно подбирать слова, понимать сказанное, читать или писать. Терапия целенаправленно тренирует эти навыки и вместе с вами и вашими близкими ищет способы общения в повседневной жизни.",
+        symptoms: [
+          "Слова не находятся или путаются",
+          "Трудно понимать устную или письменную речь",
+          "Чтение, письмо или счёт вдруг даются с трудом",
+        ],
+      },
+      apraxia: {
+        title: "Апраксия речи",
+        text: "Нарушение планирования артикуляционных движений.",
+        long: "Мышцы работают, но мозг больше не может правильно планировать речевые движения: звуки путаются или подбираются с трудом. Мы шаг за шагом отрабатываем последовательности движений — от отдельных звуков до целых предложений.",
+        symptoms: [
+          "Губы и язык при разговоре ищут нужное движение",
+          "Одно и то же слово то получается, то нет",
+          "Речь кажется напряжённой и прерывистой",
+        ],
+      },
+      dysarthria: {
+        title: "Дизартрия",
+        text: "Нарушение координации голоса, артикуляции и дыхания.",
+        long: "При болезни Паркинсона, рассеянном склерозе или после инсульта речь часто звучит нечётко, тихо или смазанно. Дыхательные, голосовые и артикуляционные упражнения делают речь снова более понятной.",
+        symptoms: [
+          "Смазанное, нечёткое произношение",
+          "Тихий, хриплый или монотонный голос",
+          "Слишком медленный или слишком быстрый темп речи",
+        ],
+      },
+      dysphagia: {
+        title: "Дисфагия",
+        text: "Нарушения глотания различного происхождения.",
+        long: "Частое поперхивание, кашель во время еды или ощущение, что пища застревает, могут указывать на нарушение глотания. Мы тренируем безопасное глотание и консультируем по консистенции пищи и положению тела, в том числе на дому.",
+        symptoms: [
+          "Частые поперхивания или кашель во время еды и питья",
+          "Ощущение, что пища застревает в горле",
+          "Непреднамеренная потеря веса или повторяющиеся пневмонии",
+        ],
+      },
+      dysphonia: {
+        title: "Дисфония",
+        text: "Нарушения голоса функционального или органического происхождения.",
+        long: "Охриплость, быстро устающий или грубый голос особенно часто бывают у людей, которые много говорят, например у учителей. Мы работаем над дыханием, осанкой и голосообразованием, чтобы голос снова стал выносливым.",
+        symptoms: [
+          "Стойкая охриплость или грубый голос",
+          "Голос быстро устаёт или пропадает",
+          "Постоянное покашливание, давление или ком в горле",
+        ],
+      },
+      facialPalsy: {
+        title: "Парез лицевого нерва",
+        text: "Паралич мимических мышц, влияющий на мимику и речь.",
+        long: "Паралич лицевого нерва влияет на мимику, смыкание век, речь, а часто и на еду и питьё. Целенаправленные упражнения и стимуляция поддерживают восстановление и помогают лицу снова двигаться симметрично.",
+        symptoms: [
+          "Опущен уголок рта или веко",
+          "Улыбнуться, свистнуть или нахмуриться получается только одной стороной",
+          "При питье жидкость вытекает из уголка рта",
+        ],
+      },
+    },
+  },
+
+  about: {
+    title: "Обо мне",
+    imageAlt: "Ева Загмайстер - логопед",
+    text1:
+      "Меня зовут Ева Загмайстер. Я логопед с государственным дипломом и с 2017 года с большой радостью работаю по этой профессии.",
+    text2:
+      "За прошедшие годы я получила много ценного опыта и сопровождала многих людей на их пути к речи. Открыв собственную практику, я исполняю свою заветную мечту: создать место, где терапия индивидуальна, чутка и полностью ориентирована на потребности моих пациентов.",
+    text3:
+      "Как мама, я знаю, насколько важны терпение, понимание и эмпатия. Эти качества определяют не только мою личную жизнь, но и мою ежедневную работу. Для меня важно относиться к каждому человеку с открытостью, уважением и признательностью.",
+    text4:
+      "Для меня логопедия — это гораздо больше, чем терапия: <strong>это возможность сопровождать людей в их развитии, давать им уверенность и поддерживать их на их пути.</strong>",
+  },
+
+  info: {
+    title: "Важная информация",
+    subtitle: "Всё, что нужно знать о лечении",
+    hours: {
+      title: "Мы рядом с вами:",
+      appointments: "Приём по записи: +49 1578 5320411",
+    },
+    process: {
+      title: "Как всё проходит",
+      text:
+        'После того как врач выпишет вам направление (рецепт) на логопедическую терапию, просто свяжитесь со мной, чтобы записаться. Чтобы направление не утратило силу, ваша больничная касса требует, чтобы первое занятие состоялось в течение <span class="font-medium text-gray-900" data-prescription-days></span> с даты выдачи. Поэтому лучше обратиться к нам как можно скорее, чтобы мы нашли подходящее время.',
+      doctorsTitle: "Направление на логопедическую терапию могут выписать следующие врачи:",
+      doctors: {
+        generalPractitioners: "Терапевты (семейные врачи)",
+        pediatricians: "Педиатры",
+        ent: "ЛОР-врачи",
+        phoniatrists: "Фониатры",
+        neurologists: "Неврологи",
+        dentists: "Стоматологи",
+        orthodontists: "Ортодонты",
+      },
+    },
+    cancellation: {
+      title: "Отмена",
+      text1:
+        'Ваш приём закреплён за вами. Если вы не сможете прийти, пожалуйста, сообщите нам не позднее чем за <span class="font-medium text-gray-900" data-cancellation-hours></span>. Так мы сможем предложить это время другому пациенту.',
+      text2:
+        'Обратите внимание: больничные кассы не оплачивают пропущенные приёмы. Если приём отменён в последний момент или не отменён вовсе, мы вынуждены выставить вам частный счёт за пропущенное занятие на основании <span class="font-medium text-gray-900">§ 615 BGB</span> (Гражданский кодекс Германии). Спасибо за понимание!',
+    },
+    costs: {
+      title: "Стоимость",
+      text: "Расходы на логопедическое лечение, как правило, покрывают как государственные, так и частные больничные кассы.",
+      childrenTitle: "Дети до 18 лет",
+      childrenText: "Больничная касса полностью покрывает расходы.",
+      adultsTitle: "Взрослые",
+      adultsText:
+        'Большую часть расходов на лечение несёт больничная касса. Если у вас нет освобождения от доплат, вы оплачиваете только <span class="font-medium text-gray-900">10% доплаты</span> и однократно <span class="font-medium text-gray-900">сбор 10&nbsp;€</span> за каждое направление.',
+    },
+    faq: {
+      expandAll: "Открыть все",
+      collapseAll: "Закрыть все",
+    },
+    care: {
+      title: "Индивидуальный подход",
+      subtitle: "Терапия в практике или у вас дома",
+      text:
+        "Мы принимаем вас в нашей практике, а при необходимости — на дому. Возможна ли терапия у вас дома, решает лечащий врач и отмечает это в направлении.",
+    },
+  },
+
+  time: {
+    at: "{time}",
+    range: "{start} – {end}",
+  },
+
+  form: {
+    nameRequired: "Имя *",
+    phone: "Телефон",
+    email: "Эл. почта",
+    emailRequired: "Эл. почта *",
+    required: "Это поле обязательно.",
+    minLength: {
+      one: "Требуется не менее {count} символа.",
+      other: "Требуется не менее {count} символов.",
+    },
+    invalidEmail: "Пожалуйста, введите корректный адрес эл. почты.",
+    invalidPhone: "Пожалуйста, введите корректный номер телефона.",
+    phoneOrEmail: "Пожалуйста, укажите номер телефона или адрес эл. почты.",
+    privacy: "Пожалуйста, дайте согласие на обработку данных.",
+    fixErrors: "Пожалуйста, исправьте отмеченные поля.",
+    retrying: "Не удалось подключиться – новая попытка ({attempt}/{retries})…",
+    sending: "Отправка...",
+  },
+
+  navigation: {
+    menuOpened: "Меню открыто",
+    menuClosed: "Меню закрыто",
+  },
+
+  collapsible: {
+    expandedAll: "Все разделы открыты",
+    collapsedAll: "Все разделы закрыты",
+  },
+
+  serviceExpansion: {
+    show: "Показать все направления",
+    hide: "Скрыть направления",
+    expanded: "{group}: направления показаны",
+    collapsed: "{group}: направления скрыты",
+  },
+
+  serviceCards: {
+    more: "Подробнее",
+  },
+
+  serviceDialog: {
+    close: "Закрыть",
+    symptoms: "Типичные признаки",
+    book: "Записаться на приём",
+    pager: "Другие направления",
+    previous: "Предыдущее направление: {title}",
+    next: "Следующее направление: {title}",
+    position: "{current} из {total}",
+  },
+
+  serviceSearch: {
+    results: { other: "Найдено направлений: {count}" },
+    none: "Подходящих направлений не найдено. Позвоните нам — мы вас проконсультируем.",
+  },
+
+  contact: {
+    title: "Контакты",
+    intro: "Лучше всего через WhatsApp, по телефону или эл. почте.",
+    whatsappLabel: "Начать чат в WhatsApp",
+    callLabel: "Позвонить",
+    call: "Позвонить",
+    emailLabel: "Написать письмо",
+    email: "Эл. почта",
+    phone: "Тел.: +49 1578 5320411",
+    address: "Адрес практики",
+    route: "Проложить маршрут",
+    mapPlaceholder: "Схема: практика на Oeslauer Straße в Рёдентале",
+    mapConsent: "Карта загружается с OpenStreetMap.",
+    mapLoad: "Показать карту",
+    parking:
+      "<strong>Парковка:</strong> бесплатные места прямо перед зданием и вдоль Oeslauer Straße.",
+    accessibility:
+      "<strong>Доступность:</strong> вход на уровне улицы без ступенек. Если вам нужна помощь при прибытии, сообщите нам заранее.",
+    routeApp: "Приложение карт",
+    routeApple: "Apple Карты",
+  },
+
+  contactForm: {
+    title: "Написать сообщение",
+    intro: "Мы свяжемся с вами как можно скорее.",
+    message: "Сообщение *",
+    privacy:
+      'Я согласен(-на) на хранение моих данных для обработки моего запроса. Подробнее — в <a href="datenschutz.html" class="underline">политике конфиденциальности</a> (на немецком).',
+    submit: "Отправить сообщение",
+    success: "Спасибо за ваше сообщение! Я свяжусь с вами как можно скорее.",
+    successMailto: "Ваша почтовая программа открыта с вашим сообщением. Пожалуйста, отправьте письмо оттуда.",
+    timeout: "Сервер не отвечает. Пожалуйста, попробуйте позже или позвоните нам.",
+    error: "Произошла ошибка. Пожалуйста, попробуйте позже.",
+  },
+
+  spamProtection: {
+    rejected:
+      "Ваше сообщение не было отправлено, так как оно похоже на автоматически созданное. Пожалуйста, позвоните нам или напишите нам по эл. почте.",
+    tooFast:
+      "Это было очень быстро. Пожалуйста, проверьте введённые данные и отправьте сообщение ещё раз через несколько секунд.",
+    rateLimited: "Вы только что отправили нам несколько сообщений. Пожалуйста, попробуйте позже или позвоните нам.",
+    tooManyLinks: "В вашем сообщении слишком много ссылок. Пожалуйста, опишите ваш вопрос без ссылок.",
+    markupLinks: "Пожалуйста, указывайте ссылки простым адресом, без форматирования.",
+    linkInName: "Пожалуйста, введите здесь только ваше имя.",
+  },
+
+  openingHours: {
+    caption: "Часы работы",
+    hours: "{opens} - {closes}",
+    open: "Сейчас открыто",
+    openUntil: "до {time}",
+    closed: "Закрыто",
+    closedToday: "Сегодня закрыто ({reason})",
+    practiceClosed: "Практика закрыта",
+    opensToday: "Откроется сегодня в {time}",
+    opensTomorrow: "Откроется завтра в {time}",
+    opensOnWeekday: "Откроется: {weekday}, {time}",
+    opensOnDate: "Откроется {date} в {time}",
+  },
+
+  prescriptionDeadline: {
+    title: "Калькулятор срока для вашего направления",
+    dateLabel: "Дата выдачи направления",
+    days: { one: "{count} дня", other: "{count} дней" },
+    future: "Дата выдачи находится в будущем. Пожалуйста, проверьте введённые данные.",
+    deadline: "Крайний срок начала терапии: {date}",
+    expired: {
+      one: "Срок истёк {count} день назад. Пожалуйста, попросите врача выписать новое направление.",
+      few: "Срок истёк {count} дня назад. Пожалуйста, попросите врача выписать новое направление.",
+      many: "Срок истёк {count} дней назад. Пожалуйста, попросите врача выписать новое направление.",
+      other: "Срок истёк {count} дня назад. Пожалуйста, попросите врача выписать новое направление.",
+    },
+    today: "Терапия должна начаться сегодня – пожалуйста, сразу позвоните нам.",
+    daysLeft: {
+      one: "Остался {count} день.",
+      few: "Осталось {count} дня.",
+      many: "Осталось {count} дней.",
+      other: "Осталось {count} дня.",
+    },
+    soon: "Срок скоро истекает. Пожалуйста, запишитесь на приём в ближайшее время.",
+    cta: "Записаться сейчас",
+  },
+
+  booking: {
+    title: "Запрос на приём",
+    intro: "Запрос на приём всего за несколько шагов.",
+    progress: "Прогресс",
+    steps: {
+      audience: "Кто",
+      concern: "Запрос",
+      prescription: "Направление",
+      slots: "Желаемое время",
+      contact: "Контакты",
+    },
+    audience: {
+      legend: "Для кого приём?",
+      child: "Для моего ребёнка",
+      adult: "Для меня / взрослого",
+    },
+    concern: {
+      legend: "О чём идёт речь?",
+      label: "Направление терапии",
+    },
+    prescription: {
+      legend: "У вас уже есть направление?",
+      yes: "Да",
+      no: "Нет, пока нет",
+      dateLabel: "Дата выдачи",
+    },
+    slots: {
+      legend: "Когда вам удобно?",
+      notesLabel: "Другие пожелания по дням или времени (необязательно)",
+    },
+    contact: {
+      legend: "Как с вами связаться?",
+      hint: "Пожалуйста, укажите номер телефона или адрес эл. почты.",
+      privacy:
+        'Я согласен(-на) на хранение моих данных для обработки моего запроса на приём. Подробнее — в <a href="datenschutz.html" class="underline">политике конфиденциальности</a> (на немецком).',
+    },
+    back: "Назад",
+    next: "Далее",
+    submit: "Отправить запрос",
+    choose: "Пожалуйста, выберите",
+    otherConcern: "Другое / пока не знаю",
+    audiences: { child: "Ребёнок", adult: "Взрослый" },
+    errors: {
+      option: "Пожалуйста, выберите вариант.",
+      concern: "Пожалуйста, выберите направление терапии.",
+      prescriptionDate: "Пожалуйста, введите корректную дату выдачи.",
+      slots: "Пожалуйста, выберите хотя бы одно время или опишите ваши пожелания.",
+    },
+    prescriptionExpired:
+      "Срок действия этого направления уже истёк. Пожалуйста, получите новое – записаться на приём можно уже сейчас.",
+    prescriptionDeadline: "Терапия должна начаться не позднее {date}.",
+    noSlots:
+      "Сейчас мы не можем показать свободное время. Просто опишите ваши пожелания – мы свяжемся с вами с предложением.",
+    chooseSlots: {
+      one: "Выберите до {count} подходящего времени.",
+      other: "Выберите до {count} подходящих вариантов времени.",
+    },
+    afterDeadline: "{slot} (после окончания срока)",
+    submitError: "Не удалось отправить ваш запрос. Пожалуйста, попробуйте позже или позвоните нам.",
+    confirmation: {
+      title: "Спасибо – мы получили ваш запрос.",
+      titleMailto: "Почти готово!",
+      intro:
+        "Мы скоро свяжемся с вами, чтобы подтвердить время. Приём считается назначенным только после нашего подтверждения.",
+      introMailto: "Ваша почтовая программа открыта с вашим запросом. Пожалуйста, отправьте письмо оттуда.",
+      audience: "Кто",
+      concern: "Запрос",
+      prescription: "Направление",
+      issuedOn: "выдано {date}",
+      noPrescription: "пока нет",
+      slots: "Желаемое время",
+      contact: "Контакты",
+      calendar: "Сохранить желаемое время (отмечено как неподтверждённое):",
+      addToCalendar: "Добавить в календарь: {slot}",
+      restart: "Новый запрос",
+    },
+  },
+
+  cancellation: {
+    title: "Отменить приём онлайн",
+    name: "Имя пациента *",
+    date: "Дата приёма *",
+    time: "Время *",
+    reason: "Причина отмены *",
+    lateNotice:
+      "<strong>Поздняя отмена:</strong> Поскольку срок истёк, мы можем выставить вам частный счёт за пропущенное занятие согласно § 615 BGB (Гражданский кодекс Германии). Больничные кассы эти расходы не покрывают.",
+    feeAcknowledged: "Я ознакомлен(-а) с информацией об оплате пропущенных приёмов.",
+    privacy:
+      'Я согласен(-на) на хранение моих данных для обработки отмены. Подробнее — в <a href="datenschutz.html" class="underline">политике конфиденциальности</a> (на немецком).',
+    submit: "Отменить приём",
+    dateTime: "{date}, {time}",
+    statusOk: "Бесплатная отмена возможна до {deadline}.",
+    statusLate: "Срок бесплатной отмены истёк {deadline}.",
+    statusPast: "Этот приём уже в прошлом. Пожалуйста, проверьте дату и время.",
+    hours: {
+      one: "{count} час",
+      few: "{count} часа",
+      many: "{count} часов",
+      other: "{count} часа",
+    },
+    errors: {
+      date: "Пожалуйста, введите дату приёма.",
+      time: "Пожалуйста, введите время приёма.",
+      past: "Этот приём уже в прошлом.",
+      feeAcknowledged: "Пожалуйста, подтвердите, что ознакомились с информацией об оплате.",
+    },
+    submitError:
+      "Не удалось отправить отмену. Пожалуйста, позвоните нам, чтобы время можно было своевременно освободить.",
+    success: "Спасибо – ваш приём {appointment} отменён.",
+    successMailto: "Ваша почтовая программа открыта с вашей отменой. Пожалуйста, отправьте письмо оттуда.",
+  },
+
+  practiceFiles: {
+    saveContact: "Сохранить контакт",
+    summaryRequested: "Логопедия – запрос на приём (не подтверждён)",
+    requested: "Запрошенное время – приём считается назначенным только после нашего подтверждения.",
+    cancellationRule:
+      "Пожалуйста, отменяйте приёмы не позднее чем за {hours} ч.: по телефону {phone}, по эл. почте {email} или онлайн на {url}.",
+    fee:
+      "За приёмы, отменённые в последний момент или не отменённые вовсе, мы выставляем частный счёт согласно § 615 BGB; больничные кассы эти расходы не покрывают.",
+  },
+
+  consent: {
+    settingsTitle: "Настройки конфиденциальности",
+    settingsIntro:
+      "Этот сайт не использует файлы cookie. Внешние сервисы загружаются или открываются только после вашего согласия. Ваш выбор хранится только в вашем браузере, и его можно изменить здесь в любое время.",
+    requestTitle: "Перейти в {service}?",
+    provider: "Поставщик: {provider}",
+    privacyPolicy: "Политика конфиденциальности поставщика",
+    remember: "Запомнить мой выбор",
+    accept: "Согласиться и продолжить",
+    save: "Сохранить выбор",
+    cancel: "Отмена",
+    saved: "Ваши настройки конфиденциальности сохранены.",
+    services: {
+      whatsapp:
+        "При открытии WhatsApp ваш IP-адрес, сведения об устройстве и — как только вы начнёте писать — ваш номер телефона и сообщения передаются WhatsApp (Meta), в том числе в США. Сведения о вашем здоровье лучше сообщайте нам по телефону или через контактную форму.",
+      openstreetmap:
+        "Для показа карты её фрагменты загружаются с серверов OpenStreetMap Foundation. При этом передаются ваш IP-адрес и сведения о браузере, в том числе в Великобританию.",
+    },
+  },
+
+  accessibility: {
+    title: "Помощь при чтении",
+    intro: "Настройте отображение страницы. Ваш выбор сохраняется только в этом браузере.",
+    textSize: "Размер текста",
+    textSizes: {
+      normal: "Обычный",
+      large: "Крупный",
+      larger: "Крупнее",
+      largest: "Очень крупный",
+    },
+    contrast: "Высокий контраст",
+    font: "Шрифт для людей с дислексией (OpenDyslexic)",
+    lineSpacing: "Увеличенный межстрочный интервал",
+    motion: "Остановить анимацию",
+    reset: "Сбросить",
+    close: "Закрыть",
+    resetDone: "Настройки помощи при чтении сброшены.",
+  },
+
+  map: {
+    label: "Карта с расположением практики",
+    error: "Не удалось загрузить карту. Воспользуйтесь ссылками для маршрута ниже.",
+  },
+
+  offline: {
+    title: "Нет подключения к интернету",
+    text: "Эта страница недоступна без подключения. Номер телефона, адрес и часы работы вы всё равно найдёте здесь.",
+    retry: "Повторить попытку",
+    ready: "Сайт теперь доступен и без подключения к интернету.",
+    update: "Доступна новая версия сайта.",
+    reload: "Обновить",
+    dismiss: "Позже",
+  },
+
+  notFound: {
+    title: "Страница не найдена",
+    text: "Такого адреса нет или больше нет. Возможно, вам помогут эти ссылки.",
+    home: "На главную страницу",
+    services: "Услуги",
+    contact: "Контакты и запись на приём",
+  },
+
+  footer: {
+    practice: "Логопедическая практика",
+    text: "Профессиональная логопедическая помощь с индивидуальным подходом для детей и взрослых.",
+    quickLinks: "Быстрые ссылки",
+    navLabel: "Навигация в подвале",
+    copyright: "© 2025 Логопедическая практика Евы Загмайстер. Все права защищены.",
+    privacy: "Защита данных",
+    imprint: "Выходные данные",
+    consentSettings: "Настройки конфиденциальности",
+  },
+
+  content: {
+    "Nach Vereinbarung": "По договорённости",
+    Betriebsurlaub: "Отпуск практики",
+    Neujahr: "Новый год",
+    "Heilige Drei Könige": "Богоявление",
+    Karfreitag: "Страстная пятница",
+    Ostermontag: "Пасхальный понедельник",
+    "Tag der Arbeit": "День труда",
+    "Christi Himmelfahrt": "Вознесение",
+    Pfingstmontag: "Духов день",
+    Fronleichnam: "Праздник Тела и Крови Христовых",
+    "Mariä Himmelfahrt": "Успение Богородицы",
+    "Tag der Deutschen Einheit": "День единства Германии",
+    Allerheiligen: "День всех святых",
+    "1. Weihnachtsfeiertag": "Рождество",
+    "2. Weihnachtsfeiertag": "Второй день Рождества",
+  },
+};
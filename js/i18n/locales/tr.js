@@ -0,0 +1,627 @@
+/**
+ * Turkish catalog
+ */
+export default {
+  meta: {
+    title: "Eva Sagmeister Dil ve Konuşma Terapisi Muayenehanesi",
+    description:
+      "Eva Sagmeister Dil ve Konuşma Terapisi Muayenehanesi - Musterstadt'ta çocuklar ve yetişkinler için profesyonel dil ve konuşma terapisi",
+    imprintTitle: "Künye - Eva Sagmeister Dil ve Konuşma Terapisi Muayenehanesi",
+    privacyTitle: "Gizlilik Politikası - Eva Sagmeister Dil ve Konuşma Terapisi Muayenehanesi",
+    offlineTitle: "Çevrimdışı - Eva Sagmeister Dil ve Konuşma Terapisi Muayenehanesi",
+    notFoundTitle: "Sayfa bulunamadı - Eva Sagmeister Dil ve Konuşma Terapisi Muayenehanesi",
+  },
+
+  nav: {
+    label: "Ana menü",
+    logoAlt: "dil ve konuşma terapisi logosu",
+    home: "Ana sayfa",
+    services: "Hizmetler",
+    about: "Hakkımda",
+    info: "Bilgiler",
+    contact: "İletişim",
+    openMenu: "Menüyü aç",
+    language: "Dil",
+  },
+
+  legal: {
+    germanOnly: "Bu sayfa yalnızca Almanca olarak hukuken bağlayıcıdır.",
+    imprintTitle: "Künye",
+    privacyTitle: "Gizlilik politikası",
+  },
+
+  hero: {
+    title: "Dil ve Konuşma Terapisi",
+    quote: "“Bir kelime küçük başlayabilir, yine de büyük bir kapı açabilir.”",
+  },
+
+  welcome: {
+    imageAlt: "Anne ve kızı masada birlikte oyun oynuyor",
+    imageCaption: "Samimi bir ortamda oyun temelli terapi",
+    title: "Dil ve konuşma terapisi<br>muayenehanemize hoş geldiniz!",
+    text1:
+      "Muayenehane olarak güvene dayalı bir ortama ve her bireyin kişisel ihtiyaçlarına göre şekillendirilmiş bir terapiye büyük önem veriyoruz.",
+    text2:
+      "Dil ve konuşma terapisi; dil, konuşma, ses, yutma ve işitme bozukluklarını tedavi eden tıbbi-terapötik bir uzmanlık alanıdır. Terapinin yanı sıra danışmanlık, önleme ve rehabilitasyon da görevlerimiz arasındadır.",
+  },
+
+  services: {
+    title: "Uzmanlık alanlarımız",
+    intro1:
+      "Her tedavinin başında ayrıntılı bir ön görüşme (anamnez) ve hedefli bir değerlendirme yapıyoruz. Buna dayanarak yaşa, gelişim düzeyine ve kişisel ihtiyaçlara uygun bireysel bir terapi planı hazırlıyoruz.",
+    intro2:
+      "Doktorlar, anaokulları ve diğer uzmanlık alanlarıyla yakın iş birliği ile hastalarımızla şeffaf iletişim bizim için özellikle önemlidir.",
+    searchLabel: "Tedavi alanlarında ara",
+    searchPlaceholder: "ör. kekemelik, peltek konuşma, yutma",
+    details: "Tedavi ayrıntıları",
+    duration: "Süre",
+    frequency: "Sıklık",
+    frequencyValue: "Haftada 1-3 kez",
+    children: {
+      title: "Çocuklar için dil ve konuşma terapisi",
+      subtitle: "Oyun temelli terapi ve çocuğa uygun yöntemler",
+      text: "Çocuklar için bireysel, çocuğa uygun yöntemler ve oyun temelli yaklaşımlarla uzmanlaşmış tedavi.",
+      parents: "Ebeveynler terapi sürecine aktif olarak dahil edilir.",
+      duration: "30-45 dk",
+    },
+    adults: {
+      title: "Yetişkinler için dil ve konuşma terapisi",
+      subtitle: "Nörolojik ve işlevsel bozukluklar",
+      text:
+        "Bireysel terapi ve günlük yaşama yakın yaklaşımlar. Dil, konuşma, ses ve yutma bozukluklarının kişisel ihtiyaçlarınıza uygun yöntemlerle hedefli tedavisi. Günlük yaşamınız ve kişisel hedefleriniz merkezdedir.",
+      duration: "30-60 dk",
+    },
+    items: {
+      dyslalia: {
+        title: "Artikülasyon bozukluğu",
+        text: "Seslerin hatalı çıkarılması (ör. “kedi” yerine “tedi”).",
+        long: "Tek tek sesler veya ses birleşimleri atlanır, başka seslerle değiştirilir ya da yanlış çıkarılır; örneğin peltek konuşmada olduğu gibi. Terapide çocuğunuz sesleri oyun yoluyla duymayı, ayırt etmeyi ve doğru çıkarmayı, günlük hayatta da güvenle kullanana kadar öğrenir.",
+        symptoms: [
+          "Bazı sesler atlanır ya da başka seslerle değiştirilir",
+          "Peltek konuşma: s seslerinde dil dişlerin arasına kayar",
+          "Çocuğunuzu yabancılar zor anlar",
+        ],
+      },
+      hearing: {
+        title: "İşitme bozuklukları",
+        text: "İşitme kaybına bağlı dil gelişim bozuklukları.",
+        long: "İyi duymayan çocuklar dili daha zor öğrenir. İşitsel algıyı, kelime dağarcığını ve telaffuzu destekliyor; işitme cihazı veya koklear implantı olan çocuklarda da KBB hekimleri ve işitme cihazı uzmanlarıyla yakın çalışıyoruz.",
+        symptoms: [
+          "Çocuğunuz kendisiyle konuşulduğunda tepki vermez ya da geç tepki verir",
+          "Belirgin şekilde yüksek sesle ya da anlaşılmaz konuşur",
+          "Kelime dağarcığı ve dili yaşıtlarına göre daha yavaş gelişir",
+        ],
+      },
+      dysgrammatism: {
+        title: "Dilbilgisi güçlükleri",
+        text: "Cümle kurmada ve kelimelerin doğru çekiminde zorluklar.",
+        long: "Dil bilgisi güçlüğü olan çocuklar kelimeleri cümlede yanlış sıraya koyar veya yanlış eklerle kullanır. Oyunlar ve hikâyelerle cümle yapısını ve dil bilgisini, çocuğunuz kuralları kendisi keşfedecek şekilde çalışıyoruz.",
+        symptoms: [
+          "Kelimeler cümlede yanlış yerde durur",
+          "Fiiller ve ekler yanlış çekilir",
+          "Kısa, basitleştirilmiş cümleler, çoğu zaman bağlaçsız",
+        ],
+      },
+      rhinophonia: {
+        title: "Rinofoni",
+        text: "Yumuşak damak sorunları veya yapısal özellikler nedeniyle genizden konuşma.",
+        long: "Açık veya kapalı genizden konuşmada burundan çok fazla ya da çok az hava çıkar; örneğin dudak-damak yarığından sonra. Yumuşak damak ve hava akımına yönelik hedefli egzersizler ses tınısını ve anlaşılırlığı iyileştirir.",
+        symptoms: [
+          "Ses genizden ya da nezle olmuş gibi çıkar",
+          "Konuşurken hava duyulur şekilde burundan kaçar",
+          "p, t ve k gibi sesler zayıf çıkar",
+        ],
+      },
+      auditoryProcessing: {
+        title: "İşitsel işlemleme bozukluğu",
+        text: "İşitsel algılama ve işlemleme bozuklukları.",
+        long: "İşitme normaldir, ancak duyulan zor işlenir: benzer sesler aynı gelir, yönergeler gürültüde kaybolur. İşitsel belleği, ses ayırt etmeyi ve dinlemeye odaklanmayı çalışıyoruz.",
+        symptoms: [
+          "Arka planda gürültü varken konuşulanlar zor anlaşılır",
+          "İşitme normal olduğu hâlde sık sık tekrar sorulur",
+          "Birbirine benzeyen sesler karıştırılır, çoğu zaman yazarken de",
+        ],
+      },
+      vocabulary: {
+        title: "Kelime dağarcığı",
+        text: "Anlamada veya aktif kullanımda sınırlı kelime dağarcığı.",
+        long: "Bazı çocuklar yaşıtlarına göre belirgin şekilde daha az kelime bilir ve kullanır ya da kelimeleri bulmakta zorlanır. Kelime dağarcığını günlük hayata yakın durumlarda genişletiyor ve çocuğunuzu evde nasıl destekleyebileceğinizi gösteriyoruz.",
+        symptoms: [
+          "Çocuğunuz kelimeleri bulamaz ya da dolaylı anlatır (“şu şey”)",
+          "Yaşıtlarından daha az kelime bilir",
+          "Yeni kavramları zorlukla aklında tutar",
+        ],
+      },
+      languageDevelopment: {
+        title: "Dil gelişimi",
+        text: "Kelime dağarcığı, dilbilgisi ve telaffuzda genel güçlükler.",
+        long: "Çocuğunuz diğer çocuklardan daha geç veya daha az konuşuyorsa, kapsamlı bir değerlendirmeyle nerede olduğunu belirliyoruz. Terapi şu anda en çok yardımcı olacak alanlara odaklanır ve siz ebeveynleri yakından dahil eder.",
+        symptoms: [
+          "İki yaşında çocuğunuz 50’den az kelime konuşur",
+          "Üç yaşında henüz basit cümleler kurmaz",
+          "Söylenenleri yaşıtlarından daha zor anlar",
+        ],
+      },
+      myofunctional: {
+        title: "Miyofonksiyonel bozukluk",
+        text: "Ağız ve yüz kaslarının işlev bozuklukları.",
+        long: "Açık ağız, yutkunurken dişlere bastıran dil veya uzun süre parmak emme telaffuzu ve diş dizilimini etkileyebilir. Dil, dudak ve yutma düzenine yönelik egzersizlerle çoğu zaman ortodontistlerle el ele çalışıyoruz.",
+        symptoms: [
+          "Ağız açık durur, dil çoğu zaman dişlerin arasındadır",
+          "Yutkunurken dil dişlere bastırır",
+          "Diş telinden sonra geri dönen peltek konuşma ya da diş bozuklukları",
+        ],
+      },
+      stuttering: {
+        title: "Kekemelik",
+        text: "Konuşma akışında tekrarlar, uzatmalar ve takılmalar.",
+        long: "Kekemelik tekrarlar, uzatmalar veya takılmalarla kendini gösterir; çoğu zaman gerginlik veya kaçınma eşlik eder. Çocuklar ve yetişkinler bizimle daha akıcı ve rahat konuşmayı ve kekemelikle açıkça başa çıkmayı öğrenir.",
+        symptoms: [
+          "Sesler ya da heceler tekrarlanır (“to-to-top”)",
+          "Sesler uzatılır (“mmmmama”) ya da kelime takılır",
+          "Gerginlik, eşlik eden hareketler ya da konuşma durumlarından kaçınma",
+        ],
+      },
+      aphasia: {
+        title: "Afazi",
+        text: "İnme veya nörolojik hastalıklar sonrasında dil ve konuşma bozuklukları.",
+        long: "İnme veya beyin hasarından sonra kelime bulmak, söyleneni anlamak, okumak veya yazmak çoğu zaman zorlaşır. Terapi bu becerileri hedefli olarak çalıştırır ve sizinle ve yakınlarınızla günlük hayatta anlaşma yolları arar.",
+        symptoms: [
+          "Kelimeler bulunamaz ya da karıştırılır",
+          "Konuşulanlar ya da yazılanlar zor anlaşılır",
+          "Okumak, yazmak ya da hesap yapmak birden zorlaşır",
+        ],
+      },
+      apraxia: {
+        title: "Konuşma apraksisi",
+        text: "Artikülasyon hareketlerinin planlanmasında bozukluk.",
+        long: "Kaslar çalışır, ancak beyin konuşma hareketlerini artık doğru planlayamaz; sesler karıştırılır veya aranır. Hareket dizilerini tek seslerden bütün cümlelere kadar adım adım çalışıyoruz.",
+        symptoms: [
+          "Konuşurken dudaklar ve dil doğru hareketi arar",
+          "Aynı kelime bir söylenebilir, bir söylenemez",
+          "Konuşma zahmetli ve kesik kesik görünür",
+        ],
+      },
+      dysarthria: {
+        title: "Dizartri",
+        text: "Ses, artikülasyon ve solunum koordinasyonunda bozukluk.",
+        long: "Parkinson, multipl skleroz gibi hastalıklarda veya inmeden sonra konuşma çoğu zaman belirsiz, kısık veya peltek duyulur. Nefes, ses ve artikülasyon egzersizleri konuşmayı yeniden daha anlaşılır kılar.",
+        symptoms: [
+          "Peltek, anlaşılmaz telaffuz",
+          "Kısık, boğuk ya da tekdüze ses",
+          "Çok yavaş ya da çok hızlı konuşma",
+        ],
+      },
+      dysphagia: {
+        title: "Disfaji",
+        text: "Farklı nedenlere bağlı yutma bozuklukları.",
+        long: "Sık sık boğulma, yemek yerken öksürme veya yiyeceğin takıldığı hissi bir yutma bozukluğuna işaret edebilir. Güvenli yutmayı çalışıyor, yiyecek kıvamı ve duruş konusunda ev ziyaretlerinde de danışmanlık veriyoruz.",
+        symptoms: [
+          "Yerken ve içerken sık sık boğazın kaçması ya da öksürme",
+          "Yemeğin boğazda takıldığı hissi",
+          "İstenmeyen kilo kaybı ya da tekrarlayan zatürre",
+        ],
+      },
+      dysphonia: {
+        title: "Disfoni",
+        text: "İşlevsel veya organik nedenli ses bozuklukları.",
+        long: "Ses kısıklığı, çabuk yorulan veya pürüzlü bir ses özellikle öğretmenler gibi çok konuşan kişileri etkiler. Sesinizin yeniden dayanıklı olması için nefes, duruş ve ses üretimi üzerinde çalışıyoruz.",
+        symptoms: [
+          "Süregelen ses kısıklığı ya da pürüzlü ses",
+          "Ses çabuk yorulur ya da kesilir",
+          "Sürekli boğaz temizleme, boğazda baskı ya da yumru hissi",
+        ],
+      },
+      facialPalsy: {
+        title: "Yüz felci",
+        text: "Yüz kaslarında mimik ve konuşmayı etkileyen felç.",
+        long: "Yüz sinirinin felci mimikleri, göz kapağının kapanmasını, konuşmayı ve çoğu zaman yeme ve içmeyi etkiler. Hedefli egzersizler ve uyarım iyileşmeyi destekler ve yüzün yeniden simetrik hareket etmesine yardımcı olur.",
+        symptoms: [
+          "Ağzın bir köşesi ya da bir göz kapağı düşük",
+          "Gülümsemek, ıslık çalmak ya da kaş çatmak yalnızca tek tarafta olur",
+          "İçerken sıvı ağzın kenarından akar",
+        ],
+      },
+    },
+  },
+
+  about: {
+    title: "Hakkımda",
+    imageAlt: "Eva Sagmeister - dil ve konuşma terapisti",
+    text1:
+      "Adım Eva Sagmeister. Devlet onaylı bir dil ve konuşma terapistiyim ve 2017'den beri bu mesleği büyük bir keyifle yapıyorum.",
+    text2:
+      "Geçtiğimiz yıllarda pek çok değerli deneyim edinme ve birçok insana dil yolculuklarında eşlik etme fırsatı buldum. Kendi muayenehanemi açarak gönülden bir dileğimi gerçekleştiriyorum: terapinin bireysel, empatik ve tamamen hastalarımın ihtiyaçlarına göre şekillendiği bir yer yaratmak.",
+    text3:
+      "Bir anne olarak sabrın, anlayışın ve empatinin ne kadar önemli olduğunu biliyorum. Bu özellikler yalnızca özel hayatımı değil, günlük çalışmamı da şekillendiriyor. Her insana açıklık, saygı ve takdirle yaklaşmak benim için önemlidir.",
+    text4:
+      "Benim için dil ve konuşma terapisi terapiden çok daha fazlasıdır: <strong>İnsanlara gelişimlerinde eşlik etme, onlara güven verme ve yollarında onları güçlendirme fırsatıdır.</strong>",
+  },
+
+  info: {
+    title: "Önemli bilgiler",
+    subtitle: "Tedavi hakkında bilmeniz gereken her şey",
+    hours: {
+      title: "Sizin için buradayız:",
+      appointments: "Randevu ile: +49 1578 5320411",
+    },
+    process: {
+      title: "Süreç",
+      text:
+        'Doktorunuz dil ve konuşma terapisi için bir reçete (Heilmittelverordnung) düzenledikten sonra randevu almak için benimle iletişime geçmeniz yeterlidir. Reçetenin geçerliliğini yitirmemesi için sağlık sigortanız, ilk terapinin düzenleme tarihinden itibaren <span class="font-medium text-gray-900" data-prescription-days></span> içinde başlamasını şart koşar. Bu nedenle uygun bir randevu bulabilmemiz için en iyisi bize zamanında ulaşmanızdır.',
+      doctorsTitle: "Bu uzman doktorlar dil ve konuşma terapisi reçetesi düzenleyebilir:",
+      doctors: {
+        generalPractitioners: "Aile hekimleri",
+        pediatricians: "Çocuk doktorları",
+        ent: "KBB uzmanları",
+        phoniatrists: "Foniatri uzmanları",
+        neurologists: "Nörologlar",
+        dentists: "Diş hekimleri",
+        orthodontists: "Ortodontistler",
+      },
+    },
+    cancellation: {
+      title: "İptaller",
+      text1:
+        'Randevunuz sizin için ayrılmıştır. Gelemeyecekseniz lütfen bize en geç <span class="font-medium text-gray-900" data-cancellation-hours></span> haber verin. Böylece randevuyu başka bir hastaya verebiliriz.',
+      text2:
+        'Lütfen dikkat: Sağlık sigortaları gelinmeyen randevuların masraflarını karşılamaz. Kısa süre önce iptal edilen veya hiç iptal edilmeyen randevularda, kaçırılan seansı <span class="font-medium text-gray-900">§ 615 BGB</span> (Alman Medeni Kanunu) uyarınca size özel olarak faturalandırmak zorundayız. Anlayışınız için teşekkür ederiz!',
+    },
+    costs: {
+      title: "Ücretler",
+      text: "Dil ve konuşma terapisi masrafları genellikle hem yasal hem de özel sağlık sigortaları tarafından karşılanır.",
+      childrenTitle: "18 yaşına kadar çocuklar",
+      childrenText: "Sağlık sigortası masrafların tamamını karşılar.",
+      adultsTitle: "Yetişkinler",
+      adultsText:
+        'Tedavi masraflarının büyük kısmını sağlık sigortası karşılar. Katkı payından muaf değilseniz yalnızca <span class="font-medium text-gray-900">%10 katkı payı</span> ve reçete başına bir kez <span class="font-medium text-gray-900">10&nbsp;€ reçete ücreti</span> ödersiniz.',
+    },
+    faq: {
+      expandAll: "Tümünü aç",
+      collapseAll: "Tümünü kapat",
+    },
+    care: {
+      title: "Bireysel bakım",
+      subtitle: "Muayenehanede veya evinizde terapi",
+      text:
+        "Sizi hem muayenehanemizde hem de gerektiğinde ev ziyaretleriyle tedavi ediyoruz. Terapinin evinizde yapılıp yapılamayacağına tedaviyi yürüten doktor karar verir ve bunu reçeteye not eder.",
+    },
+  },
+
+  time: {
+    at: "{time}",
+    range: "{start} – {end}",
+  },
+
+  form: {
+    nameRequired: "Ad soyad *",
+    phone: "Telefon",
+    email: "E-posta",
+    emailRequired: "E-posta *",
+    required: "Bu alan zorunludur.",
+    minLength: "En az {count} karakter gereklidir.",
+    invalidEmail: "Lütfen geçerli bir e-posta adresi girin.",
+    invalidPhone: "Lütfen geçerli bir telefon numarası girin.",
+    phoneOrEmail: "Lütfen bir telefon numarası veya e-posta adresi girin.",
+    privacy: "Lütfen verilerinizin işlenmesini onaylayın.",
+    fixErrors: "Lütfen işaretli alanları düzeltin.",
+    retrying: "Bağlantı kurulamadı – yeniden deneniyor ({attempt}/{retries})…",
+    sending: "Gönderiliyor...",
+  },
+
+  navigation: {
+    menuOpened: "Menü açıldı",
+    menuClosed: "Menü kapandı",
+  },
+
+  collapsible: {
+    expandedAll: "Tüm bölümler açıldı",
+    collapsedAll: "Tüm bölümler kapatıldı",
+  },
+
+  serviceExpansion: {
+    show: "Tüm tedavi alanlarını göster",
+    hide: "Tedavi alanlarını gizle",
+    expanded: "{group}: tedavi alanları gösteriliyor",
+    collapsed: "{group}: tedavi alanları gizlendi",
+  },
+
+  serviceCards: {
+    more: "Daha fazla bilgi",
+  },
+
+  serviceDialog: {
+    close: "Kapat",
+    symptoms: "Tipik belirtiler",
+    book: "Randevu talep et",
+    pager: "Diğer tedavi alanları",
+    previous: "Önceki alan: {title}",
+    next: "Sonraki alan: {title}",
+    position: "{current} / {total}",
+  },
+
+  serviceSearch: {
+    results: { other: "{count} tedavi alanı bulundu" },
+    none: "Eşleşen tedavi alanı bulunamadı. Danışmak için bizi arayabilirsiniz.",
+  },
+
+  contact: {
+    title: "İletişim",
+    intro: "En iyisi WhatsApp, telefon veya e-posta ile.",
+    whatsappLabel: "WhatsApp sohbeti başlat",
+    callLabel: "Telefonla ara",
+    call: "Ara",
+    emailLabel: "E-posta gönder",
+    email: "E-posta",
+    phone: "Tel: +49 1578 5320411",
+    address: "Muayenehane adresi",
+    route: "Yol tarifi",
+    mapPlaceholder: "Harita taslağı: Rödental'de Oeslauer Straße üzerindeki muayenehane",
+    mapConsent: "Harita OpenStreetMap'ten yüklenir.",
+    mapLoad: "Haritayı göster",
+    parking:
+      "<strong>Otopark:</strong> Binanın hemen önünde ve Oeslauer Straße boyunca ücretsiz park yerleri.",
+    accessibility:
+      "<strong>Erişilebilirlik:</strong> Basamaksız, zemin seviyesinde giriş. Gelirken yardıma ihtiyacınız olursa lütfen önceden bize haber verin.",
+    routeApp: "Harita uygulaması",
+    routeApple: "Apple Haritalar",
+  },
+
+  contactForm: {
+    title: "Mesaj yazın",
+    intro: "Size en kısa sürede geri dönüş yapacağız.",
+    message: "Mesaj *",
+    privacy:
+      'Bilgilerimin talebimin işlenmesi amacıyla saklanmasını kabul ediyorum. Daha fazla bilgi <a href="datenschutz.html" class="underline">gizlilik politikasında</a> (Almanca) yer almaktadır.',
+    submit: "Mesaj gönder",
+    success: "Mesajınız için teşekkürler! En kısa sürede size geri dönüş yapacağım.",
+    successMailto: "E-posta programınız mesajınızla açıldı. Lütfen e-postayı oradan gönderin.",
+    timeout: "Sunucu yanıt vermiyor. Lütfen daha sonra tekrar deneyin veya bizi arayın.",
+    error: "Bir hata oluştu. Lütfen daha sonra tekrar deneyin.",
+  },
+
+  spamProtection: {
+    rejected:
+      "Mesajınız otomatik olarak gönderilmiş bir mesaja benzediği için gönderilmedi. Lütfen bizi arayın veya bize e-posta yazın.",
+    tooFast: "Bu çok hızlı oldu. Lütfen bilgilerinizi kontrol edin ve mesajı birkaç saniye sonra tekrar gönderin.",
+    rateLimited: "Bize az önce birkaç mesaj gönderdiniz. Lütfen daha sonra tekrar deneyin veya bizi arayın.",
+    tooManyLinks: "Mesajınız çok fazla bağlantı içeriyor. Lütfen talebinizi bağlantı olmadan açıklayın.",
+    markupLinks: "Lütfen bağlantıları biçimlendirme olmadan, düz adres olarak yazın.",
+    linkInName: "Lütfen buraya yalnızca adınızı girin.",
+  },
+
+  openingHours: {
+    caption: "Çalışma saatleri",
+    hours: "{opens} - {closes}",
+    open: "Şu anda açık",
+    openUntil: "kapanış {time}",
+    closed: "Kapalı",
+    closedToday: "Bugün kapalı ({reason})",
+    practiceClosed: "Muayenehane kapalı",
+    opensToday: "Bugün açılış: {time}",
+    opensTomorrow: "Yarın açılış: {time}",
+    opensOnWeekday: "{weekday} açılış: {time}",
+    opensOnDate: "{date} açılış: {time}",
+  },
+
+  prescriptionDeadline: {
+    title: "Reçeteniz için süre hesaplayıcı",
+    dateLabel: "Reçetenin düzenlenme tarihi",
+    days: { one: "{count} gün", other: "{count} gün" },
+    future: "Düzenleme tarihi gelecekte. Lütfen girişinizi kontrol edin.",
+    deadline: "Terapiye en geç başlama tarihi: {date}",
+    expired: {
+      one: "Süre {count} gün önce doldu. Lütfen doktorunuzdan yeni bir reçete isteyin.",
+      other: "Süre {count} gün önce doldu. Lütfen doktorunuzdan yeni bir reçete isteyin.",
+    },
+    today: "Terapi bugün başlamalıdır – lütfen hemen bizi arayın.",
+    daysLeft: { one: "{count} gün kaldı.", other: "{count} gün kaldı." },
+    soon: "Süre yakında doluyor. Lütfen kısa süre içinde randevu alın.",
+    cta: "Hemen randevu alın",
+  },
+
+  booking: {
+    title: "Randevu talebi",
+    intro: "Birkaç adımda randevu talebiniz.",
+    progress: "İlerleme",
+    steps: {
+      audience: "Kişi",
+      concern: "Konu",
+      prescription: "Reçete",
+      slots: "Tercih edilen saatler",
+      contact: "İletişim",
+    },
+    audience: {
+      legend: "Randevu kimin için?",
+      child: "Çocuğum için",
+      adult: "Kendim / bir yetişkin için",
+    },
+    concern: {
+      legend: "Konu nedir?",
+      label: "Tedavi alanı",
+    },
+    prescription: {
+      legend: "Reçeteniz var mı?",
+      yes: "Evet",
+      no: "Hayır, henüz yok",
+      dateLabel: "Düzenlenme tarihi",
+    },
+    slots: {
+      legend: "Size ne zaman uygun?",
+      notesLabel: "Gün veya saatlerle ilgili diğer istekler (isteğe bağlı)",
+    },
+    contact: {
+      legend: "Size nasıl ulaşabiliriz?",
+      hint: "Lütfen bir telefon numarası veya e-posta adresi girin.",
+      privacy:
+        'Bilgilerimin randevu talebimin işlenmesi amacıyla saklanmasını kabul ediyorum. Daha fazla bilgi <a href="datenschutz.html" class="underline">gizlilik politikasında</a> (Almanca) yer almaktadır.',
+    },
+    back: "Geri",
+    next: "İleri",
+    submit: "Talebi gönder",
+    choose: "Lütfen seçin",
+    otherConcern: "Diğer / henüz bilmiyorum",
+    audiences: { child: "Çocuk", adult: "Yetişkin" },
+    errors: {
+      option: "Lütfen bir seçenek belirleyin.",
+      concern: "Lütfen bir tedavi alanı seçin.",
+      prescriptionDate: "Lütfen geçerli bir düzenlenme tarihi girin.",
+      slots: "Lütfen en az bir randevu seçin veya tercih ettiğiniz saatleri yazın.",
+    },
+    prescriptionExpired:
+      "Bu reçetenin süresi dolmuş. Lütfen yeni bir reçete alın – yine de şimdiden randevu talep edebilirsiniz.",
+    prescriptionDeadline: "Terapi en geç {date} tarihinde başlamalıdır.",
+    noSlots:
+      "Şu anda boş randevu gösteremiyoruz. Tercih ettiğiniz saatleri yazmanız yeterli – size bir öneriyle geri döneceğiz.",
+    chooseSlots: "Size uygun en fazla {count} randevu seçin.",
+    afterDeadline: "{slot} (süre dolduktan sonra)",
+    submitError: "Talebiniz gönderilemedi. Lütfen daha sonra tekrar deneyin veya bizi arayın.",
+    confirmation: {
+      title: "Teşekkürler – talebiniz bize ulaştı.",
+      titleMailto: "Neredeyse tamam!",
+      intro:
+        "Kısa süre içinde randevu onayı için size geri döneceğiz. Randevu ancak onayımızdan sonra kesinleşir.",
+      introMailto: "E-posta programınız talebinizle açıldı. Lütfen e-postayı oradan gönderin.",
+      audience: "Kişi",
+      concern: "Konu",
+      prescription: "Reçete",
+      issuedOn: "{date} tarihinde düzenlendi",
+      noPrescription: "henüz yok",
+      slots: "Tercih edilen saatler",
+      contact: "İletişim",
+      calendar: "Tercih ettiğiniz saatleri kaydedin (onaylanmamış olarak işaretli):",
+      addToCalendar: "Takvime ekle: {slot}",
+      restart: "Yeni talep oluştur",
+    },
+  },
+
+  cancellation: {
+    title: "Randevuyu online iptal et",
+    name: "Hastanın adı soyadı *",
+    date: "Randevu tarihi *",
+    time: "Saat *",
+    reason: "İptal nedeni *",
+    lateNotice:
+      "<strong>Kısa süreli iptal:</strong> Süre dolduğu için kaçırılan seansı § 615 BGB (Alman Medeni Kanunu) uyarınca size özel olarak faturalandırabiliriz. Sağlık sigortaları bu masrafları karşılamaz.",
+    feeAcknowledged: "İptal ücretine ilişkin bilgiyi okudum.",
+    privacy:
+      'Bilgilerimin iptalin işlenmesi amacıyla saklanmasını kabul ediyorum. Daha fazla bilgi <a href="datenschutz.html" class="underline">gizlilik politikasında</a> (Almanca) yer almaktadır.',
+    submit: "Randevuyu iptal et",
+    dateTime: "{date}, {time}",
+    statusOk: "{deadline} tarihine kadar ücretsiz iptal mümkündür.",
+    statusLate: "Ücretsiz iptal süresi {deadline} tarihinde doldu.",
+    statusPast: "Bu randevu geçmişte kaldı. Lütfen tarih ve saati kontrol edin.",
+    hours: { one: "{count} saat önceden", other: "{count} saat önceden" },
+    errors: {
+      date: "Lütfen randevunuzun tarihini girin.",
+      time: "Lütfen randevunuzun saatini girin.",
+      past: "Bu randevu geçmişte kaldı.",
+      feeAcknowledged: "Lütfen iptal ücretine ilişkin bilgiyi onaylayın.",
+    },
+    submitError:
+      "İptaliniz gönderilemedi. Randevunun zamanında boşaltılabilmesi için lütfen bizi arayın.",
+    success: "Teşekkürler – {appointment} tarihli randevunuz iptal edildi.",
+    successMailto: "E-posta programınız iptal talebinizle açıldı. Lütfen e-postayı oradan gönderin.",
+  },
+
+  practiceFiles: {
+    saveContact: "Kişiyi kaydet",
+    summaryRequested: "Dil ve konuşma terapisi – randevu talebi (onaylanmadı)",
+    requested: "Talep edilen randevu – ancak onayımızdan sonra kesinleşir.",
+    cancellationRule:
+      "Lütfen randevuları en geç {hours} saat önceden iptal edin: {phone} numaralı telefondan, {email} adresine e-postayla veya {url} üzerinden online.",
+    fee:
+      "Kısa süre önce iptal edilen veya hiç iptal edilmeyen randevularda kaçırılan seansı § 615 BGB uyarınca özel olarak faturalandırırız; sağlık sigortaları bu masrafları karşılamaz.",
+  },
+
+  consent: {
+    settingsTitle: "Gizlilik ayarları",
+    settingsIntro:
+      "Bu web sitesi çerez kullanmaz. Harici hizmetler ancak siz onay verdikten sonra yüklenir veya açılır. Seçiminiz yalnızca tarayıcınızda saklanır ve burada istediğiniz zaman değiştirilebilir.",
+    requestTitle: "{service} ile devam edilsin mi?",
+    provider: "Sağlayıcı: {provider}",
+    privacyPolicy: "Sağlayıcının gizlilik politikası",
+    remember: "Seçimimi hatırla",
+    accept: "Onayla ve devam et",
+    save: "Seçimi kaydet",
+    cancel: "İptal",
+    saved: "Gizlilik ayarlarınız kaydedildi.",
+    services: {
+      whatsapp:
+        "WhatsApp'ı açtığınızda IP adresiniz, cihazınıza ilişkin bilgiler ve – yazmaya başladığınızda – telefon numaranız ile mesajlarınız WhatsApp'a (Meta) aktarılır; bu aktarım ABD'ye de yapılabilir. Sağlığınızla ilgili bilgileri bize lütfen telefonla veya iletişim formu aracılığıyla iletin.",
+      openstreetmap:
+        "Haritayı göstermek için harita görüntüleri OpenStreetMap Foundation sunucularından yüklenir. Bu sırada IP adresiniz ve tarayıcınıza ilişkin bilgiler Birleşik Krallık'a da aktarılır.",
+    },
+  },
+
+  accessibility: {
+    title: "Okuma yardımları",
+    intro: "Sayfanın görünümünü ayarlayın. Seçiminiz yalnızca bu tarayıcıda saklanır.",
+    textSize: "Yazı boyutu",
+    textSizes: {
+      normal: "Normal",
+      large: "Büyük",
+      larger: "Daha büyük",
+      largest: "Çok büyük",
+    },
+    contrast: "Yüksek kontrast",
+    font: "Disleksi dostu yazı tipi (OpenDyslexic)",
+    lineSpacing: "Daha fazla satır aralığı",
+    motion: "Hareketleri durdur",
+    reset: "Sıfırla",
+    close: "Kapat",
+    resetDone: "Okuma yardımları sıfırlandı.",
+  },
+
+  map: {
+    label: "Muayenehanenin konumunu gösteren harita",
+    error: "Harita yüklenemedi. Lütfen aşağıdaki yol tarifi bağlantılarını kullanın.",
+  },
+
+  offline: {
+    title: "İnternet bağlantısı yok",
+    text: "Bu sayfa bağlantı olmadan kullanılamıyor. Telefon numaramızı, adresimizi ve çalışma saatlerimizi yine de burada bulabilirsiniz.",
+    retry: "Tekrar dene",
+    ready: "Web sitesi artık internet bağlantısı olmadan da kullanılabilir.",
+    update: "Web sitesinin yeni bir sürümü mevcut.",
+    reload: "Yeniden yükle",
+    dismiss: "Daha sonra",
+  },
+
+  notFound: {
+    title: "Sayfa bulunamadı",
+    text: "Bu adres mevcut değil veya artık mevcut değil. Belki aşağıdaki bağlantılardan biri size yardımcı olur.",
+    home: "Ana sayfaya",
+    services: "Hizmetler",
+    contact: "İletişim ve randevu talebi",
+  },
+
+  footer: {
+    practice: "Dil ve Konuşma Terapisi",
+    text: "Çocuklar ve yetişkinler için bireysel bakımla profesyonel dil ve konuşma terapisi.",
+    quickLinks: "Hızlı bağlantılar",
+    navLabel: "Alt bilgi menüsü",
+    copyright: "© 2025 Eva Sagmeister Dil ve Konuşma Terapisi Muayenehanesi. Tüm hakları saklıdır.",
+    privacy: "Gizlilik",
+    imprint: "Künye",
+    consentSettings: "Gizlilik ayarları",
+  },
+
+  content: {
+    "Nach Vereinbarung": "Randevu ile",
+    Betriebsurlaub: "Muayenehane tatili",
+    Neujahr: "Yılbaşı",
+    "Heilige Drei Könige": "Epifani",
+    Karfreitag: "Kutsal Cuma",
+    Ostermontag: "Paskalya Pazartesisi",
+    "Tag der Arbeit": "Emek ve Dayanışma Günü",
+    "Christi Himmelfahrt": "İsa'nın Göğe Yükselişi",
+    Pfingstmontag: "Pentekost Pazartesisi",
+    Fronleichnam: "Corpus Christi Bayramı",
+    "Mariä Himmelfahrt": "Meryem'in Göğe Kabulü",
+    "Tag der Deutschen Einheit": "Alman Birliği Günü",
+    Allerheiligen: "Azizler Günü",
+    "1. Weihnachtsfeiertag": "Noel",
+    "2. Weihnachtsfeiertag": "Noel'in ikinci günü",
+  },
+};
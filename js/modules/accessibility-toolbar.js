@@ -0,0 +1,175 @@
+import { Module } from "../core/module.js";
+import { t } from "../i18n/index.js";
+import {
+  PREFERENCES,
+  applyPreferences,
+  defaultPreferences,
+  loadPreferences,
+  savePreferences,
+} from "../services/accessibility.js";
+import { element } from "../utils/dom.js";
+
+// On/off preferences and the value they take when switched on
+const SWITCHES = {
+  contrast: "high",
+  font: "dyslexia",
+  lineSpacing: "wide",
+  motion: "paused",
+};
+
+/**
+ * Accessibility Toolbar Module
+ * Floating "Lesehilfen" panel with larger text, high contrast, a
+ * dyslexia-friendly font, more line spacing and paused motion. Choices take
+ * effect immediately, are stored in this browser only and reach other modules
+ * as `accessibility:change`.
+ */
+export class AccessibilityToolbar extends Module {
+  constructor(app) {
+    super(app);
+    this.preferences = loadPreferences();
+    this.container = null;
+    this.toggle = null;
+    this.panel = null;
+  }
+
+  init() {
+    // Normally done by the inline script in the head already
+    applyPreferences(this.preferences);
+
+    this.toggle = element(
+      "button",
+      {
+        type: "button",
+        class: "a11y-toolbar__toggle",
+        "aria-expanded": "false",
+        "aria-controls": "a11y-panel",
+      },
+      element("i", { class: "fas fa-universal-access", "aria-hidden": "true" }),
+      element("span", { class: "a11y-toolbar__label sr-only sm:not-sr-only" })
+    );
+    this.panel = element("section", {
+      id: "a11y-panel",
+      class: "a11y-toolbar__panel",
+      "aria-labelledby": "a11y-title",
+      hidden: true,
+    });
+    this.container = element("div", { class: "a11y-toolbar" }, this.toggle, this.panel);
+    document.body.append(this.container);
+    this.render();
+
+    this.listen(this.toggle, "click", () => this.setOpen(this.panel.hidden));
+    this.listen(this.panel, "change", (e) => this.handleChange(e.target));
+    this.listen(this.panel, "click", (e) => {
+      const action = e.target.closest("[data-a11y-action]");
+      if (action && action.dataset.a11yAction === "reset") {
+        this.reset();
+      } else if (action) {
+        this.setOpen(false, { returnFocus: true });
+      }
+    });
+    this.listen(this.container, "keydown", (e) => {
+      if (e.key === "Escape" && !this.panel.hidden) {
+        e.stopPropagation();
+        this.setOpen(false, { returnFocus: true });
+      }
+    });
+
+    this.on("i18n:change", () => this.render());
+  }
+
+  destroy() {
+    super.destroy();
+    if (this.container) {
+      this.container.remove();
+    }
+  }
+
+  setOpen(open, { returnFocus = false } = {}) {
+    this.panel.hidden = !open;
+    this.toggle.setAttribute("aria-expanded", String(open));
+
+    if (open) {
+      this.panel.querySelector("input[name='textSize']:checked").focus();
+    } else if (returnFocus) {
+      this.toggle.focus();
+    }
+  }
+
+  /**
+   * (Re-)build the panel content for the current language and preferences
+   */
+  render() {
+    this.toggle.querySelector(".a11y-toolbar__label").textContent = t("accessibility.title");
+    this.toggle.setAttribute("title", t("accessibility.title"));
+
+    const sizes = PREFERENCES.textSize.map((size) => {
+      const radio = element("input", { type: "radio", name: "textSize", value: size });
+      radio.checked = this.preferences.textSize === size;
+      return element(
+        "label",
+        { class: "a11y-toolbar__option" },
+        radio,
+        t(`accessibility.textSizes.${size}`)
+      );
+    });
+
+    const switches = Object.entries(SWITCHES).map(([name, value]) => {
+      const checkbox = element("input", { type: "checkbox", name, value });
+      checkbox.checked = this.preferences[name] === value;
+      return element("label", { class: "a11y-toolbar__option" }, checkbox, t(`accessibility.${name}`));
+    });
+
+    this.panel.replaceChildren(
+      element("h2", { id: "a11y-title", class: "a11y-toolbar__title" }, t("accessibility.title")),
+      element("p", { class: "a11y-toolbar__text" }, t("accessibility.intro")),
+      element(
+        "fieldset",
+        { class: "a11y-toolbar__sizes" },
+        element("legend", { class: "a11y-toolbar__legend" }, t("accessibility.textSize")),
+        ...sizes
+      ),
+      ...switches,
+      element(
+        "div",
+        { class: "a11y-toolbar__actions" },
+        element(
+          "button",
+          { type: "button", class: "a11y-toolbar__button", "data-a11y-action": "reset" },
+          t("accessibility.reset")
+        ),
+        element(
+          "button",
+          { type: "button", class: "a11y-toolbar__button", "data-a11y-action": "close" },
+          t("accessibility.close")
+        )
+      )
+    );
+  }
+
+  handleChange(input) {
+    if (!(input.name in PREFERENCES)) {
+      return;
+    }
+
+    let { value } = input;
+    if (input.type === "checkbox" && !input.checked) {
+      value = PREFERENCES[input.name][0];
+    }
+    this.update({ ...this.preferences, [input.name]: value });
+  }
+
+  reset() {
+    this.update(defaultPreferences());
+    this.render();
+    this.panel.querySelector("input").focus();
+    this.announce(t("accessibility.resetDone"));
+  }
+
+  update(preferences) {
+    this.preferences = preferences;
+    applyPreferences(preferences);
+    savePreferences(preferences);
+    this.emit("accessibility:change", { preferences });
+  }
+}
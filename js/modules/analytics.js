@@ -0,0 +1,145 @@
+import { Module } from "../core/module.js";
+import { config } from "../config.js";
+import { i18n } from "../i18n/index.js";
+
+// Contact links counted as calls to action, by the kind of contact they start
+const CTA_KINDS = {
+  "tel:": "phone",
+  "mailto:": "email",
+};
+// Bus events of the forms, as steps of `form-step`
+const FORM_STEPS = {
+  "contact-form:start": ["contact", "start"],
+  "contact-form:submit": ["contact", "submit"],
+  "contact-form:success": ["contact", "success"],
+  "contact-form:error": ["contact", "error"],
+  "contact-form:spam": ["contact", "spam"],
+  "booking-wizard:submit": ["booking", "submit"],
+  "booking-wizard:success": ["booking", "success"],
+  "booking-wizard:error": ["booking", "error"],
+  "booking-wizard:spam": ["booking", "spam"],
+};
+
+/**
+ * Analytics Module
+ * First-party usage statistics without cookies or third parties. Events are
+ * anonymous – an event name, the page path, the language and a few details
+ * such as which button was used – and go to `config.analytics.endpoint` (or
+ * the page's <meta name="analytics-endpoint">, which the dev server adds) with
+ * navigator.sendBeacon, so they are delivered even while the page unloads.
+ * Nothing is stored on the device and no visitor id exists, so events cannot
+ * be linked to each other or to a person.
+ *
+ * Visitors who ask not to be tracked (Do Not Track, Global Privacy Control)
+ * send nothing.
+ *
+ * Events:
+ * - page-view
+ * - cta { target: "whatsapp"|"phone"|"email", section }
+ * - panel-toggle { group, panel, expanded } (service panels, FAQ)
+ * - service-dialog { service }
+ * - form-step { form: "contact"|"booking", step, fields } (fields: names of
+ *   the invalid fields when a submit was refused)
+ * - not-found { from } on the 404 page ([data-not-found])
+ */
+export class Analytics extends Module {
+  constructor(app) {
+    super(app);
+    this.endpoint = analyticsEndpoint();
+  }
+
+  init() {
+    if (!this.endpoint || !trackingAllowed()) {
+      return;
+    }
+
+    this.track("page-view");
+    if (document.querySelector("[data-not-found]")) {
+      this.track("not-found", { from: referrerPath() });
+    }
+
+    // Capture phase: the consent dialog stops WhatsApp links before they bubble
+    this.listen(document, "click", (e) => this.handleClick(e), { capture: true });
+
+    this.on("collapsible:toggle", ({ group, panelId, expanded }) => {
+      this.track("panel-toggle", { group, panel: panelId, expanded });
+    });
+    this.on("service-dialog:open", ({ service }) => this.track("service-dialog", { service }));
+    // The booking wizard shows its first step while the page loads; only the
+    // steps visitors go to count
+    this.on("app:ready", () => {
+      this.on("booking-wizard:step", ({ name }) => this.track("form-step", { form: "booking", step: name }));
+    });
+    this.on("contact-form:invalid", ({ fields }) => {
+      this.track("form-step", { form: "contact", step: "invalid", fields: fields.join(",") });
+    });
+    Object.entries(FORM_STEPS).forEach(([type, [form, step]]) => {
+      this.on(type, () => this.track("form-step", { form, step }));
+    });
+  }
+
+  handleClick(e) {
+    const link = e.target.closest("a[href]");
+    const target = link ? ctaTarget(link) : null;
+    if (!target) {
+      return;
+    }
+
+    const section = link.closest("section[id], footer");
+    this.track("cta", { target, section: section ? section.id || section.localName : "" });
+  }
+
+  /**
+   * Send one event
+   * @param {string} event
+   * @param {Object<string, string|boolean>} [props]
+   */
+  track(event, props = {}) {
+    // Only the path: query strings and hashes may carry what visitors typed
+    const body = JSON.stringify({ event, page: location.pathname, lang: i18n.language, props });
+
+    // Sent as text/plain, which keeps it a simple request, also for an
+    // endpoint on another host
+    if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, body)) {
+      return;
+    }
+
+    fetch(this.endpoint, { method: "POST", body, keepalive: true, credentials: "omit" }).catch(() => {});
+  }
+}
+
+/**
+ * Collector URL: a page may name its own, otherwise the config decides
+ * @returns {string|null} null when analytics is off
+ */
+function analyticsEndpoint() {
+  const meta = document.querySelector("meta[name='analytics-endpoint']");
+  if (meta) {
+    return meta.content || null;
+  }
+  return config.analytics ? config.analytics.endpoint : null;
+}
+
+function trackingAllowed() {
+  return !(navigator.doNotTrack === "1" || window.doNotTrack === "1" || navigator.globalPrivacyControl === true);
+}
+
+function ctaTarget(link) {
+  if (link.dataset.consent === "whatsapp") {
+    return "whatsapp";
+  }
+  return CTA_KINDS[link.protocol] || null;
+}
+
+/**
+ * Path of the page on this site that linked to the current one, "" for
+ * other sites and direct visits
+ */
+function referrerPath() {
+  try {
+    const referrer = new URL(document.referrer);
+    return referrer.origin === location.origin ? referrer.pathname : "";
+  } catch {
+    return "";
+  }
+}
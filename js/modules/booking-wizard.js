@@ -0,0 +1,677 @@
+import { Module } from "../core/module.js";
+import { config } from "../config.js";
+import { i18n, t } from "../i18n/index.js";
+import { fetchAvailability } from "../services/availability.js";
+import { SpamGuard, spamNoteKey } from "../services/spam-protection.js";
+import { createSubmissionService } from "../services/submission.js";
+import { formatDate, parseIsoDate, todayIn } from "../utils/date.js";
+import {
+  clearFieldError,
+  clearFormMessages,
+  isValidEmail,
+  isValidPhone,
+  showFieldError,
+  showFormMessage,
+} from "../utils/form.js";
+import { calculatePrescriptionDeadline } from "./prescription-deadline.js";
+
+// Labels are for the practice and stay German; see booking.audiences for the UI
+const AUDIENCES = {
+  child: { label: "Kind", panelId: "children-services" },
+  adult: { label: "Erwachsene Person", panelId: "adults-services" },
+};
+
+const OTHER_CONCERN = "Sonstiges / weiß ich noch nicht";
+
+/**
+ * Booking Wizard Module
+ * Multi-step appointment request: audience, concern, prescription,
+ * preferred slots from the availability feed, contact details. Requests
+ * get the same spam protection as the contact form.
+ */
+export class BookingWizard extends Module {
+  constructor(app) {
+    super(app);
+    this.root = document.getElementById("booking-wizard");
+    this.form = document.getElementById("booking-form");
+    this.confirmation = document.getElementById("booking-confirmation");
+    this.steps = [];
+    this.indicators = [];
+    this.currentStep = 0;
+    this.slots = [];
+    this.isSubmitting = false;
+    this.timeZone = config.practice.timeZone;
+    this.settings = config.booking;
+    this.guard = null;
+    this.submission = createSubmissionService(config.submission);
+  }
+
+  init() {
+    if (!this.root || !this.form || !this.confirmation) {
+      console.warn("Booking wizard elements not found");
+      return;
+    }
+
+    this.findElements();
+    this.guard = new SpamGuard(this.form.querySelector("[data-honeypot]"), config.spamProtection);
+    this.bindEvents();
+    this.root.classList.remove("hidden");
+    this.showStep(0, { focus: false });
+
+    this.on("i18n:change", () => {
+      const audience = this.value("audience");
+      if (audience) this.populateConcerns(audience);
+      this.updatePrescriptionHint();
+      this.renderSlots();
+    });
+
+    // "Termin anfragen" in the detail dialog of a treatment area
+    this.on("service-dialog:book", ({ panelId, concern }) => this.preselect(panelId, concern));
+
+    // Load slots in the background so the rest of the app is not held up
+    this.loadSlots();
+  }
+
+  findElements() {
+    this.steps = Array.from(this.form.querySelectorAll("[data-step]"));
+    this.indicators = Array.from(this.root.querySelectorAll("[data-step-indicator]"));
+    this.prevBtn = this.form.querySelector("[data-wizard-prev]");
+    this.nextBtn = this.form.querySelector("[data-wizard-next]");
+    this.submitBtn = this.form.querySelector("[data-wizard-submit]");
+    this.fields = {
+      concern: this.form.querySelector("#booking-concern"),
+      prescriptionDate: this.form.querySelector("#booking-prescription-date"),
+      notes: this.form.querySelector("#booking-notes"),
+      name: this.form.querySelector("#booking-name"),
+      phone: this.form.querySelector("#booking-phone"),
+      email: this.form.querySelector("#booking-email"),
+      privacy: this.form.querySelector("#booking-privacy"),
+    };
+    this.prescriptionDetails = this.form.querySelector("#booking-prescription-details");
+    this.prescriptionHint = this.form.querySelector("#booking-prescription-hint");
+    this.slotList = this.form.querySelector("#booking-slots");
+    this.slotStatus = this.form.querySelector("#booking-slots-status");
+  }
+
+  bindEvents() {
+    this.listen(this.prevBtn, "click", () => this.showStep(this.currentStep - 1));
+    this.listen(this.nextBtn, "click", () => this.next());
+
+    this.listen(this.form, "submit", (e) => {
+      e.preventDefault();
+      this.handleSubmit();
+    });
+
+    // Enter in a text field advances instead of submitting early
+    this.listen(this.form, "keydown", (e) => {
+      if (e.key === "Enter" && e.target.tagName === "INPUT" && this.currentStep < this.steps.length - 1) {
+        e.preventDefault();
+        this.next();
+      }
+    });
+
+    this.listen(this.form, "change", (e) => {
+      const { name } = e.target;
+      if (name === "audience") {
+        this.populateConcerns(e.target.value);
+      }
+      if (name === "prescription") {
+        this.prescriptionDetails.classList.toggle("hidden", e.target.value !== "yes");
+        this.updatePrescriptionHint();
+        this.renderSlots();
+      }
+      if (name === "slots") {
+        this.limitSlotSelection();
+      }
+      this.clearStepErrors(this.steps[this.currentStep]);
+    });
+
+    this.listen(this.fields.prescriptionDate, "input", () => {
+      this.updatePrescriptionHint();
+      this.renderSlots();
+    });
+  }
+
+  /* ---------------------------------------------------------------------
+     Step handling
+     --------------------------------------------------------------------- */
+
+  next() {
+    if (this.validateStep(this.currentStep)) {
+      this.showStep(this.currentStep + 1);
+    }
+  }
+
+  showStep(index, { focus = true } = {}) {
+    const last = this.steps.length - 1;
+    this.currentStep = Math.max(0, Math.min(index, last));
+
+    this.steps.forEach((step, i) => {
+      const isCurrent = i === this.currentStep;
+      step.classList.toggle("hidden", !isCurrent);
+      step.setAttribute("aria-hidden", String(!isCurrent));
+    });
+
+    this.indicators.forEach((item, i) => {
+      item.classList.toggle("is-complete", i < this.currentStep);
+      if (i === this.currentStep) {
+        item.setAttribute("aria-current", "step");
+      } else {
+        item.removeAttribute("aria-current");
+      }
+    });
+
+    this.prevBtn.classList.toggle("hidden", this.currentStep === 0);
+    this.nextBtn.classList.toggle("hidden", this.currentStep === last);
+    this.submitBtn.classList.toggle("hidden", this.currentStep !== last);
+
+    if (focus) {
+      const legend = this.steps[this.currentStep].querySelector("legend");
+      if (legend) legend.focus();
+    }
+
+    this.emit("booking-wizard:step", {
+      step: this.currentStep + 1,
+      name: this.steps[this.currentStep].id.replace("booking-step-", ""),
+    });
+  }
+
+  clearStepErrors(step) {
+    step.querySelectorAll(".error").forEach((el) => clearFieldError(el));
+    clearFormMessages(this.form);
+  }
+
+  validateStep(index) {
+    const step = this.steps[index];
+    this.clearStepErrors(step);
+
+    const errors = this.collectErrors(step);
+    errors.forEach(([target, message]) => showFieldError(target, message));
+
+    if (errors.length > 0) {
+      const [target] = errors[0];
+      const focusTarget = target.matches("input, select, textarea") ? target : target.querySelector("input");
+      if (focusTarget) focusTarget.focus();
+    }
+
+    return errors.length === 0;
+  }
+
+  /**
+   * @returns {Array<[Element, string]>} invalid fields (or option groups) with messages
+   */
+  collectErrors(step) {
+    const errors = [];
+    const require = (condition, target, message) => {
+      if (!condition) errors.push([target, message]);
+    };
+
+    switch (step.id) {
+      case "booking-step-audience":
+        require(this.value("audience"), step.querySelector('[data-group="audience"]'), t("booking.errors.option"));
+        break;
+
+      case "booking-step-concern":
+        require(this.fields.concern.value, this.fields.concern, t("booking.errors.concern"));
+        break;
+
+      case "booking-step-prescription": {
+        const hasPrescription = this.value("prescription");
+        require(hasPrescription, step.querySelector('[data-group="prescription"]'), t("booking.errors.option"));
+        if (hasPrescription === "yes") {
+          const issueDate = this.fields.prescriptionDate.value;
+          const isValidDate = parseIsoDate(issueDate) && issueDate <= todayIn(this.timeZone);
+          require(isValidDate, this.fields.prescriptionDate, t("booking.errors.prescriptionDate"));
+        }
+        break;
+      }
+
+      case "booking-step-slots":
+        require(
+          this.selectedSlots().length > 0 || this.fields.notes.value.trim(),
+          this.slotList,
+          t("booking.errors.slots")
+        );
+        break;
+
+      case "booking-step-contact": {
+        const name = this.fields.name.value.trim();
+        const phone = this.fields.phone.value.trim();
+        const email = this.fields.email.value.trim();
+        require(name.length >= 2, this.fields.name, name ? t("form.minLength", { count: 2 }) : t("form.required"));
+        require(phone || email, this.fields.phone, t("form.phoneOrEmail"));
+        if (phone) require(isValidPhone(phone), this.fields.phone, t("form.invalidPhone"));
+        if (email) require(isValidEmail(email), this.fields.email, t("form.invalidEmail"));
+        require(this.fields.privacy.checked, this.fields.privacy, t("form.privacy"));
+        break;
+      }
+    }
+
+    return errors;
+  }
+
+  value(name) {
+    const checked = this.form.querySelector(`input[name="${name}"]:checked`);
+    return checked ? checked.value : "";
+  }
+
+  /* ---------------------------------------------------------------------
+     Step content
+     --------------------------------------------------------------------- */
+
+  /**
+   * Offer the treatment areas listed in the matching services panel.
+   * Values are the German titles the practice works with, labels follow
+   * the page language.
+   */
+  populateConcerns(audience) {
+    const panel = document.getElementById(AUDIENCES[audience].panelId);
+    const titles = panel
+      ? Array.from(panel.querySelectorAll(".compact-title"), (el) => [i18n.sourceText(el), el.textContent.trim()])
+      : [];
+    const concerns = new Map([...titles, [OTHER_CONCERN, t("booking.otherConcern")]]);
+    const previous = this.fields.concern.value;
+
+    this.fields.concern.innerHTML = "";
+    this.fields.concern.append(new Option(t("booking.choose"), ""));
+    concerns.forEach((label, concern) => {
+      this.fields.concern.append(new Option(label, concern, false, concern === previous));
+    });
+  }
+
+  /**
+   * Start a request for a treatment area chosen elsewhere on the page: fill
+   * in audience and concern and show the concern step to confirm them
+   */
+  preselect(panelId, concern) {
+    const audience = Object.keys(AUDIENCES).find((key) => AUDIENCES[key].panelId === panelId);
+    if (!audience || this.isSubmitting) {
+      return;
+    }
+
+    // A new request after one that was sent
+    if (this.form.classList.contains("hidden")) {
+      this.reset();
+    }
+
+    this.form.querySelector(`input[name="audience"][value="${audience}"]`).checked = true;
+    this.populateConcerns(audience);
+    this.fields.concern.value = concern;
+    this.clearStepErrors(this.steps[this.currentStep]);
+    this.showStep(this.steps.findIndex((step) => step.id === "booking-step-concern"));
+  }
+
+  prescriptionDeadline() {
+    if (this.value("prescription") !== "yes") {
+      return null;
+    }
+    return calculatePrescriptionDeadline(this.fields.prescriptionDate.value, todayIn(this.timeZone));
+  }
+
+  updatePrescriptionHint() {
+    const result = this.prescriptionDeadline();
+    this.prescriptionHint.className = "booking-wizard__hint";
+
+    if (!result || result.status === "future") {
+      this.prescriptionHint.textContent = "";
+      return;
+    }
+
+    if (result.status === "expired") {
+      this.prescriptionHint.classList.add("booking-wizard__hint--warning");
+      this.prescriptionHint.textContent = t("booking.prescriptionExpired");
+      return;
+    }
+
+    if (result.status === "soon") {
+      this.prescriptionHint.classList.add("booking-wizard__hint--warning");
+    }
+    this.prescriptionHint.textContent = t("booking.prescriptionDeadline", { date: i18n.formatDate(result.deadline) });
+  }
+
+  async loadSlots() {
+    try {
+      this.slots = await fetchAvailability({
+        url: this.settings.availabilityUrl,
+        timeZone: this.timeZone,
+      });
+    } catch (error) {
+      console.warn("Availability could not be loaded:", error);
+      this.slots = [];
+    }
+    this.renderSlots();
+  }
+
+  renderSlots() {
+    const selected = new Set(this.selectedSlots());
+    const deadline = this.prescriptionDeadline();
+    const lastDay = deadline && deadline.status !== "expired" ? deadline.deadline : null;
+
+    this.slotList.innerHTML = "";
+
+    if (this.slots.length === 0) {
+      this.slotStatus.textContent = t("booking.noSlots");
+      return;
+    }
+
+    this.slotStatus.textContent = t("booking.chooseSlots", { count: this.settings.maxSlots });
+
+    const byDay = new Map();
+    this.slots.forEach((slot) => {
+      const day = slot.start.slice(0, 10);
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(slot);
+    });
+
+    byDay.forEach((slots, day) => {
+      const group = document.createElement("div");
+      group.className = "booking-wizard__slot-day";
+
+      const heading = document.createElement("p");
+      heading.className = "booking-wizard__slot-date";
+      heading.textContent = i18n.formatDate(day, { year: undefined });
+      group.appendChild(heading);
+
+      slots.forEach((slot) => {
+        const afterDeadline = lastDay && day > lastDay;
+        const label = document.createElement("label");
+        label.className = "booking-wizard__slot";
+
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.name = "slots";
+        input.value = slot.start;
+        input.checked = selected.has(slot.start) && !afterDeadline;
+        input.disabled = Boolean(afterDeadline);
+        input.dataset.afterDeadline = String(Boolean(afterDeadline));
+
+        const text = document.createElement("span");
+        const time = displaySlotTime(slot);
+        text.textContent = afterDeadline ? t("booking.afterDeadline", { slot: time }) : time;
+
+        label.append(input, text);
+        group.appendChild(label);
+      });
+
+      this.slotList.appendChild(group);
+    });
+
+    this.limitSlotSelection();
+  }
+
+  selectedSlots() {
+    return Array.from(this.form.querySelectorAll('input[name="slots"]:checked'), (input) => input.value);
+  }
+
+  limitSlotSelection() {
+    const isFull = this.selectedSlots().length >= this.settings.maxSlots;
+    this.slotList.querySelectorAll('input[name="slots"]:not(:checked)').forEach((input) => {
+      input.disabled = isFull || input.dataset.afterDeadline === "true";
+    });
+  }
+
+  /* ---------------------------------------------------------------------
+     Submission
+     --------------------------------------------------------------------- */
+
+  buildRequest() {
+    const audience = this.value("audience");
+    const deadline = this.prescriptionDeadline();
+    const selected = this.selectedSlots();
+    const slots = this.slots.filter((slot) => selected.includes(slot.start));
+    const data = {
+      audience,
+      concern: this.fields.concern.value,
+      prescription: {
+        available: this.value("prescription") === "yes",
+        issueDate: deadline ? this.fields.prescriptionDate.value : null,
+        startDeadline: deadline ? deadline.deadline : null,
+      },
+      slots,
+      notes: this.fields.notes.value.trim(),
+      name: this.fields.name.value.trim(),
+      phone: this.fields.phone.value.trim(),
+      email: this.fields.email.value.trim(),
+      language: i18n.language,
+    };
+
+    const summary = [
+      `Person: ${AUDIENCES[audience].label}`,
+      `Anliegen: ${data.concern}`,
+      `Verordnung: ${data.prescription.available ? `ja, ausgestellt am ${formatDate(data.prescription.issueDate)}` : "nein"}`,
+      data.prescription.startDeadline ? `Therapiebeginn spätestens: ${formatDate(data.prescription.startDeadline)}` : null,
+      `Wunschtermine: ${slots.length > 0 ? slots.map(formatSlot).join("; ") : "-"}`,
+      data.notes ? `Weitere Wünsche: ${data.notes}` : null,
+      "",
+      `Name: ${data.name}`,
+      `Telefon: ${data.phone || "-"}`,
+      `E-Mail: ${data.email || "-"}`,
+      `Sprache: ${i18n.languageName()}`,
+    ].filter((line) => line !== null);
+
+    return {
+      type: "booking",
+      subject: `Terminanfrage: ${data.concern} (${AUDIENCES[audience].label})`,
+      summary: summary.join("\n"),
+      data,
+    };
+  }
+
+  async handleSubmit() {
+    if (this.isSubmitting) {
+      return;
+    }
+
+    clearFormMessages(this.form);
+
+    // Re-check every step in case earlier answers were changed
+    const invalidStep = this.steps.findIndex((step) => this.collectErrors(step).length > 0);
+    if (invalidStep !== -1) {
+      this.showStep(invalidStep);
+      this.validateStep(invalidStep);
+      return;
+    }
+
+    const request = this.buildRequest();
+    const flagged = this.guard.check(request.data);
+    if (flagged) {
+      this.handleSpam(flagged);
+      return;
+    }
+
+    this.isSubmitting = true;
+    this.submitBtn.disabled = true;
+    this.emit("booking-wizard:submit");
+
+    try {
+      request.guard = await this.guard.stamp(request.type, request.data);
+      const result = await this.submission.submit(request, {
+        onRetry: ({ attempt, retries }) => {
+          showFormMessage(this.form, t("form.retrying", { attempt, retries }), "info");
+        },
+      });
+      this.guard.recordSubmission();
+      this.showConfirmation(request, result);
+      this.emit("booking-wizard:success", { via: result.via });
+    } catch (error) {
+      console.error("Booking submission error:", error);
+      this.handleSubmitError(error);
+      this.emit("booking-wizard:error", { error });
+    } finally {
+      this.isSubmitting = false;
+      this.submitBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Refuse a request that looks automated: link problems are shown at their
+   * fields, anything else as a note on the form
+   */
+  handleSpam({ reason, fields = {} }) {
+    const fieldErrors = Object.entries(fields)
+      .filter(([name]) => this.fields[name])
+      .map(([name, fieldReason]) => [name, t(`spamProtection.${fieldReason}`)]);
+
+    if (fieldErrors.length > 0) {
+      this.showFieldErrors(fieldErrors);
+    } else {
+      showFormMessage(this.form, t(spamNoteKey(reason)), "error");
+    }
+    this.emit("booking-wizard:spam", { reason });
+  }
+
+  handleSubmitError(error) {
+    const fieldErrors = Object.entries(error.fieldErrors || {}).filter(([name]) => this.fields[name]);
+
+    if (fieldErrors.length > 0) {
+      this.showFieldErrors(fieldErrors);
+      return;
+    }
+
+    if (error.code === "spam") {
+      showFormMessage(this.form, t("spamProtection.rejected"), "error");
+      return;
+    }
+
+    showFormMessage(this.form, t("booking.submitError"), "error");
+  }
+
+  /**
+   * Go to the step of the first field and show the messages at their fields
+   * @param {Array<[string, string]>} fieldErrors field name and message
+   */
+  showFieldErrors(fieldErrors) {
+    const step = this.steps.findIndex((s) => s.contains(this.fields[fieldErrors[0][0]]));
+    this.showStep(step);
+    fieldErrors.forEach(([name, message]) => showFieldError(this.fields[name], message));
+    showFormMessage(this.form, t("form.fixErrors"), "error");
+  }
+
+  showConfirmation(request, result) {
+    const { data } = request;
+    this.confirmation.innerHTML = "";
+
+    const heading = document.createElement("h4");
+    heading.className = "booking-wizard__legend";
+    heading.textContent = result.via === "mailto"
+      ? t("booking.confirmation.titleMailto")
+      : t("booking.confirmation.title");
+
+    const intro = document.createElement("p");
+    intro.className = "mb-4";
+    intro.textContent = result.via === "mailto"
+      ? t("booking.confirmation.introMailto")
+      : t("booking.confirmation.intro");
+
+    const list = document.createElement("dl");
+    list.className = "booking-wizard__summary";
+    const concern = this.fields.concern.selectedOptions[0];
+    [
+      ["audience", t(`booking.audiences.${data.audience}`)],
+      ["concern", concern ? concern.text : data.concern],
+      [
+        "prescription",
+        data.prescription.available
+          ? t("booking.confirmation.issuedOn", { date: i18n.formatDate(data.prescription.issueDate) })
+          : t("booking.confirmation.noPrescription"),
+      ],
+      ["slots", data.slots.length > 0 ? data.slots.map(displaySlot).join("\n") : data.notes],
+      ["contact", [data.name, data.phone, data.email].filter(Boolean).join("\n")],
+    ].forEach(([term, description]) => {
+      const dt = document.createElement("dt");
+      dt.textContent = t(`booking.confirmation.${term}`);
+      const dd = document.createElement("dd");
+      dd.textContent = description;
+      list.append(dt, dd);
+    });
+
+    const calendar = this.createCalendarLinks(data.slots);
+
+    const restart = document.createElement("button");
+    restart.type = "button";
+    restart.className = "btn-secondary mt-6";
+    restart.textContent = t("booking.confirmation.restart");
+    this.listen(restart, "click", () => this.reset());
+
+    this.confirmation.append(heading, intro, list);
+    if (calendar) this.confirmation.append(calendar);
+    this.confirmation.append(restart);
+    this.form.classList.add("hidden");
+    this.root.querySelector(".booking-wizard__progress").classList.add("hidden");
+    this.confirmation.classList.remove("hidden");
+    this.confirmation.focus();
+  }
+
+  /**
+   * "In Kalender eintragen" buttons for the requested slots; the downloads
+   * are handled by the PracticeFiles module
+   */
+  createCalendarLinks(slots) {
+    if (slots.length === 0) {
+      return null;
+    }
+
+    const wrapper = document.createElement("div");
+    wrapper.className = "booking-wizard__calendar";
+
+    const label = document.createElement("p");
+    label.className = "booking-wizard__hint";
+    label.textContent = t("booking.confirmation.calendar");
+    wrapper.appendChild(label);
+
+    slots.forEach((slot) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "practice-action";
+      button.dataset.addToCalendar = "";
+      button.dataset.start = slot.start;
+      if (slot.end) button.dataset.end = slot.end;
+      button.innerHTML = '<i class="fas fa-calendar-plus" aria-hidden="true"></i><span></span>';
+      button.querySelector("span").textContent = t("booking.confirmation.addToCalendar", { slot: displaySlot(slot) });
+      wrapper.appendChild(button);
+    });
+
+    return wrapper;
+  }
+
+  reset() {
+    this.form.reset();
+    this.guard.reset();
+    this.fields.concern.innerHTML = "";
+    this.prescriptionDetails.classList.add("hidden");
+    this.prescriptionHint.textContent = "";
+    this.renderSlots();
+    this.confirmation.classList.add("hidden");
+    this.form.classList.remove("hidden");
+    this.root.querySelector(".booking-wizard__progress").classList.remove("hidden");
+    this.showStep(0);
+  }
+}
+
+const SLOT_DAY = { weekday: "short", day: "2-digit", month: "2-digit", year: undefined };
+
+// "2025-11-03T09:00" -> "9:00"
+function clockTime(localDateTime) {
+  return localDateTime.slice(11, 16).replace(/^0/, "");
+}
+
+// "9:00 – 9:45 Uhr"
+function formatSlotTime({ start, end }) {
+  return end ? `${clockTime(start)} – ${clockTime(end)} Uhr` : `${clockTime(start)} Uhr`;
+}
+
+// "Mo., 03.11. 9:00 – 9:45 Uhr" – for the practice, always German
+function formatSlot(slot) {
+  return `${formatDate(slot.start.slice(0, 10), SLOT_DAY)} ${formatSlotTime(slot)}`;
+}
+
+// The same in the visitor's language
+function displaySlotTime({ start, end }) {
+  return end
+    ? t("time.range", { start: clockTime(start), end: clockTime(end) })
+    : t("time.at", { time: clockTime(start) });
+}
+
+function displaySlot(slot) {
+  return `${i18n.formatDate(slot.start.slice(0, 10), SLOT_DAY)} ${displaySlotTime(slot)}`;
+}
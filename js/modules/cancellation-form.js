@@ -0,0 +1,333 @@
+import { Module } from "../core/module.js";
+import { config } from "../config.js";
+import { i18n, t } from "../i18n/index.js";
+import { SpamGuard, spamNoteKey } from "../services/spam-protection.js";
+import { createSubmissionService } from "../services/submission.js";
+import { formatDate, fromZonedDateTime, nowIn, todayIn } from "../utils/date.js";
+import {
+  clearFieldError,
+  clearFormMessages,
+  showFieldError,
+  showFormMessage,
+} from "../utils/form.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Whether an appointment can still be cancelled free of charge
+ * @param {string} appointment local date-time in the practice's timezone, e.g. "2025-03-14T09:30"
+ * @param {Date} now
+ * @returns {{status: "ok"|"late"|"past", hoursLeft: number, deadline: string}}
+ *   deadline: last free cancellation as local date-time
+ */
+export function checkCancellationWindow(
+  appointment,
+  now = new Date(),
+  rules = config.cancellation,
+  timeZone = config.practice.timeZone
+) {
+  const start = fromZonedDateTime(appointment, timeZone);
+  const hoursLeft = (start - now) / HOUR_MS;
+  const deadline = nowIn(timeZone, new Date(start.getTime() - rules.noticeHours * HOUR_MS));
+  let status = "ok";
+
+  if (hoursLeft <= 0) {
+    status = "past";
+  } else if (hoursLeft < rules.noticeHours) {
+    status = "late";
+  }
+
+  return { status, hoursLeft, deadline };
+}
+
+/**
+ * Cancellation Form Module
+ * Lets patients cancel an appointment online and checks the notice period.
+ * Cancellations get the same spam protection as the contact form.
+ */
+export class CancellationForm extends Module {
+  constructor(app) {
+    super(app);
+    this.container = document.getElementById("cancellation");
+    this.form = document.getElementById("cancellation-form");
+    this.fields = {};
+    this.isSubmitting = false;
+    this.rules = config.cancellation;
+    this.timeZone = config.practice.timeZone;
+    this.guard = null;
+    this.submission = createSubmissionService(config.submission);
+  }
+
+  init() {
+    if (!this.container || !this.form) {
+      console.warn("Cancellation form not found");
+      return;
+    }
+
+    this.findFields();
+    this.guard = new SpamGuard(this.form.querySelector("[data-honeypot]"), config.spamProtection);
+    this.syncRuleText();
+    this.fields.date.min = todayIn(this.timeZone);
+    this.container.classList.remove("hidden");
+    this.bindEvents();
+
+    this.on("i18n:change", () => {
+      this.syncRuleText();
+      this.update();
+    });
+  }
+
+  findFields() {
+    this.fields = {
+      name: this.form.querySelector("#cancellation-name"),
+      date: this.form.querySelector("#cancellation-date"),
+      time: this.form.querySelector("#cancellation-time"),
+      reason: this.form.querySelector("#cancellation-reason"),
+      feeAcknowledged: this.form.querySelector("#cancellation-fee-acknowledged"),
+      privacy: this.form.querySelector("#cancellation-privacy"),
+    };
+    this.status = this.form.querySelector("#cancellation-status");
+    this.lateNotice = this.form.querySelector("#cancellation-late-notice");
+    this.submitBtn = this.form.querySelector('button[type="submit"]');
+  }
+
+  bindEvents() {
+    this.listen(this.form, "submit", (e) => {
+      e.preventDefault();
+      this.handleSubmit();
+    });
+
+    [this.fields.date, this.fields.time].forEach((field) => {
+      this.listen(field, "input", () => this.update());
+      this.listen(field, "change", () => this.update());
+    });
+
+    this.listen(this.form, "input", (e) => clearFieldError(e.target));
+    this.listen(this.form, "change", (e) => clearFieldError(e.target));
+  }
+
+  /**
+   * Keep the notice period in the surrounding text in line with the config
+   */
+  syncRuleText() {
+    document.querySelectorAll("[data-cancellation-hours]").forEach((el) => {
+      el.textContent = t("cancellation.hours", { count: this.rules.noticeHours });
+    });
+  }
+
+  appointment() {
+    const { date, time } = this.fields;
+    return date.value && time.value ? `${date.value}T${time.value.slice(0, 5)}` : "";
+  }
+
+  check() {
+    const appointment = this.appointment();
+    if (!fromZonedDateTime(appointment, this.timeZone)) {
+      return null;
+    }
+    return checkCancellationWindow(appointment, new Date(), this.rules, this.timeZone);
+  }
+
+  /**
+   * Show whether the cancellation is still free of charge
+   */
+  update() {
+    const result = this.check();
+    this.status.textContent = "";
+    this.status.className = "cancellation-form__status";
+    this.lateNotice.classList.toggle("hidden", !result || result.status !== "late");
+
+    if (!result) {
+      return;
+    }
+
+    this.status.classList.add(`cancellation-form__status--${result.status}`);
+
+    if (result.status === "past") {
+      this.status.textContent = t("cancellation.statusPast");
+    } else if (result.status === "late") {
+      this.status.textContent = t("cancellation.statusLate", { deadline: displayDateTime(result.deadline) });
+    } else {
+      this.status.textContent = t("cancellation.statusOk", { deadline: displayDateTime(result.deadline) });
+    }
+
+    this.emit("cancellation-form:check", { status: result.status });
+  }
+
+  /**
+   * @returns {Array<[Element, string]>} invalid fields with messages
+   */
+  collectErrors(result) {
+    const errors = [];
+    const require = (condition, field, message) => {
+      if (!condition) errors.push([field, message]);
+    };
+    const name = this.fields.name.value.trim();
+
+    require(name.length >= 2, this.fields.name, name ? t("form.minLength", { count: 2 }) : t("form.required"));
+    require(this.fields.date.value, this.fields.date, t("cancellation.errors.date"));
+    require(this.fields.time.value, this.fields.time, t("cancellation.errors.time"));
+    if (result) {
+      require(result.status !== "past", this.fields.date, t("cancellation.errors.past"));
+    }
+    require(this.fields.reason.value.trim(), this.fields.reason, t("form.required"));
+    if (result && result.status === "late") {
+      require(this.fields.feeAcknowledged.checked, this.fields.feeAcknowledged, t("cancellation.errors.feeAcknowledged"));
+    }
+    require(this.fields.privacy.checked, this.fields.privacy, t("form.privacy"));
+
+    return errors;
+  }
+
+  buildRequest(result) {
+    const data = {
+      name: this.fields.name.value.trim(),
+      appointment: this.appointment(),
+      reason: this.fields.reason.value.trim(),
+      late: result.status === "late",
+      hoursNotice: Math.floor(result.hoursLeft),
+      language: i18n.language,
+    };
+
+    return {
+      type: "cancellation",
+      subject: `Terminabsage${data.late ? " (kurzfristig)" : ""}: ${formatDateTime(data.appointment)} – ${data.name}`,
+      summary: [
+        `Name: ${data.name}`,
+        `Termin: ${formatDateTime(data.appointment)}`,
+        `Grund: ${data.reason}`,
+        `Sprache: ${i18n.languageName()}`,
+        "",
+        data.late
+          ? `Kurzfristige Absage (${data.hoursNotice} Stunden vorher) – Hinweis zu Ausfallkosten bestätigt.`
+          : `Fristgerechte Absage (${data.hoursNotice} Stunden vorher).`,
+      ].join("\n"),
+      data,
+    };
+  }
+
+  async handleSubmit() {
+    if (this.isSubmitting) {
+      return;
+    }
+
+    clearFormMessages(this.form);
+    Object.values(this.fields).forEach((field) => clearFieldError(field));
+
+    // Re-check at submit time: the deadline may have passed while typing
+    this.update();
+    const result = this.check();
+    const errors = this.collectErrors(result);
+
+    if (errors.length > 0) {
+      errors.forEach(([field, message]) => showFieldError(field, message));
+      errors[0][0].focus();
+      showFormMessage(this.form, t("form.fixErrors"), "error");
+      return;
+    }
+
+    const request = this.buildRequest(result);
+    const flagged = this.guard.check(request.data);
+    if (flagged) {
+      this.handleSpam(flagged);
+      return;
+    }
+
+    this.isSubmitting = true;
+    this.submitBtn.disabled = true;
+    this.emit("cancellation-form:submit", { late: request.data.late });
+
+    try {
+      request.guard = await this.guard.stamp(request.type, request.data);
+      const submission = await this.submission.submit(request, {
+        onRetry: ({ attempt, retries }) => {
+          showFormMessage(this.form, t("form.retrying", { attempt, retries }), "info");
+        },
+      });
+      this.guard.recordSubmission();
+      this.showSuccessMessage(request, submission);
+      this.emit("cancellation-form:success", { via: submission.via, late: request.data.late });
+    } catch (error) {
+      console.error("Cancellation submission error:", error);
+      this.handleSubmitError(error);
+      this.emit("cancellation-form:error", { error });
+    } finally {
+      this.isSubmitting = false;
+      this.submitBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Refuse a cancellation that looks automated: link problems are shown at
+   * their fields, anything else as a note on the form
+   */
+  handleSpam({ reason, fields = {} }) {
+    const fieldErrors = Object.entries(fields)
+      .filter(([name]) => this.fields[name])
+      .map(([name, fieldReason]) => [name, t(`spamProtection.${fieldReason}`)]);
+
+    if (fieldErrors.length > 0) {
+      this.showFieldErrors(fieldErrors);
+    } else {
+      showFormMessage(this.form, t(spamNoteKey(reason)), "error");
+    }
+    this.emit("cancellation-form:spam", { reason });
+  }
+
+  handleSubmitError(error) {
+    const fieldErrors = Object.entries(error.fieldErrors || {}).filter(([name]) => this.fields[name]);
+
+    if (fieldErrors.length > 0) {
+      this.showFieldErrors(fieldErrors);
+      return;
+    }
+
+    if (error.code === "spam") {
+      showFormMessage(this.form, t("spamProtection.rejected"), "error");
+      return;
+    }
+
+    showFormMessage(this.form, t("cancellation.submitError"), "error");
+  }
+
+  /**
+   * @param {Array<[string, string]>} fieldErrors field name and message
+   */
+  showFieldErrors(fieldErrors) {
+    fieldErrors.forEach(([name, message]) => showFieldError(this.fields[name], message));
+    this.fields[fieldErrors[0][0]].focus();
+    showFormMessage(this.form, t("form.fixErrors"), "error");
+  }
+
+  showSuccessMessage(request, submission) {
+    clearFormMessages(this.form);
+
+    if (submission.via === "mailto") {
+      showFormMessage(this.form, t("cancellation.successMailto"), "success");
+      return;
+    }
+
+    this.form.reset();
+    this.guard.reset();
+    this.update();
+    showFormMessage(
+      this.form,
+      t("cancellation.success", { appointment: displayDateTime(request.data.appointment) }),
+      "success"
+    );
+  }
+}
+
+// "Dienstag, 20.10.2026, 9:00 Uhr" – for the practice, always German
+function formatDateTime(localDateTime) {
+  const day = formatDate(localDateTime.slice(0, 10), { month: "2-digit", day: "2-digit" });
+  return `${day}, ${localDateTime.slice(11, 16).replace(/^0/, "")} Uhr`;
+}
+
+// The same in the visitor's language
+function displayDateTime(localDateTime) {
+  return t("cancellation.dateTime", {
+    date: i18n.formatDate(localDateTime.slice(0, 10), { month: "2-digit", day: "2-digit" }),
+    time: t("time.at", { time: localDateTime.slice(11, 16).replace(/^0/, "") }),
+  });
+}
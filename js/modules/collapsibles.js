@@ -0,0 +1,315 @@
+import { Module } from "../core/module.js";
+import { t } from "../i18n/index.js";
+import { motionReduced } from "../services/accessibility.js";
+import { getHashId, getHistoryState, updateHistoryState } from "../utils/history.js";
+
+// History state key with the open panels of groups marked data-collapsible-persist
+const STATE_KEY = "collapsibles";
+const TRANSITION = "max-height 300ms ease";
+
+/**
+ * Collapsibles Module
+ * Disclosure panels and accordions set up from data attributes. A group has
+ * any number of panels, each opened by a button that controls it; in single
+ * mode opening one panel closes the others. Links to a panel or to something
+ * inside it open the panel.
+ *
+ * Markup:
+ *   <div data-collapsible="faq" data-collapsible-mode="single" data-collapsible-persist>
+ *     <button class="hidden" data-collapsible-action="expand">Alle öffnen</button>
+ *     <button class="hidden" data-collapsible-action="collapse">Alle schließen</button>
+ *     <h3>
+ *       <button type="button" data-collapsible-toggle aria-controls="faq-costs" aria-expanded="true">
+ *         <span data-collapsible-label="serviceExpansion">…</span>
+ *         <i class="fas fa-chevron-down" data-collapsible-icon></i>
+ *       </button>
+ *     </h3>
+ *     <div id="faq-costs" data-collapsible-panel>…</div>
+ *   </div>
+ *
+ * - data-collapsible-mode: "multiple" (default) or "single"
+ * - data-collapsible-persist: open panels survive reloads and back/forward
+ *   (kept in the history entry)
+ * - data-collapsible-open on a panel: open at first
+ * - data-collapsible-label: text from t("<prefix>.show") / t("<prefix>.hide")
+ * - data-collapsible-icon: turned upside down while open
+ * - data-collapsible-action buttons are revealed by JS; "expand" stays hidden
+ *   in single mode
+ *
+ * Panels are collapsed by JS, so their content stays readable without it.
+ */
+export class Collapsibles extends Module {
+  constructor(app) {
+    super(app);
+    this.groups = new Map();
+    this.panels = new Map();
+    this.scrollTimer = null;
+  }
+
+  init() {
+    document.querySelectorAll("[data-collapsible]").forEach((element) => this.setupGroup(element));
+    if (this.panels.size === 0) {
+      return;
+    }
+
+    this.restoreState(history.state);
+
+    // On reload ScrollSpy restores the saved position, so only open the panel
+    this.revealHash(location.hash, {
+      scroll: getHistoryState("scrollY") === undefined,
+      behavior: "instant",
+    });
+
+    this.listen(window, "hashchange", () => this.revealHash(location.hash));
+    this.listen(window, "popstate", (e) => this.restoreState(e.state));
+    this.on("i18n:change", () => this.panels.forEach((entry) => this.renderToggle(entry)));
+  }
+
+  destroy() {
+    super.destroy();
+    clearTimeout(this.scrollTimer);
+    this.groups.clear();
+    this.panels.clear();
+  }
+
+  setupGroup(element) {
+    const group = {
+      name: element.dataset.collapsible,
+      single: element.dataset.collapsibleMode === "single",
+      persist: element.hasAttribute("data-collapsible-persist"),
+      panelIds: [],
+    };
+
+    element.querySelectorAll("[data-collapsible-toggle]").forEach((toggle) => {
+      const panelId = toggle.getAttribute("aria-controls");
+      const panel = panelId ? document.getElementById(panelId) : null;
+      if (!panel) {
+        console.warn(`Collapsible panel not found: ${panelId}`);
+        return;
+      }
+
+      const entry = {
+        group,
+        toggle,
+        panel,
+        label: toggle.querySelector("[data-collapsible-label]"),
+        icon: toggle.querySelector("[data-collapsible-icon]"),
+        onTransitionEnd: null,
+      };
+      this.panels.set(panelId, entry);
+      group.panelIds.push(panelId);
+
+      this.render(entry, panel.hasAttribute("data-collapsible-open"));
+      this.listen(toggle, "click", () => {
+        const expanded = !this.isExpanded(panelId);
+        this.setExpanded(panelId, expanded);
+        this.emit("collapsible:toggle", { group: group.name, panelId, expanded });
+      });
+    });
+
+    element.querySelectorAll("[data-collapsible-action]").forEach((button) => {
+      const expand = button.dataset.collapsibleAction === "expand";
+      if (expand && group.single) {
+        return;
+      }
+      button.classList.remove("hidden");
+      this.listen(button, "click", () => this.setAll(group.name, expand));
+    });
+
+    this.groups.set(group.name, group);
+  }
+
+  isExpanded(panelId) {
+    const entry = this.panels.get(panelId);
+    return Boolean(entry) && entry.toggle.getAttribute("aria-expanded") === "true";
+  }
+
+  /**
+   * Open or close a panel
+   * @param {Object} [options]
+   * @param {boolean} [options.animate] false to jump straight to the end state;
+   *   motion paused in the system or the accessibility toolbar does the same
+   * @returns {boolean} whether the panel changed
+   */
+  setExpanded(panelId, expanded, { animate = true } = {}) {
+    const entry = this.panels.get(panelId);
+    if (!entry || this.isExpanded(panelId) === expanded) {
+      return false;
+    }
+
+    if (expanded && entry.group.single) {
+      entry.group.panelIds
+        .filter((id) => id !== panelId)
+        .forEach((id) => this.setExpanded(id, false, { animate }));
+    }
+
+    if (animate && !motionReduced()) {
+      this.animate(entry, expanded);
+    } else {
+      this.render(entry, expanded);
+    }
+
+    if (entry.group.persist) {
+      this.saveState();
+    }
+    return true;
+  }
+
+  /**
+   * Open or close every panel of a group ("Alle öffnen/schließen")
+   */
+  setAll(name, expanded) {
+    const group = this.groups.get(name);
+    if (!group) {
+      return;
+    }
+
+    group.panelIds.forEach((panelId) => this.setExpanded(panelId, expanded));
+    this.announce(t(expanded ? "collapsible.expandedAll" : "collapsible.collapsedAll"));
+    this.emit("collapsible:toggle-all", { group: name, expanded });
+  }
+
+  /**
+   * Show the end state of a panel right away
+   */
+  render(entry, expanded) {
+    const { panel } = entry;
+    this.stopAnimation(entry);
+
+    entry.toggle.setAttribute("aria-expanded", String(expanded));
+    panel.classList.toggle("hidden", !expanded);
+    panel.style.transition = "";
+    panel.style.maxHeight = "";
+    panel.style.overflow = "";
+    this.renderToggle(entry);
+  }
+
+  renderToggle(entry) {
+    const expanded = entry.toggle.getAttribute("aria-expanded") === "true";
+    if (entry.icon) {
+      entry.icon.classList.toggle("rotate-180", expanded);
+    }
+    if (entry.label) {
+      entry.label.textContent = t(`${entry.label.dataset.collapsibleLabel}.${expanded ? "hide" : "show"}`);
+    }
+  }
+
+  /**
+   * Slide a panel open or closed from its current height
+   */
+  animate(entry, expanded) {
+    const { panel } = entry;
+    this.stopAnimation(entry);
+
+    const start = panel.classList.contains("hidden") ? 0 : panel.getBoundingClientRect().height;
+    entry.toggle.setAttribute("aria-expanded", String(expanded));
+    this.renderToggle(entry);
+
+    panel.classList.remove("hidden");
+    panel.style.overflow = "hidden";
+    panel.style.maxHeight = "none";
+    const target = expanded ? panel.scrollHeight : 0;
+    panel.style.maxHeight = `${start}px`;
+    void panel.offsetHeight; // reflow, so the transition starts at `start`
+    panel.style.transition = TRANSITION;
+    panel.style.maxHeight = `${target}px`;
+
+    entry.onTransitionEnd = (e) => {
+      if (e.target === panel && e.propertyName === "max-height") {
+        this.render(entry, expanded);
+      }
+    };
+    panel.addEventListener("transitionend", entry.onTransitionEnd);
+  }
+
+  stopAnimation(entry) {
+    if (entry.onTransitionEnd) {
+      entry.panel.removeEventListener("transitionend", entry.onTransitionEnd);
+      entry.onTransitionEnd = null;
+    }
+  }
+
+  saveState() {
+    const open = {};
+    this.groups.forEach((group, name) => {
+      if (group.persist) {
+        open[name] = group.panelIds.filter((panelId) => this.isExpanded(panelId));
+      }
+    });
+    updateHistoryState({ [STATE_KEY]: open });
+  }
+
+  /**
+   * Apply the open panels saved in a history entry (reload, back/forward).
+   * Groups without saved panels are left alone.
+   */
+  restoreState(state) {
+    const saved = getHistoryState(STATE_KEY, state);
+    if (!saved || typeof saved !== "object") {
+      return;
+    }
+
+    this.groups.forEach((group, name) => {
+      if (!group.persist || !Array.isArray(saved[name])) {
+        return;
+      }
+      // Close first, so single groups do not close a panel opened just before
+      group.panelIds
+        .filter((panelId) => !saved[name].includes(panelId))
+        .forEach((panelId) => this.setExpanded(panelId, false, { animate: false }));
+      saved[name].forEach((panelId) => this.setExpanded(panelId, true, { animate: false }));
+    });
+  }
+
+  /**
+   * Open the panel that is, contains or is introduced by the hash target and
+   * scroll to it
+   * @returns {boolean} whether the hash pointed to a panel
+   */
+  revealHash(hash, { scroll = true, behavior = "smooth" } = {}) {
+    const id = getHashId(hash);
+    const target = id ? document.getElementById(id) : null;
+    if (!target) {
+      return false;
+    }
+
+    const match = Array.from(this.panels.entries()).find(
+      ([, { panel, toggle }]) => panel.contains(target) || target.contains(toggle)
+    );
+    if (!match) {
+      return false;
+    }
+
+    const [panelId, entry] = match;
+    this.setExpanded(panelId, true, { animate: false });
+
+    if (scroll) {
+      this.scrollToTarget(target, behavior);
+
+      // Move focus along so keyboard and screen reader users land there too
+      if (!target.hasAttribute("tabindex")) {
+        target.setAttribute("tabindex", "-1");
+      }
+      target.focus({ preventScroll: true });
+    }
+
+    this.emit("collapsible:reveal", { group: entry.group.name, panelId, targetId: id });
+    return true;
+  }
+
+  scrollToTarget(target, behavior = "smooth") {
+    clearTimeout(this.scrollTimer);
+
+    // Wait a moment so the opened panel has its full height
+    this.scrollTimer = setTimeout(() => {
+      const header = document.querySelector("nav.nav-dark");
+      const headerHeight = header ? header.offsetHeight : 80; // Account for fixed header
+      const offsetTop = target.getBoundingClientRect().top + window.scrollY;
+
+      window.scrollTo({
+        top: Math.max(0, offsetTop - headerHeight - 16),
+        behavior: motionReduced() ? "instant" : behavior,
+      });
+    }, 100);
+  }
+}
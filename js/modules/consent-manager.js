@@ -0,0 +1,241 @@
+import { Module } from "../core/module.js";
+import { config } from "../config.js";
+import { t } from "../i18n/index.js";
+import { ConsentStore } from "../services/consent.js";
+import { closeOnBackdropClick, showModal } from "../utils/dialog.js";
+import { element } from "../utils/dom.js";
+
+/**
+ * Consent Manager Module
+ * Two-click consent for third-party services (`config.consent`). Links marked
+ * with data-consent="<service>" open an interstitial explaining the data
+ * transfer before they are followed, and modules call request(service)
+ * before loading anything from a service. The settings dialog opened from
+ * the [data-consent-settings] footer link changes earlier choices.
+ */
+export class ConsentManager extends Module {
+  constructor(app) {
+    super(app);
+    this.services = config.consent.services;
+    this.store = new ConsentStore(config.consent);
+    this.settingsLinks = Array.from(document.querySelectorAll("[data-consent-settings]"));
+    this.settingsDialog = null;
+    this.requestDialog = null;
+    this.resolveRequest = null;
+  }
+
+  init() {
+    this.settingsDialog = element("dialog", {
+      class: "consent-dialog",
+      "aria-labelledby": "consent-settings-title",
+    });
+    this.requestDialog = element("dialog", {
+      class: "consent-dialog",
+      "aria-labelledby": "consent-request-title",
+      "aria-describedby": "consent-request-text",
+    });
+    document.body.append(this.settingsDialog, this.requestDialog);
+
+    [this.settingsDialog, this.requestDialog].forEach((dialog) => {
+      closeOnBackdropClick(dialog, this.listeners.signal);
+    });
+    this.listen(this.settingsDialog, "close", () => this.handleSettingsClose());
+    this.listen(this.requestDialog, "close", () => this.handleRequestClose());
+
+    this.settingsLinks.forEach((container) => {
+      container.classList.remove("hidden");
+      this.listen(container.querySelector("button"), "click", () => this.openSettings());
+    });
+
+    // Links to a service are only followed once the visitor agreed
+    this.listen(document, "click", (e) => {
+      const link = e.target.closest("a[data-consent]");
+      if (!link || this.has(link.dataset.consent)) {
+        return;
+      }
+
+      e.preventDefault();
+      this.request(link.dataset.consent).then((granted) => {
+        if (granted) {
+          this.followLink(link);
+        }
+      });
+    });
+  }
+
+  destroy() {
+    super.destroy();
+    if (this.resolveRequest) {
+      this.resolveRequest(false);
+      this.resolveRequest = null;
+    }
+    [this.settingsDialog, this.requestDialog].forEach((dialog) => dialog && dialog.remove());
+  }
+
+  has(service) {
+    return this.store.has(service);
+  }
+
+  set(service, granted) {
+    if (this.store.set(service, granted)) {
+      this.emit("consent:change", { service, granted });
+    }
+  }
+
+  /**
+   * Ask for consent to `service` unless it was given before
+   * @returns {Promise<boolean>} whether the visitor agreed, for this time or for good
+   */
+  request(service) {
+    if (!(service in this.services)) {
+      return Promise.reject(new Error(`Unknown consent service "${service}"`));
+    }
+    if (this.has(service)) {
+      return Promise.resolve(true);
+    }
+
+    // Only one question at a time; a new one dismisses the previous one
+    if (this.resolveRequest) {
+      this.resolveRequest(false);
+    }
+
+    return new Promise((resolve) => {
+      this.resolveRequest = resolve;
+      this.renderRequest(service);
+      if (!this.requestDialog.open) {
+        showModal(this.requestDialog);
+      }
+    });
+  }
+
+  openSettings() {
+    this.renderSettings();
+    showModal(this.settingsDialog);
+  }
+
+  renderSettings() {
+    const services = Object.entries(this.services).map(([key, service]) => {
+      const textId = `consent-service-${key}-text`;
+      const checkbox = element("input", {
+        type: "checkbox",
+        name: "service",
+        value: key,
+        "aria-describedby": textId,
+      });
+      checkbox.checked = this.has(key);
+
+      return element(
+        "li",
+        { class: "consent-dialog__service" },
+        element(
+          "label",
+          { class: "consent-dialog__choice" },
+          checkbox,
+          element("span", { class: "consent-dialog__name" }, service.name)
+        ),
+        element("p", { id: textId, class: "consent-dialog__text" }, t(`consent.services.${key}`)),
+        this.createProvider(service)
+      );
+    });
+
+    this.settingsDialog.replaceChildren(
+      element(
+        "form",
+        { method: "dialog", class: "consent-dialog__body" },
+        this.createTitle("consent-settings-title", t("consent.settingsTitle")),
+        element("p", { class: "consent-dialog__text" }, t("consent.settingsIntro")),
+        element("ul", { class: "consent-dialog__services" }, ...services),
+        this.createActions(t("consent.save"), "save")
+      )
+    );
+  }
+
+  renderRequest(service) {
+    const { name } = this.services[service];
+    this.requestDialog.dataset.service = service;
+
+    this.requestDialog.replaceChildren(
+      element(
+        "form",
+        { method: "dialog", class: "consent-dialog__body" },
+        this.createTitle("consent-request-title", t("consent.requestTitle", { service: name })),
+        element("p", { id: "consent-request-text", class: "consent-dialog__text" }, t(`consent.services.${service}`)),
+        this.createProvider(this.services[service]),
+        element(
+          "label",
+          { class: "consent-dialog__choice" },
+          element("input", { type: "checkbox", name: "remember" }),
+          t("consent.remember")
+        ),
+        this.createActions(t("consent.accept"), "accept")
+      )
+    );
+  }
+
+  createTitle(id, text) {
+    // Focused when the dialog opens, so screen readers start with the question
+    return element("h2", { id, class: "consent-dialog__title", tabindex: "-1", autofocus: true }, text);
+  }
+
+  createProvider({ provider, privacyUrl }) {
+    return element(
+      "p",
+      { class: "consent-dialog__provider" },
+      `${t("consent.provider", { provider })} · `,
+      element(
+        "a",
+        { href: privacyUrl, target: "_blank", rel: "noopener noreferrer" },
+        t("consent.privacyPolicy")
+      )
+    );
+  }
+
+  createActions(confirmLabel, confirmValue) {
+    return element(
+      "div",
+      { class: "consent-dialog__actions" },
+      element("button", { value: "cancel", class: "consent-dialog__button" }, t("consent.cancel")),
+      element(
+        "button",
+        { value: confirmValue, class: "consent-dialog__button consent-dialog__button--primary" },
+        confirmLabel
+      )
+    );
+  }
+
+  handleSettingsClose() {
+    const saved = this.settingsDialog.returnValue === "save";
+    // Escape keeps the previous return value, so start each opening clean
+    this.settingsDialog.returnValue = "";
+    if (!saved) {
+      return;
+    }
+
+    this.settingsDialog.querySelectorAll("input[name='service']").forEach((checkbox) => {
+      this.set(checkbox.value, checkbox.checked);
+    });
+    this.announce(t("consent.saved"));
+  }
+
+  handleRequestClose() {
+    const granted = this.requestDialog.returnValue === "accept";
+    const remember = this.requestDialog.querySelector("input[name='remember']");
+
+    if (granted && remember && remember.checked) {
+      this.set(this.requestDialog.dataset.service, true);
+    }
+    if (this.resolveRequest) {
+      this.resolveRequest(granted);
+      this.resolveRequest = null;
+    }
+    this.requestDialog.returnValue = "";
+  }
+
+  followLink(link) {
+    if (link.target === "_blank") {
+      window.open(link.href, "_blank", "noopener,noreferrer");
+    } else {
+      location.assign(link.href);
+    }
+  }
+}
@@ -0,0 +1,396 @@
+import { Module } from "../core/module.js";
+import { config } from "../config.js";
+import { i18n, t } from "../i18n/index.js";
+import { SpamGuard, spamNoteKey } from "../services/spam-protection.js";
+import { createSubmissionService } from "../services/submission.js";
+import {
+  clearFieldError,
+  clearFormMessages,
+  isValidEmail,
+  isValidPhone,
+  showFieldError,
+  showFormMessage,
+} from "../utils/form.js";
+
+/**
+ * Contact Form Module
+ * Handles form validation, submission, and user feedback. Messages that look
+ * automated (see js/services/spam-protection.js) are refused with a note
+ * instead of being sent.
+ */
+export class ContactForm extends Module {
+  constructor(app) {
+    super(app);
+    this.form = document.getElementById("contact-form");
+    this.fields = {};
+    this.isSubmitting = false;
+    this.isStarted = false;
+    this.guard = null;
+    this.submission = createSubmissionService(config.submission);
+  }
+
+  init() {
+    if (!this.form) {
+      console.warn("Contact form not found");
+      return;
+    }
+
+    this.findFields();
+    this.guard = new SpamGuard(this.form.querySelector("[data-honeypot]"), config.spamProtection);
+    this.bindEvents();
+    this.setupValidation();
+    this.hideLoadingState();
+
+    this.on("i18n:change", () => {
+      if (!this.isSubmitting) {
+        this.hideLoadingState();
+      }
+    });
+  }
+
+  findFields() {
+    this.fields = {
+      name: this.form.querySelector("#name"),
+      phone: this.form.querySelector("#phone"),
+      email: this.form.querySelector("#email"),
+      message: this.form.querySelector("#message"),
+      privacy: this.form.querySelector("#privacy"),
+    };
+  }
+
+  bindEvents() {
+    // Form submission
+    this.listen(this.form, "submit", (e) => {
+      e.preventDefault();
+      this.handleSubmit();
+    });
+
+    // First interaction with an empty form
+    this.listen(this.form, "focusin", () => {
+      if (!this.isStarted) {
+        this.isStarted = true;
+        this.emit("contact-form:start");
+      }
+    });
+
+    // Real-time validation
+    Object.values(this.fields).forEach((field) => {
+      if (field) {
+        this.listen(field, "blur", () => {
+          this.validateField(field);
+        });
+
+        this.listen(field, "input", () => {
+          this.clearFieldError(field);
+        });
+      }
+    });
+
+    // Keyboard shortcuts
+    this.listen(this.form, "keydown", (e) => {
+      if (e.ctrlKey && e.key === "Enter") {
+        e.preventDefault();
+        this.handleSubmit();
+      }
+    });
+  }
+
+  setupValidation() {
+    // Add validation attributes
+    if (this.fields.name) {
+      this.fields.name.setAttribute("minlength", "2");
+      this.fields.name.setAttribute("maxlength", "100");
+    }
+
+    if (this.fields.phone) {
+      this.fields.phone.setAttribute("pattern", "[0-9+\\s\\-\\(\\)]+");
+    }
+
+    if (this.fields.email) {
+      this.fields.email.setAttribute("type", "email");
+    }
+
+    if (this.fields.message) {
+      this.fields.message.setAttribute("minlength", "10");
+      this.fields.message.setAttribute("maxlength", "1000");
+    }
+  }
+
+  validateField(field) {
+    // Checkboxes (privacy consent) have no text value to check
+    if (field.type === "checkbox") {
+      const isChecked = !field.hasAttribute("required") || field.checked;
+      if (isChecked) {
+        this.clearFieldError(field);
+      } else {
+        this.showFieldError(field, t("form.privacy"));
+      }
+      return isChecked;
+    }
+
+    const value = field.value.trim();
+    let isValid = true;
+    let errorMessage = "";
+
+    // Check if required field is empty
+    if (field.hasAttribute("required") && !value) {
+      isValid = false;
+      errorMessage = t("form.required");
+    }
+
+    // Field-specific validation
+    if (isValid && value) {
+      switch (field.type) {
+        case "email":
+          if (!this.isValidEmail(value)) {
+            isValid = false;
+            errorMessage = t("form.invalidEmail");
+          }
+          break;
+        case "tel":
+          if (!this.isValidPhone(value)) {
+            isValid = false;
+            errorMessage = t("form.invalidPhone");
+          }
+          break;
+        default:
+          if (
+            field.hasAttribute("minlength") &&
+            value.length < field.getAttribute("minlength")
+          ) {
+            isValid = false;
+            errorMessage = t("form.minLength", {
+              count: field.getAttribute("minlength"),
+            });
+          }
+          break;
+      }
+    }
+
+    if (!isValid) {
+      this.showFieldError(field, errorMessage);
+    } else {
+      this.clearFieldError(field);
+    }
+
+    return isValid;
+  }
+
+  isValidEmail(email) {
+    return isValidEmail(email);
+  }
+
+  isValidPhone(phone) {
+    return isValidPhone(phone);
+  }
+
+  showFieldError(field, message) {
+    showFieldError(field, message);
+  }
+
+  clearFieldError(field) {
+    clearFieldError(field);
+  }
+
+  validateForm() {
+    let isValid = true;
+
+    Object.values(this.fields).forEach((field) => {
+      if (field && !this.validateField(field)) {
+        isValid = false;
+      }
+    });
+
+    return isValid;
+  }
+
+  async handleSubmit() {
+    if (this.isSubmitting) {
+      return;
+    }
+
+    if (!this.validateForm()) {
+      this.showFormError(t("form.fixErrors"));
+      this.emit("contact-form:invalid", {
+        fields: Object.keys(this.fields).filter(
+          (name) => this.fields[name] && this.fields[name].classList.contains("error")
+        ),
+      });
+      return;
+    }
+
+    const data = this.collectData();
+    const flagged = this.guard.check(data);
+    if (flagged) {
+      this.handleSpam(flagged);
+      return;
+    }
+
+    this.isSubmitting = true;
+    this.showLoadingState();
+    this.emit("contact-form:submit");
+
+    try {
+      const result = await this.submitForm(data);
+      this.guard.recordSubmission();
+      this.showSuccessMessage(result);
+      this.resetForm();
+      this.emit("contact-form:success", { via: result.via });
+    } catch (error) {
+      console.error("Form submission error:", error);
+      this.handleSubmitError(error);
+      this.emit("contact-form:error", { error });
+    } finally {
+      this.isSubmitting = false;
+      this.hideLoadingState();
+    }
+  }
+
+  collectData() {
+    return {
+      name: this.fields.name.value.trim(),
+      phone: this.fields.phone ? this.fields.phone.value.trim() : "",
+      email: this.fields.email ? this.fields.email.value.trim() : "",
+      message: this.fields.message.value.trim(),
+      language: i18n.language,
+    };
+  }
+
+  async submitForm(data) {
+    // Proof of work for the receiving endpoint; takes a moment, while the
+    // button already says "Wird gesendet…"
+    const guard = await this.guard.stamp("contact", data);
+
+    return this.submission.submit(
+      {
+        type: "contact",
+        subject: `Kontaktanfrage von ${data.name}`,
+        summary: [
+          `Name: ${data.name}`,
+          `Telefon: ${data.phone || "-"}`,
+          `E-Mail: ${data.email || "-"}`,
+          `Sprache: ${i18n.languageName()}`,
+          "",
+          data.message,
+        ].join("\n"),
+        data,
+        guard,
+      },
+      {
+        onRetry: ({ attempt, retries }) => {
+          this.showFormMessage(t("form.retrying", { attempt, retries }), "info");
+        },
+      }
+    );
+  }
+
+  /**
+   * Refuse a message that looks automated: link problems are shown at their
+   * fields, anything else as a note on the form
+   */
+  handleSpam({ reason, fields = {} }) {
+    const fieldReasons = Object.entries(fields).filter(([name]) => this.fields[name]);
+    fieldReasons.forEach(([name, fieldReason]) => {
+      this.showFieldError(this.fields[name], t(`spamProtection.${fieldReason}`));
+    });
+
+    if (fieldReasons.length > 0) {
+      this.fields[fieldReasons[0][0]].focus();
+      this.showFormError(t("form.fixErrors"));
+    } else {
+      this.showFormError(t(spamNoteKey(reason)));
+    }
+    this.emit("contact-form:spam", { reason });
+  }
+
+  handleSubmitError(error) {
+    // Server-side validation: map messages back onto the matching fields
+    const fieldErrors = Object.entries(error.fieldErrors || {}).filter(
+      ([name]) => this.fields[name]
+    );
+
+    if (fieldErrors.length > 0) {
+      fieldErrors.forEach(([name, message]) => {
+        this.showFieldError(this.fields[name], message);
+      });
+      this.fields[fieldErrors[0][0]].focus();
+      this.showFormError(t("form.fixErrors"));
+      return;
+    }
+
+    if (error.code === "spam") {
+      this.showFormError(t("spamProtection.rejected"));
+      return;
+    }
+
+    if (error.code === "timeout") {
+      this.showFormError(t("contactForm.timeout"));
+      return;
+    }
+
+    this.showFormError(t("contactForm.error"));
+  }
+
+  showLoadingState() {
+    const submitBtn = this.form.querySelector('button[type="submit"]');
+    if (submitBtn) {
+      submitBtn.disabled = true;
+      submitBtn.innerHTML =
+        `<i class="fas fa-spinner fa-spin" aria-hidden="true"></i><span>${t("form.sending")}</span>`;
+    }
+    this.announce(t("form.sending"));
+  }
+
+  hideLoadingState() {
+    const submitBtn = this.form.querySelector('button[type="submit"]');
+    if (submitBtn) {
+      submitBtn.disabled = false;
+      submitBtn.innerHTML =
+        `<i class="fas fa-paper-plane" aria-hidden="true"></i><span>${t("contactForm.submit")}</span>`;
+    }
+  }
+
+  showSuccessMessage(result = {}) {
+    if (result.via === "mailto") {
+      this.showFormMessage(t("contactForm.successMailto"), "success");
+      return;
+    }
+
+    this.showFormMessage(t("contactForm.success"), "success");
+  }
+
+  showFormError(message) {
+    this.showFormMessage(message, "error");
+  }
+
+  showFormMessage(message, type) {
+    const messageElement = showFormMessage(this.form, message, type, {
+      live: false,
+    });
+    this.announce(message, type === "error" ? "assertive" : "polite");
+
+    // Auto-remove success messages after 5 seconds
+    if (type === "success") {
+      setTimeout(() => {
+        if (messageElement.parentNode) {
+          messageElement.remove();
+        }
+      }, 5000);
+    }
+  }
+
+  clearFormMessages() {
+    clearFormMessages(this.form);
+  }
+
+  resetForm() {
+    this.form.reset();
+    this.isStarted = false;
+    this.guard.reset();
+    Object.values(this.fields).forEach((field) => {
+      if (field) {
+        this.clearFieldError(field);
+      }
+    });
+  }
+}
@@ -0,0 +1,57 @@
+import { Module } from "../core/module.js";
+
+/**
+ * Header Transparency Module
+ * Handles transparent header when at top, solid when scrolling
+ */
+export class HeaderTransparency extends Module {
+  constructor(app) {
+    super(app);
+    this.header = document.querySelector("nav.nav-dark");
+    this.scrollThreshold = 10; // Pixels to scroll before becoming solid
+    this.isTransparent = false;
+    this.isMobileMenuOpen = false;
+  }
+
+  init() {
+    if (!this.header) {
+      console.warn("Header element not found");
+      return;
+    }
+
+    this.bindEvents();
+    this.updateHeaderState(); // Set initial state
+  }
+
+  bindEvents() {
+    this.onFrame({ write: ({ scrollY }) => this.updateHeaderState(scrollY) });
+
+    // Keep the header solid while the mobile menu is open
+    this.on("navigation:menu-toggle", ({ open }) => {
+      this.isMobileMenuOpen = open;
+      this.updateHeaderState();
+    });
+  }
+
+  updateHeaderState(scrollPosition = window.scrollY) {
+    const shouldBeTransparent = scrollPosition <= this.scrollThreshold;
+
+    if (shouldBeTransparent && !this.isTransparent && !this.isMobileMenuOpen) {
+      this.makeTransparent();
+    } else if (!shouldBeTransparent || this.isMobileMenuOpen) {
+      this.makeSolid();
+    }
+  }
+
+  makeTransparent() {
+    this.header.classList.remove("nav-solid");
+    this.header.classList.add("nav-transparent");
+    this.isTransparent = true;
+  }
+
+  makeSolid() {
+    this.header.classList.remove("nav-transparent");
+    this.header.classList.add("nav-solid");
+    this.isTransparent = false;
+  }
+}
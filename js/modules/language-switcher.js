@@ -0,0 +1,46 @@
+import { Module } from "../core/module.js";
+import { LANGUAGES } from "../i18n/index.js";
+
+/**
+ * Language Switcher Module
+ * Fills the language select in the navigation and switches the page language
+ */
+export class LanguageSwitcher extends Module {
+  constructor(app) {
+    super(app);
+    this.container = document.querySelector("[data-language-switcher]");
+    this.select = document.getElementById("language-select");
+  }
+
+  init() {
+    if (!this.container || !this.select) {
+      console.warn("Language switcher not found");
+      return;
+    }
+
+    this.renderOptions();
+    this.container.classList.remove("hidden");
+
+    this.listen(this.select, "change", () => {
+      this.app.i18n.setLanguage(this.select.value);
+    });
+
+    // Keep in sync when the language is changed elsewhere
+    this.on("i18n:change", ({ language }) => {
+      this.select.value = language;
+    });
+  }
+
+  renderOptions() {
+    this.select.replaceChildren(
+      ...Object.entries(LANGUAGES).map(([code, { name }]) => {
+        const option = document.createElement("option");
+        option.value = code;
+        option.lang = code;
+        option.textContent = name;
+        return option;
+      })
+    );
+    this.select.value = this.app.i18n.language;
+  }
+}
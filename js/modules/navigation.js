@@ -0,0 +1,393 @@
+import { Module } from "../core/module.js";
+import { t } from "../i18n/index.js";
+import { motionReduced } from "../services/accessibility.js";
+import { setRovingTabindex, trapFocus } from "../utils/focus.js";
+
+// Scrolling further than this (px) while the mobile menu is open closes it
+const SCROLL_CLOSE_DISTANCE = 24;
+// Fallback in case transitionend never fires (e.g. the element was hidden)
+const TRANSITION_TIMEOUT = 400;
+
+/**
+ * Navigation Module
+ * Desktop menubar keyboard model (WAI-ARIA menubar with roving tabindex)
+ * and the mobile menu with focus trap, animated open/close and automatic
+ * closing on navigation, scrolling and breakpoint changes
+ */
+export class Navigation extends Module {
+  constructor(app) {
+    super(app);
+    this.mobileMenuBtn = document.getElementById("mobile-menu-btn");
+    this.mobileMenu = document.getElementById("mobile-menu");
+    this.desktopMenu = document.getElementById("desktop-menu");
+    this.menubarItems = [];
+    this.mobileItems = [];
+    this.inertElements = [];
+    this.isMenuOpen = false;
+    this.openScrollY = 0;
+    this.closeTimer = null;
+    this.desktopQuery = window.matchMedia("(min-width: 768px)");
+  }
+
+  init() {
+    this.setupMenubar();
+
+    if (!this.mobileMenuBtn || !this.mobileMenu) {
+      console.warn("Navigation elements not found");
+      return;
+    }
+
+    this.mobileItems = Array.from(
+      this.mobileMenu.querySelectorAll(".mobile-menu-item")
+    );
+    this.bindEvents();
+    this.setupAccessibility();
+  }
+
+  destroy() {
+    super.destroy();
+    clearTimeout(this.closeTimer);
+    this.setPageInert(false);
+  }
+
+  /* ------------------------------------------------------------------------
+   * Desktop menubar
+   * --------------------------------------------------------------------- */
+
+  setupMenubar() {
+    if (!this.desktopMenu) {
+      return;
+    }
+
+    this.menubarItems = Array.from(
+      this.desktopMenu.querySelectorAll(".nav-link")
+    );
+    if (this.menubarItems.length === 0) {
+      return;
+    }
+
+    this.desktopMenu.setAttribute("role", "menubar");
+    this.desktopMenu.setAttribute("aria-orientation", "horizontal");
+    this.menubarItems.forEach((item) => item.setAttribute("role", "menuitem"));
+
+    const active = this.menubarItems.find((item) =>
+      item.classList.contains("active")
+    );
+    setRovingTabindex(this.menubarItems, active || this.menubarItems[0]);
+
+    this.listen(this.desktopMenu, "keydown", (e) => this.handleMenubarKeydown(e));
+
+    // Remember the last focused item as the one Tab returns to
+    this.listen(this.desktopMenu, "focusin", (e) => {
+      if (this.menubarItems.includes(e.target)) {
+        setRovingTabindex(this.menubarItems, e.target);
+      }
+    });
+
+    // Otherwise Tab lands on the section currently in view
+    this.on("scroll-spy:change", ({ sectionId }) => {
+      if (this.desktopMenu.contains(document.activeElement)) {
+        return;
+      }
+      const item = this.menubarItems.find(
+        (link) => link.dataset.section === sectionId
+      );
+      if (item) {
+        setRovingTabindex(this.menubarItems, item);
+      }
+    });
+  }
+
+  handleMenubarKeydown(e) {
+    const index = this.menubarItems.indexOf(e.target);
+    if (index === -1 || e.altKey || e.ctrlKey || e.metaKey) {
+      return;
+    }
+
+    // Arrow keys follow the reading direction
+    const isRtl = document.documentElement.dir === "rtl";
+    const forward = isRtl ? "ArrowLeft" : "ArrowRight";
+    const backward = isRtl ? "ArrowRight" : "ArrowLeft";
+    const count = this.menubarItems.length;
+
+    switch (e.key) {
+      case forward:
+        this.focusItem(this.menubarItems, (index + 1) % count);
+        break;
+      case backward:
+        this.focusItem(this.menubarItems, (index - 1 + count) % count);
+        break;
+      case "Home":
+        this.focusItem(this.menubarItems, 0);
+        break;
+      case "End":
+        this.focusItem(this.menubarItems, count - 1);
+        break;
+      case " ":
+        e.target.click();
+        break;
+      default:
+        if (!this.focusByCharacter(this.menubarItems, index, e.key)) {
+          return;
+        }
+    }
+
+    e.preventDefault();
+  }
+
+  focusItem(items, index) {
+    const item = items[index];
+    if (item) {
+      setRovingTabindex(items, item);
+      item.focus();
+    }
+  }
+
+  /**
+   * Type-ahead: move to the next item whose label starts with `key`
+   */
+  focusByCharacter(items, index, key) {
+    if (key.length !== 1 || !/\S/.test(key)) {
+      return false;
+    }
+
+    const char = key.toLocaleLowerCase();
+    for (let step = 1; step <= items.length; step++) {
+      const candidate = items[(index + step) % items.length];
+      if (candidate.textContent.trim().toLocaleLowerCase().startsWith(char)) {
+        this.focusItem(items, items.indexOf(candidate));
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /* ------------------------------------------------------------------------
+   * Mobile menu
+   * --------------------------------------------------------------------- */
+
+  bindEvents() {
+    // Mobile menu toggle
+    this.listen(this.mobileMenuBtn, "click", (e) => {
+      e.stopPropagation();
+      this.toggleMobileMenu();
+    });
+
+    // Close menu when clicking outside
+    this.listen(document, "click", (e) => {
+      if (
+        this.isMenuOpen &&
+        !this.mobileMenu.contains(e.target) &&
+        !this.mobileMenuBtn.contains(e.target)
+      ) {
+        this.closeMobileMenu({ restoreFocus: false });
+      }
+    });
+
+    // Escape closes, Tab stays inside the menu, arrows move between items
+    this.listen(document, "keydown", (e) => {
+      if (!this.isMenuOpen) {
+        return;
+      }
+
+      if (e.key === "Escape") {
+        this.closeMobileMenu();
+        return;
+      }
+
+      if (trapFocus(e, [this.mobileMenuBtn, ...this.mobileItems])) {
+        return;
+      }
+
+      if (this.mobileMenu.contains(e.target)) {
+        this.handleMobileMenuKeydown(e);
+      }
+    });
+
+    // Following a link closes the menu; focus goes where the link leads
+    this.mobileItems.forEach((item) => {
+      this.listen(item, "click", () => {
+        this.closeMobileMenu({ restoreFocus: false });
+      });
+    });
+
+    // Route changes (hash links, back/forward)
+    this.listen(window, "hashchange", () => {
+      this.closeMobileMenu({ restoreFocus: false });
+    });
+    this.listen(window, "popstate", () => {
+      this.closeMobileMenu({ restoreFocus: false });
+    });
+
+    this.onFrame({
+      write: ({ scrollY }) => {
+        if (
+          this.isMenuOpen &&
+          Math.abs(scrollY - this.openScrollY) > SCROLL_CLOSE_DISTANCE
+        ) {
+          this.closeMobileMenu();
+        }
+      },
+    });
+
+    // The mobile menu does not exist on desktop layouts
+    this.listen(this.desktopQuery, "change", (e) => {
+      if (e.matches) {
+        this.closeMobileMenu({ animate: false });
+      }
+    });
+  }
+
+  handleMobileMenuKeydown(e) {
+    const index = this.mobileItems.indexOf(e.target);
+    if (index === -1 || e.altKey || e.ctrlKey || e.metaKey) {
+      return;
+    }
+
+    const count = this.mobileItems.length;
+
+    switch (e.key) {
+      case "ArrowDown":
+        this.mobileItems[(index + 1) % count].focus();
+        break;
+      case "ArrowUp":
+        this.mobileItems[(index - 1 + count) % count].focus();
+        break;
+      case "Home":
+        this.mobileItems[0].focus();
+        break;
+      case "End":
+        this.mobileItems[count - 1].focus();
+        break;
+      case " ":
+        e.target.click();
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+  }
+
+  setupAccessibility() {
+    // Ensure proper ARIA attributes
+    this.mobileMenuBtn.setAttribute("aria-expanded", "false");
+    this.mobileMenuBtn.setAttribute("aria-controls", "mobile-menu");
+    this.mobileMenu.setAttribute("role", "menu");
+    this.mobileItems.forEach((item) => item.setAttribute("role", "menuitem"));
+  }
+
+  toggleMobileMenu() {
+    if (this.isMenuOpen) {
+      this.closeMobileMenu();
+    } else {
+      this.openMobileMenu();
+    }
+  }
+
+  openMobileMenu() {
+    if (this.isMenuOpen) {
+      return;
+    }
+
+    clearTimeout(this.closeTimer);
+    this.mobileMenu.classList.remove("hidden");
+    // Ensure visibility regardless of other CSS
+    this.mobileMenu.style.display = "block";
+    this.mobileMenuBtn.setAttribute("aria-expanded", "true");
+    this.isMenuOpen = true;
+    this.openScrollY = window.scrollY;
+
+    // Start the transition from the closed state
+    void this.mobileMenu.offsetHeight;
+    this.mobileMenu.classList.add("is-open");
+
+    // The rest of the page is unreachable while the menu is open
+    this.setPageInert(true);
+
+    // Focus management
+    const firstMenuItem = this.mobileItems[0];
+    if (firstMenuItem) {
+      firstMenuItem.focus({ preventScroll: true });
+    }
+
+    this.announce(t("navigation.menuOpened"));
+    this.emit("navigation:menu-toggle", { open: true });
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.restoreFocus] move focus back to the menu
+   *   button (default when focus is inside the menu)
+   * @param {boolean} [options.animate] false to hide immediately
+   */
+  closeMobileMenu({ restoreFocus = true, animate = true } = {}) {
+    if (!this.isMenuOpen) {
+      return;
+    }
+
+    const hadFocus = this.mobileMenu.contains(document.activeElement);
+
+    this.mobileMenu.classList.remove("is-open");
+    this.mobileMenuBtn.setAttribute("aria-expanded", "false");
+    this.isMenuOpen = false;
+    this.setPageInert(false);
+
+    const hide = () => {
+      clearTimeout(this.closeTimer);
+      this.mobileMenu.removeEventListener("transitionend", onEnd);
+      if (this.isMenuOpen) {
+        return;
+      }
+      this.mobileMenu.classList.add("hidden");
+      this.mobileMenu.style.display = "none";
+    };
+
+    const onEnd = (e) => {
+      if (e.target === this.mobileMenu && e.propertyName === "opacity") {
+        hide();
+      }
+    };
+
+    clearTimeout(this.closeTimer);
+    if (!animate || motionReduced()) {
+      hide();
+    } else {
+      this.listen(this.mobileMenu, "transitionend", onEnd);
+      this.closeTimer = setTimeout(hide, TRANSITION_TIMEOUT);
+    }
+
+    // Return focus to menu button unless the user is heading elsewhere
+    if (restoreFocus && hadFocus) {
+      this.mobileMenuBtn.focus();
+    }
+
+    this.announce(t("navigation.menuClosed"));
+    this.emit("navigation:menu-toggle", { open: false });
+  }
+
+  /**
+   * Make everything outside the navigation inert while the mobile menu is
+   * open. Live regions stay active so announcements still come through.
+   */
+  setPageInert(inert) {
+    if (inert) {
+      const nav = this.mobileMenu.closest("nav") || this.mobileMenu;
+      this.inertElements = Array.from(document.body.children).filter(
+        (el) =>
+          !el.contains(nav) &&
+          !el.hasAttribute("data-announcer") &&
+          el.tagName !== "SCRIPT" &&
+          !el.inert
+      );
+    }
+
+    this.inertElements.forEach((el) => {
+      el.inert = inert;
+    });
+
+    if (!inert) {
+      this.inertElements = [];
+    }
+  }
+}
@@ -0,0 +1,139 @@
+import { Module } from "../core/module.js";
+import { config } from "../config.js";
+import { t } from "../i18n/index.js";
+import { element } from "../utils/dom.js";
+
+/**
+ * Offline Support Module
+ * Registers the service worker that keeps the site available without a
+ * connection (src/sw.js, generated as sw.js by the build). A new deployment
+ * installs in the background; the page keeps running on the version it was
+ * loaded with and offers a reload, which hands over to the new one.
+ */
+export class OfflineSupport extends Module {
+  constructor(app) {
+    super(app);
+    this.options = config.offline;
+    this.registration = null;
+    this.notice = null;
+    this.updating = false;
+  }
+
+  init() {
+    if (!("serviceWorker" in navigator) || this.options.skipHosts.includes(window.location.hostname)) {
+      return;
+    }
+
+    navigator.serviceWorker
+      .register(this.options.serviceWorker)
+      .then((registration) => this.watch(registration))
+      .catch((error) => console.warn("Service worker registration failed:", error));
+  }
+
+  destroy() {
+    super.destroy();
+    this.hideNotice();
+  }
+
+  watch(registration) {
+    this.registration = registration;
+    const { serviceWorker } = navigator;
+
+    // Installed during an earlier visit and still waiting for the page
+    if (registration.waiting && serviceWorker.controller) {
+      this.showNotice();
+    }
+
+    this.listen(registration, "updatefound", () => {
+      const worker = registration.installing;
+      this.listen(worker, "statechange", () => {
+        if (worker.state !== "installed") {
+          return;
+        }
+        // Without a controller this is the first installation, not an update
+        if (serviceWorker.controller) {
+          this.showNotice();
+        } else {
+          this.announce(t("offline.ready"));
+        }
+      });
+    });
+
+    // The first installation takes over the page as well; only reload for
+    // an update the visitor asked for
+    this.listen(serviceWorker, "controllerchange", () => {
+      if (this.updating) {
+        window.location.reload();
+      }
+    });
+
+    // Look for a new version whenever the visitor returns to the tab
+    this.listen(document, "visibilitychange", () => {
+      if (!document.hidden) {
+        registration.update().catch(() => {});
+      }
+    });
+  }
+
+  showNotice() {
+    if (this.notice) {
+      return;
+    }
+
+    this.notice = element(
+      "div",
+      { class: "update-notice" },
+      element("p", { class: "update-notice__text" }),
+      element(
+        "div",
+        { class: "update-notice__actions" },
+        element("button", { type: "button", class: "update-notice__button", "data-update-action": "reload" }),
+        element("button", { type: "button", class: "update-notice__button", "data-update-action": "dismiss" })
+      )
+    );
+    document.body.append(this.notice);
+    this.render();
+
+    this.listen(this.notice, "click", (e) => {
+      const action = e.target.closest("[data-update-action]");
+      if (action && action.dataset.updateAction === "reload") {
+        this.update();
+      } else if (action) {
+        this.hideNotice();
+      }
+    });
+    this.on("i18n:change", () => this.render());
+
+    this.announce(t("offline.update"));
+  }
+
+  hideNotice() {
+    if (this.notice) {
+      this.notice.remove();
+      this.notice = null;
+    }
+  }
+
+  render() {
+    if (!this.notice) {
+      return;
+    }
+    this.notice.querySelector(".update-notice__text").textContent = t("offline.update");
+    this.notice.querySelector("[data-update-action='reload']").textContent = t("offline.reload");
+    this.notice.querySelector("[data-update-action='dismiss']").textContent = t("offline.dismiss");
+  }
+
+  /**
+   * Activate the waiting version; the page reloads once it took over
+   */
+  update() {
+    const waiting = this.registration && this.registration.waiting;
+    if (!waiting) {
+      window.location.reload();
+      return;
+    }
+
+    this.updating = true;
+    waiting.postMessage({ type: "SKIP_WAITING" });
+  }
+}
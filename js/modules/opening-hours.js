@@ -0,0 +1,269 @@
+import { Module } from "../core/module.js";
+import { config } from "../config.js";
+import { i18n, t } from "../i18n/index.js";
+import { addDays, daysBetween, getZonedParts, toIsoDate, weekdayOf } from "../utils/date.js";
+import { findHoliday } from "../utils/holidays.js";
+
+// "24.12."
+const SHORT_DATE = { weekday: undefined, year: undefined, month: "2-digit", day: "2-digit" };
+
+// Any Sunday, to look up weekday names by index
+const REFERENCE_SUNDAY = "2024-01-07";
+
+/**
+ * Opening Hours Module
+ * Renders the opening hours from config and keeps "open now" badges up to date
+ */
+export class OpeningHours extends Module {
+  constructor(app) {
+    super(app);
+    this.table = document.getElementById("opening-hours");
+    this.badges = [];
+    this.practice = config.practice;
+    this.timer = null;
+  }
+
+  init() {
+    this.badges = Array.from(document.querySelectorAll("[data-opening-status]"));
+
+    if (!this.table && this.badges.length === 0) {
+      console.warn("Opening hours elements not found");
+      return;
+    }
+
+    this.update();
+
+    // Refresh at the start of every minute
+    const now = new Date();
+    this.timer = setTimeout(() => {
+      this.update();
+      this.timer = setInterval(() => this.update(), 60 * 1000);
+    }, (60 - now.getSeconds()) * 1000);
+
+    this.listen(document, "visibilitychange", () => {
+      if (!document.hidden) {
+        this.update();
+      }
+    });
+
+    this.on("i18n:change", () => this.update());
+  }
+
+  destroy() {
+    super.destroy();
+    clearTimeout(this.timer);
+    clearInterval(this.timer);
+  }
+
+  update(now = new Date()) {
+    const status = this.getStatus(now);
+
+    if (this.table) {
+      this.renderTable(weekdayOf(status.today));
+    }
+    this.badges.forEach((badge) => this.renderBadge(badge, status));
+  }
+
+  hoursFor(weekday) {
+    return this.practice.openingHours.find((entry) => entry.days.includes(weekday)) || null;
+  }
+
+  /**
+   * Reason the practice is closed on an otherwise regular day, if any
+   */
+  closureOn(isoDate) {
+    const holiday = findHoliday(isoDate, this.practice.holidays);
+    if (holiday) {
+      return i18n.content(holiday.name);
+    }
+
+    const closure = this.practice.closures.find(
+      ({ from, to }) => isoDate >= from && isoDate <= (to || from)
+    );
+    return closure ? closureLabel(closure) : null;
+  }
+
+  /**
+   * Opening times for a calendar date, or null when closed
+   */
+  openingOn(isoDate) {
+    const hours = this.hoursFor(weekdayOf(isoDate));
+    if (!hours || !hours.opens || this.closureOn(isoDate)) {
+      return null;
+    }
+    return hours;
+  }
+
+  /**
+   * @returns {{today: string, isOpen: boolean, label: string, detail: string}}
+   */
+  getStatus(now = new Date()) {
+    const parts = getZonedParts(now, this.practice.timeZone);
+    const today = toIsoDate(parts);
+    const minutes = parts.hour * 60 + parts.minute;
+    const todayHours = this.openingOn(today);
+
+    if (todayHours && minutes >= toMinutes(todayHours.opens) && minutes < toMinutes(todayHours.closes)) {
+      return {
+        today,
+        isOpen: true,
+        label: t("openingHours.open"),
+        detail: t("openingHours.openUntil", { time: formatTime(todayHours.closes) }),
+      };
+    }
+
+    const closure = this.closureOn(today);
+    const status = { today, isOpen: false, label: t("openingHours.closed"), detail: "" };
+
+    if (todayHours && minutes < toMinutes(todayHours.opens)) {
+      status.detail = t("openingHours.opensToday", { time: formatTime(todayHours.opens) });
+      return status;
+    }
+
+    // Look up to four weeks ahead to get past long closures
+    for (let offset = 1; offset <= 28; offset++) {
+      const date = addDays(today, offset);
+      const hours = this.openingOn(date);
+      if (!hours) {
+        continue;
+      }
+
+      const time = formatTime(hours.opens);
+      if (offset === 1) {
+        status.detail = t("openingHours.opensTomorrow", { time });
+      } else if (offset < 7) {
+        status.detail = t("openingHours.opensOnWeekday", { weekday: weekdayName(weekdayOf(date)), time });
+      } else {
+        status.detail = t("openingHours.opensOnDate", { date: i18n.formatDate(date, SHORT_DATE), time });
+      }
+      break;
+    }
+
+    if (closure) {
+      status.label = t("openingHours.closedToday", { reason: closure });
+    }
+
+    return status;
+  }
+
+  renderBadge(badge, { isOpen, label, detail }) {
+    badge.classList.remove("hidden");
+    badge.classList.toggle("opening-status--open", isOpen);
+    badge.classList.toggle("opening-status--closed", !isOpen);
+    badge.innerHTML = "";
+
+    const dot = document.createElement("span");
+    dot.className = "opening-status__dot";
+    dot.setAttribute("aria-hidden", "true");
+
+    const labelEl = document.createElement("span");
+    labelEl.className = "opening-status__label";
+    labelEl.textContent = label;
+
+    badge.append(dot, labelEl);
+
+    if (detail) {
+      const detailEl = document.createElement("span");
+      detailEl.className = "opening-status__detail";
+      detailEl.textContent = detail;
+      badge.append(detailEl);
+    }
+  }
+
+  renderTable(todayWeekday) {
+    const table = document.createElement("table");
+    table.className = "opening-hours";
+
+    const caption = document.createElement("caption");
+    caption.className = "sr-only";
+    caption.textContent = t("openingHours.caption");
+    table.appendChild(caption);
+
+    const body = document.createElement("tbody");
+    this.practice.openingHours.forEach((entry) => {
+      const row = document.createElement("tr");
+      row.className = "opening-hours__row";
+
+      if (entry.days.includes(todayWeekday)) {
+        row.classList.add("opening-hours__row--today");
+        row.setAttribute("aria-current", "date");
+      }
+
+      const day = document.createElement("th");
+      day.scope = "row";
+      day.textContent = `${formatDays(entry.days)}:`;
+
+      const time = document.createElement("td");
+      time.textContent = entry.opens
+        ? t("openingHours.hours", { opens: formatTime(entry.opens), closes: formatTime(entry.closes) })
+        : entry.note ? i18n.content(entry.note) : t("openingHours.closed");
+
+      row.append(day, time);
+      body.appendChild(row);
+    });
+    table.appendChild(body);
+
+    const closures = this.upcomingClosures();
+    this.table.replaceChildren(table);
+
+    if (closures.length > 0) {
+      const list = document.createElement("ul");
+      list.className = "opening-hours__closures";
+      closures.forEach((closure) => {
+        const { from, to } = closure;
+        const item = document.createElement("li");
+        const range = to && to !== from
+          ? `${i18n.formatDate(from, SHORT_DATE)} – ${i18n.formatDate(to, SHORT_DATE)}`
+          : i18n.formatDate(from, SHORT_DATE);
+        item.textContent = `${closureLabel(closure)}: ${range}`;
+        list.appendChild(item);
+      });
+      this.table.appendChild(list);
+    }
+  }
+
+  /**
+   * Configured closures that are ongoing or start within the next 30 days
+   */
+  upcomingClosures() {
+    const today = toIsoDate(getZonedParts(new Date(), this.practice.timeZone));
+    return this.practice.closures.filter(
+      ({ from, to }) => (to || from) >= today && daysBetween(today, from) <= 30
+    );
+  }
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function closureLabel({ label }) {
+  return label ? i18n.content(label) : t("openingHours.practiceClosed");
+}
+
+// 1 -> "Montag" in the current language
+function weekdayName(day) {
+  return i18n.formatDate(addDays(REFERENCE_SUNDAY, day), {
+    weekday: "long",
+    year: undefined,
+    month: undefined,
+    day: undefined,
+  });
+}
+
+// "08:00" -> "8:00"
+function formatTime(time) {
+  return time.replace(/^0/, "");
+}
+
+// [1, 2, 3, 4] -> "Montag - Donnerstag", [1, 3] -> "Montag, Mittwoch"
+function formatDays(days) {
+  const sorted = [...days].sort((a, b) => a - b);
+  const isRange = sorted.every((day, i) => i === 0 || day === sorted[i - 1] + 1);
+
+  if (sorted.length > 2 && isRange) {
+    return `${weekdayName(sorted[0])} - ${weekdayName(sorted[sorted.length - 1])}`;
+  }
+  return sorted.map(weekdayName).join(", ");
+}
@@ -0,0 +1,63 @@
+import { Module } from "../core/module.js";
+import { REDUCED_MOTION_QUERY, motionReduced } from "../services/accessibility.js";
+
+// Wide screens with a mouse or trackpad; touch devices scroll on the
+// compositor and would have to wait for the main thread to move the image
+const PARALLAX_QUERY = "(min-width: 769px) and (hover: hover) and (pointer: fine)";
+const PARALLAX_SPEED = 0.5;
+
+/**
+ * Parallax Effect Module
+ * Moves the hero background at half the scroll speed on the shared frame
+ * scheduler. Off on touch devices and whenever motion is reduced in the
+ * system settings or the accessibility toolbar.
+ */
+export class ParallaxEffect extends Module {
+  constructor(app) {
+    super(app);
+    this.heroBackground = document.querySelector(".hero-background");
+    this.capableQuery = window.matchMedia(PARALLAX_QUERY);
+    this.motionQuery = window.matchMedia(REDUCED_MOTION_QUERY);
+    this.isActive = false;
+  }
+
+  init() {
+    if (!this.heroBackground) {
+      console.warn("Parallax background element not found");
+      return;
+    }
+
+    this.updateActive();
+    this.onFrame({ write: (viewport) => this.updateParallax(viewport) });
+
+    this.listen(this.capableQuery, "change", () => this.updateActive());
+    this.listen(this.motionQuery, "change", () => this.updateActive());
+    // Paused motion in the accessibility toolbar stops the effect right away
+    this.on("accessibility:change", () => this.updateActive());
+  }
+
+  destroy() {
+    super.destroy();
+    this.isActive = false;
+    if (this.heroBackground) {
+      this.heroBackground.style.transform = "";
+    }
+  }
+
+  updateActive() {
+    this.isActive = this.capableQuery.matches && !motionReduced();
+
+    if (this.isActive) {
+      this.app.scheduler.requestUpdate();
+    } else {
+      this.heroBackground.style.transform = "";
+    }
+  }
+
+  updateParallax({ scrollY, height }) {
+    // Only move the background while the hero is visible
+    if (this.isActive && scrollY < height) {
+      this.heroBackground.style.transform = `translate3d(0, ${scrollY * PARALLAX_SPEED}px, 0)`;
+    }
+  }
+}
@@ -0,0 +1,123 @@
+import { Module } from "../core/module.js";
+import { config } from "../config.js";
+import { t } from "../i18n/index.js";
+import { fromZonedDateTime } from "../utils/date.js";
+import { downloadFile } from "../utils/download.js";
+import { buildCalendar } from "../utils/ics.js";
+import { buildVCard } from "../utils/vcard.js";
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * vCard for the practice, built from `config.practice`
+ */
+export function createPracticeVCard(practice = config.practice) {
+  const { owner, address } = practice;
+
+  return buildVCard({
+    formattedName: practice.name,
+    name: owner,
+    organization: practice.name,
+    title: owner.title,
+    phone: practice.phone,
+    email: practice.email,
+    url: practice.url,
+    address: {
+      ...address,
+      country: new Intl.DisplayNames(["de"], { type: "region" }).of(address.country),
+    },
+  });
+}
+
+/**
+ * iCalendar file for a requested appointment, worded in the page language.
+ * The site only ever knows requests (the practice confirms by phone or
+ * email), so the event is marked as tentative.
+ * @param {{start: string, end?: string}} appointment local date-times in the practice's timezone
+ */
+export function createAppointmentCalendar(
+  { start, end },
+  { practice = config.practice, calendar = config.calendar, cancellation = config.cancellation } = {}
+) {
+  const startDate = fromZonedDateTime(start, practice.timeZone);
+  const endDate = (end && fromZonedDateTime(end, practice.timeZone)) ||
+    new Date(startDate.getTime() + calendar.appointmentMinutes * MINUTE_MS);
+  const { address } = practice;
+
+  const description = [
+    t("practiceFiles.requested"),
+    "",
+    t("practiceFiles.cancellationRule", {
+      hours: cancellation.noticeHours,
+      phone: practice.phone,
+      email: practice.email,
+      url: practice.url,
+    }),
+    t("practiceFiles.fee"),
+  ].join("\n");
+
+  return buildCalendar({
+    // Stable per slot, so importing the same appointment twice updates it
+    uid: `termin-${start.replace(/[-:]/g, "")}@${new URL(practice.url).hostname}`,
+    start: startDate,
+    end: endDate,
+    summary: t("practiceFiles.summaryRequested"),
+    description,
+    location: `${practice.name}, ${address.street}, ${address.postalCode} ${address.locality}`,
+    url: practice.url,
+    status: "TENTATIVE",
+    reminderMinutes: calendar.reminderHours * 60,
+  });
+}
+
+/**
+ * Practice Files Module
+ * "Kontakt speichern" (vCard) and "In Kalender eintragen" (iCalendar)
+ * downloads, generated in the browser.
+ *
+ * Markup:
+ *   <button data-save-contact class="hidden">…</button>
+ *   <button data-add-to-calendar data-start="2025-03-14T09:00"
+ *           data-end="2025-03-14T09:45">…</button>
+ *
+ * Clicks are delegated, so buttons rendered later by other modules work too.
+ */
+export class PracticeFiles extends Module {
+  init() {
+    document.querySelectorAll("[data-save-contact]").forEach((button) => {
+      button.classList.remove("hidden");
+    });
+
+    this.listen(document, "click", (e) => {
+      const contactButton = e.target.closest("[data-save-contact]");
+      if (contactButton) {
+        this.saveContact();
+        return;
+      }
+
+      const calendarButton = e.target.closest("[data-add-to-calendar]");
+      if (calendarButton) {
+        this.addToCalendar(calendarButton.dataset);
+      }
+    });
+  }
+
+  saveContact() {
+    downloadFile("logopaedie-sagmeister.vcf", createPracticeVCard(), "text/vcard;charset=utf-8");
+    this.emit("practice-files:download", { kind: "vcard" });
+  }
+
+  addToCalendar({ start, end }) {
+    if (!fromZonedDateTime(start, config.practice.timeZone)) {
+      console.warn("Invalid appointment start:", start);
+      return;
+    }
+
+    downloadFile(
+      `logopaedie-termin-${start.replace(":", "").replace("T", "-")}.ics`,
+      createAppointmentCalendar({ start, end }),
+      "text/calendar;charset=utf-8"
+    );
+    this.emit("practice-files:download", { kind: "calendar" });
+  }
+}
@@ -0,0 +1,240 @@
+import { Module } from "../core/module.js";
+import { config } from "../config.js";
+import { t } from "../i18n/index.js";
+
+// Copied into vendor/ by the build and only requested when the map is shown
+const LEAFLET_SCRIPT = "vendor/leaflet/leaflet.js";
+const LEAFLET_STYLE = "vendor/leaflet/leaflet.css";
+
+let leaflet = null;
+
+/**
+ * Load Leaflet once; a failed attempt can be retried
+ * @returns {Promise<Object>} the Leaflet namespace (window.L)
+ */
+function loadLeaflet() {
+  if (!leaflet) {
+    leaflet = Promise.all([
+      loadFile("link", { rel: "stylesheet", href: LEAFLET_STYLE }),
+      loadFile("script", { src: LEAFLET_SCRIPT }),
+    ]).then(() => window.L);
+    leaflet.catch(() => {
+      leaflet = null;
+    });
+  }
+  return leaflet;
+}
+
+function loadFile(tag, attributes) {
+  return new Promise((resolve, reject) => {
+    const el = Object.assign(document.createElement(tag), attributes);
+    el.addEventListener("load", resolve, { once: true });
+    el.addEventListener(
+      "error",
+      () => {
+        el.remove();
+        reject(new Error(`Could not load ${attributes.href || attributes.src}`));
+      },
+      { once: true }
+    );
+    document.head.append(el);
+  });
+}
+
+/**
+ * Practice Map Module
+ * Interactive map of the practice address in #contact. It starts as a static
+ * placeholder image; tiles come from `config.map.tiles` and, when that source
+ * needs consent, are not requested before the visitor agreed.
+ *
+ * Markup:
+ *   <figure data-practice-map>
+ *     <img class="practice-map__placeholder" src="images/map-placeholder.svg" … />
+ *     <div class="hidden" data-map-consent>… <button data-map-load>…</button></div>
+ *   </figure>
+ */
+export class PracticeMap extends Module {
+  constructor(app) {
+    super(app);
+    this.container = document.querySelector("[data-practice-map]");
+    this.options = config.map;
+    this.consentNote = null;
+    this.canvas = null;
+    this.error = null;
+    this.map = null;
+    this.shown = false;
+    this.focusPending = false;
+  }
+
+  init() {
+    if (!this.container) {
+      return;
+    }
+
+    const service = this.options.tiles.consent;
+    const consent = this.app.getModule("consent");
+    this.consentNote = this.container.querySelector("[data-map-consent]");
+
+    if (!service || consent.has(service)) {
+      this.show();
+    } else {
+      this.consentNote.classList.remove("hidden");
+    }
+
+    this.listen(this.container.querySelector("[data-map-load]"), "click", async () => {
+      if (!service || (await consent.request(service))) {
+        this.show({ focus: true });
+      }
+    });
+
+    this.on("consent:change", ({ service: changed, granted }) => {
+      if (changed !== service) {
+        return;
+      }
+      if (granted) {
+        this.show();
+      } else {
+        this.hide();
+      }
+    });
+
+    this.on("i18n:change", () => this.updateLabels());
+  }
+
+  destroy() {
+    super.destroy();
+    if (this.container) {
+      this.hide();
+      this.consentNote.classList.add("hidden");
+    }
+  }
+
+  async show({ focus = false } = {}) {
+    // Granting consent with "remember" shows the map before the button's own
+    // call arrives, so focus is handed over once the map exists
+    this.focusPending = this.focusPending || focus;
+    if (this.shown) {
+      this.focusMap();
+      return;
+    }
+    this.shown = true;
+    this.consentNote.classList.add("hidden");
+    this.clearError();
+
+    let L;
+    try {
+      L = await loadLeaflet();
+    } catch (error) {
+      console.error("Map could not be loaded:", error);
+      this.shown = false;
+      this.focusPending = false;
+      this.showError();
+      return;
+    }
+
+    // Revoked or destroyed while the library was loading
+    if (!this.shown) {
+      return;
+    }
+
+    const { practice } = config;
+    const position = [practice.geo.latitude, practice.geo.longitude];
+    const { zoom, tiles } = this.options;
+
+    this.canvas = document.createElement("div");
+    this.canvas.className = "practice-map__canvas";
+    this.container.append(this.canvas);
+    this.container.classList.add("practice-map--loaded");
+
+    this.map = L.map(this.canvas, {
+      // The page keeps scrolling over the map; zoom with the buttons, keys or
+      // a pinch. On touch screens a swipe scrolls the page, not the map.
+      scrollWheelZoom: false,
+      dragging: !window.matchMedia("(pointer: coarse)").matches,
+    }).setView(position, zoom);
+
+    L.tileLayer(tiles.url, { attribution: tiles.attribution, maxZoom: tiles.maxZoom }).addTo(this.map);
+
+    L.marker(position, {
+      title: practice.name,
+      icon: L.divIcon({
+        className: "practice-map__marker",
+        html: '<i class="fas fa-map-marker-alt" aria-hidden="true"></i>',
+        iconSize: [32, 40],
+        iconAnchor: [16, 40],
+        popupAnchor: [0, -36],
+      }),
+    })
+      .bindPopup(this.createPopup(practice))
+      .addTo(this.map);
+
+    this.updateLabels();
+    this.focusMap();
+  }
+
+  hide() {
+    this.shown = false;
+    this.focusPending = false;
+    if (this.map) {
+      this.map.remove();
+      this.map = null;
+    }
+    if (this.canvas) {
+      this.canvas.remove();
+      this.canvas = null;
+    }
+    this.clearError();
+    this.container.classList.remove("practice-map--loaded");
+    if (this.options.tiles.consent) {
+      this.consentNote.classList.remove("hidden");
+    }
+  }
+
+  focusMap() {
+    if (this.canvas && this.focusPending) {
+      this.focusPending = false;
+      this.canvas.focus();
+    }
+  }
+
+  createPopup({ name, address }) {
+    const popup = document.createElement("p");
+    const title = document.createElement("strong");
+    title.textContent = name;
+    popup.append(
+      title,
+      document.createElement("br"),
+      address.street,
+      document.createElement("br"),
+      `${address.postalCode} ${address.locality}`
+    );
+    return popup;
+  }
+
+  updateLabels() {
+    if (this.canvas) {
+      this.canvas.setAttribute("aria-label", t("map.label"));
+    }
+    if (this.error) {
+      this.error.textContent = t("map.error");
+    }
+  }
+
+  showError() {
+    this.error = document.createElement("p");
+    this.error.className = "practice-map__error";
+    this.error.setAttribute("role", "alert");
+    this.error.textContent = t("map.error");
+    this.container.append(this.error);
+
+    // Offer the button again, the library may load on a second try
+    this.consentNote.classList.remove("hidden");
+  }
+
+  clearError() {
+    if (this.error) {
+      this.error.remove();
+      this.error = null;
+    }
+  }
+}
@@ -0,0 +1,135 @@
+import { Module } from "../core/module.js";
+import { config } from "../config.js";
+import { i18n, t } from "../i18n/index.js";
+import { addDays, daysBetween, parseIsoDate, todayIn } from "../utils/date.js";
+
+/**
+ * Last valid therapy start for a prescription issued on `issueDate`
+ * @param {string} issueDate ISO date of the prescription
+ * @param {string} today ISO date in the practice's timezone
+ * @returns {{deadline: string, daysLeft: number, status: "ok"|"soon"|"expired"|"future"}|null}
+ *   null if `issueDate` is no valid date
+ */
+export function calculatePrescriptionDeadline(issueDate, today, rules = config.prescription) {
+  if (!parseIsoDate(issueDate)) {
+    return null;
+  }
+
+  const deadline = addDays(issueDate, rules.startWithinDays);
+  const daysLeft = daysBetween(today, deadline);
+  let status = "ok";
+
+  if (daysBetween(today, issueDate) > 0) {
+    status = "future";
+  } else if (daysLeft < 0) {
+    status = "expired";
+  } else if (daysLeft <= rules.warningDays) {
+    status = "soon";
+  }
+
+  return { deadline, daysLeft, status };
+}
+
+/**
+ * Prescription Deadline Module
+ * Calculates the last valid therapy start date for a Heilmittelverordnung
+ */
+export class PrescriptionDeadline extends Module {
+  constructor(app) {
+    super(app);
+    this.container = document.getElementById("prescription-calculator");
+    this.input = document.getElementById("prescription-date");
+    this.result = document.getElementById("prescription-result");
+    this.rules = config.prescription;
+    this.timeZone = config.practice.timeZone;
+  }
+
+  init() {
+    if (!this.container || !this.input || !this.result) {
+      console.warn("Prescription calculator elements not found");
+      return;
+    }
+
+    this.syncRuleText();
+    this.input.max = todayIn(this.timeZone);
+    this.container.classList.remove("hidden");
+
+    this.listen(this.input, "change", () => this.update());
+    this.listen(this.input, "input", () => this.update());
+
+    this.on("i18n:change", () => {
+      this.syncRuleText();
+      this.update();
+    });
+  }
+
+  /**
+   * Keep the day count in the surrounding text in line with the config
+   */
+  syncRuleText() {
+    document.querySelectorAll("[data-prescription-days]").forEach((el) => {
+      el.textContent = t("prescriptionDeadline.days", { count: this.rules.startWithinDays });
+    });
+  }
+
+  calculate(issueDate, today) {
+    return calculatePrescriptionDeadline(issueDate, today, this.rules);
+  }
+
+  update() {
+    const result = this.calculate(this.input.value, todayIn(this.timeZone));
+
+    if (!result) {
+      this.clearResult();
+      return;
+    }
+
+    this.renderResult(result);
+    this.emit("prescription-deadline:calculate", { status: result.status });
+  }
+
+  clearResult() {
+    this.result.textContent = "";
+    this.result.className = "deadline-calculator__result";
+  }
+
+  renderResult({ deadline, daysLeft, status }) {
+    this.clearResult();
+    this.result.classList.add(`deadline-calculator__result--${status}`);
+
+    if (status === "future") {
+      this.appendLine(t("prescriptionDeadline.future"));
+      return;
+    }
+
+    this.appendLine(t("prescriptionDeadline.deadline", { date: i18n.formatDate(deadline) }), "strong");
+
+    if (status === "expired") {
+      this.appendLine(t("prescriptionDeadline.expired", { count: Math.abs(daysLeft) }));
+      return;
+    }
+
+    if (daysLeft === 0) {
+      this.appendLine(t("prescriptionDeadline.today"));
+    } else {
+      this.appendLine(t("prescriptionDeadline.daysLeft", { count: daysLeft }));
+    }
+
+    if (status === "soon") {
+      this.appendLine(t("prescriptionDeadline.soon"));
+    }
+
+    const link = document.createElement("a");
+    link.href = "#contact";
+    link.className = "deadline-calculator__cta";
+    link.innerHTML = `<i class="fas fa-calendar-plus" aria-hidden="true"></i><span>${t("prescriptionDeadline.cta")}</span>`;
+    this.result.appendChild(link);
+  }
+
+  appendLine(text, tagName = "p") {
+    const el = document.createElement(tagName);
+    el.textContent = text;
+    el.className = "deadline-calculator__line";
+    this.result.appendChild(el);
+  }
+}
@@ -0,0 +1,83 @@
+import { Module } from "../core/module.js";
+
+// Start loading this far before an image scrolls into view
+const LOAD_MARGIN = "300px 0px";
+
+/**
+ * Responsive Images Module
+ * Loads lazy responsive pictures shortly before they become visible. The
+ * build (build/responsive-images.mjs) writes their AVIF and WebP candidates to
+ * data-srcset; once they are copied to srcset the browser picks the format
+ * and width that suit it. The blurred placeholder stays until that image has
+ * loaded.
+ *
+ * Markup (generated):
+ *   <picture data-responsive="lazy">
+ *     <source type="image/avif" data-srcset="images/responsive/x-320.avif 320w, …" sizes="15rem" />
+ *     <img src="data:image/webp;base64,…" data-src="images/x.jpeg" class="responsive-image responsive-image--loading" … />
+ *   </picture>
+ */
+export class ResponsiveImages extends Module {
+  constructor(app) {
+    super(app);
+    this.images = [];
+    this.observer = null;
+  }
+
+  init() {
+    // The <picture> has no box of its own (display: contents), so the
+    // images are observed
+    this.images = Array.from(document.querySelectorAll("picture[data-responsive='lazy'] img[data-src]"));
+    if (this.images.length === 0) {
+      return;
+    }
+
+    if (!("IntersectionObserver" in window)) {
+      this.images.forEach((img) => this.load(img));
+      return;
+    }
+
+    this.observer = new IntersectionObserver(
+      (entries) =>
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            this.load(entry.target);
+          }
+        }),
+      { rootMargin: LOAD_MARGIN }
+    );
+    this.images.forEach((img) => this.observer.observe(img));
+
+    // Printouts show every image, not only the ones scrolled past
+    this.listen(window, "beforeprint", () => this.images.forEach((img) => this.load(img)));
+  }
+
+  destroy() {
+    super.destroy();
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+  }
+
+  load(img) {
+    if (!img.dataset.src) {
+      return;
+    }
+    if (this.observer) {
+      this.observer.unobserve(img);
+    }
+
+    // Either outcome ends the placeholder; a failed image shows its alt text
+    const done = () => img.classList.remove("responsive-image--loading");
+    this.listen(img, "load", done, { once: true });
+    this.listen(img, "error", done, { once: true });
+
+    img.parentElement.querySelectorAll("source[data-srcset]").forEach((source) => {
+      source.srcset = source.dataset.srcset;
+      delete source.dataset.srcset;
+    });
+    img.src = img.dataset.src;
+    delete img.dataset.src;
+  }
+}
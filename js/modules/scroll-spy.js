@@ -0,0 +1,230 @@
+import { Module } from "../core/module.js";
+import { getHashId, getHistoryState, updateHistoryState } from "../utils/history.js";
+
+/**
+ * Scroll Spy Module
+ * Highlights active navigation items based on scroll position, mirrors the
+ * active section in the URL and restores the scroll position on reload and
+ * back/forward navigation.
+ *
+ * The active section is the one crossing a line `scrollOffset` px below the
+ * top of the viewport. An IntersectionObserver watches a 1px band at that
+ * line, so scrolling never measures the sections.
+ */
+export class ScrollSpy extends Module {
+  constructor(app) {
+    super(app);
+    this.sections = [];
+    this.navLinks = [];
+    this.activeSection = "";
+    this.scrollOffset = 100;
+    this.observer = null;
+    this.observedHeight = 0;
+    this.intersecting = new Set();
+    this.desktopMenu = null;
+    this.desktopLinks = [];
+    this.isUserNavigating = false;
+    this.scrollEndTimer = null;
+    this.saveScrollTimer = null;
+  }
+
+  init() {
+    this.findElements();
+    this.bindEvents();
+
+    // Positions are restored from the history entry once every module has
+    // rendered, so expanded panels and generated content are in place
+    if ("scrollRestoration" in history) {
+      history.scrollRestoration = "manual";
+    }
+    this.on("app:ready", () => this.restoreScroll(history.state));
+
+    // Let the jump to a deep link settle before the URL is rewritten
+    if (location.hash) {
+      this.isUserNavigating = true;
+      this.scheduleScrollEndDetection();
+    }
+
+    this.updateActiveSection();
+  }
+
+  destroy() {
+    super.destroy();
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+    clearTimeout(this.scrollEndTimer);
+    clearTimeout(this.saveScrollTimer);
+  }
+
+  findElements() {
+    // Find all sections with IDs
+    this.sections = Array.from(document.querySelectorAll("section[id]"));
+
+    // Find all navigation links
+    this.navLinks = Array.from(
+      document.querySelectorAll(".nav-link, .mobile-menu-item")
+    );
+
+    // Desktop menu and links for underline
+    this.desktopMenu = document.getElementById("desktop-menu");
+    this.desktopLinks = this.desktopMenu
+      ? Array.from(this.desktopMenu.querySelectorAll(".nav-link"))
+      : [];
+  }
+
+  /**
+   * (Re-)create the observer for the current viewport height; the band's
+   * bottom margin depends on it
+   */
+  observeSections(viewportHeight = window.innerHeight) {
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+    this.intersecting.clear();
+    this.observedHeight = viewportHeight;
+
+    const bottomMargin = Math.max(0, viewportHeight - this.scrollOffset - 1);
+    this.observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach(({ target, isIntersecting }) => {
+          if (isIntersecting) {
+            this.intersecting.add(target);
+          } else {
+            this.intersecting.delete(target);
+          }
+        });
+        if (!this.isUserNavigating) {
+          this.updateActiveSection();
+        }
+      },
+      { rootMargin: `-${this.scrollOffset}px 0px -${bottomMargin}px 0px` }
+    );
+    this.sections.forEach((section) => this.observer.observe(section));
+  }
+
+  bindEvents() {
+    this.observeSections();
+
+    this.onFrame({
+      write: ({ scrolled, resized, height }) => {
+        // Mobile browsers resize while their address bar slides in and out
+        if (resized && height !== this.observedHeight) {
+          this.observeSections(height);
+        }
+        if (!scrolled) {
+          return;
+        }
+        if (this.isUserNavigating) {
+          this.scheduleScrollEndDetection();
+        }
+        this.scheduleScrollSave();
+      },
+    });
+
+    // Hash links scroll by themselves; wait for them to finish
+    this.listen(window, "hashchange", () => {
+      this.isUserNavigating = true;
+      this.scheduleScrollEndDetection();
+    });
+
+    // ServiceExpansion has re-applied the entry's panels by now
+    this.listen(window, "popstate", (e) => {
+      this.restoreScroll(e.state);
+    });
+
+    // Immediate active state on click of desktop links
+    this.desktopLinks.forEach((link) => {
+      this.listen(link, "click", () => {
+        this.isUserNavigating = true;
+        // Optimistically mark as active to avoid flicker
+        this.navLinks.forEach((l) => l.classList.remove("active"));
+        link.classList.add("active");
+        this.scheduleScrollEndDetection();
+      });
+    });
+  }
+
+  updateActiveSection() {
+    // Sections in document order, so the later one wins where two touch the line
+    const active = this.sections.filter((section) => this.intersecting.has(section)).pop();
+    const newActiveSection = active ? active.id : "";
+
+    // Update active section if it changed
+    if (newActiveSection !== this.activeSection) {
+      this.setActiveSection(newActiveSection);
+    }
+  }
+
+  setActiveSection(sectionId) {
+    // Remove active class from all links
+    this.navLinks.forEach((link) => {
+      link.classList.remove("active");
+    });
+
+    // Add active class to current section's link
+    if (sectionId) {
+      const activeLink = this.navLinks.find((link) => {
+        const href = link.getAttribute("href");
+        return href === `#${sectionId}`;
+      });
+
+      if (activeLink) {
+        activeLink.classList.add("active");
+      }
+    }
+
+    this.activeSection = sectionId;
+    this.updateUrl(sectionId);
+    this.emit("scroll-spy:change", { sectionId });
+  }
+
+  /**
+   * Reflect the active section in the address bar without adding entries
+   */
+  updateUrl(sectionId) {
+    if (!sectionId || this.isUserNavigating) {
+      return;
+    }
+
+    // Keep deep links (e.g. #dyslalie) while their section is in view
+    const section = document.getElementById(sectionId);
+    const hashId = getHashId();
+    const hashTarget = hashId ? document.getElementById(hashId) : null;
+    if (hashTarget && section.contains(hashTarget)) {
+      return;
+    }
+
+    // The first section is the top of the page and needs no hash
+    const isTop = this.sections[0] && this.sections[0].id === sectionId;
+    const url = `${location.pathname}${location.search}${isTop ? "" : `#${sectionId}`}`;
+    if (url !== `${location.pathname}${location.search}${location.hash}`) {
+      updateHistoryState({}, url);
+    }
+  }
+
+  restoreScroll(state) {
+    const scrollY = getHistoryState("scrollY", state);
+    if (typeof scrollY === "number") {
+      window.scrollTo({ top: scrollY, behavior: "instant" });
+    }
+  }
+
+  scheduleScrollSave() {
+    clearTimeout(this.saveScrollTimer);
+    this.saveScrollTimer = setTimeout(() => {
+      updateHistoryState({ scrollY: Math.round(window.scrollY) });
+    }, 200);
+  }
+
+  scheduleScrollEndDetection() {
+    if (this.scrollEndTimer) {
+      clearTimeout(this.scrollEndTimer);
+    }
+    // Consider scrolling finished after 250ms without scroll events
+    this.scrollEndTimer = setTimeout(() => {
+      this.isUserNavigating = false;
+      this.updateActiveSection();
+    }, 250);
+  }
+}
@@ -0,0 +1,124 @@
+import { Module } from "../core/module.js";
+import { config } from "../config.js";
+import { t } from "../i18n/index.js";
+import { fetchServiceCatalog, serviceCardId } from "../services/service-catalog.js";
+
+/**
+ * Service Cards Module
+ * Builds the treatment cards in the children and adult panels from
+ * data/services.json, each with a "Mehr erfahren" button that opens its
+ * detail dialog (see ServiceDialog). The static cards in index.html stay in
+ * place when JavaScript or the catalog is unavailable.
+ */
+export class ServiceCards extends Module {
+  constructor(app) {
+    super(app);
+    this.catalog = null;
+    this.detailButtons = [];
+  }
+
+  async init() {
+    try {
+      this.catalog = await fetchServiceCatalog({ url: config.services.catalogUrl });
+    } catch (error) {
+      console.warn("Service catalog could not be loaded, keeping static cards:", error);
+      return;
+    }
+
+    this.render();
+
+    this.on("i18n:change", () => this.updateLabels());
+  }
+
+  render() {
+    const { audiences, services } = this.catalog;
+    let count = 0;
+
+    Object.entries(audiences).forEach(([audienceKey, audience]) => {
+      const panel = document.getElementById(audience.panel);
+      const list = panel ? panel.querySelector(".grid") : null;
+      if (!list) {
+        console.warn(`Service panel not found: ${audience.panel}`);
+        return;
+      }
+
+      const cards = services
+        .filter((service) => service.audience.includes(audienceKey))
+        .map((service) => this.createCard(service, audienceKey));
+
+      list.replaceChildren(...cards);
+      this.app.i18n.translatePage(list);
+      count += cards.length;
+    });
+
+    this.detailButtons = Array.from(document.querySelectorAll("[data-service-dialog]"));
+    this.updateLabels();
+
+    this.emit("service-cards:render", { count });
+  }
+
+  createCard(service, audienceKey) {
+    const { audiences } = this.catalog;
+    const id = serviceCardId(service, audienceKey, audiences);
+    const key = service.i18n ? `services.items.${service.i18n}` : null;
+
+    const item = document.createElement("div");
+
+    const card = document.createElement("div");
+    card.className = `card-bento card-bento--${audiences[audienceKey].color || "pink"} compact-service-card`;
+    card.id = id;
+    card.dataset.service = service.id;
+    if (service.keywords.length > 0) {
+      card.dataset.keywords = service.keywords.join(" ");
+    }
+
+    const header = document.createElement("div");
+    header.className = "card-bento__header compact-header";
+    const heading = document.createElement("div");
+    if (service.icon) {
+      card.classList.add("compact-service-card--icon");
+      const icon = document.createElement("i");
+      icon.className = `fas ${service.icon} compact-icon`;
+      icon.setAttribute("aria-hidden", "true");
+      heading.append(icon);
+    }
+    const title = this.createText("h6", "card-bento__title compact-title", service.title, key && `${key}.title`);
+    title.id = `${id}-title`;
+    heading.append(title);
+    header.append(heading);
+
+    const body = document.createElement("div");
+    body.className = "card-bento__body compact-body";
+    body.append(this.createText("p", "card-bento__content compact-content", service.short, key && `${key}.text`));
+
+    if (service.long || service.symptoms.length > 0) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "compact-detail-button";
+      button.setAttribute("aria-haspopup", "dialog");
+      button.setAttribute("aria-describedby", title.id);
+      button.dataset.serviceDialog = id;
+      body.append(button);
+    }
+
+    card.append(header, body);
+    item.append(card);
+    return item;
+  }
+
+  createText(tag, className, text, i18nKey) {
+    const el = document.createElement(tag);
+    el.className = className;
+    el.textContent = text;
+    if (i18nKey) {
+      el.dataset.i18n = i18nKey;
+    }
+    return el;
+  }
+
+  updateLabels() {
+    this.detailButtons.forEach((button) => {
+      button.textContent = t("serviceCards.more");
+    });
+  }
+}
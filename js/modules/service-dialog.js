@@ -0,0 +1,356 @@
+import { Module } from "../core/module.js";
+import { t } from "../i18n/index.js";
+import { serviceCardId } from "../services/service-catalog.js";
+import { closeOnBackdropClick, showModal } from "../utils/dialog.js";
+import { element } from "../utils/dom.js";
+import { updateHistoryState } from "../utils/history.js";
+
+// Query parameter with the card id of the open dialog (index.html?behandlung=aphasie)
+const URL_PARAM = "behandlung";
+// Where "Termin anfragen" continues
+const BOOKING_TARGET = "#booking-wizard";
+
+/**
+ * Service Dialog Module
+ * Detail view of a treatment area: the extended description, typical signs
+ * and a "Termin anfragen" link to the booking wizard. It opens from the
+ * [data-service-dialog] button of any service card and pages through all
+ * treatment areas in the order of the cards (buttons or arrow keys). The
+ * open dialog is part of the URL, so the address can be shared.
+ *
+ * As a modal <dialog> it keeps focus inside and makes the page behind it
+ * inert; Escape, the close button and a click on the backdrop close it and
+ * return focus to the card.
+ */
+export class ServiceDialog extends Module {
+  constructor(app) {
+    super(app);
+    this.entries = [];
+    this.current = -1;
+    this.dialog = null;
+  }
+
+  init() {
+    const serviceCards = this.app.getModule("service-cards");
+    const catalog = serviceCards ? serviceCards.catalog : null;
+    if (!catalog) {
+      return;
+    }
+
+    this.entries = this.collectEntries(catalog);
+    this.dialog = this.createDialog();
+    document.body.append(this.dialog);
+
+    closeOnBackdropClick(this.dialog, this.listeners.signal);
+    this.listen(this.dialog, "close", () => this.handleClose());
+    this.listen(this.dialog, "click", (e) => this.handleAction(e));
+    this.listen(this.dialog, "keydown", (e) => this.handleKeydown(e));
+
+    this.listen(document, "click", (e) => {
+      const button = e.target.closest("[data-service-dialog]");
+      if (button) {
+        this.open(button.dataset.serviceDialog, button);
+      }
+    });
+
+    this.listen(window, "popstate", () => this.syncWithUrl());
+    this.on("i18n:change", () => {
+      if (this.current >= 0) this.render();
+    });
+
+    // A shared link opens its dialog right away
+    this.syncWithUrl();
+  }
+
+  destroy() {
+    super.destroy();
+    if (this.dialog) {
+      this.dialog.remove();
+      this.dialog = null;
+    }
+  }
+
+  /**
+   * One entry per card, in page order; a service listed for several
+   * audiences appears once per panel
+   */
+  collectEntries({ audiences, services }) {
+    return Object.entries(audiences).flatMap(([audienceKey, audience]) =>
+      services
+        .filter((service) => service.audience.includes(audienceKey))
+        .map((service) => ({
+          id: serviceCardId(service, audienceKey, audiences),
+          service,
+          panelId: audience.panel,
+        }))
+    );
+  }
+
+  createDialog() {
+    const step = (action, icon) =>
+      element(
+        "button",
+        { type: "button", class: "service-dialog__step", "data-service-dialog-action": action },
+        element("i", { class: `fas ${icon}`, "aria-hidden": "true" }),
+        element("span", { class: "service-dialog__step-title" })
+      );
+
+    return element(
+      "dialog",
+      {
+        class: "service-dialog",
+        "aria-labelledby": "service-dialog-title",
+        "aria-describedby": "service-dialog-text",
+      },
+      element(
+        "div",
+        { class: "service-dialog__body" },
+        element(
+          "div",
+          { class: "service-dialog__header" },
+          // Paging reads out the next treatment area
+          element("div", { class: "service-dialog__heading", "aria-live": "polite" }),
+          element(
+            "button",
+            { type: "button", class: "service-dialog__close", "data-service-dialog-action": "close" },
+            element("i", { class: "fas fa-xmark", "aria-hidden": "true" })
+          )
+        ),
+        element("div", { class: "service-dialog__content" }),
+        element("a", { href: BOOKING_TARGET, class: "service-dialog__book", "data-service-dialog-action": "book" }),
+        element(
+          "nav",
+          { class: "service-dialog__pager" },
+          step("previous", "fa-chevron-left"),
+          element("p", { class: "service-dialog__position" }),
+          step("next", "fa-chevron-right")
+        )
+      )
+    );
+  }
+
+  /**
+   * Open the dialog for a card
+   * @param {string} id card id, e.g. "stottern-erwachsene"
+   * @param {Element} [opener] gets focus back when the dialog closes
+   * @returns {boolean} whether a treatment area with that id exists
+   */
+  open(id, opener = document.activeElement) {
+    const index = this.entries.findIndex((entry) => entry.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.show(index);
+    if (!this.dialog.open) {
+      showModal(this.dialog, opener);
+    }
+    return true;
+  }
+
+  /**
+   * Show the treatment area at `index`; paging past either end wraps around
+   */
+  show(index) {
+    this.current = (index + this.entries.length) % this.entries.length;
+    const { id, service } = this.entries[this.current];
+
+    this.render();
+    this.updateUrl(id);
+    this.emit("service-dialog:open", { service: service.id, cardId: id });
+  }
+
+  render() {
+    const { service, panelId } = this.entries[this.current];
+    const key = service.i18n ? `services.items.${service.i18n}` : null;
+    const query = (selector) => this.dialog.querySelector(selector);
+    const hadFocus = query(".service-dialog__heading").contains(document.activeElement);
+
+    // Fresh elements for every treatment area: translatePage() remembers the
+    // German source text per element. The title gets focus when the dialog
+    // opens, so screen readers start there.
+    const title = element(
+      "h2",
+      { id: "service-dialog-title", class: "service-dialog__title", tabindex: "-1", autofocus: true },
+      service.title
+    );
+    if (key) {
+      title.dataset.i18n = `${key}.title`;
+    }
+    query(".service-dialog__heading").replaceChildren(
+      element("p", { class: "service-dialog__audience" }, this.audienceTitle(panelId)),
+      title
+    );
+
+    const text = service.long
+      ? this.createText("p", "service-dialog__text", service.long, key && `${key}.long`)
+      : this.createText("p", "service-dialog__text", service.short, key && `${key}.text`);
+    text.id = "service-dialog-text";
+    const content = [text];
+    if (service.symptoms.length > 0) {
+      content.push(
+        element("h3", { class: "service-dialog__subtitle" }, t("serviceDialog.symptoms")),
+        element(
+          "ul",
+          { class: "service-dialog__symptoms" },
+          ...service.symptoms.map((symptom, i) =>
+            this.createText("li", "service-dialog__symptom", symptom, key && `${key}.symptoms.${i}`)
+          )
+        )
+      );
+    }
+    query(".service-dialog__content").replaceChildren(...content);
+    this.app.i18n.translatePage(this.dialog);
+
+    query(".service-dialog__close").setAttribute("aria-label", t("serviceDialog.close"));
+    query(".service-dialog__book").textContent = t("serviceDialog.book");
+    this.renderPager();
+
+    if (hadFocus) {
+      title.focus();
+    }
+  }
+
+  renderPager() {
+    const pager = this.dialog.querySelector(".service-dialog__pager");
+    pager.classList.toggle("hidden", this.entries.length < 2);
+    pager.setAttribute("aria-label", t("serviceDialog.pager"));
+
+    [
+      ["previous", this.current - 1],
+      ["next", this.current + 1],
+    ].forEach(([action, index]) => {
+      const title = this.cardTitle(this.entries[(index + this.entries.length) % this.entries.length]);
+      const button = pager.querySelector(`[data-service-dialog-action="${action}"]`);
+      button.setAttribute("aria-label", t(`serviceDialog.${action}`, { title }));
+      button.querySelector(".service-dialog__step-title").textContent = title;
+    });
+
+    pager.querySelector(".service-dialog__position").textContent = t("serviceDialog.position", {
+      current: this.current + 1,
+      total: this.entries.length,
+    });
+  }
+
+  createText(tag, className, text, i18nKey) {
+    const el = element(tag, { class: className }, text);
+    if (i18nKey) {
+      el.dataset.i18n = i18nKey;
+    }
+    return el;
+  }
+
+  /**
+   * Title of the card in the current language
+   */
+  cardTitle({ id, service }) {
+    const title = document.getElementById(`${id}-title`);
+    return title ? title.textContent.trim() : service.title;
+  }
+
+  /**
+   * Heading of the panel's group ("Logopädie für Kinder")
+   */
+  audienceTitle(panelId) {
+    const panel = document.getElementById(panelId);
+    const group = panel ? panel.closest(".card-bento") : null;
+    const title = group ? group.querySelector(".card-bento__title") : null;
+    return title ? title.textContent.trim() : "";
+  }
+
+  cardButton(id) {
+    return Array.from(document.querySelectorAll("[data-service-dialog]")).find(
+      (button) => button.dataset.serviceDialog === id
+    );
+  }
+
+  handleAction(e) {
+    const action = e.target.closest("[data-service-dialog-action]");
+    if (!action) {
+      return;
+    }
+
+    switch (action.dataset.serviceDialogAction) {
+      case "close":
+        this.dialog.close();
+        break;
+      case "previous":
+        this.show(this.current - 1);
+        break;
+      case "next":
+        this.show(this.current + 1);
+        break;
+      case "book":
+        e.preventDefault();
+        this.book(action);
+        break;
+    }
+  }
+
+  handleKeydown(e) {
+    if ((e.key !== "ArrowLeft" && e.key !== "ArrowRight") || e.altKey || e.ctrlKey || e.metaKey) {
+      return;
+    }
+
+    // Follow the reading direction: in right-to-left languages ← goes on
+    const forward = (e.key === "ArrowRight") !== (document.documentElement.dir === "rtl");
+    e.preventDefault();
+    this.show(this.current + (forward ? 1 : -1));
+  }
+
+  handleClose() {
+    const { service } = this.entries[this.current];
+    this.current = -1;
+    this.updateUrl(null);
+    this.emit("service-dialog:close", { service: service.id });
+  }
+
+  /**
+   * Close the dialog and continue with an appointment request for the
+   * treatment area on display
+   */
+  book(link) {
+    const { service, panelId } = this.entries[this.current];
+
+    // Runs after showModal() returned focus to the card, so the booking
+    // wizard can take it over
+    this.listen(
+      this.dialog,
+      "close",
+      () => {
+        location.hash = link.hash;
+        this.emit("service-dialog:book", { service: service.id, panelId, concern: service.title });
+      },
+      { once: true }
+    );
+    this.dialog.close();
+  }
+
+  /**
+   * Open or close the dialog to match the URL (shared links, back/forward)
+   */
+  syncWithUrl() {
+    const id = new URLSearchParams(location.search).get(URL_PARAM);
+    if (id && this.open(id, this.cardButton(id))) {
+      return;
+    }
+    if (this.dialog.open) {
+      this.dialog.close();
+    }
+  }
+
+  updateUrl(id) {
+    const params = new URLSearchParams(location.search);
+    if (id) {
+      params.set(URL_PARAM, id);
+    } else {
+      params.delete(URL_PARAM);
+    }
+
+    const search = params.toString();
+    const url = `${location.pathname}${search ? `?${search}` : ""}${location.hash}`;
+    if (url !== `${location.pathname}${location.search}${location.hash}`) {
+      updateHistoryState({}, url);
+    }
+  }
+}
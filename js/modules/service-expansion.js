@@ -0,0 +1,51 @@
+import { Module } from '../core/module.js';
+import { t } from '../i18n/index.js';
+
+// Collapsible group of the children and adult service panels
+const GROUP = 'services';
+
+/**
+ * Service Expansion Module
+ * Service-specific behaviour of the expandable children and adult panels.
+ * Opening, closing, deep links and the saved state are handled by the
+ * collapsibles module (data-collapsible="services"); this module opens the
+ * panels that hold search results and names the group in announcements.
+ */
+export class ServiceExpansion extends Module {
+  init() {
+    this.collapsibles = this.app.getModule('collapsibles');
+    if (!this.collapsibles || !this.collapsibles.groups.has(GROUP)) {
+      return;
+    }
+
+    // Open the panels that hold search results
+    this.on('service-search:change', ({ panelIds }) => {
+      panelIds.forEach((panelId) => this.collapsibles.setExpanded(panelId, true));
+    });
+
+    this.on('collapsible:toggle', ({ group, panelId, expanded }) => {
+      if (group !== GROUP) return;
+      this.announceToggle(panelId, expanded);
+      this.emit('service-expansion:toggle', { panelId, expanded });
+    });
+
+    this.on('collapsible:reveal', ({ group, panelId, targetId }) => {
+      if (group !== GROUP) return;
+      this.emit('service-expansion:reveal', { panelId, targetId });
+    });
+  }
+
+  isExpanded(panelId) {
+    return this.collapsibles.isExpanded(panelId);
+  }
+
+  announceToggle(panelId, expanded) {
+    // Name the group so both panels don't sound the same
+    const panel = document.getElementById(panelId);
+    const card = panel ? panel.closest('.card-bento') : null;
+    const title = card ? card.querySelector('.card-bento__title') : null;
+    const group = title ? title.textContent.trim() : '';
+    const key = expanded ? 'serviceExpansion.expanded' : 'serviceExpansion.collapsed';
+    this.announce(t(key, { group }));
+  }
+}
@@ -0,0 +1,280 @@
+import { Module } from "../core/module.js";
+import { t } from "../i18n/index.js";
+
+// Wait this long after the last keystroke before reading out the result count
+const ANNOUNCE_DELAY = 600;
+// Shorter search terms are matched literally, without synonyms
+const MIN_SYNONYM_LENGTH = 3;
+// Umlauts are spelled out rather than stripped, so "Hörstörung" and
+// "Hoerstoerung" meet while "Dauer" stays "dauer"
+const FOLDED = { ä: "ae", ö: "oe", ü: "ue", ß: "ss" };
+const COMBINING_DIAERESIS = "\u0308";
+
+/**
+ * Words parents and patients use for the same problem. A search term that
+ * matches one word of a group also finds cards mentioning any other word of
+ * that group. Entries are compared after normalize(), so umlauts and their
+ * ae/oe/ue spellings are interchangeable.
+ */
+const SYNONYMS = [
+  ["stottern", "stammeln", "poltern", "redefluss", "blockaden", "stuttering"],
+  ["lispeln", "sigmatismus", "nuscheln", "lautbildung", "dyslalie"],
+  ["grammatik", "satzbau", "dysgrammatismus"],
+  ["näseln", "nasal", "gaumenspalte", "rhinophonie"],
+  ["hören", "schwerhörig", "hörgerät", "cochlea", "hörstörung", "hörbeeinträchtigung"],
+  ["zuhören", "wahrnehmung", "verarbeitung", "avws"],
+  ["spätzünder", "wortschatz", "wörter", "sprachentwicklung", "sprachentwicklungsverzögerung"],
+  ["zunge", "mundmotorik", "schnuller", "daumenlutschen", "myofunktionell"],
+  ["schlaganfall", "wortfindung", "sprachverlust", "aphasie"],
+  ["sprechapraxie", "apraxie", "sprechbewegung"],
+  ["undeutlich", "verwaschen", "parkinson", "dysarthrie"],
+  ["schlucken", "verschlucken", "schluckstörung", "dysphagie"],
+  ["heiser", "heiserkeit", "stimme", "stimmstörung", "dysphonie"],
+  ["gesichtslähmung", "fazialisparese", "facialisparese", "gesichtsnerv"],
+].map((group) => group.map((word) => normalize(word)));
+
+/**
+ * Lower-case, spell out ä/ö/ü/ß as ae/oe/ue/ss and strip other accents so
+ * "Hörstörung" and "Hoerstoerung" (or "Café" and "Cafe") compare equal
+ */
+export function normalize(text) {
+  return normalizeWithMap(text).text;
+}
+
+/**
+ * normalize() that also returns, for every character of the result, the
+ * index of the character in `text` it came from (used for highlighting)
+ */
+function normalizeWithMap(text) {
+  let result = "";
+  const map = [];
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index].toLocaleLowerCase("de");
+    let base;
+
+    if (char in FOLDED) {
+      base = FOLDED[char];
+    } else if (char === COMBINING_DIAERESIS && /[aou]$/.test(result)) {
+      // Decomposed umlaut ("o" + U+0308)
+      base = "e";
+    } else {
+      base = char.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+    }
+
+    Array.from(base).forEach((part) => {
+      result += part;
+      map.push(index);
+    });
+  }
+
+  return { text: result, map };
+}
+
+/**
+ * Service Search Module
+ * Filters the treatment cards in #services by title, description and catalog
+ * keywords as the visitor types, opens the panels that hold matches, highlights the matched
+ * words and reports the number of results
+ */
+export class ServiceSearch extends Module {
+  constructor(app) {
+    super(app);
+    this.container = document.querySelector("[data-service-search]");
+    this.input = document.getElementById("service-search-input");
+    this.count = document.querySelector("[data-service-search-count]");
+    this.cards = [];
+    this.query = "";
+    this.announceTimer = null;
+  }
+
+  init() {
+    if (!this.container || !this.input) {
+      console.warn("Service search not found");
+      return;
+    }
+
+    this.cards = Array.from(
+      document.querySelectorAll("#services .compact-service-card")
+    ).map((card) => {
+      const panel = card.closest("[id$='-services']");
+      return {
+        card,
+        item: card.parentElement,
+        panelId: panel ? panel.id : null,
+        fields: Array.from(card.querySelectorAll(".compact-title, .compact-content")),
+      };
+    });
+
+    this.container.classList.remove("hidden");
+
+    this.listen(this.input, "input", () => this.search(this.input.value));
+
+    this.listen(this.input, "keydown", (e) => {
+      if (e.key === "Escape" && this.input.value) {
+        e.stopPropagation();
+        this.input.value = "";
+        this.search("");
+      }
+    });
+
+    // Translated cards replace their text; match and highlight it again
+    this.on("i18n:change", () => {
+      this.query = "";
+      this.search(this.input.value);
+    });
+  }
+
+  destroy() {
+    super.destroy();
+    clearTimeout(this.announceTimer);
+  }
+
+  search(value) {
+    const query = value.trim();
+    if (query === this.query) {
+      return;
+    }
+    this.query = query;
+
+    const tokens = normalize(query).split(/\s+/).filter(Boolean);
+    const matchedPanels = new Set();
+    let matches = 0;
+
+    this.cards.forEach((entry) => {
+      this.clearHighlights(entry);
+
+      const terms = tokens.length ? this.matchCard(entry, tokens) : null;
+      const isMatch = tokens.length === 0 || terms !== null;
+      entry.item.classList.toggle("hidden", !isMatch);
+
+      if (tokens.length && isMatch) {
+        matches += 1;
+        if (entry.panelId) {
+          matchedPanels.add(entry.panelId);
+        }
+        this.highlight(entry, terms);
+      }
+    });
+
+    this.updateCount(tokens.length ? matches : null);
+    this.emit("service-search:change", {
+      query,
+      matches,
+      panelIds: Array.from(matchedPanels),
+    });
+  }
+
+  /**
+   * Every token has to occur in the card, either literally or as one of its
+   * synonyms
+   * @returns {string[]|null} the normalized terms found, or null if no match
+   */
+  matchCard(entry, tokens) {
+    const haystack = [
+      ...entry.fields.map((field) => field.textContent),
+      entry.card.dataset.keywords || "",
+    ]
+      .map(normalize)
+      .join(" ");
+    const found = [];
+
+    for (const token of tokens) {
+      const terms = [token, ...this.synonymsFor(token)].filter((term) =>
+        haystack.includes(term)
+      );
+      if (terms.length === 0) {
+        return null;
+      }
+      found.push(...terms);
+    }
+
+    return found;
+  }
+
+  synonymsFor(token) {
+    if (token.length < MIN_SYNONYM_LENGTH) {
+      return [];
+    }
+
+    return SYNONYMS.filter((group) =>
+      group.some((word) => word.startsWith(token) || token.startsWith(word))
+    ).flat();
+  }
+
+  highlight(entry, terms) {
+    entry.fields.forEach((field) => {
+      const text = field.textContent;
+      const { text: normalized, map } = normalizeWithMap(text);
+
+      // Collect [start, end) ranges in the original text, merged when overlapping
+      const ranges = [];
+      terms.forEach((term) => {
+        let index = normalized.indexOf(term);
+        while (index !== -1) {
+          const end = index + term.length;
+          // A term may end inside a spelled-out umlaut; still mark the whole letter
+          ranges.push([map[index], map[end - 1] + 1]);
+          index = normalized.indexOf(term, end);
+        }
+      });
+      if (ranges.length === 0) {
+        return;
+      }
+
+      ranges.sort((a, b) => a[0] - b[0]);
+      const merged = ranges.reduce((acc, range) => {
+        const last = acc[acc.length - 1];
+        if (last && range[0] <= last[1]) {
+          last[1] = Math.max(last[1], range[1]);
+        } else {
+          acc.push([...range]);
+        }
+        return acc;
+      }, []);
+
+      const fragment = document.createDocumentFragment();
+      let position = 0;
+      merged.forEach(([start, end]) => {
+        fragment.append(text.slice(position, start));
+        const mark = document.createElement("mark");
+        mark.className = "service-search__mark";
+        mark.textContent = text.slice(start, end);
+        fragment.append(mark);
+        position = end;
+      });
+      fragment.append(text.slice(position));
+      field.replaceChildren(fragment);
+    });
+  }
+
+  clearHighlights(entry) {
+    entry.fields.forEach((field) => {
+      if (field.querySelector(".service-search__mark")) {
+        field.textContent = field.textContent;
+      }
+    });
+  }
+
+  /**
+   * @param {number|null} matches null when the search box is empty
+   */
+  updateCount(matches) {
+    clearTimeout(this.announceTimer);
+
+    let message = "";
+    if (matches === 0) {
+      message = t("serviceSearch.none");
+    } else if (matches !== null) {
+      message = t("serviceSearch.results", { count: matches });
+    }
+
+    if (this.count) {
+      this.count.textContent = message;
+    }
+
+    if (message) {
+      this.announceTimer = setTimeout(() => this.announce(message), ANNOUNCE_DELAY);
+    }
+  }
+}
@@ -0,0 +1,139 @@
+import { Module } from "../core/module.js";
+import { config } from "../config.js";
+import { DEFAULT_LANGUAGE } from "../i18n/index.js";
+import { buildFaqSchema, buildGraph, buildPracticeSchema } from "../utils/structured-data.js";
+
+/**
+ * Structured Data Module
+ * Publishes the practice as schema.org JSON-LD for search engines: address,
+ * opening hours and treatment areas from the same config and catalog the page
+ * renders, and the questions marked with data-faq-question in #info. Texts
+ * stay German whatever the visitor's language.
+ */
+export class StructuredData extends Module {
+  constructor(app) {
+    super(app);
+    this.script = null;
+    this.created = false;
+  }
+
+  init() {
+    this.update();
+
+    // Rule text such as the 28-day deadline is filled in from the config on
+    // the German page, so read it again when the visitor switches back
+    this.on("i18n:change", ({ language }) => {
+      if (language === DEFAULT_LANGUAGE) {
+        this.update();
+      }
+    });
+  }
+
+  update() {
+    const practice = config.practice;
+    // Loaded by the service cards module; without it the cards fall back to
+    // the static copy and no treatment areas are published
+    const serviceCards = this.app.getModule("service-cards");
+    const catalog = serviceCards ? serviceCards.catalog : null;
+
+    const clinic = buildPracticeSchema(practice, {
+      services: catalog ? catalog.services : [],
+      logo: practice.logo && new URL(practice.logo, practice.url).href,
+    });
+    const nodes = [clinic];
+
+    const faq = this.readFaq();
+    if (faq.length > 0) {
+      nodes.push(
+        buildFaqSchema(faq, {
+          url: `${practice.url}#info`,
+          language: DEFAULT_LANGUAGE,
+          about: clinic["@id"],
+        })
+      );
+    }
+
+    this.script = this.script || document.querySelector("script[data-structured-data]");
+    if (!this.script) {
+      this.script = document.createElement("script");
+      this.script.type = "application/ld+json";
+      this.script.dataset.structuredData = "";
+      document.head.append(this.script);
+      this.created = true;
+    }
+    this.script.textContent = JSON.stringify(buildGraph(nodes));
+  }
+
+  destroy() {
+    super.destroy();
+    if (this.created && this.script) {
+      this.script.remove();
+    }
+  }
+
+  /**
+   * Question/answer pairs from the info section. The answer is the block
+   * following the heading, without interactive widgets (role="group").
+   */
+  readFaq() {
+    return Array.from(document.querySelectorAll("[data-faq-question]"))
+      .map((heading) => ({
+        question: heading.dataset.faqQuestion,
+        answer: this.answerText(heading.nextElementSibling),
+      }))
+      .filter(({ question, answer }) => question && answer);
+  }
+
+  answerText(block) {
+    if (!block) {
+      return "";
+    }
+
+    const parts = [];
+    block.querySelectorAll("p, h4, ul").forEach((el) => {
+      if (el.closest('[role="group"]')) {
+        return;
+      }
+
+      if (el.tagName === "UL") {
+        parts.push(`${Array.from(el.children, (item) => this.germanText(item)).join(", ")}.`);
+        return;
+      }
+
+      const text = this.germanText(el);
+      if (!text) {
+        return;
+      }
+      // Headings introduce the text after them; paragraphs end as sentences
+      const ending = el.tagName === "H4" ? ":" : ".";
+      parts.push(/[.:!?]$/.test(text) ? text : `${text}${ending}`);
+    });
+
+    return parts.join(" ");
+  }
+
+  /**
+   * German text of an element whose parts may have been translated
+   */
+  germanText(el) {
+    const { i18n } = this.app;
+    if (i18n.language === DEFAULT_LANGUAGE) {
+      return normalizeSpace(el.textContent);
+    }
+    if (el.dataset.i18n !== undefined || el.dataset.i18nHtml !== undefined) {
+      return normalizeSpace(i18n.sourceText(el));
+    }
+
+    const text = Array.from(el.childNodes, (node) => {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        return this.germanText(node);
+      }
+      return node.nodeType === Node.TEXT_NODE ? node.textContent : "";
+    }).join("");
+    return normalizeSpace(text);
+  }
+}
+
+function normalizeSpace(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
@@ -0,0 +1,92 @@
+/**
+ * Accessibility Preferences
+ * Reading aids chosen in the accessibility toolbar. They are kept in
+ * localStorage and applied as data-a11y-* attributes on <html>, which
+ * style.css turns into overrides of its custom properties. The inline script
+ * in the page head (src/partials/head.mjs) applies stored preferences before
+ * the first paint, so it has to keep reading the same format.
+ *
+ * { "textSize": "larger", "contrast": "high", "motion": "paused" }
+ */
+
+const STORAGE_KEY = "accessibility";
+
+// Allowed values per preference; the first one is the default and is not stored
+export const PREFERENCES = {
+  textSize: ["normal", "large", "larger", "largest"],
+  contrast: ["normal", "high"],
+  font: ["normal", "dyslexia"],
+  lineSpacing: ["normal", "wide"],
+  motion: ["normal", "paused"],
+};
+
+// Listen to matchMedia(REDUCED_MOTION_QUERY) for changes of the system setting
+export const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+// textSize -> data-a11y-text-size (read as dataset.a11yTextSize)
+function datasetKey(name) {
+  return `a11y${name[0].toUpperCase()}${name.slice(1)}`;
+}
+
+/**
+ * Defaults for every preference
+ */
+export function defaultPreferences() {
+  return Object.fromEntries(Object.entries(PREFERENCES).map(([name, values]) => [name, values[0]]));
+}
+
+/**
+ * Stored preferences merged over the defaults; unknown names and values are dropped
+ */
+export function loadPreferences() {
+  const preferences = defaultPreferences();
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    Object.entries(stored).forEach(([name, value]) => {
+      if (PREFERENCES[name] && PREFERENCES[name].includes(value)) {
+        preferences[name] = value;
+      }
+    });
+  } catch {
+    // Unreadable or unavailable storage: the defaults apply
+  }
+  return preferences;
+}
+
+export function savePreferences(preferences) {
+  const changed = Object.fromEntries(
+    Object.entries(preferences).filter(([name, value]) => value !== PREFERENCES[name][0])
+  );
+
+  try {
+    if (Object.keys(changed).length > 0) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(changed));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch {
+    // Not remembered, the preferences still apply until the page is left
+  }
+}
+
+export function applyPreferences(preferences, root = document.documentElement) {
+  Object.entries(preferences).forEach(([name, value]) => {
+    if (value === PREFERENCES[name][0]) {
+      delete root.dataset[datasetKey(name)];
+    } else {
+      root.dataset[datasetKey(name)] = value;
+    }
+  });
+}
+
+/**
+ * Whether animations should be skipped: the visitor asked the operating
+ * system for less motion or paused motion in the toolbar
+ */
+export function motionReduced() {
+  return (
+    window.matchMedia(REDUCED_MOTION_QUERY).matches ||
+    document.documentElement.dataset[datasetKey("motion")] === "paused"
+  );
+}
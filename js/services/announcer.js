@@ -0,0 +1,123 @@
+/**
+ * Announcer Service
+ * Persistent screen reader live regions shared by all modules. Screen readers
+ * only reliably pick up changes to regions that already exist, so one polite
+ * and one assertive region are created once and reused. Messages are queued
+ * per channel and spaced out so none is cut off, and a message that repeats
+ * the one just before it is dropped.
+ */
+
+const POLITENESS = ["polite", "assertive"];
+
+export class Announcer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.delay] ms between clearing and filling a region
+   * @param {number} [options.interval] ms a message stays before the next one
+   */
+  constructor({ delay = 100, interval = 1000 } = {}) {
+    this.delay = delay;
+    this.interval = interval;
+    this.channels = new Map();
+  }
+
+  /**
+   * Create the live regions. Called by the app before modules initialise;
+   * announce() also creates them on demand.
+   */
+  init() {
+    POLITENESS.forEach((politeness) => this.channel(politeness));
+  }
+
+  destroy() {
+    this.channels.forEach(({ region, timer }) => {
+      clearTimeout(timer);
+      region.remove();
+    });
+    this.channels.clear();
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {"polite"|"assertive"} [options.politeness]
+   */
+  announce(message, { politeness = "polite" } = {}) {
+    const text = String(message || "").trim();
+    if (!text) {
+      return;
+    }
+
+    const channel = this.channel(
+      POLITENESS.includes(politeness) ? politeness : "polite"
+    );
+
+    const previous = channel.queue.length
+      ? channel.queue[channel.queue.length - 1]
+      : channel.current;
+    const isRecent =
+      channel.queue.length > 0 ||
+      Date.now() - channel.announcedAt < this.interval;
+    if (text === previous && isRecent) {
+      return;
+    }
+
+    channel.queue.push(text);
+    if (!channel.timer) {
+      this.next(channel);
+    }
+  }
+
+  /**
+   * Drop queued messages and empty the regions, e.g. when the page changes
+   * so much that pending messages no longer apply
+   */
+  clear() {
+    this.channels.forEach((channel) => {
+      clearTimeout(channel.timer);
+      channel.timer = null;
+      channel.queue = [];
+      channel.current = "";
+      channel.region.textContent = "";
+    });
+  }
+
+  channel(politeness) {
+    if (!this.channels.has(politeness)) {
+      const region = document.createElement("div");
+      region.className = "sr-only";
+      region.setAttribute("aria-live", politeness);
+      region.setAttribute("aria-atomic", "true");
+      region.dataset.announcer = politeness;
+      document.body.appendChild(region);
+
+      this.channels.set(politeness, {
+        region,
+        queue: [],
+        timer: null,
+        current: "",
+        announcedAt: 0,
+      });
+    }
+
+    return this.channels.get(politeness);
+  }
+
+  next(channel) {
+    const text = channel.queue.shift();
+    if (text === undefined) {
+      channel.timer = null;
+      return;
+    }
+
+    channel.current = text;
+    channel.announcedAt = Date.now();
+
+    // Empty the region first so the same text can be announced again later
+    channel.region.textContent = "";
+    channel.timer = setTimeout(() => {
+      channel.region.textContent = text;
+      channel.timer = setTimeout(() => this.next(channel), this.interval);
+    }, this.delay);
+  }
+}
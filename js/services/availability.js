@@ -0,0 +1,47 @@
+/**
+ * Availability Service
+ * Loads free appointment slots from a JSON or ICS feed
+ *
+ * JSON: { "slots": [{ "start": "2025-03-14T09:00", "end": "2025-03-14T09:45" }] }
+ * ICS:  one VEVENT per free slot (DTSTART/DTEND)
+ * Local times are in the practice's timezone.
+ */
+
+import { nowIn } from "../utils/date.js";
+import { parseEvents, toLocalDateTime } from "../utils/ics.js";
+
+function parseJsonSlots(data) {
+  return (data.slots || []).map(({ start, end }) => ({
+    start: String(start).slice(0, 16),
+    end: end ? String(end).slice(0, 16) : null,
+  }));
+}
+
+function parseIcsSlots(text, timeZone) {
+  return parseEvents(text).map((event) => ({
+    start: toLocalDateTime(event.DTSTART, timeZone),
+    end: toLocalDateTime(event.DTEND, timeZone),
+  }));
+}
+
+/**
+ * @param {{url: string, timeZone: string}} options
+ * @returns {Promise<{start: string, end: string|null}[]>} upcoming slots, sorted
+ */
+export async function fetchAvailability({ url, timeZone }) {
+  const response = await fetch(url, { headers: { Accept: "application/json, text/calendar" } });
+  if (!response.ok) {
+    throw new Error(`Availability feed returned ${response.status}`);
+  }
+
+  const contentType = response.headers.get("Content-Type") || "";
+  const isIcs = contentType.includes("text/calendar") || /\.ics(\?|$)/.test(url);
+  const slots = isIcs
+    ? parseIcsSlots(await response.text(), timeZone)
+    : parseJsonSlots(await response.json());
+
+  const now = nowIn(timeZone);
+  return slots
+    .filter((slot) => slot.start && slot.start > now)
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
@@ -0,0 +1,67 @@
+/**
+ * Consent Service
+ * Remembers which third-party services the visitor agreed to. Choices are
+ * kept in localStorage (never in cookies) together with the version of the
+ * service list they were made for; a new version discards them.
+ *
+ * { "version": 1, "choices": { "whatsapp": true }, "updated": "2025-03-14T09:30:00.000Z" }
+ */
+
+const STORAGE_KEY = "consent";
+
+export class ConsentStore {
+  /**
+   * @param {{version: number, services: Object}} options `config.consent`
+   */
+  constructor({ version, services }) {
+    this.version = version;
+    this.services = services;
+    this.choices = this.load();
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (stored && stored.version === this.version && stored.choices) {
+        return { ...stored.choices };
+      }
+    } catch {
+      // Unreadable or unavailable storage: nothing has been agreed to
+    }
+    return {};
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        STORAGE_KEY,
+        JSON.stringify({ version: this.version, choices: this.choices, updated: new Date().toISOString() })
+      );
+    } catch {
+      // Not remembered, the choice still applies until the page is left
+    }
+  }
+
+  /**
+   * Whether the visitor agreed to `service`; unknown services never are
+   */
+  has(service) {
+    return service in this.services && this.choices[service] === true;
+  }
+
+  /**
+   * @returns {boolean} whether the choice changed
+   */
+  set(service, granted) {
+    if (!(service in this.services)) {
+      throw new Error(`Unknown consent service "${service}"`);
+    }
+    if (this.has(service) === granted) {
+      return false;
+    }
+
+    this.choices[service] = granted;
+    this.save();
+    return true;
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Frame Scheduler
+ * One passive scroll and resize listener and one requestAnimationFrame
+ * callback shared by all modules. Each frame the viewport is measured once,
+ * then every task's read() runs before any task's write(), so DOM writes
+ * never force another layout in the same frame.
+ *
+ * app.scheduler.subscribe({
+ *   read: (viewport) => element.getBoundingClientRect().top,
+ *   write: (viewport, top) => { … },
+ * });
+ *
+ * `viewport` is { scrollY, width, height, scrolled, resized }; `scrolled` and
+ * `resized` tell which events led to the frame.
+ */
+export class FrameScheduler {
+  constructor() {
+    this.tasks = new Set();
+    this.listeners = null;
+    this.frame = null;
+    this.scrolled = false;
+    this.resized = false;
+  }
+
+  /**
+   * @param {{read?: Function, write?: Function}} task
+   * @returns {Function} unsubscribe
+   */
+  subscribe(task) {
+    this.tasks.add(task);
+    this.start();
+
+    return () => {
+      this.tasks.delete(task);
+      if (this.tasks.size === 0) {
+        this.stop();
+      }
+    };
+  }
+
+  /**
+   * Run all tasks on the next frame, e.g. after content above them changed
+   * height without a scroll or resize
+   */
+  requestUpdate() {
+    this.schedule("resized");
+  }
+
+  destroy() {
+    this.tasks.clear();
+    this.stop();
+  }
+
+  start() {
+    if (this.listeners) {
+      return;
+    }
+
+    // Browsers fire resize after an orientation change as well
+    this.listeners = new AbortController();
+    const options = { passive: true, signal: this.listeners.signal };
+    window.addEventListener("scroll", () => this.schedule("scrolled"), options);
+    window.addEventListener("resize", () => this.schedule("resized"), options);
+  }
+
+  stop() {
+    if (this.listeners) {
+      this.listeners.abort();
+      this.listeners = null;
+    }
+    if (this.frame) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+  }
+
+  schedule(reason) {
+    this[reason] = true;
+    if (!this.frame) {
+      this.frame = requestAnimationFrame(() => this.flush());
+    }
+  }
+
+  flush() {
+    this.frame = null;
+    const viewport = {
+      scrollY: window.scrollY,
+      width: window.innerWidth,
+      height: window.innerHeight,
+      scrolled: this.scrolled,
+      resized: this.resized,
+    };
+    this.scrolled = false;
+    this.resized = false;
+
+    const tasks = Array.from(this.tasks);
+    const measurements = tasks.map((task) => run(task, "read", viewport));
+    tasks.forEach((task, index) => run(task, "write", viewport, measurements[index]));
+  }
+}
+
+// A failing task must not stop the others
+function run(task, phase, ...args) {
+  if (!task[phase]) {
+    return undefined;
+  }
+  try {
+    return task[phase](...args);
+  } catch (error) {
+    console.error(`Frame task ${phase} failed:`, error);
+    return undefined;
+  }
+}
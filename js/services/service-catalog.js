@@ -0,0 +1,76 @@
+/**
+ * Service Catalog Service
+ * Loads the treatment areas shown in #services from a JSON file
+ *
+ * {
+ *   "audiences": { "children": { "panel": "children-services", "color": "pink", "idSuffix": "" } },
+ *   "services": [{
+ *     "id": "dyslalie", "i18n": "dyslalia", "audience": ["children"], "icon": "fa-comment-dots",
+ *     "title": "…", "short": "…", "long": "…", "symptoms": ["…"], "keywords": ["lispeln"]
+ *   }]
+ * }
+ *
+ * Texts are German; `i18n` is the service's key into the message catalogs,
+ * whose services.items.<key> entries hold the translations (see README).
+ */
+
+const REQUIRED_FIELDS = ["id", "title", "short"];
+
+function parseService(service, audiences) {
+  const missing = REQUIRED_FIELDS.filter((field) => !service[field]);
+  if (missing.length > 0) {
+    throw new Error(`Service "${service.id || "?"}" is missing ${missing.join(", ")}`);
+  }
+
+  const audience = [].concat(service.audience || []).filter((key) => audiences[key]);
+  if (audience.length === 0) {
+    throw new Error(`Service "${service.id}" has no known audience`);
+  }
+
+  return {
+    id: String(service.id),
+    i18n: service.i18n || null,
+    audience,
+    icon: service.icon || null,
+    title: String(service.title),
+    short: String(service.short),
+    long: service.long ? String(service.long) : "",
+    symptoms: Array.isArray(service.symptoms) ? service.symptoms.map(String) : [],
+    keywords: Array.isArray(service.keywords) ? service.keywords.map(String) : [],
+  };
+}
+
+/**
+ * @param {{url: string}} options
+ * @returns {Promise<{audiences: Object, services: Object[]}>}
+ */
+export async function fetchServiceCatalog({ url }) {
+  const response = await fetch(url, { headers: { Accept: "application/json" } });
+  if (!response.ok) {
+    throw new Error(`Service catalog returned ${response.status}`);
+  }
+
+  const data = await response.json();
+  const audiences = data.audiences || {};
+  const services = (data.services || []).map((service) => parseService(service, audiences));
+
+  const ids = new Set();
+  services.forEach(({ id }) => {
+    if (ids.has(id)) {
+      throw new Error(`Duplicate service id "${id}"`);
+    }
+    ids.add(id);
+  });
+
+  return { audiences, services };
+}
+
+/**
+ * Anchor id of a service's card in one audience panel. A service listed for
+ * several audiences keeps its plain id in the first one.
+ */
+export function serviceCardId(service, audienceKey, audiences) {
+  const isFirst = service.audience[0] === audienceKey;
+  const suffix = (audiences[audienceKey] && audiences[audienceKey].idSuffix) || `-${audienceKey}`;
+  return isFirst ? service.id : `${service.id}${suffix}`;
+}
@@ -0,0 +1,180 @@
+/**
+ * Spam Protection
+ * Keeps bots out of the forms without a third-party service such as
+ * reCAPTCHA: a honeypot field, a minimum fill time, a rate limit that
+ * survives reloads, a proof-of-work stamp and link heuristics.
+ *
+ * The stamp and the link checks run in the browser and again in the
+ * receiving endpoint (server/messages.mjs), which imports this file; they
+ * only use Web Crypto, available in both.
+ *
+ * Stamp sent with a message as `guard`:
+ *   { "website": "", "startedAt": 1760000000000, "nonce": 21844 }
+ * SHA-256 of "<type>:<startedAt>:<JSON of data>:<nonce>" has to start with
+ * `difficulty` zero bits. Finding the nonce takes the browser a moment;
+ * checking it takes the server one hash, and every further message costs a
+ * bot the same work again.
+ */
+
+const STORAGE_KEY = "messagesSent";
+// Free-text fields of the payloads (contact, booking, cancellation)
+const TEXT_FIELDS = ["message", "notes", "reason"];
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+// BBCode and HTML links, as pasted by spam tools
+const MARKUP_LINK_PATTERN = /\[url[=\]]|<a\s/i;
+// Refusals that can be waited out get their own note; the others, such as a
+// filled honeypot, the general one
+const NOTED_REASONS = ["tooFast", "rateLimited"];
+
+/**
+ * Link spam in the free text and name of a payload
+ * @param {Object} data
+ * @param {{maxLinks: number}} options
+ * @returns {Object<string, "tooManyLinks"|"markupLinks"|"linkInName">} reason per field
+ */
+export function findLinkSpam(data, { maxLinks }) {
+  const reasons = {};
+
+  TEXT_FIELDS.forEach((field) => {
+    const text = String(data[field] || "");
+    if (MARKUP_LINK_PATTERN.test(text)) {
+      reasons[field] = "markupLinks";
+    } else if ((text.match(LINK_PATTERN) || []).length > maxLinks) {
+      reasons[field] = "tooManyLinks";
+    }
+  });
+  if ((String(data.name || "").match(LINK_PATTERN) || []).length > 0) {
+    reasons.name = "linkInName";
+  }
+  return reasons;
+}
+
+/**
+ * Catalog key of the note for a message refused for `reason`
+ * @param {string} reason from SpamGuard#check()
+ * @returns {string}
+ */
+export function spamNoteKey(reason) {
+  return `spamProtection.${NOTED_REASONS.includes(reason) ? reason : "rejected"}`;
+}
+
+function proofInput(type, { startedAt, nonce }, data) {
+  return `${type}:${startedAt}:${JSON.stringify(data)}:${nonce}`;
+}
+
+async function hashBytes(text) {
+  return new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text)));
+}
+
+function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte !== 0) {
+      return bits + Math.clz32(byte) - 24;
+    }
+    bits += 8;
+  }
+  return bits;
+}
+
+/**
+ * Find the nonce for a stamp
+ * @returns {Promise<number>}
+ */
+export async function solveProofOfWork(type, startedAt, data, difficulty) {
+  for (let nonce = 0; ; nonce++) {
+    if (leadingZeroBits(await hashBytes(proofInput(type, { startedAt, nonce }, data))) >= difficulty) {
+      return nonce;
+    }
+  }
+}
+
+/**
+ * Whether `guard` is a valid stamp for this message
+ */
+export async function verifyProofOfWork(type, guard, data, difficulty) {
+  if (!Number.isSafeInteger(guard.startedAt) || !Number.isSafeInteger(guard.nonce) || guard.nonce < 0) {
+    return false;
+  }
+  return leadingZeroBits(await hashBytes(proofInput(type, guard, data))) >= difficulty;
+}
+
+/**
+ * Spam Guard
+ * Browser side of the protection for one form
+ */
+export class SpamGuard {
+  /**
+   * @param {HTMLInputElement|null} honeypot hidden field that only bots fill in
+   * @param {Object} options `config.spamProtection`
+   */
+  constructor(honeypot, options) {
+    this.honeypot = honeypot;
+    this.options = options;
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Restart the fill time, e.g. for the next message after a reset
+   */
+  reset() {
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Checks that need no server
+   * @returns {{reason: string, fields?: Object<string, string>}|null} why the
+   *   message looks automated, null when it does not
+   */
+  check(data) {
+    if (this.honeypot && this.honeypot.value !== "") {
+      return { reason: "honeypot" };
+    }
+    if (Date.now() - this.startedAt < this.options.minFillTime) {
+      return { reason: "tooFast" };
+    }
+    if (this.recentSubmissions().length >= this.options.rateLimit.max) {
+      return { reason: "rateLimited" };
+    }
+
+    const fields = findLinkSpam(data, this.options);
+    if (Object.keys(fields).length > 0) {
+      return { reason: "links", fields };
+    }
+    return null;
+  }
+
+  /**
+   * Stamp for a message that passed check()
+   */
+  async stamp(type, data) {
+    const { startedAt } = this;
+    const nonce = await solveProofOfWork(type, startedAt, data, this.options.proofOfWork.difficulty);
+    return { website: this.honeypot ? this.honeypot.value : "", startedAt, nonce };
+  }
+
+  /**
+   * Count a sent message towards the rate limit
+   */
+  recordSubmission() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify([...this.recentSubmissions(), Date.now()]));
+    } catch {
+      // Unavailable storage: no limit here, the stamp still costs every message
+    }
+  }
+
+  /**
+   * Send times within the rate limit window, kept across reloads
+   * @returns {number[]}
+   */
+  recentSubmissions() {
+    const since = Date.now() - this.options.rateLimit.window;
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return Array.isArray(stored) ? stored.filter((time) => Number.isFinite(time) && time > since) : [];
+    } catch {
+      return [];
+    }
+  }
+}
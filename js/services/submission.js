@@ -0,0 +1,190 @@
+/**
+ * Submission Service
+ * Delivers form payloads through configurable transports (JSON POST, mailto)
+ */
+
+export class SubmissionError extends Error {
+  constructor(message, { code = "unknown", status = 0, fieldErrors = {}, retryable = false, cause } = {}) {
+    super(message, { cause });
+    this.name = "SubmissionError";
+    this.code = code;
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.retryable = retryable;
+  }
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * HTTP Transport
+ * POSTs the payload as JSON with per-attempt timeout and retries.
+ * Expects `{ errors: { field: message } }` on 400/422 responses, or
+ * `{ code: "spam" }` for messages the endpoint refused as automated.
+ */
+export class HttpTransport {
+  constructor({ endpoint, timeout = 8000, retries = 2, retryDelay = 1000 } = {}) {
+    this.name = "http";
+    this.endpoint = endpoint;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+  }
+
+  async send(payload, { onRetry } = {}) {
+    let attempt = 0;
+
+    for (;;) {
+      attempt++;
+      try {
+        return await this.request(payload);
+      } catch (error) {
+        if (!error.retryable || attempt > this.retries) {
+          throw error;
+        }
+        if (onRetry) {
+          onRetry({ attempt, retries: this.retries, error });
+        }
+        await delay(this.retryDelay * attempt);
+      }
+    }
+  }
+
+  async request(payload) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    let response;
+
+    try {
+      response = await fetch(this.endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify(payload),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      const timedOut = error.name === "AbortError";
+      throw new SubmissionError(timedOut ? "Request timed out" : "Network error", {
+        code: timedOut ? "timeout" : "network",
+        retryable: true,
+        cause: error,
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const body = await response.json().catch(() => ({}));
+
+    if (response.ok) {
+      return { via: this.name, delivered: true, id: body.id };
+    }
+
+    if ((response.status === 400 || response.status === 422) && body.code === "spam") {
+      throw new SubmissionError(body.message || "Rejected as spam", { code: "spam", status: response.status });
+    }
+
+    if (response.status === 400 || response.status === 422) {
+      throw new SubmissionError(body.message || "Validation failed", {
+        code: "validation",
+        status: response.status,
+        fieldErrors: body.errors || {},
+      });
+    }
+
+    throw new SubmissionError(`Unexpected response status ${response.status}`, {
+      code: "http",
+      status: response.status,
+      retryable: response.status >= 500 || response.status === 429,
+    });
+  }
+}
+
+/**
+ * Mailto Transport
+ * Opens the visitor's mail client with a prepared message. Delivery is up to
+ * the visitor, so the result is reported as not delivered.
+ */
+export class MailtoTransport {
+  constructor({ recipient } = {}) {
+    this.name = "mailto";
+    this.recipient = recipient;
+  }
+
+  buildUrl(payload) {
+    const params = new URLSearchParams({
+      subject: payload.subject || "Anfrage über die Website",
+      body: payload.summary || "",
+    });
+    // URLSearchParams encodes spaces as "+", which mail clients show literally
+    return `mailto:${this.recipient}?${params.toString().replace(/\+/g, "%20")}`;
+  }
+
+  async send(payload) {
+    if (!this.recipient) {
+      throw new SubmissionError("No mailto recipient configured", { code: "config" });
+    }
+
+    window.location.href = this.buildUrl(payload);
+    return { via: this.name, delivered: false };
+  }
+}
+
+const transportFactories = {
+  http: (options) => new HttpTransport(options),
+  mailto: (options) => new MailtoTransport(options),
+};
+
+/**
+ * Tries each transport in order. Validation errors and spam rejections are
+ * final; any other failure falls through to the next transport.
+ */
+export class SubmissionService {
+  constructor(transports = []) {
+    this.transports = transports;
+  }
+
+  /**
+   * @param {{type: string, subject: string, summary: string, data: Object}} payload
+   * @param {{onRetry?: Function}} [options]
+   * @returns {Promise<{via: string, delivered: boolean, id?: string}>}
+   */
+  async submit(payload, options = {}) {
+    let lastError = new SubmissionError("No submission transport configured", {
+      code: "config",
+    });
+
+    for (const transport of this.transports) {
+      try {
+        return await transport.send(
+          { ...payload, submittedAt: new Date().toISOString() },
+          options
+        );
+      } catch (error) {
+        if (error.code === "validation" || error.code === "spam") {
+          throw error;
+        }
+        console.warn(`Submission via ${transport.name} failed:`, error);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+export function createSubmissionService(settings) {
+  const transports = settings.transports
+    .filter((name) => {
+      if (!transportFactories[name]) {
+        console.warn(`Unknown submission transport: ${name}`);
+        return false;
+      }
+      return true;
+    })
+    .map((name) => transportFactories[name](settings[name]));
+
+  return new SubmissionService(transports);
+}
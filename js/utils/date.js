@@ -0,0 +1,138 @@
+/**
+ * Date Utilities
+ * Calendar-date helpers that work in the practice's timezone instead of the
+ * visitor's clock. Plain dates are ISO strings ("2025-03-14") and all
+ * arithmetic runs in UTC so DST switches never shift a day.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Wall-clock parts of `date` as seen in `timeZone`
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, weekday: number}}
+ *   weekday: 0 = Sunday … 6 = Saturday
+ */
+export function getZonedParts(date = new Date(), timeZone = "Europe/Berlin") {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    hourCycle: "h23",
+  })
+    .formatToParts(date)
+    .reduce((acc, { type, value }) => {
+      acc[type] = Number(value);
+      return acc;
+    }, {});
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay(),
+  };
+}
+
+export function toIsoDate({ year, month, day }) {
+  return [
+    String(year).padStart(4, "0"),
+    String(month).padStart(2, "0"),
+    String(day).padStart(2, "0"),
+  ].join("-");
+}
+
+/**
+ * Local date and time without offset, e.g. "2025-03-14T09:30"
+ */
+export function toIsoDateTime(parts) {
+  return `${toIsoDate(parts)}T${String(parts.hour).padStart(2, "0")}:${String(parts.minute).padStart(2, "0")}`;
+}
+
+/**
+ * Current wall-clock time in `timeZone` as local ISO date-time
+ */
+export function nowIn(timeZone, now = new Date()) {
+  return toIsoDateTime(getZonedParts(now, timeZone));
+}
+
+/**
+ * Today's calendar date in `timeZone` as ISO string
+ */
+export function todayIn(timeZone, now = new Date()) {
+  return toIsoDate(getZonedParts(now, timeZone));
+}
+
+/**
+ * The instant at which the wall clock in `timeZone` shows `localDateTime`
+ * ("2025-03-14T09:30"), or null if invalid
+ */
+export function fromZonedDateTime(localDateTime, timeZone = "Europe/Berlin") {
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})$/.exec(localDateTime || "");
+  const date = match && parseIsoDate(match[1]);
+  if (!date || Number(match[2]) > 23 || Number(match[3]) > 59) {
+    return null;
+  }
+
+  const wallClock = date.getTime() + (Number(match[2]) * 60 + Number(match[3])) * 60 * 1000;
+  // Correct by the zone offset twice in case a DST switch lies in between
+  let instant = wallClock - zoneOffset(wallClock, timeZone);
+  instant = wallClock - zoneOffset(instant, timeZone);
+  return new Date(instant);
+}
+
+function zoneOffset(timestamp, timeZone) {
+  const parts = getZonedParts(new Date(timestamp), timeZone);
+  const minute = Math.floor(timestamp / 60000) * 60000;
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - minute;
+}
+
+/**
+ * Parse "YYYY-MM-DD" into a UTC midnight Date, or null if invalid
+ */
+export function parseIsoDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Reject overflow such as 2025-02-30
+  return date.getUTCMonth() === month - 1 ? date : null;
+}
+
+export function addDays(isoDate, days) {
+  const date = parseIsoDate(isoDate);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Whole calendar days from `from` to `to` (negative if `to` is earlier)
+ */
+export function daysBetween(from, to) {
+  return Math.round((parseIsoDate(to) - parseIsoDate(from)) / DAY_MS);
+}
+
+export function weekdayOf(isoDate) {
+  return parseIsoDate(isoDate).getUTCDay();
+}
+
+/**
+ * Format an ISO date for display, e.g. "Montag, 14. März 2025"
+ */
+export function formatDate(isoDate, options = {}, locale = "de-DE") {
+  return new Intl.DateTimeFormat(locale, {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    ...options,
+    timeZone: "UTC",
+  }).format(parseIsoDate(isoDate));
+}
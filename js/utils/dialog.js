@@ -0,0 +1,38 @@
+/**
+ * Dialog Utilities
+ * Helpers for native modal <dialog> elements. The browser already keeps focus
+ * inside an open modal and closes it on Escape.
+ */
+
+/**
+ * Open `dialog` as a modal and return focus to `opener` once it closes
+ */
+export function showModal(dialog, opener = document.activeElement) {
+  dialog.addEventListener(
+    "close",
+    () => {
+      if (opener && opener.isConnected) {
+        opener.focus();
+      }
+    },
+    { once: true }
+  );
+  dialog.showModal();
+}
+
+/**
+ * Close `dialog` when its backdrop is clicked. Clicks on the backdrop target
+ * the dialog itself, so its content needs a wrapper that fills it.
+ * @param {AbortSignal} [signal] removes the listener
+ */
+export function closeOnBackdropClick(dialog, signal) {
+  dialog.addEventListener(
+    "click",
+    (e) => {
+      if (e.target === dialog) {
+        dialog.close("cancel");
+      }
+    },
+    { signal }
+  );
+}
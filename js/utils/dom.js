@@ -0,0 +1,19 @@
+/**
+ * DOM Utilities
+ * Helpers for building markup in modules that render their own UI
+ */
+
+/**
+ * Create an element with attributes and children; `true` sets a boolean
+ * attribute, `false` and null leave it out
+ */
+export function element(tag, attributes = {}, ...children) {
+  const el = document.createElement(tag);
+  Object.entries(attributes).forEach(([name, value]) => {
+    if (value !== false && value !== null && value !== undefined) {
+      el.setAttribute(name, value === true ? "" : value);
+    }
+  });
+  el.append(...children);
+  return el;
+}
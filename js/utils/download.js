@@ -0,0 +1,20 @@
+/**
+ * Download Utilities
+ */
+
+/**
+ * Offer generated text as a file download without a server round trip
+ */
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.hidden = true;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing it
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,63 @@
+/**
+ * Focus Utilities
+ * Helpers for keeping keyboard focus inside menus and dialogs
+ */
+
+const FOCUSABLE = [
+  "a[href]",
+  "area[href]",
+  "button:not([disabled])",
+  "input:not([disabled]):not([type='hidden'])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "[tabindex]:not([tabindex='-1'])",
+].join(",");
+
+/**
+ * Elements inside `root` that Tab can reach, in document order
+ */
+export function getFocusableElements(root) {
+  return Array.from(root.querySelectorAll(FOCUSABLE)).filter(
+    (el) => !el.closest("[hidden], .hidden, [inert]")
+  );
+}
+
+/**
+ * Keep Tab and Shift+Tab cycling through `elements`. Call from a keydown
+ * handler; returns true when the event was handled.
+ * @param {KeyboardEvent} event
+ * @param {HTMLElement[]} elements
+ */
+export function trapFocus(event, elements) {
+  if (event.key !== "Tab" || elements.length === 0) {
+    return false;
+  }
+
+  const first = elements[0];
+  const last = elements[elements.length - 1];
+  const index = elements.indexOf(document.activeElement);
+
+  if (event.shiftKey && index <= 0) {
+    event.preventDefault();
+    last.focus();
+    return true;
+  }
+
+  if (!event.shiftKey && (index === -1 || index === elements.length - 1)) {
+    event.preventDefault();
+    first.focus();
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Make one element of a group tabbable and the rest reachable only by
+ * arrow keys (roving tabindex)
+ */
+export function setRovingTabindex(elements, current) {
+  elements.forEach((el) => {
+    el.setAttribute("tabindex", el === current ? "0" : "-1");
+  });
+}
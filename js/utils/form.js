@@ -0,0 +1,68 @@
+/**
+ * Form Utilities
+ * Validation helpers and error/message rendering shared by all forms. The
+ * validation rules are also used by the message receiver
+ * (server/messages.mjs), so both accept the same input.
+ */
+
+export function isValidEmail(email) {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email);
+}
+
+export function isValidPhone(phone) {
+  const phoneRegex = /^[\+]?[0-9\s\-\(\)]{8,}$/;
+  return phoneRegex.test(phone);
+}
+
+/**
+ * Mark a field (or a group wrapper such as a radio list) as invalid and
+ * show the message below it
+ */
+export function showFieldError(field, message) {
+  clearFieldError(field);
+
+  field.classList.add("error");
+
+  const errorElement = document.createElement("div");
+  errorElement.className = "field-error";
+  errorElement.textContent = message;
+  errorElement.setAttribute("role", "alert");
+
+  field.parentNode.appendChild(errorElement);
+}
+
+export function clearFieldError(field) {
+  field.classList.remove("error");
+
+  const existingError = field.parentNode.querySelector(".field-error");
+  if (existingError) {
+    existingError.remove();
+  }
+}
+
+/**
+ * Show a form-level message at the top of `container`
+ * @param {"success"|"error"|"info"} type
+ * @param {Object} [options]
+ * @param {boolean} [options.live] false when the caller announces the
+ *   message itself, so screen readers don't read it twice
+ */
+export function showFormMessage(container, message, type, { live = true } = {}) {
+  clearFormMessages(container);
+
+  const messageElement = document.createElement("div");
+  messageElement.className = `form-message form-message--${type}`;
+  if (live) {
+    messageElement.setAttribute("role", "alert");
+  }
+  messageElement.textContent = message;
+
+  container.insertBefore(messageElement, container.firstChild);
+  return messageElement;
+}
+
+export function clearFormMessages(container) {
+  const existingMessages = container.querySelectorAll(".form-message");
+  existingMessages.forEach((message) => message.remove());
+}
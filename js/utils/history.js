@@ -0,0 +1,42 @@
+/**
+ * History Utilities
+ * Several modules keep their own slice of the current history entry's state
+ * (scroll position, expanded panels). These helpers merge instead of
+ * overwriting each other's data.
+ */
+
+/**
+ * Merge `patch` into the current entry's state without adding an entry
+ * @param {Object} patch
+ * @param {string} [url] new URL for the entry; unchanged when omitted
+ */
+export function updateHistoryState(patch, url) {
+  const state = { ...(history.state || {}), ...patch };
+  if (url === undefined) {
+    history.replaceState(state, "");
+  } else {
+    history.replaceState(state, "", url);
+  }
+}
+
+/**
+ * Read one key of the current (or a popped) history entry's state
+ */
+export function getHistoryState(key, state = history.state) {
+  return state && typeof state === "object" ? state[key] : undefined;
+}
+
+/**
+ * Target id of the current URL hash, decoded (e.g. "hoerstoerungen")
+ */
+export function getHashId(hash = location.hash) {
+  if (!hash || hash === "#") {
+    return "";
+  }
+
+  try {
+    return decodeURIComponent(hash.slice(1));
+  } catch {
+    return hash.slice(1);
+  }
+}
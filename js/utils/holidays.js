@@ -0,0 +1,66 @@
+/**
+ * Public Holidays
+ * Bavarian public holidays (gesetzliche Feiertage in Bayern)
+ */
+
+import { addDays, toIsoDate } from "./date.js";
+
+/**
+ * Easter Sunday for a given year (anonymous Gregorian algorithm)
+ * @returns {string} ISO date
+ */
+export function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return toIsoDate({ year, month, day });
+}
+
+/**
+ * @param {number} year
+ * @param {{assumptionDay?: boolean}} [options] Mariä Himmelfahrt is only a
+ *   holiday in Bavarian municipalities with a Catholic majority
+ * @returns {{date: string, name: string}[]}
+ */
+export function getBavarianHolidays(year, { assumptionDay = false } = {}) {
+  const easter = easterSunday(year);
+  const fixed = (month, day) => toIsoDate({ year, month, day });
+
+  const holidays = [
+    { date: fixed(1, 1), name: "Neujahr" },
+    { date: fixed(1, 6), name: "Heilige Drei Könige" },
+    { date: addDays(easter, -2), name: "Karfreitag" },
+    { date: addDays(easter, 1), name: "Ostermontag" },
+    { date: fixed(5, 1), name: "Tag der Arbeit" },
+    { date: addDays(easter, 39), name: "Christi Himmelfahrt" },
+    { date: addDays(easter, 50), name: "Pfingstmontag" },
+    { date: addDays(easter, 60), name: "Fronleichnam" },
+    { date: fixed(10, 3), name: "Tag der Deutschen Einheit" },
+    { date: fixed(11, 1), name: "Allerheiligen" },
+    { date: fixed(12, 25), name: "1. Weihnachtsfeiertag" },
+    { date: fixed(12, 26), name: "2. Weihnachtsfeiertag" },
+  ];
+
+  if (assumptionDay) {
+    holidays.push({ date: fixed(8, 15), name: "Mariä Himmelfahrt" });
+  }
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export function findHoliday(isoDate, options) {
+  const year = Number(isoDate.slice(0, 4));
+  return getBavarianHolidays(year, options).find((h) => h.date === isoDate) || null;
+}
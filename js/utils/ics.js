@@ -0,0 +1,174 @@
+/**
+ * iCalendar Utilities
+ * Minimal RFC 5545 parsing for availability feeds and building of
+ * downloadable calendar files
+ */
+
+import { getZonedParts, toIsoDateTime } from "./date.js";
+
+/**
+ * Undo line folding (CRLF followed by a space or tab continues a line)
+ */
+export function unfoldLines(text) {
+  return text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+}
+
+export function unescapeText(value) {
+  return value.replace(/\\([\;,nN])/g, (_, char) => (char === "n" || char === "N" ? "\n" : char));
+}
+
+/**
+ * Parse all VEVENT components into `{ PROPERTY: { value, params } }` objects
+ */
+export function parseEvents(text) {
+  const events = [];
+  let current = null;
+
+  unfoldLines(text).forEach((line) => {
+    if (line === "BEGIN:VEVENT") {
+      current = {};
+    } else if (line === "END:VEVENT") {
+      if (current) events.push(current);
+      current = null;
+    } else if (current) {
+      const colon = line.indexOf(":");
+      if (colon < 0) return;
+
+      const [name, ...params] = line.slice(0, colon).split(";");
+      current[name.toUpperCase()] = {
+        value: unescapeText(line.slice(colon + 1)),
+        params: Object.fromEntries(params.map((param) => param.split("="))),
+      };
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Convert a DATE-TIME property to a local date-time in `timeZone`.
+ * UTC values ("…Z") are converted; TZID and floating values are taken as
+ * already being in the practice's timezone.
+ * @returns {string|null} e.g. "2025-03-14T09:30"
+ */
+export function toLocalDateTime(property, timeZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(property ? property.value : "");
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour = "00", minute = "00", , utc] = match;
+
+  if (utc) {
+    const date = new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute));
+    return toIsoDateTime(getZonedParts(date, timeZone));
+  }
+
+  return `${year}-${month}-${day}T${hour}:${minute}`;
+}
+
+/* -------------------------------------------------------------------------
+   Writing
+   ------------------------------------------------------------------------- */
+
+const MAX_LINE_OCTETS = 75;
+const encoder = new TextEncoder();
+
+/**
+ * Escape a TEXT value (also used for vCard, which shares the rules)
+ */
+export function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line into chunks of at most 75 octets. Continuation lines
+ * start with a space; multi-byte characters are never split.
+ */
+export function foldLine(line) {
+  const chunks = [];
+  let current = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines lose one octet to the leading space
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+
+  return chunks.join("\r\n ");
+}
+
+/**
+ * Join content lines with CRLF, folding each one
+ */
+export function serializeLines(lines) {
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * UTC DATE-TIME value, e.g. "20250314T083000Z"
+ */
+export function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Build a VCALENDAR with one VEVENT. Times are written in UTC so no
+ * VTIMEZONE component is needed.
+ * @param {object} event
+ * @param {string} event.uid
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string} [event.url]
+ * @param {"CONFIRMED"|"TENTATIVE"} [event.status]
+ * @param {number} [event.reminderMinutes] display alarm this long before the start
+ */
+export function buildCalendar(event, { productId = "-//Logopaedie Sagmeister//Website//DE" } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${productId}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtcDateTime(new Date())}`,
+    `DTSTART:${formatUtcDateTime(event.start)}`,
+    `DTEND:${formatUtcDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  lines.push(`STATUS:${event.status || "CONFIRMED"}`);
+
+  if (event.reminderMinutes) {
+    lines.push(
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${escapeText(event.summary)}`,
+      `TRIGGER:-PT${event.reminderMinutes}M`,
+      "END:VALARM"
+    );
+  }
+
+  lines.push("END:VEVENT", "END:VCALENDAR");
+  return serializeLines(lines);
+}
@@ -0,0 +1,144 @@
+/**
+ * Structured Data Utilities
+ * Builds schema.org JSON-LD for the practice, its treatment areas and FAQs
+ */
+
+const SCHEMA_CONTEXT = "https://schema.org";
+
+// schema.org DayOfWeek members, indexed like Date#getDay()
+const DAYS_OF_WEEK = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+].map((day) => `${SCHEMA_CONTEXT}/${day}`);
+
+/**
+ * Weekly hours as OpeningHoursSpecification. Entries without opens/closes
+ * ("Nach Vereinbarung") have no fixed hours and are left out.
+ */
+export function buildOpeningHours(openingHours) {
+  return openingHours
+    .filter((entry) => entry.opens && entry.closes)
+    .map((entry) => ({
+      "@type": "OpeningHoursSpecification",
+      dayOfWeek: entry.days.map((day) => DAYS_OF_WEEK[day]),
+      opens: entry.opens,
+      closes: entry.closes,
+    }));
+}
+
+/**
+ * Practice closures as special opening hours; 00:00–00:00 marks a day as closed
+ * @param {{from: string, to?: string}[]} closures
+ */
+export function buildClosures(closures) {
+  return closures.map((closure) => ({
+    "@type": "OpeningHoursSpecification",
+    opens: "00:00",
+    closes: "00:00",
+    validFrom: closure.from,
+    validThrough: closure.to || closure.from,
+  }));
+}
+
+/**
+ * @param {Object} practice `config.practice`
+ * @param {object} [options]
+ * @param {{id: string, title: string, short: string, long?: string}[]} [options.services]
+ * @param {string} [options.logo] absolute URL of the practice logo
+ * @returns {Object} MedicalClinic node; MedicalClinic is a MedicalBusiness
+ *   that may list availableService
+ */
+export function buildPracticeSchema(practice, { services = [], logo } = {}) {
+  const { address, owner } = practice;
+  const specialOpeningHours = buildClosures(practice.closures || []);
+
+  const node = {
+    "@type": "MedicalClinic",
+    "@id": `${practice.url}#praxis`,
+    name: practice.name,
+    url: practice.url,
+    telephone: practice.phone,
+    email: practice.email,
+    address: {
+      "@type": "PostalAddress",
+      streetAddress: address.street,
+      postalCode: address.postalCode,
+      addressLocality: address.locality,
+      addressRegion: address.region,
+      addressCountry: address.country,
+    },
+    founder: {
+      "@type": "Person",
+      givenName: owner.givenName,
+      familyName: owner.familyName,
+      jobTitle: owner.title,
+    },
+    medicalSpecialty: `${SCHEMA_CONTEXT}/SpeechPathology`,
+    openingHoursSpecification: buildOpeningHours(practice.openingHours),
+  };
+
+  if (practice.geo) {
+    node.geo = {
+      "@type": "GeoCoordinates",
+      latitude: practice.geo.latitude,
+      longitude: practice.geo.longitude,
+    };
+  }
+  if (logo) {
+    node.logo = logo;
+    node.image = logo;
+  }
+  if (specialOpeningHours.length > 0) {
+    node.specialOpeningHoursSpecification = specialOpeningHours;
+  }
+  if (services.length > 0) {
+    node.availableService = services.map((service) => ({
+      "@type": "MedicalTherapy",
+      "@id": `${practice.url}#${service.id}`,
+      name: service.title,
+      description: service.long || service.short,
+      url: `${practice.url}#${service.id}`,
+    }));
+  }
+
+  return node;
+}
+
+/**
+ * @param {{question: string, answer: string}[]} entries
+ * @param {{url: string, language?: string, about?: string}} options `about`
+ *   is the @id of the entity the questions are about
+ */
+export function buildFaqSchema(entries, { url, language, about }) {
+  const node = {
+    "@type": "FAQPage",
+    "@id": url,
+    url,
+    mainEntity: entries.map(({ question, answer }) => ({
+      "@type": "Question",
+      name: question,
+      acceptedAnswer: { "@type": "Answer", text: answer },
+    })),
+  };
+
+  if (language) {
+    node.inLanguage = language;
+  }
+  if (about) {
+    node.about = { "@id": about };
+  }
+  return node;
+}
+
+/**
+ * Wrap nodes in one JSON-LD document
+ * @param {Object[]} nodes
+ */
+export function buildGraph(nodes) {
+  return { "@context": SCHEMA_CONTEXT, "@graph": nodes };
+}
@@ -0,0 +1,46 @@
+/**
+ * vCard Utilities
+ * Builds vCard 3.0 files, the version both Apple and Google Contacts import
+ */
+
+import { escapeText, serializeLines } from "./ics.js";
+
+/**
+ * @param {object} contact
+ * @param {string} contact.formattedName
+ * @param {{givenName: string, familyName: string}} [contact.name]
+ * @param {string} [contact.organization]
+ * @param {string} [contact.title]
+ * @param {string} [contact.phone]
+ * @param {string} [contact.email]
+ * @param {string} [contact.url]
+ * @param {{street: string, postalCode: string, locality: string, region?: string, country?: string}} [contact.address]
+ * @param {string} [contact.note]
+ */
+export function buildVCard(contact) {
+  const { name = {}, address } = contact;
+  // Structured values separate components with ";", so escape each part
+  const structured = (parts) => parts.map((part) => escapeText(part || "")).join(";");
+
+  const lines = [
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    `N:${structured([name.familyName, name.givenName, "", "", ""])}`,
+    `FN:${escapeText(contact.formattedName)}`,
+  ];
+
+  if (contact.organization) lines.push(`ORG:${escapeText(contact.organization)}`);
+  if (contact.title) lines.push(`TITLE:${escapeText(contact.title)}`);
+  if (contact.phone) lines.push(`TEL;TYPE=WORK,VOICE:${contact.phone}`);
+  if (contact.email) lines.push(`EMAIL;TYPE=INTERNET,WORK:${contact.email}`);
+  if (address) {
+    lines.push(
+      `ADR;TYPE=WORK:${structured(["", "", address.street, address.locality, address.region, address.postalCode, address.country])}`
+    );
+  }
+  if (contact.url) lines.push(`URL:${contact.url}`);
+  if (contact.note) lines.push(`NOTE:${escapeText(contact.note)}`);
+
+  lines.push("END:VCARD");
+  return serializeLines(lines);
+}
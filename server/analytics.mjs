@@ -0,0 +1,186 @@
+/**
+ * Analytics Collector
+ * Receives the anonymous events of js/modules/analytics.js, appends them to
+ * one file per day and sums them up for a report page. Nothing that could
+ * identify a visitor is kept: no IP address, no user agent, no time finer
+ * than the day.
+ */
+
+import { appendFile, mkdir, readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+
+// Accepted events and the values they are counted by; `page` and `lang` come
+// with every event, the rest from its props
+export const EVENTS = {
+  "page-view": { label: "Seitenaufrufe", dimensions: ["page", "lang"] },
+  cta: { label: "Kontakt-Buttons", dimensions: ["target", "section"] },
+  "panel-toggle": { label: "Auf- und zugeklappte Bereiche", dimensions: ["group", "panel", "expanded"] },
+  "service-dialog": { label: "Geöffnete Behandlungsdetails", dimensions: ["service"] },
+  "form-step": { label: "Formularschritte", dimensions: ["form", "step", "fields"] },
+  "not-found": { label: "Nicht gefundene Seiten", dimensions: ["page", "from"] },
+};
+const MAX_VALUE_LENGTH = 100;
+const LANGUAGE_PATTERN = /^[a-z]{2}$/;
+
+/**
+ * Keep only the values an event is counted by, as short strings
+ * @returns {Object|null} null for unknown events
+ */
+export function sanitizeEvent(payload) {
+  const definition = payload && Object.hasOwn(EVENTS, payload.event) ? EVENTS[payload.event] : null;
+  if (!definition) {
+    return null;
+  }
+
+  const source = {
+    ...(payload.props && typeof payload.props === "object" ? payload.props : {}),
+    page: String(payload.page || "").startsWith("/") ? payload.page : "",
+    lang: LANGUAGE_PATTERN.test(payload.lang) ? payload.lang : "",
+  };
+  const values = {};
+  definition.dimensions.forEach((name) => {
+    const value = source[name];
+    values[name] = ["string", "boolean", "number"].includes(typeof value) ? String(value).slice(0, MAX_VALUE_LENGTH) : "";
+  });
+  return { event: payload.event, ...values };
+}
+
+function eventsDir(dataDir) {
+  return path.join(dataDir, "analytics");
+}
+
+export function createEventCollector({ dataDir }) {
+  return async function collectEvent({ body: payload }) {
+    const entry = sanitizeEvent(payload);
+    if (!entry) {
+      return { status: 400, body: { message: "Unknown event" } };
+    }
+
+    const day = new Date().toISOString().slice(0, 10);
+    await mkdir(eventsDir(dataDir), { recursive: true });
+    await appendFile(path.join(eventsDir(dataDir), `${day}.ndjson`), `${JSON.stringify({ day, ...entry })}\n`);
+    return { status: 204, body: null };
+  };
+}
+
+async function readEvents(dataDir) {
+  let files;
+  try {
+    files = (await readdir(eventsDir(dataDir))).filter((file) => file.endsWith(".ndjson")).sort();
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  const events = [];
+  for (const file of files) {
+    const lines = (await readFile(path.join(eventsDir(dataDir), file), "utf8")).split("\n");
+    lines.filter(Boolean).forEach((line) => {
+      try {
+        events.push(JSON.parse(line));
+      } catch {
+        // A line cut short by a crash; the rest of the file still counts
+      }
+    });
+  }
+  return events;
+}
+
+/**
+ * Counts per event, per combination of its dimensions and per day
+ */
+export function aggregate(events) {
+  const totals = {};
+  const breakdown = {};
+  const days = {};
+
+  events.forEach((entry) => {
+    if (!Object.hasOwn(EVENTS, entry.event)) {
+      return;
+    }
+    const definition = EVENTS[entry.event];
+
+    totals[entry.event] = (totals[entry.event] || 0) + 1;
+    days[entry.day] = days[entry.day] || {};
+    days[entry.day][entry.event] = (days[entry.day][entry.event] || 0) + 1;
+
+    const key = JSON.stringify(definition.dimensions.map((name) => entry[name] || ""));
+    breakdown[entry.event] = breakdown[entry.event] || new Map();
+    breakdown[entry.event].set(key, (breakdown[entry.event].get(key) || 0) + 1);
+  });
+
+  const rows = Object.fromEntries(
+    Object.entries(breakdown).map(([event, counts]) => [
+      event,
+      Array.from(counts, ([key, count]) => ({ values: JSON.parse(key), count })).sort((a, b) => b.count - a.count),
+    ])
+  );
+  return { totals, rows, days };
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function table(headings, rows) {
+  const head = headings.map((heading) => `<th>${escapeHtml(heading)}</th>`).join("");
+  const body = rows
+    .map((cells) => `<tr>${cells.map((cell) => `<td>${escapeHtml(cell === "" ? "–" : cell)}</td>`).join("")}</tr>`)
+    .join("\n");
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+export function renderReport({ totals, rows, days }) {
+  const events = Object.keys(EVENTS);
+  const sections = events
+    .filter((event) => rows[event])
+    .map((event) => {
+      const { label, dimensions } = EVENTS[event];
+      return [
+        `<h2>${escapeHtml(label)} <small>(${event}, ${totals[event]})</small></h2>`,
+        table([...dimensions, "Anzahl"], rows[event].map(({ values, count }) => [...values, count])),
+      ].join("\n");
+    });
+
+  const dayRows = Object.keys(days)
+    .sort()
+    .reverse()
+    .map((day) => [day, ...events.map((event) => days[day][event] || 0)]);
+
+  return `<!DOCTYPE html>
+<html lang="de">
+<head>
+<meta charset="UTF-8" />
+<meta name="robots" content="noindex" />
+<title>Nutzungsstatistik</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+  table { border-collapse: collapse; margin-bottom: 2rem; }
+  th, td { border: 1px solid #d1d5db; padding: 0.25rem 0.75rem; text-align: left; }
+  td:last-child { text-align: right; }
+  small { color: #6b7280; font-weight: normal; }
+</style>
+</head>
+<body>
+<h1>Nutzungsstatistik</h1>
+${
+  sections.length > 0
+    ? `<h2>Pro Tag</h2>\n${table(["Tag", ...events], dayRows)}\n${sections.join("\n")}`
+    : "<p>Noch keine Ereignisse erfasst.</p>"
+}
+</body>
+</html>
+`;
+}
+
+export function createAnalyticsReport({ dataDir }) {
+  return async function analyticsReport() {
+    return {
+      status: 200,
+      body: renderReport(aggregate(await readEvents(dataDir))),
+      type: "text/html; charset=utf-8",
+    };
+  };
+}
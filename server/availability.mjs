@@ -0,0 +1,113 @@
+/**
+ * Availability Stand-in
+ * Generates free appointment slots for the next weeks in the same JSON and
+ * ICS formats the practice calendar export provides
+ */
+
+import { config } from "../js/config.js";
+import { addDays, todayIn, weekdayOf } from "../js/utils/date.js";
+import { findHoliday } from "../js/utils/holidays.js";
+
+const SLOT_MINUTES = 45;
+const DAYS_AHEAD = 21;
+
+const pad = (value) => String(value).padStart(2, "0");
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function toTime(minutes) {
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * Opening hours of `practice` on a calendar date, or null on weekends,
+ * public holidays and configured closures
+ */
+function hoursOn(isoDate, practice) {
+  const hours = practice.openingHours.find((entry) => entry.days.includes(weekdayOf(isoDate)));
+  if (!hours || !hours.opens || findHoliday(isoDate, practice.holidays)) {
+    return null;
+  }
+
+  const isClosed = practice.closures.some(({ from, to }) => isoDate >= from && isoDate <= (to || from));
+  return isClosed ? null : hours;
+}
+
+// Deterministic "booked" pattern so the feed is stable across reloads
+function isBooked(isoDate, minutes) {
+  const [, month, day] = isoDate.split("-").map(Number);
+  const seed = day * 31 + (month - 1) * 7 + minutes;
+  return (seed * 2654435761) % 100 < 70;
+}
+
+/**
+ * @returns {{start: string, end: string}[]} local practice times
+ */
+export function generateSlots({ now = new Date(), practice = config.practice } = {}) {
+  const slots = [];
+  const today = todayIn(practice.timeZone, now);
+
+  for (let offset = 1; offset <= DAYS_AHEAD; offset++) {
+    const isoDate = addDays(today, offset);
+    const hours = hoursOn(isoDate, practice);
+    if (!hours) continue;
+
+    const closes = toMinutes(hours.closes);
+    for (let minutes = toMinutes(hours.opens); minutes + SLOT_MINUTES <= closes; minutes += SLOT_MINUTES) {
+      if (isBooked(isoDate, minutes)) continue;
+
+      slots.push({
+        start: `${isoDate}T${toTime(minutes)}`,
+        end: `${isoDate}T${toTime(minutes + SLOT_MINUTES)}`,
+      });
+    }
+  }
+
+  return slots;
+}
+
+function toIcsDateTime(localDateTime) {
+  return `${localDateTime.replace(/[-:]/g, "")}00`;
+}
+
+export function availabilityJson() {
+  return {
+    status: 200,
+    body: { timeZone: config.practice.timeZone, generatedAt: new Date().toISOString(), slots: generateSlots() },
+  };
+}
+
+export function availabilityIcs() {
+  const { timeZone } = config.practice;
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Logopaedie Sagmeister//Dev Availability//DE",
+    "CALSCALE:GREGORIAN",
+  ];
+
+  generateSlots().forEach((slot) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${toIcsDateTime(slot.start)}@availability.localhost`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;TZID=${timeZone}:${toIcsDateTime(slot.start)}`,
+      `DTEND;TZID=${timeZone}:${toIcsDateTime(slot.end)}`,
+      "SUMMARY:Freier Termin",
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  });
+
+  lines.push("END:VCALENDAR");
+
+  return {
+    status: 200,
+    type: "text/calendar; charset=utf-8",
+    body: lines.join("\r\n") + "\r\n",
+  };
+}
@@ -0,0 +1,220 @@
+/**
+ * Local Development Server
+ * Serves the site and stands in for the production endpoints so form
+ * submissions and analytics events can be tested end to end. The collected
+ * events are summed up at /dev-analytics.
+ *
+ * Usage: node server/dev-server.mjs
+ * Environment: PORT (default 8000), DATA_DIR (default server/data)
+ */
+
+import { createServer } from "node:http";
+import { readFile, stat } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createAnalyticsReport, createEventCollector } from "./analytics.mjs";
+import { availabilityIcs, availabilityJson } from "./availability.mjs";
+import { createMessageHandler } from "./messages.mjs";
+import { devTile } from "./tiles.mjs";
+
+const serverDir = path.dirname(fileURLToPath(import.meta.url));
+const siteRoot = path.resolve(serverDir, "..");
+const port = Number(process.env.PORT) || 8000;
+const dataDir = path.resolve(process.env.DATA_DIR || path.join(serverDir, "data"));
+const maxBodySize = 64 * 1024;
+
+const mimeTypes = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".jpeg": "image/jpeg",
+  ".jpg": "image/jpeg",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+  ".woff2": "font/woff2",
+  ".webmanifest": "application/manifest+json; charset=utf-8",
+};
+
+// "METHOD /path" -> handler({ req, body, params }) => { status, body, type? }
+// POST bodies are parsed as JSON before the handler runs.
+const routes = {
+  "POST /api/messages": createMessageHandler({ dataDir }),
+  // Anonymous usage events and their report
+  "POST /api/events": createEventCollector({ dataDir }),
+  "GET /dev-analytics": createAnalyticsReport({ dataDir }),
+  // Stand-ins for the practice calendar export
+  "GET /data/availability.json": availabilityJson,
+  "GET /data/availability.ics": availabilityIcs,
+};
+
+// The site ships with analytics off (config.analytics.endpoint is null, as
+// GitHub Pages has no collector); pages served here send their events to
+// the local collector instead (see js/modules/analytics.js)
+const devHeadTags = '<meta name="analytics-endpoint" content="/api/events">';
+
+// Routes with parameters: [method, pattern, handler]; named groups become `params`
+const patternRoutes = [
+  // Stand-in for the OpenStreetMap tile servers
+  ["GET", /^\/dev-tiles\/(?<z>\d+)\/(?<x>\d+)\/(?<y>\d+)\.svg$/, devTile],
+];
+
+function findRoute(method, pathname) {
+  const route = routes[`${method} ${pathname}`];
+  if (route) {
+    return { handler: route, params: {} };
+  }
+
+  for (const [routeMethod, pattern, handler] of patternRoutes) {
+    const match = routeMethod === method && pattern.exec(pathname);
+    if (match) {
+      return { handler, params: match.groups };
+    }
+  }
+  return null;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
+
+function sendResult(res, { status, body, type }) {
+  if (!type) {
+    sendJson(res, status, body);
+    return;
+  }
+  res.writeHead(status, { "Content-Type": type, "Cache-Control": "no-cache" });
+  res.end(body);
+}
+
+async function readJsonBody(req) {
+  let size = 0;
+  const chunks = [];
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBodySize) {
+      throw Object.assign(new Error("Payload too large"), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    throw Object.assign(new Error("Invalid JSON"), { status: 400 });
+  }
+}
+
+async function serveStatic(req, res, pathname) {
+  let relativePath;
+  try {
+    relativePath = decodeURIComponent(pathname);
+  } catch {
+    // Malformed escape sequence such as "%E0%A4%A"
+    res.writeHead(400, { "Content-Type": "text/plain; charset=utf-8" }).end("Bad request");
+    return;
+  }
+
+  const filePath = path.join(siteRoot, relativePath);
+
+  // Refuse anything outside the site root and the server's own files
+  const isInsideSite = filePath === siteRoot || filePath.startsWith(siteRoot + path.sep);
+  if (!isInsideSite || filePath.startsWith(serverDir)) {
+    res.writeHead(403).end();
+    return;
+  }
+
+  try {
+    const stats = await stat(filePath);
+    const target = stats.isDirectory() ? path.join(filePath, "index.html") : filePath;
+    const content = await readPage(target);
+    res.writeHead(200, {
+      "Content-Type": mimeTypes[path.extname(target)] || "application/octet-stream",
+      "Cache-Control": "no-cache",
+    });
+    res.end(req.method === "HEAD" ? undefined : content);
+  } catch {
+    await sendNotFound(req, res, pathname);
+  }
+}
+
+// File contents; HTML pages get the dev-only head tags
+async function readPage(file) {
+  const content = await readFile(file);
+  if (path.extname(file) !== ".html") {
+    return content;
+  }
+  return content.toString("utf8").replace("</head>", `  ${devHeadTags}\n  </head>`);
+}
+
+// Pages get 404.html, as on the production host; other files a plain message
+async function sendNotFound(req, res, pathname) {
+  const extension = path.extname(pathname);
+  if (extension === "" || extension === ".html") {
+    try {
+      const content = await readPage(path.join(siteRoot, "404.html"));
+      res.writeHead(404, { "Content-Type": mimeTypes[".html"], "Cache-Control": "no-cache" });
+      res.end(req.method === "HEAD" ? undefined : content);
+      return;
+    } catch {
+      // Not built yet
+    }
+  }
+  res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" }).end("Not found");
+}
+
+async function handleRequest(req, res) {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  const route = findRoute(req.method, pathname);
+
+  if (route) {
+    try {
+      const body = req.method === "POST" ? await readJsonBody(req) : null;
+      sendResult(res, await route.handler({ req, body, params: route.params }));
+    } catch (error) {
+      console.error(`${req.method} ${pathname} failed:`, error.message);
+      sendJson(res, error.status || 500, { message: error.message });
+    }
+    return;
+  }
+
+  if (Object.keys(routes).some((key) => key.endsWith(` ${pathname}`))) {
+    sendJson(res, 405, { message: "Method not allowed" });
+    return;
+  }
+
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.writeHead(405).end();
+    return;
+  }
+
+  await serveStatic(req, res, pathname);
+}
+
+const server = createServer(async (req, res) => {
+  // A failing request must not take the whole server down
+  try {
+    await handleRequest(req, res);
+  } catch (error) {
+    console.error(`${req.method} ${req.url} failed:`, error);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      sendJson(res, 500, { message: "Internal server error" });
+    }
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Dev server running at http://localhost:${port}`);
+  console.log(`Storing submissions and analytics events in ${dataDir}`);
+  console.log(`Analytics report at http://localhost:${port}/dev-analytics`);
+});
@@ -0,0 +1,248 @@
+/**
+ * Message Receiver
+ * Validates submitted payloads and stores each one as a JSON file on disk.
+ * Every payload also needs a valid spam protection stamp
+ * (js/services/spam-protection.js).
+ */
+
+import { mkdir, writeFile } from "node:fs/promises";
+import { randomUUID } from "node:crypto";
+import path from "node:path";
+import { config } from "../js/config.js";
+import { findLinkSpam, verifyProofOfWork } from "../js/services/spam-protection.js";
+import { isValidEmail, isValidPhone } from "../js/utils/form.js";
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LOCAL_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+const SPAM_MESSAGE =
+  "Ihre Nachricht wurde nicht gesendet, weil sie wie eine automatisch verschickte Nachricht aussieht. Bitte rufen Sie uns an oder schreiben Sie uns eine E-Mail.";
+const LINK_SPAM_MESSAGES = {
+  tooManyLinks: "Ihre Nachricht enthält zu viele Links. Bitte beschreiben Sie Ihr Anliegen ohne Links.",
+  markupLinks: "Bitte schreiben Sie Links als einfache Adresse, ohne Formatierung.",
+  linkInName: "Bitte geben Sie hier nur Ihren Namen ein.",
+};
+
+/**
+ * Field validators per payload type. Each returns `{ field: message }`
+ * using the same German wording as the client-side validation.
+ */
+export const validators = {
+  contact(data) {
+    const errors = {};
+    const name = String(data.name || "").trim();
+    const email = String(data.email || "").trim();
+    const phone = String(data.phone || "").trim();
+    const message = String(data.message || "").trim();
+
+    if (!name) {
+      errors.name = "Dieses Feld ist erforderlich.";
+    } else if (name.length < 2) {
+      errors.name = "Mindestens 2 Zeichen erforderlich.";
+    }
+
+    if (!email) {
+      errors.email = "Dieses Feld ist erforderlich.";
+    } else if (!isValidEmail(email)) {
+      errors.email = "Bitte geben Sie eine gültige E-Mail-Adresse ein.";
+    }
+
+    if (phone && !isValidPhone(phone)) {
+      errors.phone = "Bitte geben Sie eine gültige Telefonnummer ein.";
+    }
+
+    if (!message) {
+      errors.message = "Dieses Feld ist erforderlich.";
+    } else if (message.length < 10) {
+      errors.message = "Mindestens 10 Zeichen erforderlich.";
+    } else if (message.length > 1000) {
+      errors.message = "Höchstens 1000 Zeichen erlaubt.";
+    }
+
+    return errors;
+  },
+
+  booking(data) {
+    const errors = validateContactDetails(data);
+
+    if (!["child", "adult"].includes(data.audience)) {
+      errors.audience = "Bitte wählen Sie eine Option.";
+    }
+
+    if (!String(data.concern || "").trim()) {
+      errors.concern = "Bitte wählen Sie einen Behandlungsbereich.";
+    }
+
+    const prescription = data.prescription || {};
+    if (prescription.available && !ISO_DATE_PATTERN.test(prescription.issueDate || "")) {
+      errors.prescriptionDate = "Bitte geben Sie ein gültiges Ausstellungsdatum ein.";
+    }
+
+    const slots = Array.isArray(data.slots) ? data.slots : [];
+    if (
+      slots.length > config.booking.maxSlots ||
+      slots.some((slot) => !LOCAL_DATE_TIME_PATTERN.test(slot.start || ""))
+    ) {
+      errors.notes = "Die gewählten Termine sind ungültig.";
+    } else if (slots.length === 0 && !String(data.notes || "").trim()) {
+      errors.notes = "Bitte wählen Sie mindestens einen Termin oder beschreiben Sie Ihre Wunschzeiten.";
+    }
+
+    return errors;
+  },
+
+  cancellation(data) {
+    const errors = {};
+    const name = String(data.name || "").trim();
+    const reason = String(data.reason || "").trim();
+
+    if (!name) {
+      errors.name = "Dieses Feld ist erforderlich.";
+    } else if (name.length < 2) {
+      errors.name = "Mindestens 2 Zeichen erforderlich.";
+    }
+
+    if (!LOCAL_DATE_TIME_PATTERN.test(data.appointment || "")) {
+      errors.date = "Bitte geben Sie Datum und Uhrzeit Ihres Termins ein.";
+    }
+
+    if (!reason) {
+      errors.reason = "Dieses Feld ist erforderlich.";
+    } else if (reason.length > 500) {
+      errors.reason = "Höchstens 500 Zeichen erlaubt.";
+    }
+
+    return errors;
+  },
+};
+
+/**
+ * Name plus at least one valid way to reach the patient
+ */
+function validateContactDetails(data) {
+  const errors = {};
+  const name = String(data.name || "").trim();
+  const email = String(data.email || "").trim();
+  const phone = String(data.phone || "").trim();
+
+  if (!name) {
+    errors.name = "Dieses Feld ist erforderlich.";
+  } else if (name.length < 2) {
+    errors.name = "Mindestens 2 Zeichen erforderlich.";
+  }
+
+  if (!email && !phone) {
+    errors.phone = "Bitte geben Sie eine Telefonnummer oder E-Mail-Adresse an.";
+  }
+  if (email && !isValidEmail(email)) {
+    errors.email = "Bitte geben Sie eine gültige E-Mail-Adresse ein.";
+  }
+  if (phone && !isValidPhone(phone)) {
+    errors.phone = "Bitte geben Sie eine gültige Telefonnummer ein.";
+  }
+
+  return errors;
+}
+
+/**
+ * Link spam as field errors, in the wording of the browser's checks
+ */
+function linkSpamErrors(data) {
+  return Object.fromEntries(
+    Object.entries(findLinkSpam(data, config.spamProtection)).map(([field, reason]) => [
+      field,
+      LINK_SPAM_MESSAGES[reason],
+    ])
+  );
+}
+
+/**
+ * Checks the `guard` of a payload: the honeypot is empty and the proof of
+ * work is valid and recent. Stamps of stored messages are remembered, so a
+ * client resending a message whose answer it missed gets the stored id back
+ * instead of a second copy.
+ */
+function createStampCheck({ proofOfWork: { difficulty, maxAge } }) {
+  // Stamps of stored messages within maxAge, with the message id and the
+  // time they expire
+  const storedStamps = new Map();
+
+  return {
+    /**
+     * @returns {Promise<{reason: string}|{key: string, id?: string}>} why the
+     *   payload is refused, or the key to record it under and, for a message
+     *   stored before, its id
+     */
+    async check({ type, data, guard }) {
+      const now = Date.now();
+      storedStamps.forEach(({ expires }, key) => expires < now && storedStamps.delete(key));
+
+      if (!guard || typeof guard !== "object") {
+        return { reason: "missing stamp" };
+      }
+      if (guard.website) {
+        return { reason: "honeypot" };
+      }
+      // Device clocks can be wrong, so only stamps far off count as outdated
+      if (Math.abs(now - guard.startedAt) > maxAge) {
+        return { reason: "outdated stamp" };
+      }
+      if (!(await verifyProofOfWork(type, guard, data, difficulty))) {
+        return { reason: "invalid proof of work" };
+      }
+
+      const key = JSON.stringify([type, guard.startedAt, guard.nonce, data]);
+      const stored = storedStamps.get(key);
+      return stored ? { key, id: stored.id } : { key };
+    },
+
+    /**
+     * Remember the stamp of a stored message
+     */
+    record(key, id) {
+      storedStamps.set(key, { id, expires: Date.now() + maxAge });
+    },
+  };
+}
+
+export function createMessageHandler({ dataDir }) {
+  const stamps = createStampCheck(config.spamProtection);
+
+  return async function handleMessage({ body }) {
+    // Own properties only: "constructor" or "__proto__" are no message types
+    if (!body || !Object.hasOwn(validators, body.type)) {
+      return { status: 400, body: { message: "Unknown message type" } };
+    }
+
+    // Every form sends a stamp, so none of the types is a way around it
+    const { guard, ...payload } = body;
+    const data = payload.data || {};
+    const stamp = await stamps.check({ type: payload.type, data, guard });
+    if (stamp.reason) {
+      console.log(`Refused ${payload.type} message: ${stamp.reason}`);
+      return { status: 422, body: { message: SPAM_MESSAGE, code: "spam" } };
+    }
+    // A retry of a message that was stored, e.g. after a timeout
+    if (stamp.id) {
+      return { status: 201, body: { id: stamp.id } };
+    }
+
+    // Field errors of the validator come first
+    const errors = { ...linkSpamErrors(data), ...validators[payload.type](data) };
+    if (Object.keys(errors).length > 0) {
+      return { status: 422, body: { message: "Validation failed", errors } };
+    }
+
+    const id = randomUUID();
+    const receivedAt = new Date().toISOString();
+    const dir = path.join(dataDir, payload.type);
+    const file = path.join(dir, `${receivedAt.replace(/[:.]/g, "-")}-${id}.json`);
+
+    await mkdir(dir, { recursive: true });
+    await writeFile(file, JSON.stringify({ id, receivedAt, ...payload }, null, 2));
+    stamps.record(stamp.key, id);
+    console.log(`Stored ${payload.type} message ${id}`);
+
+    return { status: 201, body: { id } };
+  };
+}
@@ -0,0 +1,32 @@
+/**
+ * Map Tile Stand-in
+ * Serves plain SVG tiles in the {z}/{x}/{y} scheme of OpenStreetMap, so the
+ * map can be developed and tested without requests to the tile servers. Each
+ * tile shows its coordinates.
+ *
+ * config.map.tiles: { url: "/dev-tiles/{z}/{x}/{y}.svg", consent: null, … }
+ */
+
+const TILE_SIZE = 256;
+const MAX_ZOOM = 19;
+
+export function devTile({ params }) {
+  const [z, x, y] = [params.z, params.x, params.y].map(Number);
+  const tiles = 2 ** z;
+
+  if (z > MAX_ZOOM || x >= tiles || y >= tiles) {
+    return { status: 404, body: { message: "No such tile" } };
+  }
+
+  // Checkerboard, so panning is visible
+  const fill = (x + y) % 2 === 0 ? "#eef2f0" : "#e4ebe6";
+  const body = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${TILE_SIZE}" height="${TILE_SIZE}">`,
+    `<rect width="${TILE_SIZE}" height="${TILE_SIZE}" fill="${fill}" stroke="#c5d0c9"/>`,
+    `<text x="50%" y="50%" font-family="sans-serif" font-size="16" fill="#6b7c72"`,
+    ` text-anchor="middle" dominant-baseline="middle">${z}/${x}/${y}</text>`,
+    "</svg>",
+  ].join("");
+
+  return { status: 200, body, type: "image/svg+xml" };
+}
@@ -0,0 +1,153 @@
+import { html } from "../../build/template.mjs";
+import { SECTIONS, sectionHref } from "./sections.mjs";
+
+/**
+ * Footer with quick links, contact details and the legal links
+ */
+export function footer({ page, site }) {
+  const { practice, links } = site;
+  const { address } = practice;
+
+  return html`<footer class="bg-gray-900 text-gray-200 py-12 px-8" role="contentinfo">
+      <div class="max-w-7xl mx-auto">
+        <div class="grid gap-6 grid-cols-1 sm:grid-cols-2 lg:grid-cols-4">
+          <!-- Brand Card -->
+          <div>
+            <div
+              class="card-bento"
+              style="background-color: #1f2937; color: white"
+            >
+              <div class="card-bento__header">
+                <div class="card-bento__icon bg-blue-600 text-white">
+                  <span class="font-bold text-lg">ES</span>
+                </div>
+                <div>
+                  <h5 class="card-bento__title text-white">${practice.owner.givenName} ${practice.owner.familyName}</h5>
+                  <p class="card-bento__subtitle text-gray-300" data-i18n="footer.practice">
+                    Logopädie Praxis
+                  </p>
+                </div>
+              </div>
+              <div class="card-bento__body">
+                <p class="card-bento__content text-gray-200" data-i18n="footer.text">
+                  Professionelle Sprachtherapie mit individueller Betreuung für
+                  Kinder und Erwachsene.
+                </p>
+              </div>
+            </div>
+          </div>
+
+          <!-- Quick Links Card -->
+          <div>
+            <div
+              class="card-bento"
+              style="background-color: #1f2937; color: white"
+            >
+              <div class="card-bento__header">
+                <div class="card-bento__icon bg-blue-500 text-white">
+                  <i class="fas fa-link"></i>
+                </div>
+                <div>
+                  <h5 class="card-bento__title text-white" data-i18n="footer.quickLinks">Schnelllinks</h5>
+                </div>
+              </div>
+              <div class="card-bento__body">
+                <nav
+                  class="space-y-2 footer-nav"
+                  role="navigation"
+                  aria-label="Footer Navigation"
+                  data-i18n-attr="aria-label:footer.navLabel"
+                >${SECTIONS.map(
+                  (section) => html`
+                  <a
+                    href="${sectionHref(section, page)}"
+                    class="footer-link flex items-center space-x-2 text-gray-200 hover:text-white transition-colors"
+                  >
+                    <i class="fas ${section.icon} text-sm" aria-hidden="true"></i>
+                    <span data-i18n="${section.key}">${section.label}</span>
+                  </a>`
+                )}
+                </nav>
+              </div>
+            </div>
+          </div>
+
+          <!-- Contact Info Card -->
+          <div>
+            <div
+              class="card-bento"
+              style="background-color: #1f2937; color: white"
+            >
+              <div class="card-bento__header">
+                <div class="card-bento__icon bg-blue-500 text-white">
+                  <i class="fas fa-address-card"></i>
+                </div>
+                <div>
+                  <h5 class="card-bento__title text-white" data-i18n="nav.contact">Kontakt</h5>
+                </div>
+              </div>
+              <div class="card-bento__body">
+                <address class="space-y-2 text-gray-200 not-italic text-sm">
+                  <p class="flex items-center space-x-2">
+                    <i
+                      class="fas fa-map-marker-alt text-sm"
+                      aria-hidden="true"
+                    ></i>
+                    <span>${address.street}, ${address.postalCode} ${address.locality}</span>
+                  </p>
+                  <p class="opening-status opening-status--dark hidden" data-opening-status></p>
+                  <p class="flex items-center space-x-2">
+                    <i class="fas fa-phone text-sm" aria-hidden="true"></i>
+                    <a href="${links.tel}" class="hover:underline"
+                      >${practice.phone}</a
+                    >
+                  </p>
+                  <p class="flex items-center space-x-2">
+                    <i class="fas fa-envelope text-sm" aria-hidden="true"></i>
+                    <a
+                      href="${links.mailto}"
+                      class="hover:underline"
+                      >${practice.email}</a
+                    >
+                  </p>
+                </address>
+                <button
+                  type="button"
+                  class="practice-action practice-action--dark mt-3 hidden"
+                  data-save-contact
+                >
+                  <i class="fas fa-address-book" aria-hidden="true"></i>
+                  <span data-i18n="practiceFiles.saveContact">Kontakt speichern</span>
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <!-- Copyright -->
+        <div class="border-t border-gray-700 mt-8 pt-8 text-center">
+          <p class="text-gray-300">
+            <span data-i18n="footer.copyright">&copy; 2025 Logopädie Praxis Eva Sagmeister. Alle Rechte
+            vorbehalten.</span>
+            <a
+              href="datenschutz.html"
+              class="hover:text-white transition-colors"
+              data-i18n="footer.privacy"
+              >Datenschutz</a
+            >
+            |
+            <a href="impressum.html" class="hover:text-white transition-colors" data-i18n="footer.imprint"
+              >Impressum</a
+            >
+            <!-- Consent settings (revealed by JS) -->
+            <span class="hidden" data-consent-settings>
+              |
+              <button type="button" class="hover:text-white transition-colors" data-i18n="footer.consentSettings"
+                >Datenschutz-Einstellungen</button
+              >
+            </span>
+          </p>
+        </div>
+      </div>
+    </footer>`;
+}
@@ -0,0 +1,58 @@
+import { html } from "../../build/template.mjs";
+
+/**
+ * <head> shared by all pages; title and description come from the page's
+ * front matter
+ */
+export function head({ page, site }) {
+  const { meta } = page;
+
+  return html`<head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />${meta.base ? html`
+    <base href="${meta.base}" />` : ""}
+    <meta
+      name="description"${meta.descriptionKey ? html`
+      data-i18n-attr="content:${meta.descriptionKey}"` : ""}
+      content="${meta.description}"
+    />
+    <meta name="keywords" content="${meta.keywords}" />
+    <title${meta.titleKey ? html` data-i18n="${meta.titleKey}"` : ""}>${meta.title}</title>
+    <link rel="canonical" href="${page.url}" />${meta.robots ? html`
+    <meta name="robots" content="${meta.robots}" />` : ""}
+
+    <!-- Reading aids from the accessibility toolbar, applied before the first paint (js/services/accessibility.js) -->
+    <script>
+      try {
+        const stored = JSON.parse(localStorage.getItem("accessibility")) || {};
+        Object.entries(stored).forEach(([name, value]) => {
+          document.documentElement.dataset["a11y" + name[0].toUpperCase() + name.slice(1)] = value;
+        });
+      } catch {}
+    </script>
+
+    <!-- Icons (Font Awesome Free, served locally) -->
+    <link rel="stylesheet" href="${site.iconsCss}" />
+
+    <!-- Custom Styles; Tailwind comes last so its utilities win, as with the CDN build it replaces -->
+    <link rel="stylesheet" href="style.css" />
+    <link rel="stylesheet" href="${site.tailwindCss}" />
+    <!-- Lazy pictures need JavaScript; their <noscript> copy is shown instead -->
+    <noscript>
+      <style>
+        picture[data-responsive="lazy"] {
+          display: none;
+        }
+      </style>
+    </noscript>
+    <link
+      rel="icon"
+      href="${site.practice.logo}"
+      type="image/webp"
+    />
+
+    <!-- Installable app and offline support (see src/sw.js) -->
+    <link rel="manifest" href="${site.manifest}" />
+    <meta name="theme-color" content="${site.themeColor}" />
+  </head>`;
+}
@@ -0,0 +1,30 @@
+import { html, raw } from "../../build/template.mjs";
+import { footer } from "./footer.mjs";
+import { head } from "./head.mjs";
+import { nav } from "./nav.mjs";
+
+/**
+ * Page skeleton around the <main> element of a page source
+ */
+export function layout({ page, site, body }) {
+  return html`<!DOCTYPE html>
+<!-- Generated by build/build.mjs from ${page.source}. Edit that file and run "npm run build". -->
+<html lang="de">
+  ${head({ page, site })}
+
+  <body class="bg-gray-50">
+    <!-- Navigation -->
+    ${nav({ page, site })}
+
+    <!-- Main Content -->
+${raw(body)}
+
+    <!-- Footer -->
+    ${footer({ page, site })}
+
+    <!-- Scripts -->
+    <script type="module" src="js/app.js"></script>
+  </body>
+</html>
+`;
+}
@@ -0,0 +1,90 @@
+import { html } from "../../build/template.mjs";
+import { SECTIONS, sectionHref } from "./sections.mjs";
+
+/**
+ * Fixed header with the desktop menubar, language switcher and mobile menu
+ */
+export function nav({ page, site }) {
+  return html`<nav
+      class="nav-dark fixed w-full top-0 z-50"
+      role="navigation"
+      aria-label="Hauptnavigation"
+      data-i18n-attr="aria-label:nav.label"
+    >
+      <div class="max-w-6xl mx-auto">
+        <div class="flex justify-between items-center py-4">
+          <!-- Logo/Brand -->
+          <img
+            src="${site.practice.logo}"
+            alt="logo logopaedie"
+            data-i18n-attr="alt:nav.logoAlt"
+            height="100"
+            class="nav-logo"
+          />
+          <!-- Live opening status -->
+          <p
+            class="opening-status opening-status--compact hidden"
+            data-opening-status
+          ></p>
+          <!-- Desktop Menu -->
+          <div id="desktop-menu" class="hidden md:flex relative" role="menubar">${SECTIONS.map(
+            (section) => html`
+            <a
+              href="${sectionHref(section, page)}"
+              class="nav-link text-black hover:text-black font-medium transition-colors flex items-center space-x-1"
+              role="menuitem"
+              data-section="${section.id}"
+            >
+              <i class="fas ${section.icon} text-sm" aria-hidden="true"></i>
+              <span data-i18n="${section.key}">${section.label}</span>
+            </a>`
+          )}
+            <!-- underline indicator injected by JS -->
+          </div>
+
+          <!-- Language switcher (revealed by JS) -->
+          <div class="language-switcher hidden" data-language-switcher>
+            <i class="fas fa-globe" aria-hidden="true"></i>
+            <label for="language-select" class="sr-only" data-i18n="nav.language"
+              >Sprache</label
+            >
+            <select id="language-select" class="language-switcher__select"></select>
+          </div>
+
+          <!-- Mobile Menu Button -->
+          <button
+            class="md:hidden p-2 rounded-lg transition-colors"
+            id="mobile-menu-btn"
+            aria-label="Menü öffnen"
+            data-i18n-attr="aria-label:nav.openMenu"
+            aria-expanded="false"
+            aria-controls="mobile-menu"
+          >
+            <i class="fas fa-bars text-black" aria-hidden="true"></i>
+          </button>
+        </div>
+
+        <!-- Mobile Menu -->
+        <div
+          class="md:hidden hidden"
+          id="mobile-menu"
+          role="menu"
+          aria-labelledby="mobile-menu-btn"
+        >
+          <div class="py-2 space-y-2">${SECTIONS.map(
+            (section) => html`
+            <a
+              href="${sectionHref(section, page)}"
+              class="mobile-menu-item"
+              role="menuitem"
+              data-section="${section.id}"
+            >
+              <i class="fas ${section.icon}" aria-hidden="true"></i>
+              <span data-i18n="${section.key}">${section.label}</span>
+            </a>`
+          )}
+          </div>
+        </div>
+      </div>
+    </nav>`;
+}
@@ -0,0 +1,21 @@
+/**
+ * Sections of the home page linked from the navigation and the footer, in
+ * menu order
+ */
+export const SECTIONS = [
+  { id: "home", icon: "fa-home", key: "nav.home", label: "Home" },
+  { id: "services", icon: "fa-stethoscope", key: "nav.services", label: "Leistungen" },
+  { id: "about", icon: "fa-user", key: "nav.about", label: "Über mich" },
+  { id: "info", icon: "fa-info-circle", key: "nav.info", label: "Informationen" },
+  { id: "contact", icon: "fa-envelope", key: "nav.contact", label: "Kontakt" },
+];
+
+/**
+ * In-page anchors on the home page, links back to it everywhere else
+ */
+export function sectionHref(section, page) {
+  if (page.isHome) {
+    return `#${section.id}`;
+  }
+  return section.id === "home" ? "./" : `./#${section.id}`;
+}
@@ -0,0 +1,101 @@
+/**
+ * Service Worker
+ * Keeps the site usable without a connection. Pages, styles, scripts, fonts
+ * and key images are stored on install and served from the cache, so a
+ * visitor always gets one consistent version. A new deployment installs in
+ * the background and waits until the page asks it to take over (see
+ * js/modules/offline-support.js).
+ *
+ * The build writes this file to sw.js and fills in PRECACHE below with
+ * { version, urls } for the files it produced.
+ */
+
+const PRECACHE = self.__PRECACHE_MANIFEST;
+
+const CACHE_PREFIX = "sagmeister-";
+const PRECACHE_NAME = `${CACHE_PREFIX}precache-${PRECACHE.version}`;
+// Other files of the site (further images, the map library, reading aid font)
+// once they were loaded; dropped together with the precache of their version
+const RUNTIME_NAME = `${CACHE_PREFIX}runtime-${PRECACHE.version}`;
+
+// Shown for pages that are neither cached nor reachable
+const OFFLINE_PAGE = "offline.html";
+
+// Always fetched fresh: form endpoints and the free appointment slots
+const NETWORK_ONLY = [/\/api\//, /\/data\/availability\.[a-z]+$/];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(PRECACHE_NAME).then((cache) => cache.addAll(PRECACHE.urls)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith(CACHE_PREFIX) && name !== PRECACHE_NAME && name !== RUNTIME_NAME)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Other hosts (map tiles, WhatsApp) and submissions are left to the browser
+  if (request.method !== "GET" || url.origin !== self.location.origin) {
+    return;
+  }
+  if (NETWORK_ONLY.some((pattern) => pattern.test(url.pathname))) {
+    return;
+  }
+
+  if (request.mode === "navigate") {
+    event.respondWith(navigate(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+/**
+ * Pages come from the precache regardless of the query string
+ * (e.g. ?lang=en); unknown pages from the network, or the offline page
+ */
+async function navigate(request) {
+  const cache = await caches.open(PRECACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    return await fetch(request);
+  } catch {
+    return (await cache.match(OFFLINE_PAGE)) || Response.error();
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(RUNTIME_NAME).then((cache) => cache.put(request, copy));
+  }
+  return response;
+}
@@ -0,0 +1,175 @@
+// Generated by build/build.mjs from src/sw.js. Edit that file and run "npm run build".
+/**
+ * Service Worker
+ * Keeps the site usable without a connection. Pages, styles, scripts, fonts
+ * and key images are stored on install and served from the cache, so a
+ * visitor always gets one consistent version. A new deployment installs in
+ * the background and waits until the page asks it to take over (see
+ * js/modules/offline-support.js).
+ *
+ * The build writes this file to sw.js and fills in PRECACHE below with
+ * { version, urls } for the files it produced.
+ */
+
+const PRECACHE = {
+  "version": "5fbfd9589cba",
+  "urls": [
+    "./",
+    "404.html",
+    "datenschutz.html",
+    "impressum.html",
+    "offline.html",
+    "style.css",
+    "css/tailwind.css",
+    "vendor/fontawesome/css/all.min.css",
+    "manifest.webmanifest",
+    "js/app.js",
+    "js/config.js",
+    "js/core/event-bus.js",
+    "js/core/module.js",
+    "js/i18n/index.js",
+    "js/i18n/locales/ar.js",
+    "js/i18n/locales/de.js",
+    "js/i18n/locales/en.js",
+    "js/i18n/locales/ru.js",
+    "js/i18n/locales/tr.js",
+    "js/modules/accessibility-toolbar.js",
+    "js/modules/analytics.js",
+    "js/modules/booking-wizard.js",
+    "js/modules/cancellation-form.js",
+    "js/modules/collapsibles.js",
+    "js/modules/consent-manager.js",
+    "js/modules/contact-form.js",
+    "js/modules/header-transparency.js",
+    "js/modules/language-switcher.js",
+    "js/modules/navigation.js",
+    "js/modules/offline-support.js",
+    "js/modules/opening-hours.js",
+    "js/modules/parallax-effect.js",
+    "js/modules/practice-files.js",
+    "js/modules/practice-map.js",
+    "js/modules/prescription-deadline.js",
+    "js/modules/responsive-images.js",
+    "js/modules/scroll-spy.js",
+    "js/modules/service-cards.js",
+    "js/modules/service-dialog.js",
+    "js/modules/service-expansion.js",
+    "js/modules/service-search.js",
+    "js/modules/structured-data.js",
+    "js/services/accessibility.js",
+    "js/services/announcer.js",
+    "js/services/availability.js",
+    "js/services/consent.js",
+    "js/services/frame-scheduler.js",
+    "js/services/service-catalog.js",
+    "js/services/spam-protection.js",
+    "js/services/submission.js",
+    "js/utils/date.js",
+    "js/utils/dialog.js",
+    "js/utils/dom.js",
+    "js/utils/download.js",
+    "js/utils/focus.js",
+    "js/utils/form.js",
+    "js/utils/history.js",
+    "js/utils/holidays.js",
+    "js/utils/ics.js",
+    "js/utils/structured-data.js",
+    "js/utils/vcard.js",
+    "vendor/fontawesome/webfonts/fa-brands-400.woff2",
+    "vendor/fontawesome/webfonts/fa-regular-400.woff2",
+    "vendor/fontawesome/webfonts/fa-solid-900.woff2",
+    "vendor/fontawesome/webfonts/fa-v4compatibility.woff2",
+    "data/services.json",
+    "images/logo-logopaedie-sagmeister-black.webp",
+    "images/logo-logopaedie-sagmeister-white.webp",
+    "images/map-placeholder.svg"
+  ]
+};
+
+const CACHE_PREFIX = "sagmeister-";
+const PRECACHE_NAME = `${CACHE_PREFIX}precache-${PRECACHE.version}`;
+// Other files of the site (further images, the map library, reading aid font)
+// once they were loaded; dropped together with the precache of their version
+const RUNTIME_NAME = `${CACHE_PREFIX}runtime-${PRECACHE.version}`;
+
+// Shown for pages that are neither cached nor reachable
+const OFFLINE_PAGE = "offline.html";
+
+// Always fetched fresh: form endpoints and the free appointment slots
+const NETWORK_ONLY = [/\/api\//, /\/data\/availability\.[a-z]+$/];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(PRECACHE_NAME).then((cache) => cache.addAll(PRECACHE.urls)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith(CACHE_PREFIX) && name !== PRECACHE_NAME && name !== RUNTIME_NAME)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Other hosts (map tiles, WhatsApp) and submissions are left to the browser
+  if (request.method !== "GET" || url.origin !== self.location.origin) {
+    return;
+  }
+  if (NETWORK_ONLY.some((pattern) => pattern.test(url.pathname))) {
+    return;
+  }
+
+  if (request.mode === "navigate") {
+    event.respondWith(navigate(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+/**
+ * Pages come from the precache regardless of the query string
+ * (e.g. ?lang=en); unknown pages from the network, or the offline page
+ */
+async function navigate(request) {
+  const cache = await caches.open(PRECACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    return await fetch(request);
+  } catch {
+    return (await cache.match(OFFLINE_PAGE)) || Response.error();
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(RUNTIME_NAME).then((cache) => cache.put(request, copy));
+  }
+  return response;
+}
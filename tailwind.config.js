@@ -0,0 +1,13 @@
+/**
+ * Tailwind Configuration
+ * Classes are collected from the page sources and partials, and from the
+ * modules that add classes at runtime (e.g. "hidden").
+ * @type {import('tailwindcss').Config}
+ */
+export default {
+  content: ["./src/**/*.{html,mjs}", "./js/**/*.js"],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+};
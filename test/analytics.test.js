@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { aggregate, sanitizeEvent } from "../server/analytics.mjs";
+
+test("sanitizeEvent keeps only the dimensions of known events", () => {
+  assert.deepEqual(
+    sanitizeEvent({
+      event: "cta",
+      page: "/",
+      lang: "de",
+      props: { target: "whatsapp", section: "contact", email: "anna@example.com" },
+      userAgent: "Mozilla/5.0",
+    }),
+    { event: "cta", target: "whatsapp", section: "contact" }
+  );
+  assert.deepEqual(sanitizeEvent({ event: "page-view", page: "/impressum.html", lang: "en" }), {
+    event: "page-view",
+    page: "/impressum.html",
+    lang: "en",
+  });
+});
+
+test("sanitizeEvent turns values into short strings and drops anything else", () => {
+  const entry = sanitizeEvent({
+    event: "panel-toggle",
+    props: { group: "x".repeat(150), panel: { id: "faq" }, expanded: true },
+  });
+
+  assert.equal(entry.group.length, 100);
+  assert.equal(entry.panel, "");
+  assert.equal(entry.expanded, "true");
+
+  // Pages must be paths, languages two-letter codes
+  assert.deepEqual(sanitizeEvent({ event: "page-view", page: "https://evil.example/", lang: "deutsch" }), {
+    event: "page-view",
+    page: "",
+    lang: "",
+  });
+});
+
+test("sanitizeEvent refuses unknown events", () => {
+  for (const event of ["login", "constructor", "__proto__", "toString", undefined]) {
+    assert.equal(sanitizeEvent({ event, page: "/" }), null, String(event));
+  }
+  assert.equal(sanitizeEvent(null), null);
+});
+
+test("aggregate counts per event, per day and per combination of values", () => {
+  const { totals, rows, days } = aggregate([
+    { day: "2025-03-14", event: "cta", target: "phone", section: "contact" },
+    { day: "2025-03-14", event: "cta", target: "phone", section: "contact" },
+    { day: "2025-03-15", event: "cta", target: "whatsapp", section: "hero" },
+    { day: "2025-03-15", event: "page-view", page: "/", lang: "de" },
+    { day: "2025-03-15", event: "constructor" },
+    { day: "2025-03-15", event: "unknown" },
+  ]);
+
+  assert.deepEqual(totals, { cta: 3, "page-view": 1 });
+  assert.deepEqual(days, { "2025-03-14": { cta: 2 }, "2025-03-15": { cta: 1, "page-view": 1 } });
+  assert.deepEqual(rows.cta, [
+    { values: ["phone", "contact"], count: 2 },
+    { values: ["whatsapp", "hero"], count: 1 },
+  ]);
+  assert.deepEqual(rows["page-view"], [{ values: ["/", "de"], count: 1 }]);
+});
+
+test("aggregate of no events is empty", () => {
+  assert.deepEqual(aggregate([]), { totals: {}, rows: {}, days: {} });
+});
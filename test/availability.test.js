@@ -0,0 +1,118 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { config } from "../js/config.js";
+import { fetchAvailability } from "../js/services/availability.js";
+import { weekdayOf } from "../js/utils/date.js";
+import { findHoliday } from "../js/utils/holidays.js";
+import { availabilityIcs, availabilityJson, generateSlots } from "../server/availability.mjs";
+
+const TZ = "Europe/Berlin";
+
+// Tuesday before Easter 2025: the next three weeks hold Karfreitag and Ostermontag
+const NOW = new Date("2025-04-15T10:00:00+02:00");
+
+function stubFetch(body, contentType) {
+  const fetch = mock.method(globalThis, "fetch", async () =>
+    new Response(body, { headers: { "Content-Type": contentType } })
+  );
+  return fetch.mock;
+}
+
+afterEach(() => mock.restoreAll());
+
+test("generateSlots fills the opening hours of the next three weeks", () => {
+  const slots = generateSlots({ now: NOW });
+
+  assert.ok(slots.length > 0);
+  slots.forEach(({ start, end }) => {
+    const date = start.slice(0, 10);
+    const hours = config.practice.openingHours.find((entry) => entry.days.includes(weekdayOf(date)));
+
+    assert.ok(date > "2025-04-15" && date <= "2025-05-06", start);
+    assert.ok(hours && hours.opens, `${start} is on a working day`);
+    assert.ok(start.slice(11) >= hours.opens && end.slice(11) <= hours.closes, `${start} within hours`);
+    assert.equal(end.slice(0, 10), date);
+  });
+  assert.deepEqual(slots, generateSlots({ now: NOW }));
+});
+
+test("generateSlots skips public holidays and configured closures", () => {
+  const dates = (slots) => new Set(slots.map(({ start }) => start.slice(0, 10)));
+  const open = dates(generateSlots({ now: NOW }));
+
+  assert.ok(!open.has("2025-04-18"), "Karfreitag");
+  assert.ok(!open.has("2025-04-21"), "Ostermontag");
+  assert.ok(!open.has("2025-05-01"), "Tag der Arbeit");
+  open.forEach((date) => assert.equal(findHoliday(date, config.practice.holidays), null, date));
+
+  const practice = { ...config.practice, closures: [{ from: "2025-04-22", to: "2025-04-25" }, { from: "2025-04-29" }] };
+  const closed = dates(generateSlots({ now: NOW, practice }));
+  ["2025-04-22", "2025-04-23", "2025-04-24", "2025-04-25", "2025-04-29"].forEach((date) =>
+    assert.ok(!closed.has(date), date)
+  );
+  assert.ok(closed.has("2025-04-28") && closed.has("2025-04-30"));
+});
+
+test("fetchAvailability reads JSON feeds and drops past slots", async () => {
+  const calls = stubFetch(
+    JSON.stringify({
+      slots: [
+        { start: "2999-01-02T09:00", end: "2999-01-02T09:45" },
+        { start: "2000-01-03T09:00", end: "2000-01-03T09:45" },
+        { start: "2999-01-01T10:30:00" },
+      ],
+    }),
+    "application/json"
+  );
+
+  const slots = await fetchAvailability({ url: "data/availability.json", timeZone: TZ });
+
+  assert.deepEqual(slots, [
+    { start: "2999-01-01T10:30", end: null },
+    { start: "2999-01-02T09:00", end: "2999-01-02T09:45" },
+  ]);
+  assert.equal(calls.calls[0].arguments[0], "data/availability.json");
+});
+
+test("fetchAvailability reads ICS feeds by content type or file name", async () => {
+  const feed = [
+    "BEGIN:VCALENDAR",
+    "BEGIN:VEVENT",
+    "DTSTART:29990102T080000Z",
+    "DTEND:29990102T084500Z",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "DTSTART;TZID=Europe/Berlin:29990101T090000",
+    "DTEND;TZID=Europe/Berlin:29990101T094500",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].join("\r\n");
+  const expected = [
+    { start: "2999-01-01T09:00", end: "2999-01-01T09:45" },
+    { start: "2999-01-02T09:00", end: "2999-01-02T09:45" },
+  ];
+
+  stubFetch(feed, "text/calendar; charset=utf-8");
+  assert.deepEqual(await fetchAvailability({ url: "/feed", timeZone: TZ }), expected);
+
+  mock.restoreAll();
+  stubFetch(feed, "application/octet-stream");
+  assert.deepEqual(await fetchAvailability({ url: "data/availability.ics", timeZone: TZ }), expected);
+});
+
+test("fetchAvailability fails on error responses", async () => {
+  mock.method(globalThis, "fetch", async () => new Response("", { status: 404 }));
+  await assert.rejects(fetchAvailability({ url: "data/availability.json", timeZone: TZ }), /404/);
+});
+
+test("the dev feeds parse back into the generated slots", async () => {
+  const upcoming = generateSlots();
+
+  stubFetch(JSON.stringify(availabilityJson().body), "application/json");
+  assert.deepEqual(await fetchAvailability({ url: "data/availability.json", timeZone: TZ }), upcoming);
+
+  mock.restoreAll();
+  const ics = availabilityIcs();
+  stubFetch(ics.body, ics.type);
+  assert.deepEqual(await fetchAvailability({ url: "data/availability.ics", timeZone: TZ }), upcoming);
+});
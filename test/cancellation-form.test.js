@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkCancellationWindow } from "../js/modules/cancellation-form.js";
+
+const RULES = { noticeHours: 24 };
+const TZ = "Europe/Berlin";
+
+function check(appointment, now) {
+  return checkCancellationWindow(appointment, new Date(now), RULES, TZ);
+}
+
+test("cancellations at least noticeHours ahead are free", () => {
+  assert.deepEqual(check("2025-03-14T09:00", "2025-03-12T09:00:00+01:00"), {
+    status: "ok",
+    hoursLeft: 48,
+    deadline: "2025-03-13T09:00",
+  });
+  assert.equal(check("2025-03-14T09:00", "2025-03-13T09:00:00+01:00").status, "ok");
+});
+
+test("cancellations within noticeHours are late", () => {
+  const result = check("2025-03-14T09:00", "2025-03-13T09:01:00+01:00");
+
+  assert.equal(result.status, "late");
+  assert.ok(result.hoursLeft < 24 && result.hoursLeft > 23.9);
+  assert.equal(result.deadline, "2025-03-13T09:00");
+});
+
+test("appointments that have started are past", () => {
+  assert.equal(check("2025-03-14T09:00", "2025-03-14T09:00:00+01:00").status, "past");
+  assert.equal(check("2025-03-14T09:00", "2025-03-15T12:00:00+01:00").status, "past");
+});
+
+test("the notice period counts real hours across a DST switch", () => {
+  // Summer time starts on 2025-03-30 at 02:00: 24 hours before 10:00 CEST is 09:00 CET
+  const spring = check("2025-03-30T10:00", "2025-03-29T09:30:00+01:00");
+  assert.equal(spring.deadline, "2025-03-29T09:00");
+  assert.equal(spring.status, "late");
+  assert.equal(spring.hoursLeft, 23.5);
+
+  // Summer time ends on 2025-10-26 at 03:00: 24 hours before 10:00 CET is 11:00 CEST
+  const autumn = check("2025-10-26T10:00", "2025-10-25T10:30:00+02:00");
+  assert.equal(autumn.deadline, "2025-10-25T11:00");
+  assert.equal(autumn.status, "ok");
+  assert.equal(autumn.hoursLeft, 24.5);
+});
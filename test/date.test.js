@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  addDays,
+  daysBetween,
+  formatDate,
+  fromZonedDateTime,
+  nowIn,
+  parseIsoDate,
+  todayIn,
+  weekdayOf,
+} from "../js/utils/date.js";
+
+const TZ = "Europe/Berlin";
+
+test("parseIsoDate accepts calendar dates and rejects overflow", () => {
+  assert.equal(parseIsoDate("2025-03-14").toISOString(), "2025-03-14T00:00:00.000Z");
+  assert.equal(parseIsoDate("2024-02-29").getUTCDate(), 29);
+  assert.equal(parseIsoDate("2025-02-29"), null);
+  assert.equal(parseIsoDate("2025-02-30"), null);
+  assert.equal(parseIsoDate("14.03.2025"), null);
+  assert.equal(parseIsoDate(""), null);
+});
+
+test("addDays and daysBetween count calendar days across DST switches", () => {
+  assert.equal(addDays("2025-03-29", 2), "2025-03-31");
+  assert.equal(addDays("2025-10-25", 2), "2025-10-27");
+  assert.equal(addDays("2025-01-01", -1), "2024-12-31");
+  assert.equal(daysBetween("2025-03-29", "2025-03-31"), 2);
+  assert.equal(daysBetween("2025-03-31", "2025-03-01"), -30);
+});
+
+test("weekdayOf counts from Sunday", () => {
+  assert.equal(weekdayOf("2025-03-14"), 5);
+  assert.equal(weekdayOf("2025-03-16"), 0);
+});
+
+test("todayIn and nowIn use the practice's wall clock, not UTC", () => {
+  assert.equal(todayIn(TZ, new Date("2025-03-13T23:30:00Z")), "2025-03-14");
+  assert.equal(todayIn(TZ, new Date("2025-07-01T21:59:00Z")), "2025-07-01");
+  assert.equal(todayIn(TZ, new Date("2025-07-01T22:00:00Z")), "2025-07-02");
+  assert.equal(nowIn(TZ, new Date("2025-03-13T23:30:00Z")), "2025-03-14T00:30");
+  assert.equal(nowIn(TZ, new Date("2025-07-01T10:15:00Z")), "2025-07-01T12:15");
+});
+
+test("fromZonedDateTime finds the instant for a local time", () => {
+  assert.equal(fromZonedDateTime("2025-01-15T09:30", TZ).toISOString(), "2025-01-15T08:30:00.000Z");
+  assert.equal(fromZonedDateTime("2025-07-15T09:30", TZ).toISOString(), "2025-07-15T07:30:00.000Z");
+  // First hour after the switch to summer time
+  assert.equal(fromZonedDateTime("2025-03-30T03:00", TZ).toISOString(), "2025-03-30T01:00:00.000Z");
+  assert.equal(fromZonedDateTime("2025-03-14T24:00", TZ), null);
+  assert.equal(fromZonedDateTime("2025-02-30T09:00", TZ), null);
+  assert.equal(fromZonedDateTime("", TZ), null);
+});
+
+test("formatDate writes German dates by default", () => {
+  assert.equal(formatDate("2025-03-14"), "Freitag, 14. März 2025");
+  assert.equal(formatDate("2025-03-14", { weekday: undefined }, "en-GB"), "14 March 2025");
+});
@@ -0,0 +1,82 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { mkdtemp, rm } from "node:fs/promises";
+import { createServer } from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const serverScript = fileURLToPath(new URL("../server/dev-server.mjs", import.meta.url));
+
+let server;
+let baseUrl;
+let dataDir;
+
+async function freePort() {
+  const probe = createServer().listen(0);
+  await once(probe, "listening");
+  const { port } = probe.address();
+  probe.close();
+  await once(probe, "close");
+  return port;
+}
+
+before(async () => {
+  const port = await freePort();
+  dataDir = await mkdtemp(path.join(os.tmpdir(), "dev-server-"));
+  baseUrl = `http://localhost:${port}`;
+  server = spawn(process.execPath, [serverScript], {
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+
+  // Wait for the startup line before sending requests
+  await new Promise((resolve, reject) => {
+    let output = "";
+    server.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (output.includes(baseUrl)) resolve();
+    });
+    server.once("exit", () => reject(new Error(`Dev server exited early:\n${output}`)));
+  });
+});
+
+after(async () => {
+  server.kill();
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+test("malformed escapes are answered with 400 and the server keeps running", async () => {
+  const response = await fetch(`${baseUrl}/%E0%A4%A`);
+  assert.equal(response.status, 400);
+
+  assert.equal(server.exitCode, null);
+  assert.equal((await fetch(`${baseUrl}/`)).status, 200);
+});
+
+test("message routes answer unknown types with 400", async () => {
+  const response = await fetch(`${baseUrl}/api/messages`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ type: "constructor", data: {} }),
+  });
+  assert.equal(response.status, 400);
+});
+
+test("served pages, including the 404 page, turn on the local analytics collector", async () => {
+  const meta = '<meta name="analytics-endpoint" content="/api/events">';
+
+  const page = await fetch(`${baseUrl}/`);
+  assert.equal(page.status, 200);
+  assert.ok((await page.text()).includes(meta));
+
+  const missing = await fetch(`${baseUrl}/gibt-es-nicht`);
+  assert.equal(missing.status, 404);
+  assert.ok((await missing.text()).includes(meta));
+
+  const script = await fetch(`${baseUrl}/js/config.js`);
+  assert.ok(!(await script.text()).includes(meta));
+});
+
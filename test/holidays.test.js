@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { easterSunday, findHoliday, getBavarianHolidays } from "../js/utils/holidays.js";
+
+test("easterSunday matches known dates", () => {
+  assert.equal(easterSunday(2024), "2024-03-31");
+  assert.equal(easterSunday(2025), "2025-04-20");
+  assert.equal(easterSunday(2026), "2026-04-05");
+  assert.equal(easterSunday(2038), "2038-04-25");
+});
+
+test("getBavarianHolidays lists the movable and fixed holidays in order", () => {
+  const holidays = getBavarianHolidays(2025);
+  const dates = holidays.map((holiday) => holiday.date);
+
+  assert.equal(holidays.length, 12);
+  assert.deepEqual(dates, [...dates].sort());
+  assert.deepEqual(
+    ["Karfreitag", "Ostermontag", "Christi Himmelfahrt", "Pfingstmontag", "Fronleichnam"].map(
+      (name) => holidays.find((holiday) => holiday.name === name).date
+    ),
+    ["2025-04-18", "2025-04-21", "2025-05-29", "2025-06-09", "2025-06-19"]
+  );
+});
+
+test("Mariä Himmelfahrt is only included when asked for", () => {
+  assert.equal(findHoliday("2025-08-15"), null);
+  assert.deepEqual(findHoliday("2025-08-15", { assumptionDay: true }), {
+    date: "2025-08-15",
+    name: "Mariä Himmelfahrt",
+  });
+});
+
+test("findHoliday returns null on working days", () => {
+  assert.equal(findHoliday("2025-12-25").name, "1. Weihnachtsfeiertag");
+  assert.equal(findHoliday("2025-12-24"), null);
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCalendar, escapeText, foldLine, parseEvents, toLocalDateTime, unfoldLines } from "../js/utils/ics.js";
+
+const FEED = [
+  "BEGIN:VCALENDAR",
+  "BEGIN:VEVENT",
+  "DTSTART:20250314T083000Z",
+  "DTEND;TZID=Europe/Berlin:20250314T101500",
+  "SUMMARY:Frei\\, am Vormittag",
+  "DESCRIPTION:Erste Zeile",
+  " \\nzweite Zeile",
+  "END:VEVENT",
+  "END:VCALENDAR",
+].join("\r\n");
+
+test("parseEvents unfolds lines and unescapes text", () => {
+  const [event] = parseEvents(FEED);
+
+  assert.equal(event.SUMMARY.value, "Frei, am Vormittag");
+  assert.equal(event.DESCRIPTION.value, "Erste Zeile\nzweite Zeile");
+  assert.deepEqual(event.DTEND.params, { TZID: "Europe/Berlin" });
+});
+
+test("toLocalDateTime converts UTC values and keeps local ones", () => {
+  const [event] = parseEvents(FEED);
+
+  assert.equal(toLocalDateTime(event.DTSTART, "Europe/Berlin"), "2025-03-14T09:30");
+  assert.equal(toLocalDateTime(event.DTEND, "Europe/Berlin"), "2025-03-14T10:15");
+  assert.equal(toLocalDateTime({ value: "2025-03-14" }, "Europe/Berlin"), null);
+});
+
+test("unfoldLines joins continuation lines for CRLF and LF input", () => {
+  assert.deepEqual(unfoldLines("SUMMARY:Frei\r\n  am Vormittag\r\nEND:VEVENT"), ["SUMMARY:Frei am Vormittag", "END:VEVENT"]);
+  assert.deepEqual(unfoldLines("SUMMARY:Frei\n\tam Vormittag"), ["SUMMARY:Freiam Vormittag"]);
+});
+
+test("foldLine keeps lines within 75 octets without splitting characters", () => {
+  const line = `DESCRIPTION:${"Übung ".repeat(30)}`;
+  const folded = foldLine(line);
+
+  folded.split("\r\n").forEach((part) => assert.ok(new TextEncoder().encode(part).length <= 75));
+  assert.equal(unfoldLines(folded)[0], line);
+});
+
+test("buildCalendar writes a VEVENT with escaped text and a reminder", () => {
+  const calendar = buildCalendar({
+    uid: "termin-1@sag-meister.de",
+    start: new Date("2025-03-14T08:30:00Z"),
+    end: new Date("2025-03-14T09:15:00Z"),
+    summary: "Logopädie; Termin",
+    reminderMinutes: 1440,
+  });
+
+  assert.ok(calendar.endsWith("END:VCALENDAR\r\n"));
+  assert.match(calendar, /\r\nDTSTART:20250314T083000Z\r\n/);
+  assert.match(calendar, /\r\nSUMMARY:Logopädie\\; Termin\r\n/);
+  assert.match(calendar, /\r\nTRIGGER:-PT1440M\r\n/);
+  assert.equal(escapeText("a,b\nc"), "a\\,b\\nc");
+});
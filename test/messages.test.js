@@ -0,0 +1,181 @@
+import { after, afterEach, before, beforeEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, readFile, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { config } from "../js/config.js";
+import { solveProofOfWork, verifyProofOfWork } from "../js/services/spam-protection.js";
+import { createMessageHandler, validators } from "../server/messages.mjs";
+
+const { difficulty } = config.spamProtection.proofOfWork;
+const CONTACT = { name: "Anna Muster", email: "anna@example.com", message: "Ich hätte gern einen Termin." };
+const BOOKING = {
+  audience: "adult",
+  concern: "Stimmstörungen",
+  prescription: { available: false },
+  slots: [{ start: "2025-03-14T09:00", end: "2025-03-14T09:45" }],
+  name: "Anna Muster",
+  phone: "0151 2345678",
+};
+const CANCELLATION = { name: "Anna Muster", appointment: "2025-03-14T09:00", reason: "Krank" };
+
+let dataDir;
+let handleMessage;
+
+async function stamp(type, data, startedAt = Date.now()) {
+  return { website: "", startedAt, nonce: await solveProofOfWork(type, startedAt, data, difficulty) };
+}
+
+/**
+ * A nonce that does not solve the stamp's proof of work. The next nonce up
+ * may happen to solve it as well, so search for one that does not.
+ */
+async function wrongNonce(type, guard, data) {
+  let nonce = guard.nonce + 1;
+  while (await verifyProofOfWork(type, { ...guard, nonce }, data, difficulty)) {
+    nonce += 1;
+  }
+  return nonce;
+}
+
+async function storedFiles(type) {
+  try {
+    return await readdir(path.join(dataDir, type));
+  } catch {
+    return [];
+  }
+}
+
+before(() => mock.method(console, "log", () => {}));
+
+beforeEach(async () => {
+  dataDir = await mkdtemp(path.join(os.tmpdir(), "messages-"));
+  handleMessage = createMessageHandler({ dataDir });
+});
+
+afterEach(() => rm(dataDir, { recursive: true, force: true }));
+
+after(() => mock.restoreAll());
+
+test("contact validator accepts a complete payload", () => {
+  assert.deepEqual(validators.contact(CONTACT), {});
+  assert.deepEqual(validators.contact({ ...CONTACT, phone: "+49 (0)89 123456" }), {});
+});
+
+test("contact validator reports missing and malformed fields", () => {
+  assert.deepEqual(Object.keys(validators.contact({})), ["name", "email", "message"]);
+  assert.deepEqual(Object.keys(validators.contact({ name: "A", email: "anna", phone: "123", message: "kurz" })), [
+    "name",
+    "email",
+    "phone",
+    "message",
+  ]);
+});
+
+test("booking validator needs a name, one way to reach the patient and slots or notes", () => {
+  assert.deepEqual(validators.booking(BOOKING), {});
+  assert.deepEqual(validators.booking({ ...BOOKING, phone: "", email: "anna@example.com" }), {});
+  assert.deepEqual(validators.booking({ ...BOOKING, slots: [], notes: "Dienstags ab 15 Uhr" }), {});
+
+  assert.deepEqual(Object.keys(validators.booking({ name: "Anna" })), ["phone", "audience", "concern", "notes"]);
+  assert.deepEqual(Object.keys(validators.booking({ ...BOOKING, email: "anna" })), ["email"]);
+  assert.deepEqual(
+    Object.keys(validators.booking({ ...BOOKING, prescription: { available: true, issueDate: "03.03.2025" } })),
+    ["prescriptionDate"]
+  );
+  assert.deepEqual(Object.keys(validators.booking({ ...BOOKING, slots: [{ start: "morgen" }] })), ["notes"]);
+});
+
+test("the booking validator allows config.booking.maxSlots slots", () => {
+  const slot = BOOKING.slots[0];
+  const slots = (count) => Array.from({ length: count }, () => slot);
+
+  assert.deepEqual(validators.booking({ ...BOOKING, slots: slots(config.booking.maxSlots) }), {});
+  assert.ok(validators.booking({ ...BOOKING, slots: slots(config.booking.maxSlots + 1) }).notes);
+});
+
+test("cancellation validator needs a name, the appointment and a reason", () => {
+  assert.deepEqual(validators.cancellation(CANCELLATION), {});
+  assert.deepEqual(Object.keys(validators.cancellation({ appointment: "14.03.2025" })), ["name", "date", "reason"]);
+  assert.deepEqual(Object.keys(validators.cancellation({ ...CANCELLATION, reason: "x".repeat(501) })), ["reason"]);
+});
+
+test("a stamped message is stored and answered with its id", async () => {
+  const body = { type: "contact", data: CONTACT, guard: await stamp("contact", CONTACT) };
+  const response = await handleMessage({ body });
+
+  assert.equal(response.status, 201);
+  const files = await storedFiles("contact");
+  assert.equal(files.length, 1);
+  const stored = JSON.parse(await readFile(path.join(dataDir, "contact", files[0]), "utf8"));
+  assert.equal(stored.id, response.body.id);
+  assert.deepEqual(stored.data, CONTACT);
+  assert.equal(stored.guard, undefined);
+});
+
+test("a resent message gets the stored id and is not stored twice", async () => {
+  const body = { type: "contact", data: CONTACT, guard: await stamp("contact", CONTACT) };
+
+  const first = await handleMessage({ body });
+  const resent = await handleMessage({ body });
+
+  assert.equal(first.status, 201);
+  assert.deepEqual(resent, first);
+  assert.equal((await storedFiles("contact")).length, 1);
+});
+
+test("an invalid message is rejected, not stored, and can be sent again after a fix", async () => {
+  const data = { ...CONTACT, email: "anna" };
+  const body = { type: "contact", data, guard: await stamp("contact", data) };
+
+  const response = await handleMessage({ body });
+  assert.equal(response.status, 422);
+  assert.deepEqual(Object.keys(response.body.errors), ["email"]);
+  // Same stamp, nothing was stored: still a validation error, not spam
+  assert.ok((await handleMessage({ body })).body.errors.email);
+  assert.deepEqual(await storedFiles("contact"), []);
+});
+
+test("payloads of every type need a valid stamp", async () => {
+  const spam = { status: 422, code: "spam" };
+  const refusal = async (body) => {
+    const { status, body: response } = await handleMessage({ body });
+    return { status, code: response.code };
+  };
+
+  for (const [type, data] of Object.entries({ contact: CONTACT, booking: BOOKING, cancellation: CANCELLATION })) {
+    const guard = await stamp(type, data);
+    const nonce = await wrongNonce(type, guard, data);
+
+    assert.deepEqual(await refusal({ type, data }), spam, `${type} without stamp`);
+    assert.deepEqual(await refusal({ type, data, guard: { ...guard, website: "x" } }), spam, `${type} honeypot`);
+    assert.deepEqual(await refusal({ type, data, guard: { ...guard, nonce } }), spam, `${type} nonce`);
+    assert.equal((await handleMessage({ body: { type, data, guard } })).status, 201, `${type} stamped`);
+  }
+  assert.equal((await storedFiles("contact")).length, 1);
+});
+
+test("stamps older than proofOfWork.maxAge are refused", async () => {
+  const startedAt = Date.now() - config.spamProtection.proofOfWork.maxAge - 60 * 1000;
+  const body = { type: "contact", data: CONTACT, guard: await stamp("contact", CONTACT, startedAt) };
+
+  assert.equal((await handleMessage({ body })).body.code, "spam");
+  assert.deepEqual(await storedFiles("contact"), []);
+});
+
+test("link spam comes back as field errors", async () => {
+  const data = { ...BOOKING, notes: "http://a.example http://b.example", name: "www.spam.example" };
+  const response = await handleMessage({ body: { type: "booking", data, guard: await stamp("booking", data) } });
+
+  assert.equal(response.status, 422);
+  assert.deepEqual(Object.keys(response.body.errors).sort(), ["name", "notes"]);
+});
+
+test("unknown message types are rejected before the stamp is checked", async () => {
+  for (const type of [undefined, "newsletter", "constructor", "__proto__", "toString", "hasOwnProperty"]) {
+    const response = await handleMessage({ body: { type, data: CONTACT } });
+    assert.equal(response.status, 400, String(type));
+  }
+  assert.equal((await handleMessage({ body: null })).status, 400);
+  assert.deepEqual(await readdir(dataDir), []);
+});
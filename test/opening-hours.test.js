@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { config } from "../js/config.js";
+import { OpeningHours } from "../js/modules/opening-hours.js";
+
+// getStatus only reads the practice data, so no DOM is needed
+function openingHours(practice = {}) {
+  const module = Object.create(OpeningHours.prototype);
+  module.practice = { ...config.practice, closures: [], ...practice };
+  return module;
+}
+
+// Wall-clock time in Rödental; March 2025 before the 30th is UTC+1
+function berlin(dateTime) {
+  return new Date(`${dateTime}:00+01:00`);
+}
+
+test("open during the day's hours", () => {
+  assert.deepEqual(openingHours().getStatus(berlin("2025-03-13T17:59")), {
+    today: "2025-03-13",
+    isOpen: true,
+    label: "Jetzt geöffnet",
+    detail: "bis 18:00 Uhr",
+  });
+  assert.equal(openingHours().getStatus(berlin("2025-03-14T15:30")).detail, "bis 16:00 Uhr");
+});
+
+test("closed before opening and after closing time", () => {
+  const early = openingHours().getStatus(berlin("2025-03-13T07:30"));
+  assert.equal(early.isOpen, false);
+  assert.equal(early.label, "Geschlossen");
+  assert.equal(early.detail, "Öffnet heute um 8:00");
+
+  const late = openingHours().getStatus(berlin("2025-03-13T18:00"));
+  assert.equal(late.isOpen, false);
+  assert.equal(late.detail, "Öffnet morgen um 8:00");
+});
+
+test("the next opening skips the weekend", () => {
+  assert.equal(openingHours().getStatus(berlin("2025-03-14T16:00")).detail, "Öffnet Montag um 8:00");
+  assert.equal(openingHours().getStatus(berlin("2025-03-16T12:00")).detail, "Öffnet morgen um 8:00");
+});
+
+test("Saturday \"Nach Vereinbarung\" never counts as open", () => {
+  assert.deepEqual(openingHours().getStatus(berlin("2025-03-15T10:00")), {
+    today: "2025-03-15",
+    isOpen: false,
+    label: "Geschlossen",
+    detail: "Öffnet Montag um 8:00",
+  });
+});
+
+test("Bavarian holidays close the practice", () => {
+  // Karfreitag, then the weekend and Ostermontag
+  const status = openingHours().getStatus(new Date("2025-04-18T10:00:00+02:00"));
+  assert.equal(status.isOpen, false);
+  assert.equal(status.label, "Heute geschlossen (Karfreitag)");
+  assert.equal(status.detail, "Öffnet Dienstag um 8:00");
+
+  // Mariä Himmelfahrt only where configured
+  assert.equal(openingHours().getStatus(new Date("2025-08-15T10:00:00+02:00")).isOpen, true);
+  const catholic = openingHours({ holidays: { assumptionDay: true } });
+  assert.equal(catholic.getStatus(new Date("2025-08-15T10:00:00+02:00")).label, "Heute geschlossen (Mariä Himmelfahrt)");
+});
+
+test("configured closures close the practice", () => {
+  const vacation = openingHours({ closures: [{ from: "2025-03-10", to: "2025-03-14", label: "Betriebsurlaub" }] });
+  assert.deepEqual(vacation.getStatus(berlin("2025-03-12T10:00")), {
+    today: "2025-03-12",
+    isOpen: false,
+    label: "Heute geschlossen (Betriebsurlaub)",
+    detail: "Öffnet Montag um 8:00",
+  });
+
+  // Single day without a label
+  const closed = openingHours({ closures: [{ from: "2025-03-12" }] });
+  assert.equal(closed.getStatus(berlin("2025-03-12T10:00")).label, "Heute geschlossen (Praxis geschlossen)");
+  assert.equal(closed.getStatus(berlin("2025-03-13T10:00")).isOpen, true);
+});
+
+test("openings more than a week ahead are shown with their date", () => {
+  const closed = openingHours({ closures: [{ from: "2025-03-10", to: "2025-03-21" }] });
+  assert.equal(closed.getStatus(berlin("2025-03-12T10:00")).detail, "Öffnet am 24.03. um 8:00");
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { config } from "../js/config.js";
+import { createAppointmentCalendar, createPracticeVCard } from "../js/modules/practice-files.js";
+import { parseEvents, unfoldLines } from "../js/utils/ics.js";
+import { buildVCard } from "../js/utils/vcard.js";
+
+test("buildVCard escapes text and structured values", () => {
+  const lines = unfoldLines(
+    buildVCard({
+      formattedName: "Praxis; Sprache, Stimme",
+      name: { givenName: "Eva", familyName: "Sag;meister" },
+      organization: "A, B",
+      phone: "+49 1578 5320411",
+      address: { street: "Oeslauer Str. 26", postalCode: "96472", locality: "Rödental" },
+      note: "Erste Zeile\nzweite Zeile",
+    })
+  );
+
+  assert.deepEqual(lines.slice(0, 4), [
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    "N:Sag\\;meister;Eva;;;",
+    "FN:Praxis\\; Sprache\\, Stimme",
+  ]);
+  assert.ok(lines.includes("ORG:A\\, B"));
+  assert.ok(lines.includes("TEL;TYPE=WORK,VOICE:+49 1578 5320411"));
+  assert.ok(lines.includes("ADR;TYPE=WORK:;;Oeslauer Str. 26;Rödental;;96472;"));
+  assert.ok(lines.includes("NOTE:Erste Zeile\\nzweite Zeile"));
+  assert.ok(!lines.some((line) => line.startsWith("EMAIL") || line.startsWith("URL")));
+  assert.equal(lines.at(-2), "END:VCARD");
+});
+
+test("createPracticeVCard uses the practice data from config", () => {
+  const vcard = createPracticeVCard();
+  const lines = unfoldLines(vcard);
+
+  assert.ok(vcard.split("\r\n").every((line) => new TextEncoder().encode(line).length <= 75));
+  assert.ok(lines.includes(`FN:${config.practice.name}`));
+  assert.ok(lines.includes("N:Sagmeister;Eva;;;"));
+  assert.ok(lines.includes(`EMAIL;TYPE=INTERNET,WORK:${config.practice.email}`));
+  assert.ok(lines.includes("ADR;TYPE=WORK:;;Oeslauer Str. 26;Rödental;Bayern;96472;Deutschland"));
+});
+
+test("appointment calendars are tentative and remind reminderHours ahead", () => {
+  const calendar = createAppointmentCalendar({ start: "2025-03-14T09:00", end: "2025-03-14T10:30" });
+  const [event] = parseEvents(calendar);
+  // The first DESCRIPTION belongs to the event, the second one to its alarm
+  const description = unfoldLines(calendar).find((line) => line.startsWith("DESCRIPTION:"));
+
+  assert.equal(event.DTSTART.value, "20250314T080000Z");
+  assert.equal(event.DTEND.value, "20250314T093000Z");
+  assert.equal(event.STATUS.value, "TENTATIVE");
+  assert.equal(event.SUMMARY.value, "Logopädie – Terminanfrage (unbestätigt)");
+  assert.equal(event.UID.value, "termin-20250314T0900@www.sag-meister.de");
+  assert.equal(event.TRIGGER.value, `-PT${config.calendar.reminderHours * 60}M`);
+  assert.match(description, new RegExp(`spätestens ${config.cancellation.noticeHours} Stunden vorher`));
+  assert.equal(event.LOCATION.value, "Logopädie Praxis Eva Sagmeister, Oeslauer Str. 26, 96472 Rödental");
+});
+
+test("appointments without an end last calendar.appointmentMinutes", () => {
+  const [event] = parseEvents(createAppointmentCalendar({ start: "2025-07-14T09:00" }));
+  assert.equal(event.DTSTART.value, "20250714T070000Z");
+  assert.equal(event.DTEND.value, "20250714T074500Z");
+
+  const options = { calendar: { appointmentMinutes: 60, reminderHours: 2 } };
+  const [custom] = parseEvents(createAppointmentCalendar({ start: "2025-07-14T09:00" }, options));
+  assert.equal(custom.DTEND.value, "20250714T080000Z");
+  assert.equal(custom.TRIGGER.value, "-PT120M");
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calculatePrescriptionDeadline } from "../js/modules/prescription-deadline.js";
+
+const RULES = { startWithinDays: 28, warningDays: 7 };
+
+test("therapy has to start within 28 days of the issue date", () => {
+  assert.deepEqual(calculatePrescriptionDeadline("2025-03-03", "2025-03-03", RULES), {
+    deadline: "2025-03-31",
+    daysLeft: 28,
+    status: "ok",
+  });
+  // Leap year February
+  assert.equal(calculatePrescriptionDeadline("2024-02-10", "2024-02-10", RULES).deadline, "2024-03-09");
+});
+
+test("the warning starts exactly warningDays before the deadline", () => {
+  assert.equal(calculatePrescriptionDeadline("2025-03-03", "2025-03-23", RULES).status, "ok");
+  assert.deepEqual(calculatePrescriptionDeadline("2025-03-03", "2025-03-24", RULES), {
+    deadline: "2025-03-31",
+    daysLeft: 7,
+    status: "soon",
+  });
+  assert.equal(calculatePrescriptionDeadline("2025-03-03", "2025-03-31", RULES).status, "soon");
+});
+
+test("prescriptions past the deadline are expired", () => {
+  assert.deepEqual(calculatePrescriptionDeadline("2025-03-03", "2025-04-01", RULES), {
+    deadline: "2025-03-31",
+    daysLeft: -1,
+    status: "expired",
+  });
+});
+
+test("issue dates after today are flagged as future", () => {
+  assert.equal(calculatePrescriptionDeadline("2025-03-04", "2025-03-03", RULES).status, "future");
+});
+
+test("invalid issue dates give no result", () => {
+  for (const issueDate of ["", "2025-02-30", "03.03.2025", undefined]) {
+    assert.equal(calculatePrescriptionDeadline(issueDate, "2025-03-03", RULES), null, String(issueDate));
+  }
+});
+
+test("the rules default to config.prescription", () => {
+  assert.equal(calculatePrescriptionDeadline("2025-03-03", "2025-03-03").deadline, "2025-03-31");
+});
@@ -0,0 +1,87 @@
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import ar from "../js/i18n/locales/ar.js";
+import en from "../js/i18n/locales/en.js";
+import ru from "../js/i18n/locales/ru.js";
+import tr from "../js/i18n/locales/tr.js";
+import { fetchServiceCatalog, serviceCardId } from "../js/services/service-catalog.js";
+
+const catalog = JSON.parse(await readFile(new URL("../data/services.json", import.meta.url), "utf8"));
+const LOCALES = { en, tr, ru, ar };
+
+// services.json field -> services.items.<key> field
+const TRANSLATED_FIELDS = { title: "title", short: "text", long: "long", symptoms: "symptoms" };
+
+function stubFetch(data) {
+  mock.method(globalThis, "fetch", async () => Response.json(data));
+}
+
+afterEach(() => mock.restoreAll());
+
+test("every service has its own i18n key", () => {
+  const keys = catalog.services.map((service) => service.i18n);
+
+  keys.forEach((key, index) => assert.ok(key, `${catalog.services[index].id} has no i18n key`));
+  assert.equal(new Set(keys).size, keys.length);
+});
+
+for (const [language, messages] of Object.entries(LOCALES)) {
+  test(`the ${language} catalog translates every field of every service`, () => {
+    const items = messages.services.items;
+
+    catalog.services.forEach((service) => {
+      const translation = items[service.i18n];
+      assert.ok(translation, `services.items.${service.i18n} is missing`);
+
+      Object.entries(TRANSLATED_FIELDS).forEach(([field, key]) => {
+        const german = service[field];
+        if (!german || german.length === 0) return;
+
+        const label = `services.items.${service.i18n}.${key}`;
+        if (Array.isArray(german)) {
+          assert.ok(Array.isArray(translation[key]), `${label} is missing`);
+          assert.equal(translation[key].length, german.length, `${label} has a different number of entries`);
+        } else {
+          assert.ok(translation[key], `${label} is missing`);
+        }
+      });
+    });
+
+    const used = new Set(catalog.services.map((service) => service.i18n));
+    assert.deepEqual(Object.keys(items).filter((key) => !used.has(key)), [], "unused translations");
+  });
+}
+
+test("fetchServiceCatalog checks required fields, audiences and duplicate ids", async () => {
+  const audiences = { children: { panel: "children-services" } };
+  const service = { id: "dyslalie", audience: "children", title: "Dyslalie", short: "Aussprache" };
+
+  stubFetch({ audiences, services: [service] });
+  const { services } = await fetchServiceCatalog({ url: "data/services.json" });
+  assert.deepEqual(services, [
+    { ...service, i18n: null, audience: ["children"], icon: null, long: "", symptoms: [], keywords: [] },
+  ]);
+
+  stubFetch({ audiences, services: [{ ...service, short: "" }] });
+  await assert.rejects(fetchServiceCatalog({ url: "x" }), /missing short/);
+  stubFetch({ audiences, services: [{ ...service, audience: ["seniors"] }] });
+  await assert.rejects(fetchServiceCatalog({ url: "x" }), /no known audience/);
+  stubFetch({ audiences, services: [service, service] });
+  await assert.rejects(fetchServiceCatalog({ url: "x" }), /Duplicate service id "dyslalie"/);
+});
+
+test("the shipped catalog loads", async () => {
+  stubFetch(catalog);
+  const { services } = await fetchServiceCatalog({ url: "data/services.json" });
+  assert.equal(services.length, catalog.services.length);
+});
+
+test("serviceCardId suffixes every panel but the first", () => {
+  const { audiences } = catalog;
+  const service = { id: "stottern", audience: ["children", "adults"] };
+
+  assert.equal(serviceCardId(service, "children", audiences), "stottern");
+  assert.equal(serviceCardId(service, "adults", audiences), "stottern-erwachsene");
+  assert.equal(serviceCardId({ id: "x", audience: ["adults", "seniors"] }, "seniors", audiences), "x-seniors");
+});
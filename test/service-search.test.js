@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ServiceSearch, normalize } from "../js/modules/service-search.js";
+
+// matchCard() and synonymsFor() only read their arguments, so no page is needed
+const search = Object.create(ServiceSearch.prototype);
+
+function card(text, keywords = "") {
+  return { fields: [{ textContent: text }], card: { dataset: { keywords } } };
+}
+
+test("normalize spells out umlauts and ß and strips other accents", () => {
+  assert.equal(normalize("Hörstörung"), "hoerstoerung");
+  assert.equal(normalize("Hoerstoerung"), "hoerstoerung");
+  assert.equal(normalize("ÄRGER"), "aerger");
+  assert.equal(normalize("Fußball"), "fussball");
+  assert.equal(normalize("Café"), "cafe");
+  // Decomposed input, e.g. pasted from macOS
+  assert.equal(normalize("Ho\u0308rsto\u0308rung"), "hoerstoerung");
+});
+
+test("normalize keeps an e after a, o or u", () => {
+  assert.equal(normalize("Dauer"), "dauer");
+  assert.equal(normalize("Mauer"), "mauer");
+  assert.equal(normalize("Poet"), "poet");
+  assert.equal(normalize("Quelle"), "quelle");
+});
+
+test("every search term has to occur in the card", () => {
+  const entry = card("Sprachentwicklung bei Kindern");
+
+  assert.deepEqual(search.matchCard(entry, ["bei", "kind"]), ["bei", "kind"]);
+  assert.equal(search.matchCard(entry, ["bei", "erwachs"]), null);
+});
+
+test("umlauts and their spelled-out form find each other", () => {
+  const entry = card("Hörstörungen und Dauer der Therapie");
+
+  assert.ok(search.matchCard(entry, [normalize("Hoerstoerung")]));
+  assert.ok(search.matchCard(card("Hoergeraete"), [normalize("Hörgeräte")]));
+  assert.ok(search.matchCard(entry, [normalize("Dauer")]));
+  assert.equal(search.matchCard(card("Daur"), [normalize("Dauer")]), null);
+});
+
+test("search terms also find cards with a synonym", () => {
+  const entry = card("Redeflussstörungen");
+
+  assert.ok(search.matchCard(entry, [normalize("Stottern")]).includes("redefluss"));
+  // Short terms are matched literally
+  assert.deepEqual(search.synonymsFor("st"), []);
+});
+
+test("catalog keywords are searched but not shown", () => {
+  const entry = card("Dyslalie", "aussprache");
+
+  assert.deepEqual(search.matchCard(entry, ["aussprache"]), ["aussprache"]);
+  assert.equal(search.matchCard(card("Dyslalie"), ["aussprache"]), null);
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SpamGuard,
+  findLinkSpam,
+  solveProofOfWork,
+  spamNoteKey,
+  verifyProofOfWork,
+} from "../js/services/spam-protection.js";
+
+// Low enough to keep the tests fast, high enough that a wrong nonce fails
+const DIFFICULTY = 8;
+const OPTIONS = {
+  minFillTime: 3000,
+  rateLimit: { max: 3, window: 60 * 60 * 1000 },
+  maxLinks: 1,
+  proofOfWork: { difficulty: DIFFICULTY, maxAge: 24 * 60 * 60 * 1000 },
+};
+
+test("findLinkSpam allows one plain link in the free text", () => {
+  assert.deepEqual(findLinkSpam({ name: "Anna", message: "Siehe https://example.com" }, OPTIONS), {});
+});
+
+test("findLinkSpam flags too many links, markup links and links in the name", () => {
+  assert.deepEqual(findLinkSpam({ message: "http://a.example und www.b.example" }, OPTIONS), {
+    message: "tooManyLinks",
+  });
+  assert.deepEqual(findLinkSpam({ notes: '<a href="http://a.example">hier</a>' }, OPTIONS), {
+    notes: "markupLinks",
+  });
+  assert.deepEqual(findLinkSpam({ reason: "[url=http://a.example]x[/url]" }, OPTIONS), {
+    reason: "markupLinks",
+  });
+  assert.deepEqual(findLinkSpam({ name: "www.spam.example" }, OPTIONS), { name: "linkInName" });
+});
+
+test("a solved proof of work verifies only for the same message", async () => {
+  const data = { name: "Anna", message: "Bitte um Rückruf" };
+  const startedAt = Date.now();
+  const nonce = await solveProofOfWork("contact", startedAt, data, DIFFICULTY);
+  const guard = { website: "", startedAt, nonce };
+
+  assert.equal(await verifyProofOfWork("contact", guard, data, DIFFICULTY), true);
+  assert.equal(await verifyProofOfWork("booking", guard, data, DIFFICULTY), false);
+  assert.equal(await verifyProofOfWork("contact", guard, { ...data, name: "Bob" }, DIFFICULTY), false);
+  assert.equal(await verifyProofOfWork("contact", { ...guard, nonce: "1" }, data, DIFFICULTY), false);
+});
+
+test("SpamGuard refuses a filled honeypot and a form sent too fast", () => {
+  const honeypot = { value: "" };
+  const guard = new SpamGuard(honeypot, OPTIONS);
+
+  assert.deepEqual(guard.check({ message: "Hallo" }), { reason: "tooFast" });
+
+  guard.startedAt -= OPTIONS.minFillTime;
+  assert.equal(guard.check({ message: "Hallo" }), null);
+  assert.deepEqual(guard.check({ name: "www.spam.example" }), { reason: "links", fields: { name: "linkInName" } });
+
+  honeypot.value = "http://spam.example";
+  assert.deepEqual(guard.check({ message: "Hallo" }), { reason: "honeypot" });
+});
+
+test("SpamGuard stamps carry the honeypot value and a valid nonce", async () => {
+  const guard = new SpamGuard({ value: "" }, OPTIONS);
+  const data = { message: "Hallo" };
+  const stamp = await guard.stamp("contact", data);
+
+  assert.equal(stamp.website, "");
+  assert.equal(stamp.startedAt, guard.startedAt);
+  assert.equal(await verifyProofOfWork("contact", stamp, data, DIFFICULTY), true);
+});
+
+test("spamNoteKey has own notes only for refusals that can be waited out", () => {
+  assert.equal(spamNoteKey("tooFast"), "spamProtection.tooFast");
+  assert.equal(spamNoteKey("rateLimited"), "spamProtection.rateLimited");
+  assert.equal(spamNoteKey("honeypot"), "spamProtection.rejected");
+});
@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { config } from "../js/config.js";
+import {
+  buildClosures,
+  buildFaqSchema,
+  buildGraph,
+  buildOpeningHours,
+  buildPracticeSchema,
+} from "../js/utils/structured-data.js";
+
+const { practice } = config;
+
+test("opening hours follow config.practice.openingHours", () => {
+  assert.deepEqual(buildOpeningHours(practice.openingHours), [
+    {
+      "@type": "OpeningHoursSpecification",
+      dayOfWeek: [
+        "https://schema.org/Monday",
+        "https://schema.org/Tuesday",
+        "https://schema.org/Wednesday",
+        "https://schema.org/Thursday",
+      ],
+      opens: "08:00",
+      closes: "18:00",
+    },
+    {
+      "@type": "OpeningHoursSpecification",
+      dayOfWeek: ["https://schema.org/Friday"],
+      opens: "08:00",
+      closes: "16:00",
+    },
+  ]);
+});
+
+test("closures become closed special opening hours", () => {
+  const closed = { "@type": "OpeningHoursSpecification", opens: "00:00", closes: "00:00" };
+  const closures = [{ from: "2025-12-22", to: "2026-01-02", label: "Betriebsurlaub" }, { from: "2025-05-02" }];
+
+  assert.deepEqual(buildClosures(closures), [
+    { ...closed, validFrom: "2025-12-22", validThrough: "2026-01-02" },
+    { ...closed, validFrom: "2025-05-02", validThrough: "2025-05-02" },
+  ]);
+});
+
+test("the practice node carries the address and contact data from config", () => {
+  const node = buildPracticeSchema({ ...practice, closures: [] });
+
+  assert.equal(node["@type"], "MedicalClinic");
+  assert.equal(node["@id"], `${practice.url}#praxis`);
+  assert.equal(node.name, practice.name);
+  assert.equal(node.telephone, practice.phone);
+  assert.equal(node.email, practice.email);
+  assert.deepEqual(node.address, {
+    "@type": "PostalAddress",
+    streetAddress: practice.address.street,
+    postalCode: practice.address.postalCode,
+    addressLocality: practice.address.locality,
+    addressRegion: practice.address.region,
+    addressCountry: practice.address.country,
+  });
+  assert.deepEqual(node.openingHoursSpecification, buildOpeningHours(practice.openingHours));
+  assert.deepEqual(node.geo, {
+    "@type": "GeoCoordinates",
+    latitude: practice.geo.latitude,
+    longitude: practice.geo.longitude,
+  });
+  assert.equal(node.founder.familyName, practice.owner.familyName);
+  assert.ok(!("specialOpeningHoursSpecification" in node));
+  assert.ok(!("geo" in buildPracticeSchema({ ...practice, geo: undefined })));
+  assert.ok(!("availableService" in node));
+});
+
+test("services, logo and closures are added when given", () => {
+  const node = buildPracticeSchema(
+    { ...practice, closures: [{ from: "2025-05-02" }] },
+    {
+      services: [
+        { id: "dyslalie", title: "Dyslalie", short: "Kurz" },
+        { id: "stottern", title: "Stottern", short: "Kurz", long: "Ausführlich" },
+      ],
+      logo: "https://www.sag-meister.de/logo.webp",
+    }
+  );
+
+  assert.equal(node.logo, "https://www.sag-meister.de/logo.webp");
+  assert.equal(node.specialOpeningHoursSpecification.length, 1);
+  assert.deepEqual(
+    node.availableService.map(({ name, description, url }) => [name, description, url]),
+    [
+      ["Dyslalie", "Kurz", `${practice.url}#dyslalie`],
+      ["Stottern", "Ausführlich", `${practice.url}#stottern`],
+    ]
+  );
+});
+
+test("FAQ entries become questions with accepted answers", () => {
+  const graph = buildGraph([
+    buildFaqSchema([{ question: "Brauche ich eine Verordnung?", answer: "Ja." }], {
+      url: `${practice.url}#info`,
+      language: "de",
+      about: `${practice.url}#praxis`,
+    }),
+  ]);
+
+  assert.equal(graph["@context"], "https://schema.org");
+  assert.deepEqual(graph["@graph"][0], {
+    "@type": "FAQPage",
+    "@id": `${practice.url}#info`,
+    url: `${practice.url}#info`,
+    mainEntity: [
+      {
+        "@type": "Question",
+        name: "Brauche ich eine Verordnung?",
+        acceptedAnswer: { "@type": "Answer", text: "Ja." },
+      },
+    ],
+    inLanguage: "de",
+    about: { "@id": `${practice.url}#praxis` },
+  });
+});